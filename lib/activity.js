@@ -0,0 +1,115 @@
+/**
+ * BriPlanner - Task Activity History
+ *
+ * updatedAt only says *that* a task changed. The activity log says what
+ * changed, when and who did it - like the System Notes subtab on a NetSuite
+ * record. Every mutation appends an event and events are never edited or
+ * removed, so the history of a task outlives the task itself (deleting it
+ * just adds a "deleted" event).
+ *
+ * An event looks like:
+ *
+ *   {
+ *     id, taskId, ownerId, at,
+ *     actor:   { type: 'user', id, email } or { type: 'system', name },
+ *     action:  'task.updated',
+ *     itemId:  <checklist item ID, for checklist.* events>,
+ *     changes: [{ field: 'title', before: 'Old', after: 'New' }],
+ *     details: { ...anything else worth knowing, e.g. the email recipient }
+ *   }
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const ACTIONS = [
+    'task.created',
+    'task.updated',
+    'task.moved',
+    'task.deleted',
+    'task.restored',
+    'task.demoted',
+    'checklist.added',
+    'checklist.updated',
+    'checklist.deleted',
+    'checklist.restored',
+    'checklist.promoted',
+    'email.sent',
+    'email.failed',
+    'focus.started',
+    'focus.paused',
+    'focus.resumed',
+    'focus.stopped'
+];
+
+// The task fields a history entry compares. Reminder statuses, timestamps
+// and children are left out: they change on their own or have their own events.
+const TASK_FIELDS = [
+    'title', 'description', 'completed', 'dueAt', 'remindAt', 'reminderEmail', 'recurrence', 'checklist',
+    'estimateMinutes', 'priority', 'tags', 'energy', 'blockedBy', 'deferredUntil'
+];
+
+// Append an event to the log and return it
+function appendEvent(log, { taskId, ownerId, actor, action, itemId, changes = [], details }, now = new Date()) {
+    if (!ACTIONS.includes(action)) {
+        throw new Error(`Unknown activity action "${action}"`);
+    }
+
+    const event = { id: uuidv4(), taskId, ownerId, at: now.toISOString(), actor, action };
+    if (itemId) event.itemId = itemId;
+    event.changes = changes;
+    if (details) event.details = details;
+
+    log.push(event);
+    return event;
+}
+
+// A deep copy of the fields a task's history tracks, to diff against later
+function taskFields(task) {
+    const fields = {};
+    for (const field of TASK_FIELDS) {
+        let value = task[field] === undefined ? null : task[field];
+        // The series bookkeeping (spawnedNextId) isn't something the user set
+        if (field === 'recurrence' && value) {
+            value = { rule: value.rule, dtstart: value.dtstart };
+        }
+        fields[field] = JSON.parse(JSON.stringify(value));
+    }
+    return fields;
+}
+
+function itemFields(item) {
+    return { text: item.text, completed: Boolean(item.completed) };
+}
+
+/**
+ * List the fields that differ between two snapshots as { field, before, after }.
+ * A missing snapshot (null) stands for "didn't exist": creating something
+ * lists its non-empty fields, and deleting it lists what it had.
+ */
+function diffFields(before, after) {
+    const fields = Object.keys(before || after || {});
+    const changes = [];
+
+    for (const field of fields) {
+        const from = before ? before[field] : null;
+        const to = after ? after[field] : null;
+        if (JSON.stringify(from) === JSON.stringify(to)) continue;
+        if (!before && isEmpty(to)) continue;
+        if (!after && isEmpty(from)) continue;
+        changes.push({ field, before: from, after: to });
+    }
+    return changes;
+}
+
+function isEmpty(value) {
+    return value === null || value === '' || value === false || (Array.isArray(value) && value.length === 0);
+}
+
+// A task's events, newest first
+function taskHistory(log, { taskId, ownerId }) {
+    return log
+        .filter(event => event.taskId === taskId && event.ownerId === ownerId)
+        .reverse();
+}
+
+module.exports = { ACTIONS, appendEvent, taskFields, itemFields, diffFields, taskHistory };
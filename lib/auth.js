@@ -0,0 +1,167 @@
+/**
+ * BriPlanner - Accounts and Sessions
+ *
+ * Passwords are never stored. We keep a salted scrypt hash instead, which is
+ * deliberately slow to compute so a stolen data file can't be brute-forced
+ * quickly. Logging in creates a session: a random token handed to the browser
+ * in an HttpOnly cookie. We only store a SHA-256 hash of that token, so the
+ * data file alone can't be used to hijack a session.
+ *
+ * In NetSuite terms, this is the login and role check you normally get for
+ * free: every /api/tasks request has to carry a valid session cookie, and it
+ * only ever sees the task tree of the user it belongs to.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { sendError } = require('./validation');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_COOKIE = 'briplanner_session';
+
+// scrypt cost parameters (stored in each hash so they can be raised later)
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Hash a password as "scrypt$N$r$p$salt$hash"
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, KEY_LENGTH, { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P });
+    return ['scrypt', SCRYPT_N, SCRYPT_R, SCRYPT_P, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+// Check a password against a stored hash (in constant time)
+async function verifyPassword(password, stored) {
+    const [scheme, N, r, p, salt, hash] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+        N: Number(N),
+        r: Number(r),
+        p: Number(p)
+    });
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// A fresh random session token (sent to the browser) and the hash we store
+function newSessionToken() {
+    const token = crypto.randomBytes(32).toString('base64url');
+    return { token, tokenHash: hashToken(token) };
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Validate registration input. Returns { value: { email, password, name } } or { error }.
+function parseCredentials(body, { requireName = false } = {}) {
+    const { email, password, name } = body || {};
+
+    if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+        return { error: 'A valid email address is required' };
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return { error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+    }
+    if (password.length > MAX_PASSWORD_LENGTH) {
+        return { error: `Password must be at most ${MAX_PASSWORD_LENGTH} characters` };
+    }
+    if (name !== undefined && name !== null && typeof name !== 'string') {
+        return { error: 'Name must be a string' };
+    }
+    if (requireName && !name) {
+        return { error: 'Name is required' };
+    }
+
+    return {
+        value: {
+            email: email.trim().toLowerCase(),
+            password,
+            name: name ? name.trim() : ''
+        }
+    };
+}
+
+// The user fields that are safe to send to the browser
+function publicUser(user) {
+    return { id: user.id, email: user.email, name: user.name, createdAt: user.createdAt };
+}
+
+// Read cookies from a Cookie header into an object
+function parseCookies(header) {
+    const cookies = {};
+    for (const part of (header || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index === -1) continue;
+        const name = part.slice(0, index).trim();
+        if (name && !(name in cookies)) {
+            try {
+                cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+            } catch (error) {
+                // Ignore cookies we can't decode; they aren't ours
+            }
+        }
+    }
+    return cookies;
+}
+
+// Set-Cookie value for a session (maxAgeSeconds = 0 deletes the cookie)
+function sessionCookie(token, { maxAgeSeconds, secure = false }) {
+    return [
+        `${SESSION_COOKIE}=${encodeURIComponent(token)}`,
+        'Path=/',
+        'HttpOnly',
+        'SameSite=Lax', // not sent on cross-site POSTs, which blocks CSRF
+        `Max-Age=${maxAgeSeconds}`,
+        secure ? 'Secure' : null
+    ].filter(Boolean).join('; ');
+}
+
+// Find the live session (and its user) for a request, or null
+function findSession(req, { users, sessions }) {
+    const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (!token) return null;
+
+    const tokenHash = hashToken(token);
+    const session = sessions.find(s => s.tokenHash === tokenHash);
+    if (!session || Date.parse(session.expiresAt) <= Date.now()) return null;
+
+    const user = users.find(u => u.id === session.userId);
+    return user ? { session, user } : null;
+}
+
+// Express middleware: reject requests without a valid session, otherwise
+// put the logged-in user on req.user (like runtime.getCurrentUser())
+function createRequireAuth({ users, sessions }) {
+    return (req, res, next) => {
+        const found = findSession(req, { users, sessions });
+        if (!found) {
+            return sendError(res, 401, 'Authentication required');
+        }
+        req.user = found.user;
+        req.session = found.session;
+        next();
+    };
+}
+
+module.exports = {
+    SESSION_COOKIE,
+    hashPassword,
+    verifyPassword,
+    newSessionToken,
+    hashToken,
+    parseCredentials,
+    publicUser,
+    parseCookies,
+    sessionCookie,
+    findSession,
+    createRequireAuth
+};
@@ -0,0 +1,133 @@
+/**
+ * BriPlanner - JSON Backups
+ *
+ * A backup is the whole task tree, exactly as the server keeps it, wrapped
+ * in a small envelope that says what it is:
+ *
+ *   {
+ *     "format": "briplanner-backup",
+ *     "version": 1,
+ *     "exportedAt": "2024-05-01T12:00:00.000Z",
+ *     "tasks": [ ...task tree, with checklists and children... ]
+ *   }
+ *
+ * The version number lets a future BriPlanner read old backups (and refuse
+ * ones from a newer version it doesn't understand yet).
+ */
+
+const BACKUP_FORMAT = 'briplanner-backup';
+const BACKUP_VERSION = 1;
+
+function tasksToBackup(taskList, { now = new Date() } = {}) {
+    return JSON.stringify({
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exportedAt: now.toISOString(),
+        tasks: taskList
+    }, null, 2);
+}
+
+/**
+ * Read a backup (already-parsed JSON, or its text) into import records (see
+ * lib/importer.js). Returns { value } or { error }.
+ */
+function parseBackup(input) {
+    let backup = input;
+    if (typeof input === 'string') {
+        try {
+            backup = JSON.parse(input);
+        } catch (error) {
+            return { error: 'The backup is not valid JSON' };
+        }
+    }
+
+    if (!backup || typeof backup !== 'object' || backup.format !== BACKUP_FORMAT) {
+        return { error: `Not a BriPlanner backup (expected "format": "${BACKUP_FORMAT}")` };
+    }
+    if (!Number.isInteger(backup.version) || backup.version < 1) {
+        return { error: 'The backup has no valid version number' };
+    }
+    if (backup.version > BACKUP_VERSION) {
+        return { error: `This backup is version ${backup.version}, but this server only reads up to version ${BACKUP_VERSION}` };
+    }
+    if (!Array.isArray(backup.tasks)) {
+        return { error: 'The backup has no tasks list' };
+    }
+
+    const records = [];
+    const error = collectRecords(backup.tasks, null, records, 'tasks');
+    return error ? { error } : { value: records };
+}
+
+// Flatten the tree into records, checking the shape of each task on the way.
+// (Field values like dueAt are checked later, by addTask.)
+function collectRecords(taskList, parentUid, records, location) {
+    for (const [index, task] of taskList.entries()) {
+        const where = `${location}[${index}]`;
+        if (!task || typeof task !== 'object' || Array.isArray(task)) {
+            return `${where} is not a task`;
+        }
+        if (typeof task.id !== 'string' || !task.id) {
+            return `${where} has no id`;
+        }
+        if (typeof task.title !== 'string') {
+            return `${where} has no title`;
+        }
+        for (const field of ['checklist', 'children']) {
+            if (task[field] !== undefined && !Array.isArray(task[field])) {
+                return `${where}.${field} must be a list`;
+            }
+        }
+        for (const [itemIndex, item] of (task.checklist || []).entries()) {
+            if (!item || typeof item.text !== 'string') {
+                return `${where}.checklist[${itemIndex}] has no text`;
+            }
+        }
+
+        const recurrence = task.recurrence || null;
+        records.push({
+            uid: task.id,
+            parentUid,
+            fields: {
+                title: task.title,
+                description: typeof task.description === 'string' ? task.description : '',
+                dueAt: task.dueAt ?? null,
+                remindAt: task.remindAt ?? [],
+                reminderEmail: task.reminderEmail ?? null,
+                estimateMinutes: task.estimateMinutes ?? null,
+                priority: task.priority ?? null,
+                tags: task.tags ?? [],
+                energy: task.energy ?? null,
+                deferredUntil: task.deferredUntil ?? null,
+                ...(recurrence ? { recurrence: { rule: recurrence.rule, dtstart: recurrence.dtstart } } : {})
+            },
+            completed: task.completed === true,
+            blockedBy: Array.isArray(task.blockedBy) ? task.blockedBy : [],
+            checklist: (task.checklist || []).map(item => ({
+                id: typeof item.id === 'string' ? item.id : null, // checked by buildTasks()
+                text: item.text,
+                completed: item.completed === true
+            })),
+            createdAt: validDate(task.createdAt),
+            updatedAt: validDate(task.updatedAt),
+            history: {
+                reminders: task.reminders,
+                emailReminder: task.emailReminder,
+                timeEntries: task.timeEntries,
+                spawnedNextId: recurrence && recurrence.spawnedNextId
+            }
+        });
+
+        const error = collectRecords(task.children || [], task.id, records, `${where}.children`);
+        if (error) return error;
+    }
+    return null;
+}
+
+function validDate(value) {
+    return typeof value === 'string' && !Number.isNaN(Date.parse(value))
+        ? new Date(value).toISOString()
+        : null;
+}
+
+module.exports = { tasksToBackup, parseBackup, BACKUP_FORMAT, BACKUP_VERSION };
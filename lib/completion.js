@@ -0,0 +1,142 @@
+/**
+ * BriPlanner - Completion Rules and Progress
+ *
+ * What happens to the rest of the tree when a task or checklist item is
+ * ticked off or reopened - like workflow actions that fire when a record's
+ * status changes. Three rules, each switched on or off in the config
+ * (see `completion` in lib/config.js):
+ *
+ *   cascadeDown      completing a task completes its subtasks and every
+ *                    checklist item under it
+ *   rollUp           a task completes itself once all its subtasks and
+ *                    checklist items are done
+ *   reopenAncestors  reopening a task (or unchecking a checklist item)
+ *                    reopens the finished tasks above it
+ *
+ * Every task also gets a `progress` percentage, worked out over its whole
+ * subtree: each checklist item and each subtask counts as one part, and a
+ * subtask counts for as far along as it is itself. A finished task is 100.
+ */
+
+const { findTaskLocation, walkTasks } = require('./tasks');
+
+/**
+ * Apply the rules after `task.completed` has changed. The task's own
+ * checklist is updated in place; the other tasks that changed are returned
+ * as [{ task, rule, before: { completed, checklist } }], so the caller can
+ * record them.
+ */
+function applyCompletionRules(taskList, task, rules, now = new Date()) {
+    const changes = createChangeList(task, now);
+
+    if (task.completed) {
+        if (rules.cascadeDown) {
+            for (const each of walkTasks([task])) {
+                changes.update(each, 'cascadeDown', () => {
+                    each.completed = true;
+                    for (const item of each.checklist || []) item.completed = true;
+                });
+            }
+        }
+        if (rules.rollUp) {
+            rollUp(taskList, task, changes);
+        }
+    } else if (rules.reopenAncestors) {
+        reopenAncestors(taskList, task, changes);
+    }
+    return changes.list;
+}
+
+/**
+ * Apply the rules after a checklist item of `task` was checked or unchecked.
+ * Returns the tasks that changed because of it, like applyCompletionRules.
+ */
+function applyChecklistRules(taskList, task, item, rules, now = new Date()) {
+    const changes = createChangeList(null, now);
+
+    if (item.completed && rules.rollUp && !task.completed && isAllDone(task)) {
+        changes.update(task, 'rollUp', () => { task.completed = true; });
+        rollUp(taskList, task, changes);
+    } else if (!item.completed && rules.reopenAncestors && task.completed) {
+        changes.update(task, 'reopenAncestors', () => { task.completed = false; });
+        reopenAncestors(taskList, task, changes);
+    }
+    return changes.list;
+}
+
+// Collects the changed tasks with how they were before. `self` is the task
+// the user changed, which the caller records on its own.
+function createChangeList(self, now) {
+    const list = [];
+    return {
+        list,
+        update(task, rule, change) {
+            const before = { completed: task.completed, checklist: JSON.parse(JSON.stringify(task.checklist || [])) };
+            change();
+            if (JSON.stringify(before) === JSON.stringify({ completed: task.completed, checklist: task.checklist || [] })) return;
+            task.updatedAt = now.toISOString();
+            if (task !== self) list.push({ task, rule, before });
+        }
+    };
+}
+
+// Complete the parents of `task` for as long as everything under them is done
+function rollUp(taskList, task, changes) {
+    let parent = parentOf(taskList, task);
+    while (parent && !parent.completed && isAllDone(parent)) {
+        const current = parent;
+        changes.update(current, 'rollUp', () => { current.completed = true; });
+        parent = parentOf(taskList, current);
+    }
+}
+
+function reopenAncestors(taskList, task, changes) {
+    let parent = parentOf(taskList, task);
+    while (parent) {
+        const current = parent;
+        if (current.completed) {
+            changes.update(current, 'reopenAncestors', () => { current.completed = false; });
+        }
+        parent = parentOf(taskList, current);
+    }
+}
+
+// Has subtasks or checklist items, and all of them are done
+function isAllDone(task) {
+    const children = task.children || [];
+    const checklist = task.checklist || [];
+    return children.length + checklist.length > 0
+        && children.every(child => child.completed)
+        && checklist.every(item => item.completed);
+}
+
+function parentOf(taskList, task) {
+    const location = findTaskLocation(task.id, taskList);
+    return location ? location.parent : null;
+}
+
+// Set `progress` (0-100) on every task in the tree
+function updateProgress(taskList) {
+    for (const task of taskList) {
+        refreshProgress(task);
+    }
+}
+
+// Returns the task's progress as a fraction (0-1), setting it on the way
+function refreshProgress(task) {
+    const parts = [
+        ...(task.checklist || []).map(item => (item.completed ? 1 : 0)),
+        ...(task.children || []).map(refreshProgress)
+    ];
+
+    let fraction = 0;
+    if (task.completed) {
+        fraction = 1;
+    } else if (parts.length > 0) {
+        fraction = parts.reduce((sum, part) => sum + part, 0) / parts.length;
+    }
+    task.progress = Math.round(fraction * 100);
+    return fraction;
+}
+
+module.exports = { applyCompletionRules, applyChecklistRules, updateProgress };
@@ -0,0 +1,143 @@
+/**
+ * BriPlanner - Configuration
+ *
+ * All settings come from environment variables, which play the same role as
+ * Script Parameters on a NetSuite deployment: the code stays the same and each
+ * environment (your laptop, a server, the test runner) supplies its own values.
+ *
+ * Example:
+ *   STORAGE_DRIVER=sqlite STORAGE_PATH=./data/planner.sqlite npm start
+ *   MAIL_TRANSPORT=smtp SMTP_HOST=mail.example.com SMTP_USER=me SMTP_PASS=secret npm start
+ *   INBOUND_EMAIL_TOKEN=secret INBOUND_SMTP_PORT=2525 npm start
+ */
+
+const path = require('path');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data');
+
+// Default file name for each storage driver that writes to disk
+const DEFAULT_STORAGE_FILES = {
+    json: 'tasks.json',
+    sqlite: 'planner.sqlite'
+};
+
+// Build the config object from an environment (process.env by default)
+function loadConfig(env = process.env) {
+    const driver = (env.STORAGE_DRIVER || 'json').toLowerCase();
+    const defaultFile = DEFAULT_STORAGE_FILES[driver];
+
+    return {
+        port: env.PORT || 3000,
+        requests: {
+            // Biggest JSON body an API call may send (imports have their own, bigger limit)
+            maxBodyBytes: numberOr(env.MAX_BODY_BYTES, 100 * 1024)
+        },
+        storage: {
+            driver,
+            path: env.STORAGE_PATH || (defaultFile ? path.join(DEFAULT_DATA_DIR, defaultFile) : null)
+        },
+        auth: {
+            // How long a login lasts before the user has to sign in again
+            sessionTtlDays: numberOr(env.SESSION_TTL_DAYS, 30),
+            // Set to true when serving over HTTPS so cookies are never sent in the clear
+            secureCookies: booleanOr(env.COOKIE_SECURE, false),
+            allowRegistration: booleanOr(env.ALLOW_REGISTRATION, true)
+        },
+        mail: {
+            // ethereal (test inbox on ethereal.email), smtp, sendmail or capture
+            transport: (env.MAIL_TRANSPORT || 'ethereal').toLowerCase(),
+            from: env.MAIL_FROM || '"BriPlanner" <planner@example.com>',
+            smtp: {
+                host: env.SMTP_HOST || 'localhost',
+                port: numberOr(env.SMTP_PORT, 587),
+                // true = TLS from the start (port 465); false = upgrade with STARTTLS
+                secure: booleanOr(env.SMTP_SECURE, false),
+                requireTLS: booleanOr(env.SMTP_REQUIRE_TLS, false),
+                user: env.SMTP_USER || null,
+                pass: env.SMTP_PASS || null,
+                tls: {
+                    rejectUnauthorized: booleanOr(env.SMTP_TLS_REJECT_UNAUTHORIZED, true),
+                    servername: env.SMTP_TLS_SERVERNAME || undefined,
+                    minVersion: env.SMTP_TLS_MIN_VERSION || undefined
+                }
+            },
+            sendmail: {
+                path: env.SENDMAIL_PATH || 'sendmail'
+            },
+            capture: {
+                // When set, captured messages are also written here as .eml files
+                dir: env.MAIL_CAPTURE_DIR || null
+            }
+        },
+        focus: {
+            // Default Pomodoro lengths; each session can pick its own
+            workMinutes: numberOr(env.FOCUS_WORK_MINUTES, 25),
+            breakMinutes: numberOr(env.FOCUS_BREAK_MINUTES, 5)
+        },
+        plan: {
+            // How much time GET /api/plan/today fills when not told otherwise
+            availableMinutes: numberOr(env.PLAN_AVAILABLE_MINUTES, 240),
+            // Planned time for tasks without an estimate
+            defaultEstimateMinutes: numberOr(env.PLAN_DEFAULT_ESTIMATE_MINUTES, 30)
+        },
+        completion: {
+            // Completing a task completes its subtasks and checklist too
+            cascadeDown: booleanOr(env.COMPLETE_CASCADE_DOWN, false),
+            // A task completes itself once all its subtasks and checklist items are done
+            rollUp: booleanOr(env.COMPLETE_ROLL_UP, false),
+            // Reopening a subtask (or unchecking an item) reopens the finished tasks above it
+            reopenAncestors: booleanOr(env.COMPLETE_REOPEN_ANCESTORS, true)
+        },
+        trash: {
+            // Deleted tasks and checklist items can be restored for this long
+            retentionDays: numberOr(env.TRASH_RETENTION_DAYS, 30)
+        },
+        reminders: {
+            // How often the scheduler looks for due reminders
+            intervalSeconds: numberOr(env.REMINDER_INTERVAL_SECONDS, 60),
+            // Reminders later than this (e.g. after downtime) are skipped, not sent
+            catchUpMinutes: numberOr(env.REMINDER_CATCH_UP_MINUTES, 15),
+            // Recipient for tasks that don't set their own reminderEmail
+            defaultTo: env.REMINDER_EMAIL_TO || null
+        },
+        digest: {
+            // How often the scheduler looks for digest emails that are due
+            intervalSeconds: numberOr(env.DIGEST_INTERVAL_SECONDS, 60)
+        },
+        inbound: {
+            // Mail servers send raw messages to POST /api/inbound-email with this
+            // as a Bearer token; unset turns that endpoint off
+            token: env.INBOUND_EMAIL_TOKEN || null,
+            // The planner's address, e.g. tasks@planner.example.com (tasks+<task ID>@... makes subtasks)
+            address: env.INBOUND_EMAIL_ADDRESS || null,
+            // Also listen for mail over SMTP on this port (off when unset)
+            smtpPort: numberOr(env.INBOUND_SMTP_PORT, null),
+            smtpHost: env.INBOUND_SMTP_HOST || '127.0.0.1',
+            // Biggest message accepted, attachments included
+            maxBytes: numberOr(env.INBOUND_MAX_BYTES, 10 * 1024 * 1024)
+        },
+        webhooks: {
+            // How long a receiver gets to answer
+            timeoutSeconds: numberOr(env.WEBHOOK_TIMEOUT_SECONDS, 10),
+            // Failed calls are retried after 30 s, 1 min, 2 min... up to this many tries in all
+            retryBaseSeconds: numberOr(env.WEBHOOK_RETRY_BASE_SECONDS, 30),
+            maxAttempts: numberOr(env.WEBHOOK_MAX_ATTEMPTS, 6),
+            // How often to look for retries that are due
+            intervalSeconds: numberOr(env.WEBHOOK_INTERVAL_SECONDS, 15)
+        }
+    };
+}
+
+// Read a numeric setting, falling back when it is missing or not a number
+function numberOr(value, fallback) {
+    const number = Number(value);
+    return value === undefined || value === '' || Number.isNaN(number) ? fallback : number;
+}
+
+// Read a true/false setting ("true", "1", "yes" or "false", "0", "no")
+function booleanOr(value, fallback) {
+    if (value === undefined || value === '') return fallback;
+    return ['true', '1', 'yes'].includes(String(value).toLowerCase());
+}
+
+module.exports = { loadConfig };
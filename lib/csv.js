@@ -0,0 +1,222 @@
+/**
+ * BriPlanner - CSV
+ *
+ * One row per task, for spreadsheets (like a saved search exported to CSV
+ * in NetSuite). The tree is kept in the parent_path column: the titles of
+ * the task's parents, top-level first, joined with " / " (a "/" inside a
+ * title is written as "\/").
+ *
+ *   id,parent_path,title,...
+ *   1f0c...,,Home,...
+ *   9a3e...,Home,Groceries,...
+ *   77b2...,Home / Groceries,Coupons,...
+ *
+ * On import only the title column is required, and a subtask's row must come
+ * after its parent's. Checklist items go in one cell, one per line, written
+ * "[x] Done item" or "[ ] Open item".
+ */
+
+const COLUMNS = [
+    'id', 'parent_path', 'title', 'description', 'completed',
+    'due_at', 'remind_at', 'reminder_email', 'repeat_rule', 'repeat_start',
+    'estimate_minutes', 'priority', 'tags', 'energy', 'blocked_by',
+    'checklist', 'created_at', 'updated_at'
+];
+const PATH_SEPARATOR = ' / ';
+
+function tasksToCsv(taskList) {
+    const rows = [COLUMNS];
+    writeRows(taskList, [], rows);
+    // The byte order mark tells Excel the file is UTF-8
+    return '\uFEFF' + rows.map(row => row.map(formatCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function writeRows(taskList, path, rows) {
+    for (const task of taskList) {
+        rows.push([
+            task.id,
+            path.join(PATH_SEPARATOR),
+            task.title,
+            task.description || '',
+            task.completed ? 'true' : 'false',
+            task.dueAt || '',
+            (task.remindAt || []).join(';'),
+            task.reminderEmail || '',
+            task.recurrence ? task.recurrence.rule : '',
+            task.recurrence ? task.recurrence.dtstart || '' : '',
+            task.estimateMinutes || '',
+            task.priority || '',
+            (task.tags || []).join(';'),
+            task.energy || '',
+            (task.blockedBy || []).join(';'),
+            (task.checklist || []).map(item => `[${item.completed ? 'x' : ' '}] ${item.text}`).join('\n'),
+            task.createdAt || '',
+            task.updatedAt || ''
+        ]);
+        writeRows(task.children || [], [...path, escapePathPart(task.title)], rows);
+    }
+}
+
+// Spreadsheets run cells starting with = + - @ as formulas, so those (and
+// cells starting with the ' we add) get a leading ' that import removes
+function formatCell(value) {
+    let text = String(value);
+    if (/^[=+\-@\t\r']/.test(text)) text = `'${text}`;
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function unformatCell(text) {
+    return /^'[=+\-@\t\r']/.test(text) ? text.slice(1) : text;
+}
+
+function escapePathPart(title) {
+    return String(title).replace(/\\/g, '\\\\').replace(/\//g, '\\/');
+}
+
+/**
+ * Read CSV text into import records (see lib/importer.js).
+ * Returns { value } or { error }.
+ */
+function parseCsv(text) {
+    if (typeof text !== 'string') {
+        return { error: 'Send the file as text/csv' };
+    }
+
+    const parsed = parseRows(text.replace(/^\uFEFF/, ''));
+    if (parsed.error) return parsed;
+
+    const [header, ...rows] = parsed.value.filter(row => row.some(cell => cell.trim() !== ''));
+    if (!header) {
+        return { error: 'The CSV file is empty' };
+    }
+    const columns = header.map(name => name.trim().toLowerCase());
+    if (!columns.includes('title')) {
+        return { error: 'The CSV file needs a "title" column' };
+    }
+
+    const records = [];
+    const byPath = new Map(); // "Home / Groceries" -> record
+    for (const [index, cells] of rows.entries()) {
+        const rowNumber = index + 2; // the header is row 1
+        const row = {};
+        columns.forEach((name, i) => {
+            row[name] = unformatCell(cells[i] || '');
+        });
+
+        const record = rowToRecord(row, rowNumber);
+        if (record.error) return record;
+
+        const parentPath = (row.parent_path || '').trim();
+        if (parentPath) {
+            const parent = byPath.get(parentPath);
+            if (!parent) {
+                return { error: `Row ${rowNumber}: parent "${parentPath}" not found (a subtask's row must come after its parent's)` };
+            }
+            record.parentUid = parent.uid;
+        }
+
+        const ownPath = parentPath
+            ? `${parentPath}${PATH_SEPARATOR}${escapePathPart(record.fields.title)}`
+            : escapePathPart(record.fields.title);
+        byPath.set(ownPath, record);
+        records.push(record);
+    }
+
+    return { value: records };
+}
+
+function rowToRecord(row, rowNumber) {
+    const completed = parseYesNo(row.completed);
+    if (completed === null) {
+        return { error: `Row ${rowNumber}: completed must be true or false` };
+    }
+
+    const fields = {
+        title: row.title.trim(),
+        description: row.description || ''
+    };
+    if (row.due_at) fields.dueAt = row.due_at.trim();
+    if (row.remind_at) fields.remindAt = row.remind_at.split(/[;,\s]+/).filter(Boolean).map(Number);
+    if (row.reminder_email) fields.reminderEmail = row.reminder_email.trim();
+    if (row.repeat_rule) {
+        fields.recurrence = { rule: row.repeat_rule.trim(), dtstart: row.repeat_start ? row.repeat_start.trim() : null };
+    }
+    if (row.estimate_minutes) fields.estimateMinutes = Number(row.estimate_minutes);
+    if (row.priority) fields.priority = row.priority.trim().toLowerCase();
+    if (row.tags) fields.tags = row.tags.split(';').map(tag => tag.trim()).filter(Boolean);
+    if (row.energy) fields.energy = row.energy.trim().toLowerCase();
+
+    return {
+        uid: row.id ? row.id.trim() : `row:${rowNumber}`,
+        parentUid: null,
+        fields,
+        completed,
+        blockedBy: (row.blocked_by || '').split(/[;,\s]+/).filter(Boolean),
+        checklist: (row.checklist || '').split(/\r?\n/).filter(line => line.trim()).map(line => {
+            const match = /^\[([ xX]?)\]\s*(.*)$/.exec(line.trim());
+            return match
+                ? { id: null, text: match[2], completed: match[1].toLowerCase() === 'x' }
+                : { id: null, text: line.trim(), completed: false };
+        }),
+        createdAt: validDate(row.created_at),
+        updatedAt: validDate(row.updated_at)
+    };
+}
+
+function parseYesNo(value = '') {
+    const text = value.trim().toLowerCase();
+    if (['', 'false', 'no', '0'].includes(text)) return false;
+    if (['true', 'yes', '1', 'x'].includes(text)) return true;
+    return null;
+}
+
+function validDate(value) {
+    return value && !Number.isNaN(Date.parse(value)) ? new Date(value).toISOString() : null;
+}
+
+// Split CSV text into rows of cells (RFC 4180: quoted cells can hold commas,
+// newlines and "" for a quote)
+function parseRows(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (quoted) {
+        return { error: 'The CSV file ends inside a quoted cell' };
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return { value: rows };
+}
+
+module.exports = { tasksToCsv, parseCsv, COLUMNS };
@@ -0,0 +1,385 @@
+/**
+ * BriPlanner - Digest Emails
+ *
+ * One email per task is fine for "this is due in an hour", but not for
+ * planning a day. A digest is one email with the state of everything:
+ *
+ *   - Overdue          open tasks due before today
+ *   - Due today        open tasks due today (this week, for a weekly digest)
+ *   - In progress      open tasks with some of their checklist or subtasks
+ *                      done, or time tracked on them
+ *   - Completed        what got done yesterday (the last 7 days, weekly)
+ *
+ * Each user picks if and when they get one, like a saved search with an
+ * email schedule in NetSuite. The settings are kept per user:
+ *
+ *   {
+ *     ownerId,
+ *     frequency:  'off', 'daily' or 'weekly',
+ *     time:       '07:00'  (when to send it, on the user's clock)
+ *     weekday:    1        (weekly: 0 = Sunday ... 6 = Saturday)
+ *     timeZone:   'Europe/London' (null = the server's)
+ *     quietHours: { start: '22:00', end: '07:00' } or null
+ *     to:         null     (another address; the account's email otherwise)
+ *     skipEmpty:  true     (don't send a digest with nothing in it)
+ *     lastRunAt, lastStatus ('sent', 'skipped' or 'failed'), lastError, lastSentAt
+ *   }
+ *
+ * No digest goes out during quiet hours: a schedule that falls inside them
+ * waits until they end, and so does one that's late because the server was
+ * down. Missed digests aren't sent one after the other - only the latest.
+ */
+
+const { escapeHtml } = require('./mailer');
+const { parseReminderEmail } = require('./reminders');
+const { isTimeZone, wallClock, addDays, toTimestamp } = require('./quickadd');
+
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+
+// Longer lists are cut off with "... and 12 more"
+const SECTION_LIMIT = 20;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const SETTING_FIELDS = ['frequency', 'time', 'weekday', 'timeZone', 'quietHours', 'to', 'skipEmpty'];
+
+const DEFAULT_SETTINGS = {
+    frequency: 'off',
+    time: '07:00',
+    weekday: 1,
+    timeZone: null,
+    quietHours: null,
+    to: null,
+    skipEmpty: true
+};
+
+// The settings of a user who hasn't set up a digest yet
+function defaultDigestSettings(ownerId, now = new Date()) {
+    return {
+        ownerId,
+        ...DEFAULT_SETTINGS,
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString(),
+        lastRunAt: null,
+        lastStatus: null,
+        lastError: null,
+        lastSentAt: null
+    };
+}
+
+/**
+ * Check a PUT body (already shape-checked by the digestSettings schema)
+ * against the current settings; fields left out keep their value.
+ * Returns { value: { frequency, time, ... } } or { error, field }.
+ */
+function parseDigestSettings(body, current) {
+    const value = {};
+    for (const field of SETTING_FIELDS) {
+        value[field] = body[field] === undefined ? current[field] : body[field];
+    }
+
+    if (!TIME_PATTERN.test(value.time)) {
+        return { error: 'time must be a time of day like "07:00"', field: 'time' };
+    }
+    if (value.timeZone !== null && !isTimeZone(value.timeZone)) {
+        return { error: `"${value.timeZone}" is not a known time zone`, field: 'timeZone' };
+    }
+    if (value.quietHours) {
+        for (const end of ['start', 'end']) {
+            if (!TIME_PATTERN.test(value.quietHours[end])) {
+                return { error: `quietHours.${end} must be a time of day like "22:00"`, field: `quietHours.${end}` };
+            }
+        }
+        if (value.quietHours.start === value.quietHours.end) {
+            return { error: 'Quiet hours need to start and end at different times', field: 'quietHours.end' };
+        }
+        value.quietHours = { start: value.quietHours.start, end: value.quietHours.end };
+    }
+    const to = parseReminderEmail(value.to);
+    if (to.error) {
+        return { error: 'to must be a valid email address', field: 'to' };
+    }
+    value.to = to.value;
+    return { value };
+}
+
+// '07:30' -> { hour: 7, minute: 30 }
+function timeOfDay(text) {
+    const [hour, minute] = text.split(':').map(Number);
+    return { hour, minute };
+}
+
+// Is the clock at `at` inside the quiet hours? They can run past midnight.
+function inQuietHours(settings, at) {
+    if (!settings.quietHours) return false;
+    const clock = wallClock(at, settings.timeZone);
+    const minute = clock.hour * 60 + clock.minute;
+    const toMinutes = text => timeOfDay(text).hour * 60 + timeOfDay(text).minute;
+    const start = toMinutes(settings.quietHours.start);
+    const end = toMinutes(settings.quietHours.end);
+    return start < end ? minute >= start && minute < end : minute >= start || minute < end;
+}
+
+// `at`, or the end of the quiet hours when it falls inside them
+function afterQuietHours(settings, at) {
+    if (!inQuietHours(settings, at)) return at;
+    const clock = wallClock(at, settings.timeZone);
+    const end = timeOfDay(settings.quietHours.end);
+    let time = toTimestamp({ ...clock, ...end }, settings.timeZone);
+    if (time <= at.getTime()) time = toTimestamp({ ...addDays(clock, 1), ...end }, settings.timeZone);
+    return new Date(time);
+}
+
+// When the next digest is due after `after` (a Date), or null when they're off
+function nextDigestAt(settings, after) {
+    if (settings.frequency === 'off') return null;
+
+    const at = timeOfDay(settings.time);
+    let day = wallClock(after, settings.timeZone);
+    // A week and a day always has a match, even across a DST change
+    for (let i = 0; i < 8; i++) {
+        const time = toTimestamp({ ...day, ...at }, settings.timeZone);
+        const rightDay = settings.frequency === 'daily' || day.weekday === settings.weekday;
+        if (rightDay && time > after.getTime()) {
+            return afterQuietHours(settings, new Date(time));
+        }
+        day = addDays(day, 1);
+    }
+    return null;
+}
+
+// When the user's next digest is due: the schedule counts from the last
+// one, or from when the settings last changed
+function digestDueAt(settings) {
+    const since = Math.max(settings.lastRunAt ? Date.parse(settings.lastRunAt) : 0, Date.parse(settings.updatedAt));
+    return nextDigestAt(settings, new Date(since));
+}
+
+// Open work someone has started on
+function isInProgress(task) {
+    return task.progress > 0 || (task.timeEntries || []).length > 0 || Boolean(task.focusSession);
+}
+
+/**
+ * Work out what goes in a digest: `tasks` is the user's tree and `events`
+ * their activity log (for what got completed). Returns
+ *   { frequency, timeZone, generatedAt, sections: [{ key, title, items }], total }
+ * where every item is { id, title, path, dueAt, progress, checklist: { done, total } }
+ * (`path` is the titles of the tasks above it).
+ */
+function buildDigest(tasks, events, { frequency = 'daily', timeZone = null, now = new Date() } = {}) {
+    const days = frequency === 'weekly' ? 7 : 1;
+    const today = wallClock(now, timeZone);
+    const startOf = day => toTimestamp({ ...day, hour: 0, minute: 0 }, timeZone);
+    const todayStart = startOf(today);
+    const dueUntil = startOf(addDays(today, days));
+    const doneSince = startOf(addDays(today, -days));
+
+    const overdue = [];
+    const due = [];
+    const inProgress = [];
+    const byId = new Map();
+
+    const visit = (list, path) => {
+        for (const task of list) {
+            const item = {
+                id: task.id,
+                title: task.title,
+                path,
+                dueAt: task.dueAt || null,
+                progress: task.progress || 0,
+                checklist: {
+                    done: (task.checklist || []).filter(entry => entry.completed).length,
+                    total: (task.checklist || []).length
+                }
+            };
+            byId.set(task.id, { task, item });
+
+            const dueTime = task.dueAt ? Date.parse(task.dueAt) : null;
+            if (!task.completed) {
+                if (dueTime !== null && dueTime < todayStart) overdue.push(item);
+                else if (dueTime !== null && dueTime < dueUntil) due.push(item);
+                else if (isInProgress(task)) inProgress.push(item);
+            }
+            visit(task.children || [], [...path, task.title]);
+        }
+    };
+    visit(tasks, []);
+
+    // Completed in the period (and not reopened since), going by the history
+    const completed = [];
+    for (const event of events) {
+        const at = Date.parse(event.at);
+        if (at < doneSince || at >= todayStart) continue;
+        if (!(event.changes || []).some(change => change.field === 'completed' && change.after === true)) continue;
+        const found = byId.get(event.taskId);
+        if (found && found.task.completed && !completed.includes(found.item)) completed.push(found.item);
+    }
+
+    const byDue = (a, b) => a.dueAt.localeCompare(b.dueAt);
+    const sections = [
+        { key: 'overdue', title: 'Overdue', items: overdue.sort(byDue) },
+        { key: 'due', title: days === 1 ? 'Due today' : 'Due this week', items: due.sort(byDue) },
+        { key: 'inProgress', title: 'In progress', items: inProgress },
+        { key: 'completed', title: days === 1 ? 'Completed yesterday' : 'Completed in the last 7 days', items: completed }
+    ];
+
+    return {
+        frequency: days === 1 ? 'daily' : 'weekly',
+        timeZone,
+        generatedAt: now.toISOString(),
+        sections,
+        total: sections.reduce((sum, section) => sum + section.items.length, 0)
+    };
+}
+
+/**
+ * The email for a digest: { to, subject, text, html }, ready for
+ * mailer.sendMail(). Dates are shown on the digest's clock.
+ */
+function digestMessage(digest, { to = null } = {}) {
+    const now = new Date(digest.generatedAt);
+    const zone = digest.timeZone || undefined;
+    const date = now.toLocaleDateString('en-US', { timeZone: zone, weekday: 'long', month: 'long', day: 'numeric' });
+    const formatDue = (dueAt, key) => new Date(dueAt).toLocaleString('en-US', key === 'due' && digest.frequency === 'daily'
+        ? { timeZone: zone, hour: 'numeric', minute: '2-digit' }
+        : { timeZone: zone, weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+    // "due 5:00 PM", "3/5 checklist items, 60% done", ...
+    const detail = (item, key) => {
+        if (key === 'overdue' || key === 'due') return `due ${formatDue(item.dueAt, key)}`;
+        if (key === 'inProgress') {
+            const parts = [];
+            if (item.checklist.total > 0) parts.push(`${item.checklist.done}/${item.checklist.total} checklist items`);
+            if (item.progress > 0) parts.push(`${item.progress}% done`);
+            return parts.join(', ');
+        }
+        return '';
+    };
+    const label = item => [...item.path, item.title].join(' › ');
+
+    const counts = digest.sections
+        .filter(section => section.items.length > 0 && section.key !== 'completed')
+        .map(section => `${section.items.length} ${section.title.toLowerCase()}`);
+    const subject = `${digest.frequency === 'daily' ? 'Your day' : 'Your week'}: ${counts.length ? counts.join(', ') : 'nothing due'}`;
+    const heading = `Your BriPlanner ${digest.frequency} digest for ${date}`;
+    const shown = digest.sections.filter(section => section.items.length > 0);
+    const empty = 'Nothing overdue, due or in progress. Enjoy the free time!';
+
+    const text = [heading, '', ...(shown.length === 0 ? [empty] : shown.flatMap(section => [
+        `${section.title.toUpperCase()} (${section.items.length})`,
+        ...section.items.slice(0, SECTION_LIMIT).map((item) => {
+            const extra = detail(item, section.key);
+            return `- ${label(item)}${extra ? ` (${extra})` : ''}`;
+        }),
+        ...(section.items.length > SECTION_LIMIT ? [`- ... and ${section.items.length - SECTION_LIMIT} more`] : []),
+        ''
+    ]))].join('\n').trimEnd() + '\n';
+
+    const html = `<h2>${escapeHtml(heading)}</h2>\n` + (shown.length === 0 ? `<p>${escapeHtml(empty)}</p>` : shown.map(section => `
+<h3>${escapeHtml(section.title)} (${section.items.length})</h3>
+<ul>
+${section.items.slice(0, SECTION_LIMIT).map((item) => {
+        const extra = detail(item, section.key);
+        const path = item.path.length ? `<span style="color:#777">${escapeHtml(item.path.join(' › '))} › </span>` : '';
+        return `  <li>${path}<strong>${escapeHtml(item.title)}</strong>${extra ? ` <em>(${escapeHtml(extra)})</em>` : ''}</li>`;
+    }).join('\n')}${section.items.length > SECTION_LIMIT ? `\n  <li>... and ${section.items.length - SECTION_LIMIT} more</li>` : ''}
+</ul>`).join('\n'));
+
+    return { to, subject, text, html };
+}
+
+/**
+ * Create the background digest scheduler (the reminder scheduler's sibling,
+ * see lib/reminders.js).
+ *
+ * Options:
+ *   getRecipients  - returns [{ settings, to, tasks, events }] for every user
+ *                    with digest settings
+ *   sendDigest     - async (message, settings) => { previewUrl }
+ *   persist        - called after a tick sent (or skipped) any digest
+ *   intervalMs     - how often to check (default: every minute)
+ *   now            - clock function, replaceable in tests
+ */
+function createDigestScheduler({ getRecipients, sendDigest, persist, intervalMs = 60 * 1000, now = () => Date.now() }) {
+    let timer = null;
+    let running = null;
+
+    async function runTick() {
+        const current = new Date(now());
+        const results = [];
+
+        for (const { settings, to, tasks, events } of getRecipients()) {
+            const dueAt = digestDueAt(settings);
+            if (!dueAt || dueAt > current || inQuietHours(settings, current)) continue;
+
+            const digest = buildDigest(tasks, events, { frequency: settings.frequency, timeZone: settings.timeZone, now: current });
+            const result = await runDigest(settings, digest, to, current);
+            results.push({ ownerId: settings.ownerId, ...result });
+        }
+
+        if (results.length > 0) {
+            persist();
+        }
+        return results;
+    }
+
+    async function runDigest(settings, digest, to, current) {
+        const handledAt = current.toISOString();
+        settings.lastRunAt = handledAt;
+        settings.lastError = null;
+
+        if (digest.total === 0 && settings.skipEmpty) {
+            settings.lastStatus = 'skipped';
+            return { status: 'skipped', reason: 'Nothing to report' };
+        }
+        try {
+            await sendDigest(digestMessage(digest, { to }), settings);
+            settings.lastStatus = 'sent';
+            settings.lastSentAt = handledAt;
+            return { status: 'sent', to };
+        } catch (error) {
+            console.error(`Digest for ${settings.ownerId} failed:`, error);
+            settings.lastStatus = 'failed';
+            settings.lastError = error.message;
+            return { status: 'failed', error: error.message };
+        }
+    }
+
+    return {
+        // Send the digests that are due once. Overlapping calls share the same run.
+        tick() {
+            if (!running) {
+                running = runTick().finally(() => {
+                    running = null;
+                });
+            }
+            return running;
+        },
+
+        start() {
+            if (timer) return;
+            const check = () => this.tick().catch(error => console.error('Digest scheduler error:', error));
+            timer = setInterval(check, intervalMs);
+            timer.unref(); // don't keep the process alive just for digests
+            check();
+        },
+
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+}
+
+module.exports = {
+    DIGEST_FREQUENCIES,
+    defaultDigestSettings,
+    parseDigestSettings,
+    nextDigestAt,
+    digestDueAt,
+    inQuietHours,
+    buildDigest,
+    digestMessage,
+    createDigestScheduler
+};
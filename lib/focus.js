@@ -0,0 +1,233 @@
+/**
+ * BriPlanner - Focus Sessions and Time Tracking
+ *
+ * A focus session is a Pomodoro bound to one task: work for a set time
+ * (25 minutes by default), then take a short break. Every stretch of actual
+ * work becomes a time entry on the task, so the task knows how long it took -
+ * like time entries against a project task in NetSuite.
+ *
+ * The session lives on the task while it's going:
+ *
+ *   task.focusSession = {
+ *     id, startedAt, workMinutes, breakMinutes,
+ *     runningSince,   // when the current stretch started (null while paused)
+ *     workedSeconds   // work already recorded in this session
+ *   }
+ *
+ *   task.timeEntries = [{ id, sessionId, startedAt, endedAt, seconds }]
+ *
+ * Work stops counting once the work time is used up: from then on the
+ * session is on its break, and stopping it records no more than the work
+ * time. A user has at most one session going at a time.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { walkTasks } = require('./tasks');
+
+const MAX_WORK_MINUTES = 180;
+const MAX_BREAK_MINUTES = 60;
+
+// Work and break lengths from a request body, falling back to the defaults.
+// Returns { value } or { error, field }.
+function parseFocusSettings(body, defaults) {
+    const value = {};
+    const limits = { workMinutes: MAX_WORK_MINUTES, breakMinutes: MAX_BREAK_MINUTES };
+
+    for (const [field, max] of Object.entries(limits)) {
+        const input = body[field] === undefined ? defaults[field] : body[field];
+        if (!Number.isInteger(input) || input < 1 || input > max) {
+            return { error: `${field} must be a whole number from 1 to ${max}`, field };
+        }
+        value[field] = input;
+    }
+    return { value };
+}
+
+// The task with a session going (running, paused or on a break), or null
+function findActiveSession(taskList) {
+    for (const task of walkTasks(taskList)) {
+        if (task.focusSession) return task;
+    }
+    return null;
+}
+
+function startSession(task, { workMinutes, breakMinutes }, now = new Date()) {
+    task.focusSession = {
+        id: uuidv4(),
+        startedAt: now.toISOString(),
+        workMinutes,
+        breakMinutes,
+        runningSince: now.toISOString(),
+        workedSeconds: 0
+    };
+    return task.focusSession;
+}
+
+// Seconds of work in the current stretch, up to what's left of the work time
+function runningSeconds(session, now) {
+    if (!session.runningSince) return 0;
+    const elapsed = Math.floor((now.getTime() - Date.parse(session.runningSince)) / 1000);
+    return Math.max(0, Math.min(elapsed, session.workMinutes * 60 - session.workedSeconds));
+}
+
+// Turn the current stretch into a time entry (if any work was done)
+function closeStretch(task, now) {
+    const session = task.focusSession;
+    const seconds = runningSeconds(session, now);
+    const startedAt = session.runningSince;
+    session.runningSince = null;
+    if (seconds === 0) return null;
+
+    const entry = {
+        id: uuidv4(),
+        sessionId: session.id,
+        startedAt,
+        endedAt: new Date(Date.parse(startedAt) + seconds * 1000).toISOString(),
+        seconds
+    };
+    session.workedSeconds += seconds;
+    if (!task.timeEntries) task.timeEntries = [];
+    task.timeEntries.push(entry);
+    return entry;
+}
+
+// Pause a running session. Returns the time entry it recorded (or null).
+function pauseSession(task, now = new Date()) {
+    return closeStretch(task, now);
+}
+
+function resumeSession(task, now = new Date()) {
+    task.focusSession.runningSince = now.toISOString();
+    return task.focusSession;
+}
+
+// End the session. Returns the finished session and the entry it recorded.
+function stopSession(task, now = new Date()) {
+    const entry = task.focusSession.runningSince ? closeStretch(task, now) : null;
+    const session = task.focusSession;
+    task.focusSession = null;
+    return { session, entry };
+}
+
+/**
+ * Where a session is at, for the timer in the browser:
+ *   state: 'running', 'paused', 'break' (work time used up) or 'done' (break over too)
+ * workEndsAt/breakEndsAt are only known while it runs.
+ */
+function sessionStatus(session, now = new Date()) {
+    const workedSeconds = session.workedSeconds + runningSeconds(session, now);
+    const remainingSeconds = session.workMinutes * 60 - workedSeconds;
+    const status = { ...session, workedSeconds, remainingSeconds, workEndsAt: null, breakEndsAt: null };
+
+    if (!session.runningSince) {
+        status.state = remainingSeconds > 0 ? 'paused' : 'break';
+        return status;
+    }
+
+    const workEnds = Date.parse(session.runningSince) + (session.workMinutes * 60 - session.workedSeconds) * 1000;
+    const breakEnds = workEnds + session.breakMinutes * 60 * 1000;
+    status.workEndsAt = new Date(workEnds).toISOString();
+    status.breakEndsAt = new Date(breakEnds).toISOString();
+    if (now.getTime() < workEnds) status.state = 'running';
+    else status.state = now.getTime() < breakEnds ? 'break' : 'done';
+    return status;
+}
+
+// Seconds tracked on a task, on its own and together with all its subtasks
+function timeTotals(task) {
+    const own = sumSeconds(task.timeEntries);
+    let total = 0;
+    for (const each of walkTasks([task])) {
+        total += sumSeconds(each.timeEntries);
+    }
+    return { ownSeconds: own, totalSeconds: total };
+}
+
+function sumSeconds(entries = []) {
+    return entries.reduce((sum, entry) => sum + entry.seconds, 0);
+}
+
+/**
+ * Time spent between two dates, per day (in the server's time zone) and per
+ * task. An entry that runs past midnight is split between the two days.
+ */
+function timeReport(taskList, { from, to }) {
+    const days = new Map();
+    const tasks = [];
+
+    for (const task of walkTasks(taskList)) {
+        let taskSeconds = 0;
+        for (const entry of task.timeEntries || []) {
+            let start = Math.max(Date.parse(entry.startedAt), from.getTime());
+            const end = Math.min(Date.parse(entry.endedAt), to.getTime());
+
+            while (start < end) {
+                const nextMidnight = addDays(new Date(start), 1).getTime();
+                const pieceEnd = Math.min(end, nextMidnight);
+                const seconds = Math.round((pieceEnd - start) / 1000);
+                const date = localDate(new Date(start));
+                days.set(date, (days.get(date) || 0) + seconds);
+                taskSeconds += seconds;
+                start = pieceEnd;
+            }
+        }
+        if (taskSeconds > 0) {
+            tasks.push({ taskId: task.id, title: task.title, seconds: taskSeconds });
+        }
+    }
+
+    return {
+        from: from.toISOString(),
+        to: to.toISOString(),
+        totalSeconds: tasks.reduce((sum, task) => sum + task.seconds, 0),
+        days: [...days].sort(([a], [b]) => a.localeCompare(b)).map(([date, seconds]) => ({ date, seconds })),
+        tasks: tasks.sort((a, b) => b.seconds - a.seconds)
+    };
+}
+
+// Report range from ?from=&to= (dates or date-times; `to` is exclusive and a
+// plain date includes that whole day). Defaults to the last 7 days.
+// Returns { value: { from, to } } or { error, field }.
+function parseReportRange(query, now = new Date()) {
+    const range = { from: addDays(now, -6), to: addDays(now, 1) };
+
+    for (const field of ['from', 'to']) {
+        const input = query[field];
+        if (input === undefined) continue;
+
+        const dateOnly = typeof input === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(input);
+        const date = dateOnly ? new Date(`${input}T00:00:00`) : new Date(input);
+        if (typeof input !== 'string' || Number.isNaN(date.getTime())) {
+            return { error: `${field} must be a date like 2024-05-01`, field };
+        }
+        range[field] = dateOnly && field === 'to' ? addDays(date, 1) : date;
+    }
+
+    if (range.from >= range.to) {
+        return { error: 'from must be before to', field: 'from' };
+    }
+    return { value: range };
+}
+
+// Local midnight, `days` days after the start of date's day
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function localDate(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+module.exports = {
+    parseFocusSettings,
+    findActiveSession,
+    startSession,
+    pauseSession,
+    resumeSession,
+    stopSession,
+    sessionStatus,
+    timeTotals,
+    timeReport,
+    parseReportRange
+};
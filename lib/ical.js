@@ -0,0 +1,407 @@
+/**
+ * BriPlanner - iCalendar (.ics) Import and Export
+ *
+ * Calendar apps share to-dos as VTODO components in an .ics file (RFC 5545).
+ * Think of it like a CSV import template in NetSuite: a plain-text format
+ * with one "record" per task that other systems already understand.
+ *
+ * How our fields map onto VTODO properties:
+ *
+ *   id                  UID
+ *   title, description  SUMMARY, DESCRIPTION
+ *   completed           STATUS:COMPLETED (plus COMPLETED with the time)
+ *   dueAt               DUE
+ *   recurrence          RRULE, with DTSTART as the start of the series
+ *   remindAt            one VALARM per reminder, TRIGGER;RELATED=END:-PT60M
+ *   reminderEmail       ATTENDEE of the alarms (ACTION:EMAIL)
+ *   parent task         RELATED-TO;RELTYPE=PARENT:<parent UID>
+ *   createdAt/updatedAt CREATED, LAST-MODIFIED
+ *   checklist           X-BRIPLANNER-CHECKLIST;X-ID=<id>;X-COMPLETED=TRUE:<text>
+ *                       (calendar apps ignore X- properties, we read them back)
+ *
+ * Reminder history and email status aren't exported; they're rebuilt when
+ * the tasks are imported. Times are kept to the second, since iCalendar has
+ * no milliseconds.
+ */
+
+const { walkTasks } = require('./tasks');
+
+const PRODID = '-//BriPlanner//Tasks//EN';
+const CHECKLIST_PROPERTY = 'X-BRIPLANNER-CHECKLIST';
+const MAX_LINE_OCTETS = 75;
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+// Build an .ics calendar holding every task in the tree as a VTODO
+function tasksToCalendar(taskList, { now = new Date() } = {}) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'CALSCALE:GREGORIAN'
+    ];
+
+    const parents = new Map();
+    for (const task of walkTasks(taskList)) {
+        for (const child of task.children || []) {
+            parents.set(child.id, task.id);
+        }
+        lines.push(...taskToVtodo(task, parents.get(task.id) || null, now));
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+function taskToVtodo(task, parentId, now) {
+    const lines = [
+        'BEGIN:VTODO',
+        `UID:${task.id}`,
+        `DTSTAMP:${formatDateTime(now)}`,
+        `CREATED:${formatDateTime(task.createdAt)}`,
+        `LAST-MODIFIED:${formatDateTime(task.updatedAt)}`,
+        `SUMMARY:${escapeText(task.title)}`
+    ];
+
+    if (task.description) {
+        lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+    }
+    if (task.completed) {
+        lines.push('STATUS:COMPLETED', `COMPLETED:${formatDateTime(task.updatedAt)}`);
+    } else {
+        lines.push('STATUS:NEEDS-ACTION');
+    }
+    if (task.dueAt) {
+        lines.push(`DUE:${formatDateTime(task.dueAt)}`);
+    }
+    if (task.recurrence) {
+        lines.push(`DTSTART:${formatDateTime(task.recurrence.dtstart)}`, `RRULE:${task.recurrence.rule}`);
+    }
+    if (parentId) {
+        lines.push(`RELATED-TO;RELTYPE=PARENT:${parentId}`);
+    }
+    for (const item of task.checklist || []) {
+        lines.push(`${CHECKLIST_PROPERTY};X-ID=${paramValue(item.id)};X-COMPLETED=${item.completed ? 'TRUE' : 'FALSE'}:${escapeText(item.text)}`);
+    }
+    for (const offset of task.dueAt ? task.remindAt || [] : []) {
+        lines.push(...reminderToValarm(task, offset));
+    }
+
+    lines.push('END:VTODO');
+    return lines;
+}
+
+function reminderToValarm(task, offsetMinutes) {
+    const lines = ['BEGIN:VALARM', `TRIGGER;RELATED=END:-PT${offsetMinutes}M`];
+    if (task.reminderEmail) {
+        lines.push(
+            'ACTION:EMAIL',
+            `ATTENDEE:mailto:${task.reminderEmail}`,
+            `SUMMARY:${escapeText(`Reminder: ${task.title}`)}`
+        );
+    } else {
+        lines.push('ACTION:DISPLAY');
+    }
+    lines.push(`DESCRIPTION:${escapeText(task.title)}`, 'END:VALARM');
+    return lines;
+}
+
+// 20240501T090000Z
+function formatDateTime(value) {
+    return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Parameter values with special characters have to be quoted (and can't
+// contain double quotes at all)
+function paramValue(value) {
+    const text = String(value).replace(/"/g, '');
+    return /[;:,]/.test(text) ? `"${text}"` : text;
+}
+
+// Lines longer than 75 bytes are split, with each continuation starting with
+// a space. Splits never fall inside a multi-byte character.
+function foldLine(line) {
+    if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const char of line) {
+        const bytes = Buffer.byteLength(char);
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (currentBytes + bytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += bytes;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+// ---------------------------------------------------------------------------
+// Import
+// ---------------------------------------------------------------------------
+
+/**
+ * Read the VTODOs out of an .ics file, in file order, as import records (see
+ * lib/importer.js). Returns { value } or { error }.
+ */
+function parseCalendar(text) {
+    if (typeof text !== 'string' || !/^\s*BEGIN:VCALENDAR/i.test(text)) {
+        return { error: 'Not an iCalendar file (it should start with BEGIN:VCALENDAR)' };
+    }
+
+    const parsed = parseComponents(text);
+    if (parsed.error) return parsed;
+
+    const todos = [];
+    for (const calendar of parsed.value.filter(c => c.name === 'VCALENDAR')) {
+        for (const component of calendar.components) {
+            // RECURRENCE-ID marks an edited single occurrence of a repeating
+            // to-do; we only keep the series itself
+            if (component.name === 'VTODO' && !getProperty(component, 'RECURRENCE-ID')) {
+                todos.push(vtodoToTask(component));
+            }
+        }
+    }
+    return { value: todos };
+}
+
+function vtodoToTask(vtodo) {
+    const text = (name) => {
+        const property = getProperty(vtodo, name);
+        return property ? unescapeText(property.value) : null;
+    };
+    const date = (name) => {
+        const property = getProperty(vtodo, name);
+        return property ? parseDateTime(property.value, property.params) : null;
+    };
+
+    const status = (text('STATUS') || '').toUpperCase();
+    const dueAt = date('DUE');
+    const dtstart = date('DTSTART');
+    const rrule = getProperty(vtodo, 'RRULE');
+
+    const parent = vtodo.properties.find(p =>
+        p.name === 'RELATED-TO' && (p.params.RELTYPE || 'PARENT').toUpperCase() === 'PARENT'
+    );
+
+    const alarms = vtodo.components
+        .filter(c => c.name === 'VALARM')
+        .map(alarm => readAlarm(alarm, { dueAt, dtstart }))
+        .filter(Boolean);
+
+    const fields = {
+        title: text('SUMMARY') || 'Untitled task',
+        description: text('DESCRIPTION') || ''
+    };
+    if (dueAt) fields.dueAt = dueAt;
+    if (rrule) fields.recurrence = { rule: rrule.value, dtstart };
+    if (alarms.length > 0) {
+        fields.remindAt = alarms.map(alarm => alarm.offsetMinutes);
+        const email = alarms.find(alarm => alarm.email);
+        if (email) fields.reminderEmail = email.email;
+    }
+
+    return {
+        uid: text('UID'),
+        parentUid: parent ? parent.value : null,
+        completed: status === 'COMPLETED' || Boolean(getProperty(vtodo, 'COMPLETED')) ||
+            text('PERCENT-COMPLETE') === '100',
+        checklist: vtodo.properties
+            .filter(p => p.name === CHECKLIST_PROPERTY)
+            .map(p => ({
+                id: p.params['X-ID'] || null,
+                text: unescapeText(p.value),
+                completed: (p.params['X-COMPLETED'] || '').toUpperCase() === 'TRUE'
+            })),
+        createdAt: date('CREATED'),
+        updatedAt: date('LAST-MODIFIED'),
+        fields
+    };
+}
+
+// A VALARM as minutes before the due date (and who to email, if anyone).
+// Alarms we can't express that way (after the due date, or with nothing
+// to count back from) are left out.
+function readAlarm(alarm, { dueAt, dtstart }) {
+    const trigger = getProperty(alarm, 'TRIGGER');
+    if (!trigger || !dueAt) return null;
+
+    let offsetMinutes;
+    if ((trigger.params.VALUE || '').toUpperCase() === 'DATE-TIME') {
+        const at = parseDateTime(trigger.value, trigger.params);
+        if (!at) return null;
+        offsetMinutes = Math.round((Date.parse(dueAt) - Date.parse(at)) / 60000);
+    } else {
+        const minutes = parseDuration(trigger.value);
+        if (minutes === null) return null;
+        // RELATED=END counts from DUE. Many to-do apps leave out DTSTART and
+        // mean the due date anyway, so treat the default the same way then.
+        const related = (trigger.params.RELATED || 'START').toUpperCase();
+        const base = related === 'END' || !dtstart ? dueAt : dtstart;
+        offsetMinutes = Math.round((Date.parse(dueAt) - (Date.parse(base) + minutes * 60000)) / 60000);
+    }
+    if (offsetMinutes < 0) return null;
+
+    const attendee = getProperty(alarm, 'ATTENDEE');
+    const email = attendee && /^mailto:/i.test(attendee.value) ? attendee.value.slice(7) : null;
+    return { offsetMinutes, email };
+}
+
+// Split the file into nested components: { name, properties, components }
+function parseComponents(text) {
+    const root = { name: null, properties: [], components: [] };
+    const stack = [root];
+
+    for (const line of unfoldLines(text)) {
+        if (!line.trim()) continue;
+        const property = parseContentLine(line);
+        if (!property) {
+            return { error: `Could not read line: ${line.slice(0, 60)}` };
+        }
+
+        const current = stack[stack.length - 1];
+        if (property.name === 'BEGIN') {
+            const component = { name: property.value.toUpperCase(), properties: [], components: [] };
+            current.components.push(component);
+            stack.push(component);
+        } else if (property.name === 'END') {
+            if (stack.length === 1 || current.name !== property.value.toUpperCase()) {
+                return { error: `Unexpected END:${property.value}` };
+            }
+            stack.pop();
+        } else {
+            current.properties.push(property);
+        }
+    }
+
+    if (stack.length > 1) {
+        return { error: `Missing END:${stack[stack.length - 1].name}` };
+    }
+    return { value: root.components };
+}
+
+// Undo line folding: a line starting with a space or tab continues the last one
+function unfoldLines(text) {
+    return text.replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+}
+
+// NAME;PARAM=value;PARAM="quoted:value":VALUE
+function parseContentLine(line) {
+    const nameMatch = /^([A-Za-z0-9-]+)/.exec(line);
+    if (!nameMatch) return null;
+
+    const params = {};
+    let i = nameMatch[1].length;
+    while (line[i] === ';') {
+        const paramMatch = /^;([A-Za-z0-9-]+)=/.exec(line.slice(i));
+        if (!paramMatch) return null;
+        i += paramMatch[0].length;
+
+        let value;
+        if (line[i] === '"') {
+            const end = line.indexOf('"', i + 1);
+            if (end === -1) return null;
+            value = line.slice(i + 1, end);
+            i = end + 1;
+        } else {
+            const end = line.slice(i).search(/[;:]/);
+            if (end === -1) return null;
+            value = line.slice(i, i + end);
+            i += end;
+        }
+        params[paramMatch[1].toUpperCase()] = value;
+    }
+
+    if (line[i] !== ':') return null;
+    return { name: nameMatch[1].toUpperCase(), params, value: line.slice(i + 1) };
+}
+
+function getProperty(component, name) {
+    return component.properties.find(p => p.name === name) || null;
+}
+
+function unescapeText(text) {
+    return text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// DATE-TIME values come in three flavours: UTC (ends in Z), tied to a time
+// zone (TZID=Europe/Paris) or "floating" (local time). Date-only values
+// (all-day to-dos) become midnight local time. Returns an ISO string or null.
+function parseDateTime(value, params = {}) {
+    const dateOnly = /^(\d{4})(\d{2})(\d{2})$/.exec(value);
+    if (dateOnly) {
+        const [, year, month, day] = dateOnly.map(Number);
+        return new Date(year, month - 1, day).toISOString();
+    }
+
+    const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/.exec(value);
+    if (!match) return null;
+
+    const [year, month, day, hour, minute, second] = match.slice(1, 7).map(Number);
+    if (match[7]) {
+        return new Date(Date.UTC(year, month - 1, day, hour, minute, second)).toISOString();
+    }
+    if (params.TZID) {
+        const time = zonedTimeToUtc([year, month, day, hour, minute, second], params.TZID);
+        if (time !== null) return new Date(time).toISOString();
+    }
+    return new Date(year, month - 1, day, hour, minute, second).toISOString();
+}
+
+// Convert a wall-clock time in an IANA time zone to a UTC timestamp, using the
+// zone's offset at that moment. Returns null for zones Node doesn't know.
+function zonedTimeToUtc([year, month, day, hour, minute, second], timeZone) {
+    let format;
+    try {
+        format = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        });
+    } catch (error) {
+        return null;
+    }
+
+    const offsetAt = (time) => {
+        const parts = Object.fromEntries(format.formatToParts(new Date(time)).map(p => [p.type, Number(p.value)]));
+        return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - time;
+    };
+
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+    const guess = wallClock - offsetAt(wallClock);
+    // Check again at the guessed moment in case it's on the other side of a DST change
+    return wallClock - offsetAt(guess);
+}
+
+// A DURATION ("-PT15M", "P1D", "-P1W") in minutes
+function parseDuration(value) {
+    const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value);
+    if (!match || value.endsWith('P') || value.endsWith('T')) return null;
+
+    const [, sign, weeks, days, hours, minutes, seconds] = match;
+    const total = Number(weeks || 0) * 10080 + Number(days || 0) * 1440 +
+        Number(hours || 0) * 60 + Number(minutes || 0) + Number(seconds || 0) / 60;
+    return sign === '-' ? -total : total;
+}
+
+module.exports = { tasksToCalendar, parseCalendar, foldLine, parseDateTime, parseDuration, zonedTimeToUtc };
@@ -0,0 +1,123 @@
+/**
+ * BriPlanner - Idempotency Keys
+ *
+ * A phone on a bad connection can send a request, lose the answer and send
+ * it again - and we'd end up with the same task twice. To avoid that, a
+ * client can give every change an Idempotency-Key header (any unique text,
+ * usually a UUID) and send the exact same key when it retries:
+ *
+ *   POST /api/tasks
+ *   Idempotency-Key: 0b6f1c1e-3c0a-4a4e-9d0e-5a1c2f7b8d90
+ *
+ * The first time, the request runs as normal and its answer is kept. A
+ * retry with the same key doesn't run again; it gets the kept answer back
+ * (with an Idempotent-Replayed: true header). It's like the external ID on
+ * a NetSuite record: sending it twice finds the record instead of making a
+ * second one. Each kept answer looks like:
+ *
+ *   { ownerId, key, fingerprint, createdAt, status, body, etag }
+ *
+ * Only answers that changed something (2xx) are kept - after an error the
+ * client can fix the request and try again with the same key. Reusing a key
+ * for a different request is refused, and keys are forgotten after a day.
+ */
+
+const crypto = require('crypto');
+const { apiError, sendError } = require('./validation');
+
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_KEY_LENGTH = 200;
+const MAX_KEYS_PER_USER = 1000;
+
+// Requests that never change anything don't need a key
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Forget keys older than a day
+function pruneIdempotencyKeys(records, now = new Date()) {
+    const cutoff = now.getTime() - KEY_TTL_MS;
+    for (let i = records.length - 1; i >= 0; i--) {
+        if (new Date(records[i].createdAt).getTime() < cutoff) {
+            records.splice(i, 1);
+        }
+    }
+}
+
+/**
+ * Put saved records back into `records` after a restart. A record with no
+ * status was claimed by a request that was still running when the records
+ * were saved; that request died with the old server, so the key is freed
+ * instead of answering "still being handled" until it expires.
+ */
+function loadIdempotencyKeys(records, saved = [], now = new Date()) {
+    records.splice(0, records.length, ...saved.filter(record => record.status !== undefined));
+    pruneIdempotencyKeys(records, now);
+}
+
+// What a request asks for: method, URL and body. A retry has to match it.
+function requestFingerprint(req) {
+    return crypto.createHash('sha256')
+        .update(`${req.method} ${req.originalUrl} ${JSON.stringify(req.body || {})}`)
+        .digest('hex');
+}
+
+/**
+ * Express middleware (after the login check, so req.user is set) that
+ * answers retries from the kept answers in `records`. `persist` saves them,
+ * so a retry after a server restart is still recognized.
+ */
+function createIdempotency({ records, persist }) {
+    return (req, res, next) => {
+        const key = req.get('Idempotency-Key');
+        if (key === undefined || SAFE_METHODS.includes(req.method)) return next();
+
+        if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+            return sendError(res, 400, apiError('invalid_value', `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters long`));
+        }
+
+        pruneIdempotencyKeys(records);
+        const fingerprint = requestFingerprint(req);
+        const kept = records.find(record => record.ownerId === req.user.id && record.key === key);
+
+        if (kept) {
+            if (kept.fingerprint !== fingerprint) {
+                return sendError(res, 422, apiError('idempotency_key_reused', 'This Idempotency-Key was already used for a different request'));
+            }
+            if (kept.status === undefined) {
+                return sendError(res, 409, 'A request with this Idempotency-Key is still being handled');
+            }
+            res.set('Idempotent-Replayed', 'true');
+            if (kept.etag) res.set('ETag', kept.etag);
+            return res.status(kept.status).json(kept.body);
+        }
+
+        // Claim the key while the request runs, so a retry sent in the
+        // meantime doesn't run it a second time
+        const record = { ownerId: req.user.id, key, fingerprint, createdAt: new Date().toISOString() };
+        records.push(record);
+        const mine = records.filter(other => other.ownerId === req.user.id);
+        if (mine.length > MAX_KEYS_PER_USER) {
+            records.splice(records.indexOf(mine[0]), 1);
+        }
+
+        const forget = () => {
+            if (records.includes(record)) records.splice(records.indexOf(record), 1);
+        };
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            if (res.statusCode >= 200 && res.statusCode < 300) {
+                Object.assign(record, { status: res.statusCode, body, etag: res.get('ETag') || null });
+                persist();
+            } else {
+                forget();
+            }
+            return json(body);
+        };
+        // No answer kept (an error, or the connection dropped): free the key
+        res.on('close', () => {
+            if (record.status === undefined) forget();
+        });
+        next();
+    };
+}
+
+module.exports = { createIdempotency, loadIdempotencyKeys, pruneIdempotencyKeys, requestFingerprint, KEY_TTL_MS };
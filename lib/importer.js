@@ -0,0 +1,165 @@
+/**
+ * BriPlanner - Building Imported Tasks
+ *
+ * Every import format (.ics, JSON backup, Markdown, CSV) is first read into
+ * the same flat list of "records", one per task:
+ *
+ *   {
+ *     uid,          // the task's ID in the file (kept when it's a free UUID)
+ *     parentUid,    // uid of the parent record, or null for a top-level task
+ *     fields,       // { title, description, dueAt, remindAt, reminderEmail, recurrence,
+ *                   //   estimateMinutes, priority, tags, energy, deferredUntil }
+ *     completed,
+ *     checklist,    // [{ id, text, completed }] (ids kept when they're free UUIDs)
+ *     blockedBy,                // optional, uids of the records this one waits on
+ *     createdAt, updatedAt,     // optional
+ *     history                   // optional, JSON backups only:
+ *                               // { reminders, emailReminder, timeEntries, spawnedNextId }
+ *   }
+ *
+ * buildTasks() then turns the records into a task tree. `fields` goes through
+ * addTask() - the same code POST /api/tasks uses - so an imported task is
+ * checked exactly like one typed in by hand. Like a CSV import in NetSuite,
+ * it's all or nothing: one bad record and nothing is imported.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { buildReminderSchedule } = require('./reminders');
+
+const REMINDER_STATUSES = ['pending', 'sent', 'skipped', 'failed'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// Where a sent reminder's preview can be: the capture outbox, or a web page
+const PREVIEW_URL = /^(\/api\/outbox\/|https?:\/\/)/;
+
+/**
+ * Create the records as tasks in `taskList`, parents before their children.
+ *
+ *   addTask(taskList, input) - see server.js, returns { task } or
+ *                              { status, error: { code, message, field } }
+ *   idTaken(id)              - whether an ID is already in use
+ *
+ * Returns { count } or { status, error: { code, message, field: null } } -
+ * the field names a task field, not part of the request, so it's left out.
+ */
+function buildTasks(records, taskList, { addTask, idTaken }) {
+    const byUid = new Map();
+    for (const record of records) {
+        if (record.uid && !byUid.has(record.uid)) byUid.set(record.uid, record);
+    }
+
+    // Children of each record (null = top level). A parent that isn't in the
+    // file, or a parent loop, puts the record at the top level.
+    const children = new Map([[null, []]]);
+    for (const record of records) {
+        const parent = findParent(record, byUid);
+        if (!children.has(parent)) children.set(parent, []);
+        children.get(parent).push(record);
+    }
+
+    const created = new Map(); // record -> task
+    const itemIds = new Set();
+    // IDs from the file end up in the page's markup, so only a UUID that
+    // isn't used yet is kept; anything else gets a fresh one
+    const itemId = (id) => {
+        const kept = typeof id === 'string' && UUID_PATTERN.test(id) && !itemIds.has(id) && !idTaken(id) ? id : uuidv4();
+        itemIds.add(kept);
+        return kept;
+    };
+
+    function create(record, parentId) {
+        const { task, status, error } = addTask(taskList, { ...record.fields, parentId });
+        if (error) {
+            return { status, error: { code: error.code, message: `Could not import "${record.fields.title}": ${error.message}`, field: null } };
+        }
+
+        if (record.uid && UUID_PATTERN.test(record.uid) && !idTaken(record.uid)) {
+            task.id = record.uid;
+        }
+        task.completed = Boolean(record.completed);
+        task.checklist = (record.checklist || []).map(item => ({
+            id: itemId(item.id),
+            text: item.text,
+            completed: Boolean(item.completed)
+        }));
+        if (record.history) {
+            restoreHistory(task, record.history);
+        }
+        created.set(record, task);
+
+        for (const child of children.get(record) || []) {
+            const result = create(child, task.id);
+            if (result.error) return result;
+        }
+
+        // Set last, since adding the children touches updatedAt
+        if (record.createdAt) task.createdAt = record.createdAt;
+        if (record.updatedAt) task.updatedAt = record.updatedAt;
+        return {};
+    }
+
+    for (const record of children.get(null)) {
+        const result = create(record, null);
+        if (result.error) return result;
+    }
+
+    // Dependencies point at tasks that may have got new IDs, so they're
+    // linked up once everything exists (ones outside the file are dropped)
+    for (const [record, task] of created) {
+        task.blockedBy = (record.blockedBy || [])
+            .map(uid => created.get(byUid.get(uid)))
+            .filter(other => other && other !== task)
+            .map(other => other.id);
+    }
+    return { count: created.size };
+}
+
+// Bring back what a backup knows about reminders that already went out,
+// repeats that were already created and time already tracked, so a restore
+// doesn't do them again (or lose the time)
+function restoreHistory(task, { reminders, emailReminder, timeEntries, spawnedNextId }) {
+    if (Array.isArray(reminders)) {
+        const previous = reminders
+            .filter(r => r && REMINDER_STATUSES.includes(r.status))
+            .map(({ offsetMinutes, fireAt, status, handledAt, reason }) => ({
+                offsetMinutes, fireAt, status, handledAt: handledAt || null, ...(reason ? { reason: String(reason) } : {})
+            }));
+        task.reminders = buildReminderSchedule({ ...task, reminders: previous });
+    }
+    if (emailReminder && typeof emailReminder === 'object') {
+        // The preview link is shown as a link, so it has to be a web address
+        const { previewUrl } = emailReminder;
+        task.emailReminder = {
+            ...emailReminder,
+            ...(previewUrl !== undefined ? { previewUrl: typeof previewUrl === 'string' && PREVIEW_URL.test(previewUrl) ? previewUrl : null } : {})
+        };
+    }
+    if (Array.isArray(timeEntries)) {
+        task.timeEntries = timeEntries
+            .filter(e => e && Number.isInteger(e.seconds) && e.seconds > 0 && !Number.isNaN(Date.parse(e.startedAt)))
+            .map(({ id, sessionId, startedAt, seconds }) => ({
+                id: typeof id === 'string' && UUID_PATTERN.test(id) ? id : uuidv4(),
+                sessionId: typeof sessionId === 'string' && UUID_PATTERN.test(sessionId) ? sessionId : null,
+                startedAt: new Date(startedAt).toISOString(),
+                endedAt: new Date(Date.parse(startedAt) + seconds * 1000).toISOString(),
+                seconds
+            }));
+    }
+    if (spawnedNextId && task.recurrence) {
+        task.recurrence.spawnedNextId = spawnedNextId;
+    }
+}
+
+function findParent(record, byUid) {
+    const parent = record.parentUid ? byUid.get(record.parentUid) : null;
+    if (!parent) return null;
+
+    // Walk up from the parent; meeting this record again means a loop
+    const seen = new Set([record]);
+    for (let current = parent; current; current = current.parentUid ? byUid.get(current.parentUid) : null) {
+        if (seen.has(current)) return null;
+        seen.add(current);
+    }
+    return parent;
+}
+
+module.exports = { buildTasks };
@@ -0,0 +1,300 @@
+/**
+ * BriPlanner - Tasks from Email
+ *
+ * Forward an email to the planner and it becomes a task, the way NetSuite
+ * can turn a mail to a case-capture address into a support case:
+ *
+ *   Subject            -> title (without "Re:" / "Fwd:")
+ *   Body               -> description (the plain-text version, or the HTML
+ *                         one turned into text; the signature is dropped)
+ *   "- item" lines     -> checklist items ("* ", "• ", "+ " work too, and
+ *                         "- [x] item" starts out ticked)
+ *   tasks+<ID>@...     -> a subtask of that task (the first 8 characters of
+ *                         the ID are enough)
+ *
+ * Mail only gets in from senders the user has allowed. Each user keeps:
+ *
+ *   { ownerId, enabled: false, senders: ['me@example.com', '@mycompany.com'],
+ *     createdAt, updatedAt, lastReceivedAt }
+ *
+ * where a sender is an address or a whole "@domain". The sender's address
+ * is what picks the account the task goes to, so each sender belongs to one
+ * account at most: an entry can't name another account's own address (or
+ * its domain), nor overlap what another account already allows, and mail
+ * from an account's own address only ever goes to that account. Still,
+ * From: headers can be forged, so keep the lists tight.
+ *
+ * Messages arrive through POST /api/inbound-email (routes/inbound.js) or
+ * the optional SMTP listener (lib/smtp.js); both end up in receive() below.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { parseMessage, allHeaderValues } = require('./rfc822');
+const { walkTasks } = require('./tasks');
+const { taskFields, diffFields } = require('./activity');
+const { MAX_TITLE_LENGTH, MAX_DESCRIPTION_LENGTH, MAX_CHECKLIST_TEXT_LENGTH } = require('./schemas');
+
+const MAX_SENDERS = 50;
+const MAX_CHECKLIST_ITEMS = 100;
+// A plus tag this short could match too many tasks
+const MIN_TAG_LENGTH = 8;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DOMAIN_PATTERN = /^@[^\s@]+\.[^\s@]+$/;
+
+// "- item", "* item", "• item", "+ item", with an optional [ ] or [x] box
+const BULLET = /^\s*[-*•+]\s+(?:\[([ xX])\]\s+)?(\S.*)$/;
+// "Re:", "Fwd:", "FW:", "AW:" (German), "[2]" counters... at the front of a subject
+const REPLY_PREFIX = /^\s*(?:re|fwd?|aw|wg|tr)\s*(?:\[\d+\])?\s*:\s*/i;
+
+const ACTOR = { type: 'system', name: 'email' };
+
+// The settings of a user who hasn't set up email yet: off, and only their
+// own address allowed once they turn it on
+function defaultInboundSettings(user, now = new Date()) {
+    return {
+        ownerId: user.id,
+        enabled: false,
+        senders: [user.email.toLowerCase()],
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString(),
+        lastReceivedAt: null
+    };
+}
+
+/**
+ * Check a PUT body (already shape-checked by the inboundSettings schema);
+ * fields left out keep their value. `claimed` are the senders other
+ * accounts have (see claimedSenders), and `ownAddress` the user's own
+ * address, which they may always allow. Returns
+ * { value: { enabled, senders } } or { error, field }.
+ */
+function parseInboundSettings(body, current, { claimed = [], ownAddress = null } = {}) {
+    const enabled = body.enabled === undefined ? current.enabled : body.enabled;
+    const senders = [];
+    const given = body.senders === undefined ? current.senders : body.senders;
+
+    for (const [index, entry] of given.entries()) {
+        const sender = entry.trim().toLowerCase();
+        if (!EMAIL_PATTERN.test(sender) && !DOMAIN_PATTERN.test(sender)) {
+            return { error: `"${entry}" is not an email address or an @domain`, field: `senders.${index}` };
+        }
+        if (sender !== String(ownAddress).toLowerCase() && claimed.some(other => sendersOverlap(sender, other))) {
+            return { error: `Mail from "${entry}" already goes to another account`, field: `senders.${index}` };
+        }
+        if (!senders.includes(sender)) senders.push(sender);
+    }
+    if (senders.length > MAX_SENDERS) {
+        return { error: `At most ${MAX_SENDERS} senders can be allowed`, field: 'senders' };
+    }
+    if (enabled && senders.length === 0) {
+        return { error: 'Allow at least one sender before turning email on', field: 'senders' };
+    }
+    return { value: { enabled, senders } };
+}
+
+// What every other account has a claim on: its own address, and the
+// senders it allows
+function claimedSenders(userId, { users, settings }) {
+    return [
+        ...users.filter(user => user.id !== userId).map(user => user.email.toLowerCase()),
+        ...settings.filter(entry => entry.ownerId !== userId).flatMap(entry => entry.senders)
+    ];
+}
+
+// Could mail from one sender entry also match the other? (the same address
+// or domain, or an address in the other's @domain)
+function sendersOverlap(a, b) {
+    return a === b || (a.startsWith('@') && b.endsWith(a)) || (b.startsWith('@') && a.endsWith(b));
+}
+
+// Is mail from this address allowed by these settings?
+function senderAllowed(settings, address) {
+    const sender = String(address || '').toLowerCase();
+    return settings.senders.some(entry => (entry.startsWith('@') ? sender.endsWith(entry) : sender === entry));
+}
+
+/**
+ * The "+tag" of the first recipient that has one. With a configured address
+ * (tasks@planner.example.com) only tasks+tag@planner.example.com counts;
+ * without one, any recipient with a plus in it does.
+ */
+function plusTag(recipients, address = null) {
+    const [base, domain] = address ? address.toLowerCase().split('@') : [];
+    for (const recipient of recipients) {
+        const [local, host] = String(recipient).toLowerCase().split('@');
+        const plus = local.indexOf('+');
+        if (plus === -1 || !host) continue;
+        if (address && (local.slice(0, plus) !== base || host !== domain)) continue;
+        const tag = local.slice(plus + 1);
+        if (tag) return tag;
+    }
+    return null;
+}
+
+// Turn an HTML body into text: list items become "- " lines, blocks new lines
+function htmlToText(html) {
+    return html
+        .replace(/<(script|style|head)\b[\s\S]*?<\/\1>/gi, '')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/\s*\n\s*/g, ' ')
+        .replace(/<li\b[^>]*>/gi, '\n- ')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/?(p|div|h[1-6]|ul|ol|tr|table|blockquote|pre)\b[^>]*>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&(#x[0-9a-f]+|#\d+|nbsp|amp|lt|gt|quot|apos|#39);/gi, (match, entity) => {
+            const named = { nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[entity.toLowerCase()];
+            if (named) return named;
+            const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+        })
+        .split('\n')
+        .map(line => line.replace(/[ \t]+/g, ' ').trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+function truncate(text, max) {
+    return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+/**
+ * Work out the task an email describes. `message` comes from parseMessage().
+ * Returns { title, description, checklist: [{ text, completed }] }.
+ */
+function messageToTask(message) {
+    let subject = message.subject.replace(/\s+/g, ' ').trim();
+    while (REPLY_PREFIX.test(subject)) subject = subject.replace(REPLY_PREFIX, '');
+
+    const body = message.text !== null ? message.text : (message.html !== null ? htmlToText(message.html) : '');
+    const lines = body.replace(/\r\n?/g, '\n').split('\n');
+    // Everything after the "-- " line is the signature
+    const signature = lines.findIndex(line => line === '-- ' || line === '--');
+    if (signature !== -1) lines.length = signature;
+
+    const checklist = [];
+    const description = [];
+    for (const line of lines) {
+        const bullet = BULLET.exec(line);
+        if (bullet && checklist.length < MAX_CHECKLIST_ITEMS) {
+            checklist.push({
+                text: truncate(bullet[2].trim(), MAX_CHECKLIST_TEXT_LENGTH),
+                completed: Boolean(bullet[1]) && bullet[1] !== ' '
+            });
+        } else {
+            description.push(line.trimEnd());
+        }
+    }
+
+    const sender = message.from ? (message.from.name || message.from.address) : 'unknown sender';
+    return {
+        title: truncate(subject || `Email from ${sender}`, MAX_TITLE_LENGTH),
+        description: truncate(description.join('\n').replace(/\n{3,}/g, '\n\n').trim(), MAX_DESCRIPTION_LENGTH),
+        checklist
+    };
+}
+
+/**
+ * Set up the function that turns a raw message into a task. Dependencies:
+ *
+ *   settings      - the list of users' inbound settings
+ *   users         - the accounts, so mail from one's own address stays theirs
+ *   getUserTasks  - (userId) -> that user's task tree
+ *   activity      - the activity log, to spot messages already received
+ *   addTask       - the same helper POST /api/tasks uses
+ *   logActivity   - records the new task in its history
+ *   persist       - saves the data
+ *   address       - the planner's own address, for plus tags (optional)
+ *
+ * receive(raw, { recipients }) takes the message (a Buffer or string) and
+ * the envelope recipients when known. It returns { status: 201, task },
+ * { status: 200, task, duplicate: true } for a message that was already
+ * turned into a task, or { status, error: { code, message } }.
+ */
+function createInboundReceiver({ settings, users, getUserTasks, activity, addTask, logActivity, persist, address = null }) {
+    return function receive(raw, { recipients = [] } = {}) {
+        const message = parseMessage(raw);
+        if (!message.from) {
+            return { status: 400, error: { code: 'invalid_message', message: 'The message has no From address' } };
+        }
+
+        // Servers that deliver the mail note who it was really for
+        const tag = plusTag([
+            ...recipients,
+            ...allHeaderValues(message.headers, 'delivered-to'),
+            ...allHeaderValues(message.headers, 'x-original-to'),
+            ...message.to.map(to => to.address),
+            ...message.cc.map(cc => cc.address)
+        ], address);
+
+        // Mail from an account's own address is theirs, whoever else allows it
+        const from = message.from.address.toLowerCase();
+        const account = users.find(user => user.email.toLowerCase() === from);
+        let owners = settings.filter(entry => entry.enabled && senderAllowed(entry, from) && (!account || entry.ownerId === account.id));
+        if (owners.length === 0) {
+            return { status: 403, error: { code: 'sender_not_allowed', message: `Mail from ${message.from.address} is not accepted` } };
+        }
+
+        // A plus tag names the parent task, which also settles whose it is
+        let parent = null;
+        if (tag) {
+            const matches = owners.flatMap((entry) => {
+                const found = [...walkTasks(getUserTasks(entry.ownerId))].filter(task => task.id === tag || (tag.length >= MIN_TAG_LENGTH && task.id.startsWith(tag)));
+                return found.map(task => ({ entry, task }));
+            });
+            if (matches.length === 0) {
+                return { status: 404, error: { code: 'parent_not_found', message: `No task matches "+${tag}"` } };
+            }
+            if (matches.length > 1) {
+                return { status: 409, error: { code: 'ambiguous_parent', message: `"+${tag}" matches more than one task; use more of the task ID` } };
+            }
+            owners = [matches[0].entry];
+            parent = matches[0].task;
+        }
+        if (owners.length > 1) {
+            return { status: 409, error: { code: 'ambiguous_sender', message: `More than one account accepts mail from ${message.from.address}` } };
+        }
+
+        const owner = owners[0];
+        const tasks = getUserTasks(owner.ownerId);
+
+        // Mail servers retry; the same Message-ID only makes one task
+        if (message.messageId) {
+            const earlier = activity.find(event => event.ownerId === owner.ownerId && event.action === 'task.created' &&
+                event.details && event.details.source === 'email' && event.details.messageId === message.messageId);
+            const task = earlier && [...walkTasks(tasks)].find(candidate => candidate.id === earlier.taskId);
+            if (task) return { status: 200, task, duplicate: true };
+        }
+
+        const { title, description, checklist } = messageToTask(message);
+        const { task, status, error } = addTask(tasks, { title, description, parentId: parent ? parent.id : undefined });
+        if (error) {
+            return { status, error };
+        }
+        task.checklist = checklist.map(item => ({ id: uuidv4(), ...item }));
+
+        const details = { source: 'email', from: message.from.address, messageId: message.messageId };
+        if (parent) details.parentId = parent.id;
+        if (message.attachments.length > 0) {
+            // Not stored, but noted so it's clear something was left behind
+            details.attachments = message.attachments.map(attachment => attachment.filename || attachment.contentType);
+        }
+        logActivity({ taskId: task.id, ownerId: owner.ownerId, actor: ACTOR, action: 'task.created', changes: diffFields(null, taskFields(task)), details });
+        owner.lastReceivedAt = new Date().toISOString();
+        persist();
+
+        return { status: 201, task };
+    };
+}
+
+module.exports = {
+    defaultInboundSettings,
+    parseInboundSettings,
+    claimedSenders,
+    senderAllowed,
+    plusTag,
+    htmlToText,
+    messageToTask,
+    createInboundReceiver
+};
@@ -0,0 +1,239 @@
+/**
+ * BriPlanner - Email
+ *
+ * Builds and sends emails through a configurable "transport". This works like
+ * the N/email module in SuiteScript: we describe the message and nodemailer
+ * delivers it. Which transport is used comes from config (MAIL_TRANSPORT):
+ *
+ *   ethereal  - a throwaway test inbox on ethereal.email (needs internet)
+ *   smtp      - your real mail server, with TLS options
+ *   sendmail  - hands the message to the local sendmail binary
+ *   capture   - sends nothing; keeps messages in an outbox you can inspect
+ *               at /api/outbox (and optionally writes .eml files to disk)
+ *
+ * Both the manual "Send Reminder" button and the background reminder
+ * scheduler go through sendTaskReminder(), so every reminder looks the same.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { v4: uuidv4 } = require('uuid');
+
+const TRANSPORTS = ['ethereal', 'smtp', 'sendmail', 'capture'];
+
+// The in-memory outbox only keeps the most recent messages
+const OUTBOX_LIMIT = 200;
+
+/**
+ * Create a mailer for the given mail config (see lib/config.js).
+ *
+ * Returns:
+ *   transport               - name of the transport in use
+ *   sendMail(message, { ownerId })
+ *                           - send any message, resolves to { messageId, previewUrl }.
+ *                             ownerId is the account it's sent for; in the
+ *                             outbox each account only sees its own mail
+ *   sendTaskReminder(task, { to, subject }, { ownerId })
+ *   outbox                  - captured messages (capture transport only, otherwise null)
+ */
+function createMailer(options = {}) {
+    const transport = options.transport || 'ethereal';
+    if (!TRANSPORTS.includes(transport)) {
+        throw new Error(`Unknown mail transport "${transport}" (expected one of: ${TRANSPORTS.join(', ')})`);
+    }
+
+    const from = options.from || '"BriPlanner" <planner@example.com>';
+    const outbox = transport === 'capture' ? createOutbox(options.capture || {}) : null;
+    let transporterPromise = null;
+
+    // Transporters are created on first use (ethereal needs a network round trip)
+    function getTransporter() {
+        if (!transporterPromise) {
+            transporterPromise = createTransporter(transport, options).catch((error) => {
+                transporterPromise = null; // try again next time
+                throw error;
+            });
+        }
+        return transporterPromise;
+    }
+
+    async function sendMail(message, { ownerId = null } = {}) {
+        const transporter = await getTransporter();
+        const fullMessage = { from, ...message };
+        const info = await transporter.sendMail(fullMessage);
+
+        if (outbox) {
+            const captured = outbox.add(fullMessage, info, { ownerId });
+            return { messageId: info.messageId, previewUrl: `/api/outbox/${captured.id}/preview` };
+        }
+
+        return {
+            messageId: info.messageId,
+            // Only ethereal has a web preview of sent messages
+            previewUrl: transport === 'ethereal' ? nodemailer.getTestMessageUrl(info) || null : null
+        };
+    }
+
+    return {
+        transport,
+        outbox,
+        sendMail,
+
+        // Send a reminder for a task
+        sendTaskReminder(task, { to, subject } = {}, { ownerId = null } = {}) {
+            return sendMail(buildReminderMessage(task, { to, subject }), { ownerId });
+        }
+    };
+}
+
+// Build the nodemailer transporter for a transport name
+async function createTransporter(transport, options) {
+    switch (transport) {
+        case 'ethereal': {
+            // For development, use an ethereal.email test account
+            const account = await nodemailer.createTestAccount();
+            return nodemailer.createTransport({
+                host: 'smtp.ethereal.email',
+                port: 587,
+                secure: false,
+                auth: {
+                    user: account.user,
+                    pass: account.pass
+                }
+            });
+        }
+        case 'smtp':
+            return nodemailer.createTransport(smtpOptions(options.smtp || {}));
+        case 'sendmail':
+            return nodemailer.createTransport({
+                sendmail: true,
+                newline: 'unix',
+                path: (options.sendmail && options.sendmail.path) || 'sendmail'
+            });
+        case 'capture':
+            // Build the full message (so it's exactly what would be sent) but deliver it nowhere
+            return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    }
+}
+
+// Map our SMTP config onto nodemailer's options
+function smtpOptions(smtp) {
+    const tls = {};
+    for (const [key, value] of Object.entries(smtp.tls || {})) {
+        if (value !== undefined) tls[key] = value;
+    }
+
+    return {
+        host: smtp.host,
+        port: smtp.port,
+        secure: Boolean(smtp.secure),
+        requireTLS: Boolean(smtp.requireTLS),
+        auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined,
+        tls
+    };
+}
+
+// Captured messages: always kept in memory, and also written to disk when a
+// directory is configured (an .eml file you can open in a mail client, plus
+// a .json file with the details shown by /api/outbox). Each message notes
+// the account it was sent for; list, get and clear take { ownerId } to only
+// see that account's mail (leave it out to see everything).
+function createOutbox({ dir = null } = {}) {
+    let messages = [];
+
+    if (dir) {
+        fs.mkdirSync(dir, { recursive: true });
+        messages = fs.readdirSync(dir)
+            .filter(name => name.endsWith('.json'))
+            .map(name => JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')))
+            .sort((a, b) => a.capturedAt.localeCompare(b.capturedAt))
+            .slice(-OUTBOX_LIMIT);
+    }
+
+    return {
+        dir,
+
+        add(message, info, { ownerId = null } = {}) {
+            const captured = {
+                id: uuidv4(),
+                ownerId,
+                messageId: info.messageId,
+                capturedAt: new Date().toISOString(),
+                from: message.from,
+                to: message.to,
+                subject: message.subject,
+                text: message.text || '',
+                html: message.html || '',
+                raw: info.message.toString('utf8')
+            };
+
+            messages.push(captured);
+            if (messages.length > OUTBOX_LIMIT) {
+                messages.shift();
+            }
+
+            if (dir) {
+                fs.writeFileSync(path.join(dir, `${captured.id}.eml`), captured.raw);
+                fs.writeFileSync(path.join(dir, `${captured.id}.json`), JSON.stringify(captured, null, 2));
+            }
+            return captured;
+        },
+
+        // Newest first
+        list({ ownerId } = {}) {
+            return messages.filter(m => belongsTo(m, ownerId)).reverse();
+        },
+
+        get(id, { ownerId } = {}) {
+            return messages.find(m => m.id === id && belongsTo(m, ownerId)) || null;
+        },
+
+        clear({ ownerId } = {}) {
+            const removed = messages.filter(m => belongsTo(m, ownerId));
+            if (dir) {
+                for (const message of removed) {
+                    fs.rmSync(path.join(dir, `${message.id}.eml`), { force: true });
+                    fs.rmSync(path.join(dir, `${message.id}.json`), { force: true });
+                }
+            }
+            messages = messages.filter(m => !removed.includes(m));
+        }
+    };
+}
+
+// Is a captured message one the given account may see? (undefined: any)
+function belongsTo(message, ownerId) {
+    return ownerId === undefined || message.ownerId === ownerId;
+}
+
+// Compose the reminder message (kept separate so it can be checked without sending)
+function buildReminderMessage(task, { to, subject } = {}) {
+    const description = task.description || 'No description';
+    const status = task.completed ? 'Completed' : 'Pending';
+    const due = task.dueAt ? new Date(task.dueAt).toUTCString() : null;
+
+    return {
+        to,
+        subject: subject || `Reminder: ${task.title}`,
+        text: `Task: ${task.title}\n\nDescription: ${description}\n\n` +
+            (due ? `Due: ${due}\n\n` : '') +
+            `Status: ${status}`,
+        html: `<h2>Task Reminder</h2>
+               <p><strong>Task:</strong> ${escapeHtml(task.title)}</p>
+               <p><strong>Description:</strong> ${escapeHtml(description)}</p>
+               ${due ? `<p><strong>Due:</strong> ${escapeHtml(due)}</p>` : ''}
+               <p><strong>Status:</strong> ${status}</p>`
+    };
+}
+
+// Task text is user input, so escape it before putting it in the HTML body
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+module.exports = { createMailer, buildReminderMessage, smtpOptions, escapeHtml, TRANSPORTS };
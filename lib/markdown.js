@@ -0,0 +1,115 @@
+/**
+ * BriPlanner - Markdown Outlines
+ *
+ * Tasks as a Markdown checklist you can paste into notes, a README or a
+ * GitHub issue - and write by hand and import:
+ *
+ *   - [ ] Plan the party
+ *     Something low-key this year
+ *     * [x] Pick a date
+ *     * [ ] Make a playlist
+ *     - [x] Send invitations
+ *       - [ ] Follow up with Sam
+ *
+ * `-` (or `+`) items are tasks and subtasks, nested by indentation. `*` items
+ * are checklist entries of the task above them. Plain indented lines under a
+ * task are its description. An outline only holds titles, descriptions,
+ * checklists and completion; use the JSON backup to keep everything.
+ */
+
+const ITEM_PATTERN = /^(\s*)([-*+])\s+(?:\[([ xX])\](?:\s+|$))?(.*)$/;
+const INDENT = '  ';
+
+function tasksToMarkdown(taskList) {
+    const lines = [];
+    writeTasks(taskList, 0, lines);
+    return lines.join('\n') + '\n';
+}
+
+function writeTasks(taskList, depth, lines) {
+    const indent = INDENT.repeat(depth);
+    for (const task of taskList) {
+        lines.push(`${indent}- [${task.completed ? 'x' : ' '}] ${singleLine(task.title)}`);
+
+        if (task.description) {
+            for (const line of task.description.split(/\r?\n/)) {
+                if (line.trim()) lines.push(`${indent}${INDENT}${escapeLine(line.trim())}`);
+            }
+        }
+        for (const item of task.checklist || []) {
+            lines.push(`${indent}${INDENT}* [${item.completed ? 'x' : ' '}] ${singleLine(item.text)}`);
+        }
+        writeTasks(task.children || [], depth + 1, lines);
+    }
+}
+
+function singleLine(text) {
+    return String(text).replace(/\s*\r?\n\s*/g, ' ');
+}
+
+// A description line that looks like a list item (or starts with a
+// backslash) gets a backslash in front, so it isn't read back as one
+function escapeLine(line) {
+    return /^([-*+]\s|\\)/.test(line) ? `\\${line}` : line;
+}
+
+/**
+ * Read an outline into import records (see lib/importer.js).
+ * Returns { value } or { error }.
+ */
+function parseMarkdown(text) {
+    if (typeof text !== 'string') {
+        return { error: 'Send the outline as text/markdown' };
+    }
+
+    const records = [];
+    const stack = []; // open tasks: { indent, record }
+
+    for (const rawLine of text.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+        const line = rawLine.replace(/\t/g, '    ');
+        if (!line.trim() || /^\s*#/.test(line)) continue;
+
+        const indent = line.length - line.trimStart().length;
+        const item = ITEM_PATTERN.exec(line);
+
+        if (!item) {
+            // Description text belongs to the task it's indented under
+            const owner = stack[stack.length - 1];
+            if (owner && indent > owner.indent) {
+                const textLine = line.trim().replace(/^\\/, '');
+                const { fields } = owner.record;
+                fields.description = fields.description ? `${fields.description}\n${textLine}` : textLine;
+            }
+            continue;
+        }
+
+        while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+            stack.pop();
+        }
+        const parent = stack.length > 0 ? stack[stack.length - 1].record : null;
+        const [, , bullet, check, title] = item;
+        const completed = check === 'x' || check === 'X';
+
+        if (bullet === '*' && parent) {
+            parent.checklist.push({ id: null, text: title.trim(), completed });
+            continue;
+        }
+
+        const record = {
+            uid: `md:${records.length}`,
+            parentUid: parent ? parent.uid : null,
+            fields: { title: title.trim(), description: '' },
+            completed,
+            checklist: []
+        };
+        records.push(record);
+        stack.push({ indent, record });
+    }
+
+    if (records.length === 0) {
+        return { error: 'No tasks found (each task is a line like "- [ ] Title")' };
+    }
+    return { value: records };
+}
+
+module.exports = { tasksToMarkdown, parseMarkdown };
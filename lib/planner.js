@@ -0,0 +1,337 @@
+/**
+ * BriPlanner - Daily Plan ("what should I do now?")
+ *
+ * Tasks can carry a few planning fields:
+ *
+ *   estimateMinutes  how long the task should take (null = not estimated)
+ *   priority         'low', 'normal', 'high', 'urgent' or null (not set,
+ *                    planned like 'normal')
+ *   energy           how much energy it needs: 'low', 'medium', 'high' or null
+ *   blockedBy        IDs of tasks that have to be done first
+ *   deferredUntil    don't suggest it before this date (set by "Defer")
+ *
+ * planDay() turns the task tree into a short, ordered to-do list that fits
+ * the minutes you have, a bit like a saved search sorted by a formula field.
+ * It only suggests actual next actions: unfinished tasks without unfinished
+ * subtasks, or - when such a task has a checklist - its unchecked items, one
+ * step at a time and in order.
+ *
+ * Subtasks inherit from their ancestors: the earliest due date, the highest
+ * priority, and being blocked or deferred.
+ */
+
+const { walkTasks, findTaskById } = require('./tasks');
+
+const PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+const ENERGY_LEVELS = ['low', 'medium', 'high'];
+const MAX_ESTIMATE_MINUTES = 24 * 60;
+const MAX_AVAILABLE_MINUTES = 24 * 60;
+
+// Tasks that ran over their estimate still get this much time planned
+const MIN_REMAINING_MINUTES = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Validate an estimate: whole minutes, or null for "not estimated"
+function parseEstimate(value) {
+    if (value === null) return { value: null };
+    if (!Number.isInteger(value) || value < 1 || value > MAX_ESTIMATE_MINUTES) {
+        return { error: `estimateMinutes must be a whole number from 1 to ${MAX_ESTIMATE_MINUTES}` };
+    }
+    return { value };
+}
+
+function parsePriority(value) {
+    if (value === null || value === '') return { value: null };
+    if (!PRIORITIES.includes(value)) {
+        return { error: `priority must be one of: ${PRIORITIES.join(', ')}` };
+    }
+    return { value };
+}
+
+function parseEnergy(value) {
+    if (value === null || value === '') return { value: null };
+    if (!ENERGY_LEVELS.includes(value)) {
+        return { error: `energy must be one of: ${ENERGY_LEVELS.join(', ')}` };
+    }
+    return { value };
+}
+
+function parseDeferredUntil(value) {
+    if (value === null || value === '') return { value: null };
+    if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+        return { error: 'deferredUntil must be an ISO 8601 date string' };
+    }
+    return { value: new Date(value).toISOString() };
+}
+
+// Validate blockedBy: IDs of other tasks in the same tree, without loops
+// (A waiting on B waiting on A would never get planned)
+function parseBlockedBy(value, { taskList, taskId = null }) {
+    if (value === null) return { value: [] };
+    if (!Array.isArray(value) || value.some(id => typeof id !== 'string')) {
+        return { error: 'blockedBy must be an array of task IDs' };
+    }
+
+    const ids = [...new Set(value)];
+    for (const id of ids) {
+        if (id === taskId) {
+            return { error: 'A task cannot be blocked by itself' };
+        }
+        if (!findTaskById(id, taskList)) {
+            return { error: `blockedBy: task ${id} not found` };
+        }
+    }
+    if (taskId && ids.some(id => waitsOn(id, taskId, taskList, new Set()))) {
+        return { error: 'blockedBy would make tasks wait on each other in a loop' };
+    }
+    return { value: ids };
+}
+
+// Does task `fromId` (directly or through others) wait on `targetId`?
+function waitsOn(fromId, targetId, taskList, seen) {
+    if (fromId === targetId) return true;
+    if (seen.has(fromId)) return false;
+    seen.add(fromId);
+
+    const task = findTaskById(fromId, taskList);
+    return Boolean(task) && (task.blockedBy || []).some(id => waitsOn(id, targetId, taskList, seen));
+}
+
+/**
+ * Check the planning fields present in a POST/PUT body without changing
+ * anything. Returns { value: { ...valid fields } } or { error, field }.
+ */
+function parsePlanningFields(body, { taskList, taskId }) {
+    const parsers = {
+        estimateMinutes: parseEstimate,
+        priority: parsePriority,
+        energy: parseEnergy,
+        deferredUntil: parseDeferredUntil,
+        blockedBy: (value) => parseBlockedBy(value, { taskList, taskId })
+    };
+    const value = {};
+
+    for (const [field, parse] of Object.entries(parsers)) {
+        if (body[field] === undefined) continue;
+        const result = parse(body[field]);
+        if (result.error) return { error: result.error, field };
+        value[field] = result.value;
+    }
+    return { value };
+}
+
+// Plan options from the query string: ?minutes=&energy=&skip=id,id
+// Returns { value } or { error, field }.
+function parsePlanQuery(query, defaults) {
+    const minutes = query.minutes === undefined ? defaults.availableMinutes : Number(query.minutes);
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_AVAILABLE_MINUTES) {
+        return { error: `minutes must be a whole number from 1 to ${MAX_AVAILABLE_MINUTES}`, field: 'minutes' };
+    }
+
+    const energy = query.energy === undefined ? { value: null } : parseEnergy(query.energy);
+    if (energy.error) return { error: energy.error, field: 'energy' };
+
+    if (query.skip !== undefined && typeof query.skip !== 'string') {
+        return { error: 'skip must be a comma-separated list of IDs', field: 'skip' };
+    }
+    const skip = query.skip ? query.skip.split(',').filter(Boolean) : [];
+
+    return { value: { availableMinutes: minutes, energy: energy.value, skip } };
+}
+
+/**
+ * Build today's plan. Every candidate gets a score from its due date,
+ * priority, energy and progress; the best ones are taken in order while
+ * they fit in availableMinutes (smaller ones can still fill a gap).
+ */
+function planDay(taskList, { availableMinutes, energy = null, skip = [], now = new Date(), defaultEstimateMinutes = 30 }) {
+    const candidates = [];
+    let blockedCount = 0;
+    let deferredCount = 0;
+
+    const isBlocked = (task) => (task.blockedBy || []).some(id => {
+        const other = findTaskById(id, taskList);
+        return other && !other.completed;
+    });
+
+    // A task blocks these many unfinished tasks (finishing it frees them up)
+    const unblocks = new Map();
+    for (const task of walkTasks(taskList)) {
+        if (task.completed) continue;
+        for (const id of task.blockedBy || []) {
+            unblocks.set(id, (unblocks.get(id) || 0) + 1);
+        }
+    }
+
+    function visit(tasks, inherited) {
+        for (const task of tasks) {
+            if (task.completed) continue;
+
+            const priority = task.priority || 'normal';
+            const context = {
+                path: [...inherited.path, task.title],
+                dueAt: earliest(inherited.dueAt, task.dueAt),
+                priority: PRIORITIES.indexOf(priority) > PRIORITIES.indexOf(inherited.priority) ? priority : inherited.priority,
+                blocked: inherited.blocked || isBlocked(task),
+                deferred: inherited.deferred || Boolean(task.deferredUntil && Date.parse(task.deferredUntil) > now.getTime())
+            };
+
+            const openChildren = (task.children || []).filter(child => !child.completed);
+            if (openChildren.length > 0) {
+                visit(openChildren, context);
+                continue;
+            }
+
+            if (context.blocked) {
+                blockedCount++;
+            } else if (context.deferred) {
+                deferredCount++;
+            } else if (!skip.includes(task.id)) {
+                const candidate = buildCandidate(task, context);
+                if (candidate.items.length > 0) candidates.push(candidate);
+            }
+        }
+    }
+
+    function buildCandidate(task, context) {
+        const spentMinutes = Math.round((task.timeEntries || []).reduce((sum, e) => sum + e.seconds, 0) / 60);
+        const estimate = task.estimateMinutes || defaultEstimateMinutes;
+        const remaining = Math.max(estimate - spentMinutes, MIN_REMAINING_MINUTES);
+        const { score, reasons } = scoreTask(task, context, { now, energy, spentMinutes, unblocks: unblocks.get(task.id) || 0 });
+
+        const base = {
+            taskId: task.id,
+            path: context.path.slice(0, -1),
+            dueAt: context.dueAt,
+            priority: context.priority,
+            energy: task.energy || null,
+            spentMinutes,
+            score,
+            reasons
+        };
+
+        // A checklist splits the remaining time into steps, done in order
+        const steps = (task.checklist || []).filter(item => !item.completed);
+        if (steps.length > 0) {
+            const perStep = Math.max(1, Math.ceil(remaining / steps.length));
+            return {
+                score,
+                items: steps
+                    .filter(item => !skip.includes(item.id))
+                    .map(item => ({ type: 'step', ...base, itemId: item.id, title: item.text, taskTitle: task.title, minutes: perStep }))
+            };
+        }
+        return { score, items: [{ type: 'task', ...base, title: task.title, minutes: remaining }] };
+    }
+
+    visit(taskList, { path: [], dueAt: null, priority: 'low', blocked: false, deferred: false });
+
+    // Best first; ties go to the earlier due date, then tree order
+    const ordered = candidates
+        .map((candidate, index) => ({ ...candidate, index }))
+        .sort((a, b) => b.score - a.score
+            || compareDue(a.items[0], b.items[0])
+            || a.index - b.index);
+
+    const items = [];
+    const unplanned = [];
+    let minutesLeft = availableMinutes;
+    for (const candidate of ordered) {
+        let fits = true;
+        for (const item of candidate.items) {
+            if (fits && item.minutes <= minutesLeft) {
+                items.push(item);
+                minutesLeft -= item.minutes;
+            } else {
+                // Steps stay in order: once one doesn't fit, the rest wait too
+                fits = false;
+                unplanned.push(item);
+            }
+        }
+    }
+
+    return {
+        date: localDate(now),
+        availableMinutes,
+        plannedMinutes: availableMinutes - minutesLeft,
+        items,
+        unplanned,
+        blockedCount,
+        deferredCount
+    };
+}
+
+// Higher is more pressing. Each part also explains itself in `reasons`.
+function scoreTask(task, context, { now, energy, spentMinutes, unblocks }) {
+    let score = 0;
+    const reasons = [];
+
+    if (context.dueAt) {
+        const daysLeft = (Date.parse(context.dueAt) - now.getTime()) / DAY_MS;
+        if (daysLeft < 0) {
+            score += 100 + Math.min(Math.ceil(-daysLeft), 10) * 5;
+            reasons.push('overdue');
+        } else if (localDate(new Date(context.dueAt)) === localDate(now)) {
+            score += 60;
+            reasons.push('due today');
+        } else if (daysLeft <= 3) {
+            score += 30;
+            reasons.push('due soon');
+        } else if (daysLeft <= 7) {
+            score += 10;
+        }
+    }
+
+    score += { low: 0, normal: 10, high: 25, urgent: 40 }[context.priority];
+    if (context.priority === 'high' || context.priority === 'urgent') {
+        reasons.push(`${context.priority} priority`);
+    }
+
+    if (energy && task.energy) {
+        const gap = ENERGY_LEVELS.indexOf(task.energy) - ENERGY_LEVELS.indexOf(energy);
+        if (gap === 0) {
+            score += 15;
+            reasons.push('matches your energy');
+        } else if (gap > 0) {
+            score -= 20 * gap; // needs more energy than you have right now
+        }
+    }
+
+    if (spentMinutes > 0) {
+        score += 10;
+        reasons.push('already started');
+    }
+    if (unblocks > 0) {
+        score += 5 * unblocks;
+        reasons.push(`unblocks ${unblocks} task${unblocks === 1 ? '' : 's'}`);
+    }
+
+    return { score, reasons };
+}
+
+function compareDue(a, b) {
+    if (a.dueAt === b.dueAt) return 0;
+    if (!a.dueAt) return 1;
+    if (!b.dueAt) return -1;
+    return a.dueAt.localeCompare(b.dueAt);
+}
+
+function earliest(a, b) {
+    if (!a) return b || null;
+    if (!b) return a;
+    return a < b ? a : b;
+}
+
+function localDate(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+module.exports = {
+    PRIORITIES,
+    ENERGY_LEVELS,
+    parsePlanningFields,
+    parsePlanQuery,
+    planDay
+};
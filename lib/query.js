@@ -0,0 +1,285 @@
+/**
+ * BriPlanner - Task Queries
+ *
+ * Filtering, sorting and paging for GET /api/tasks - a bit like a saved
+ * search in NetSuite: filters pick the tasks, a sort orders them and the
+ * results come back one page at a time.
+ *
+ * Two result shapes:
+ *
+ *   nested (default) - the usual task tree. A task is included when it
+ *                      matches, or when one of its subtasks does (so you can
+ *                      still see where a match lives).
+ *   flat             - just the matching tasks in one list, each with its
+ *                      ancestors in `path` and its depth, and without its
+ *                      `children`.
+ *
+ * Results are copies, so sorting never changes the order tasks are saved in.
+ */
+
+const { PRIORITIES } = require('./planner');
+const { normalizeTag } = require('./tags');
+
+const SORT_FIELDS = ['position', 'title', 'createdAt', 'updatedAt', 'dueAt', 'priority'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+const DATE_PARAMS = {
+    createdAfter: ['createdAt', 'from'],
+    createdBefore: ['createdAt', 'to'],
+    updatedAfter: ['updatedAt', 'from'],
+    updatedBefore: ['updatedAt', 'to']
+};
+
+/**
+ * Validate the query string of GET /api/tasks. Returns { value } or { error }.
+ *
+ *   completed=true|false          only (un)finished tasks
+ *   q=words                       every word appears in the title, description, a tag or a checklist item
+ *   priority=high,urgent          any of these priorities (a task without one counts as normal)
+ *   tag=work,errands              has all of these tags
+ *   createdAfter / createdBefore  ISO dates; "after" includes the date itself, "before" doesn't
+ *   updatedAfter / updatedBefore
+ *   maxDepth=N                    0 = top-level tasks only
+ *   sort=field | -field           position (default), title, createdAt, updatedAt, dueAt, priority
+ *   flat=true                     flat list with ancestor paths
+ *   limit=N, cursor=...           page size, and the X-Next-Cursor of the previous page
+ */
+function parseTaskQuery(query = {}) {
+    const value = {
+        completed: null,
+        terms: [],
+        priorities: [],
+        tags: [],
+        ranges: {},
+        maxDepth: Infinity,
+        sort: { field: 'position', descending: false },
+        flat: false,
+        limit: null,
+        cursor: null
+    };
+
+    for (const [name, raw] of Object.entries(query)) {
+        if (typeof raw !== 'string') {
+            return { error: `${name} can only be given once` };
+        }
+    }
+
+    if (query.completed !== undefined) {
+        const parsed = parseBoolean(query.completed);
+        if (parsed === null) return { error: 'completed must be true or false' };
+        value.completed = parsed;
+    }
+
+    if (query.q !== undefined) {
+        value.terms = query.q.toLowerCase().split(/\s+/).filter(Boolean);
+    }
+
+    if (query.priority !== undefined) {
+        value.priorities = query.priority.split(',').filter(Boolean);
+        if (value.priorities.length === 0 || value.priorities.some(p => !PRIORITIES.includes(p))) {
+            return { error: `priority must be one or more of: ${PRIORITIES.join(', ')}` };
+        }
+    }
+
+    if (query.tag !== undefined) {
+        value.tags = query.tag.split(',').map(normalizeTag).filter(Boolean);
+    }
+
+    for (const [name, [field, end]] of Object.entries(DATE_PARAMS)) {
+        if (query[name] === undefined) continue;
+        const time = Date.parse(query[name]);
+        if (Number.isNaN(time)) return { error: `${name} must be an ISO 8601 date` };
+        value.ranges[field] = { ...value.ranges[field], [end]: time };
+    }
+
+    if (query.maxDepth !== undefined) {
+        const depth = parseWholeNumber(query.maxDepth);
+        if (depth === null) return { error: 'maxDepth must be a whole number of 0 or more' };
+        value.maxDepth = depth;
+    }
+
+    if (query.sort !== undefined) {
+        const descending = query.sort.startsWith('-');
+        const field = descending ? query.sort.slice(1) : query.sort;
+        if (!SORT_FIELDS.includes(field)) {
+            return { error: `sort must be one of: ${SORT_FIELDS.join(', ')} (prefix with - for descending)` };
+        }
+        value.sort = { field, descending };
+    }
+
+    if (query.flat !== undefined) {
+        const parsed = parseBoolean(query.flat);
+        if (parsed === null) return { error: 'flat must be true or false' };
+        value.flat = parsed;
+    }
+
+    if (query.limit !== undefined) {
+        const limit = parseWholeNumber(query.limit);
+        if (limit === null || limit < 1 || limit > MAX_LIMIT) {
+            return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+        }
+        value.limit = limit;
+    }
+
+    if (query.cursor !== undefined) {
+        const cursor = decodeCursor(query.cursor);
+        if (!cursor) return { error: 'cursor is not valid' };
+        value.cursor = cursor;
+        value.limit = value.limit || DEFAULT_LIMIT;
+    }
+
+    return { value };
+}
+
+/**
+ * Run a parsed query against a task tree.
+ * Returns { tasks, total, nextCursor } - total counts every result before
+ * paging (top-level tasks in nested mode), nextCursor is null on the last page.
+ */
+function queryTasks(taskList, options) {
+    const matches = (task) => matchesFilters(task, options);
+    const sort = (list) => sortList(list, options.sort);
+
+    const results = options.flat
+        ? sort(flattenMatches(taskList, matches, options.maxDepth))
+        : filterTree(taskList, matches, sort, options.maxDepth);
+
+    if (!options.limit) {
+        return { tasks: results, total: results.length, nextCursor: null };
+    }
+    return { ...paginate(results, options.limit, options.cursor), total: results.length };
+}
+
+function matchesFilters(task, { completed, terms, priorities = [], tags = [], ranges }) {
+    if (completed !== null && Boolean(task.completed) !== completed) return false;
+    if (priorities.length > 0 && !priorities.includes(task.priority || 'normal')) return false;
+    if (tags.length > 0 && !tags.every(tag => (task.tags || []).includes(tag))) return false;
+
+    for (const [field, { from, to }] of Object.entries(ranges)) {
+        const time = Date.parse(task[field]);
+        if (Number.isNaN(time)) return false;
+        if (from !== undefined && time < from) return false;
+        if (to !== undefined && time >= to) return false;
+    }
+
+    if (terms.length > 0) {
+        const text = [
+            task.title,
+            task.description,
+            ...(task.tags || []),
+            ...(task.checklist || []).map(item => item.text)
+        ].join('\n').toLowerCase();
+        if (!terms.every(term => text.includes(term))) return false;
+    }
+
+    return true;
+}
+
+// Nested results: copies of the matching tasks, plus the ancestors needed to
+// reach them, with every level of children sorted
+function filterTree(taskList, matches, sort, maxDepth, depth = 0) {
+    const results = [];
+    for (const task of taskList) {
+        const children = depth < maxDepth
+            ? filterTree(task.children || [], matches, sort, maxDepth, depth + 1)
+            : [];
+        if (matches(task) || children.length > 0) {
+            results.push({ ...task, children });
+        }
+    }
+    return sort(results);
+}
+
+// Flat results: matching tasks in tree order, each with its ancestor path
+function flattenMatches(taskList, matches, maxDepth, path = [], results = []) {
+    for (const task of taskList) {
+        if (matches(task)) {
+            const { children, ...fields } = task;
+            results.push({
+                ...fields,
+                depth: path.length,
+                path: [...path],
+                childCount: (children || []).length
+            });
+        }
+        if (path.length < maxDepth && task.children) {
+            flattenMatches(task.children, matches, maxDepth, [...path, { id: task.id, title: task.title }], results);
+        }
+    }
+    return results;
+}
+
+// Sort a list of results in place. 'position' keeps the tree order (or
+// reverses it), 'priority' goes from low to urgent (a task without one counts
+// as normal). Tasks without a due date go last, and ties are broken by ID so
+// pages stay stable.
+function sortList(list, { field, descending }) {
+    if (field === 'position') {
+        return descending ? list.reverse() : list;
+    }
+    if (field === 'priority') {
+        const rank = (task) => PRIORITIES.indexOf(task.priority || 'normal');
+        return list.sort((a, b) => (descending ? rank(b) - rank(a) : rank(a) - rank(b)) || a.id.localeCompare(b.id));
+    }
+
+    return list.sort((a, b) => {
+        const left = a[field];
+        const right = b[field];
+        if (left == null || right == null) {
+            if (left == null && right == null) return a.id.localeCompare(b.id);
+            return left == null ? 1 : -1;
+        }
+
+        const order = field === 'title'
+            ? left.localeCompare(right, undefined, { sensitivity: 'base' })
+            : Date.parse(left) - Date.parse(right);
+        return (descending ? -order : order) || a.id.localeCompare(b.id);
+    });
+}
+
+// The cursor remembers the last task on the page and its offset. The next
+// page starts after that task, or at the offset if the task has since gone.
+function paginate(results, limit, cursor) {
+    let start = 0;
+    if (cursor) {
+        const index = results.findIndex(task => task.id === cursor.after);
+        start = index === -1 ? Math.min(cursor.offset, results.length) : index + 1;
+    }
+
+    const tasks = results.slice(start, start + limit);
+    const end = start + tasks.length;
+    const nextCursor = end < results.length
+        ? encodeCursor({ after: tasks[tasks.length - 1].id, offset: end })
+        : null;
+
+    return { tasks, nextCursor };
+}
+
+function encodeCursor(cursor) {
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(text) {
+    try {
+        const cursor = JSON.parse(Buffer.from(text, 'base64url').toString('utf8'));
+        if (typeof cursor.after === 'string' && Number.isInteger(cursor.offset) && cursor.offset >= 0) {
+            return cursor;
+        }
+    } catch (error) {
+        // fall through
+    }
+    return null;
+}
+
+function parseBoolean(text) {
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    return null;
+}
+
+function parseWholeNumber(text) {
+    return /^\d+$/.test(text) ? Number(text) : null;
+}
+
+module.exports = { parseTaskQuery, queryTasks, SORT_FIELDS, MAX_LIMIT };
@@ -0,0 +1,322 @@
+/**
+ * BriPlanner - Quick Add
+ *
+ * Turns one line of text into a new task, so capturing a thought is just
+ * typing it - a bit like NetSuite's global search shortcuts ("cu: acme"),
+ * where a few characters stand in for a whole form:
+ *
+ *   parseQuickAdd('Call pharmacy tomorrow 5pm #health !high ~15m')
+ *   → { value: { title: 'Call pharmacy', dueAt: '<tomorrow at 17:00>',
+ *                tags: ['health'], priority: 'high', estimateMinutes: 15 } }
+ *
+ * What's recognized, anywhere in the line:
+ *
+ *   #tag          a tag (as many as you like)
+ *   !priority     !low, !normal, !high, !urgent (or !l, !n, !h, !u)
+ *   ~estimate     ~15m, ~1h, ~1h30m, ~1.5h, or ~20 for minutes
+ *   due date      today, tonight, tomorrow, monday … sunday (the next one,
+ *                 "mon" works too), next week (Monday), in 3 days,
+ *                 in 2 weeks, in 4 hours, in 30 minutes, may 5, 5 may,
+ *                 2026-05-05
+ *   time          5pm, 5:30pm, 5 pm, 17:00, noon
+ *
+ * A date and a time can have "on", "at", "by" or "due" in front of them,
+ * which goes too ("Pay rent by friday"). A date without a time is due at
+ * 17:00 ("tonight" at 20:00); a time without a date is today, or tomorrow
+ * once that time has passed. Only the first date and time count - a second
+ * one stays in the title. Everything else is the title; put words in
+ * "double quotes" to keep them in it as they are ("Read "Monday" notes").
+ *
+ * Dates are worked out in `timeZone` (an IANA name like "Europe/London",
+ * which the browser knows), or else in the server's local time zone.
+ */
+
+const { parseTags } = require('./tags');
+const { PRIORITIES } = require('./planner');
+const { zonedTimeToUtc } = require('./ical');
+
+const DEFAULT_DUE_HOUR = 17;
+const TONIGHT_HOUR = 20;
+
+const PRIORITY_SHORTHANDS = { l: 'low', n: 'normal', h: 'high', u: 'urgent' };
+
+// Index matches Date.getDay() (0 = Sunday)
+const WEEKDAYS = [
+    ['sunday', 'sun'],
+    ['monday', 'mon'],
+    ['tuesday', 'tue', 'tues'],
+    ['wednesday', 'wed'],
+    ['thursday', 'thu', 'thur', 'thurs'],
+    ['friday', 'fri'],
+    ['saturday', 'sat']
+];
+const MONTHS = [
+    'january', 'february', 'march', 'april', 'may', 'june',
+    'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+const PREPOSITIONS = ['on', 'at', 'by', 'due'];
+
+/**
+ * Parse a quick-add line. `now` and `timeZone` are what "tomorrow" and
+ * "5pm" are relative to. Returns { value: { title, dueAt?, tags?,
+ * priority?, estimateMinutes? } } - only the fields that were found - or
+ * { error, field }.
+ */
+function parseQuickAdd(text, { now = new Date(), timeZone = null } = {}) {
+    if (typeof text !== 'string' || !text.trim()) {
+        return { error: 'text cannot be empty', field: 'text' };
+    }
+    if (timeZone !== null && !isTimeZone(timeZone)) {
+        return { error: `"${timeZone}" is not a known time zone`, field: 'timeZone' };
+    }
+
+    const today = wallClock(now, timeZone);
+    const tokens = tokenize(text);
+    const title = [];
+    const tags = [];
+    const found = {};
+    let date = null; // { year, month, day }
+    let time = null; // { hour, minute }
+    let defaultHour = DEFAULT_DUE_HOUR;
+
+    for (let i = 0; i < tokens.length;) {
+        const token = tokens[i];
+        if (token.literal) {
+            title.push(token.text);
+            i++;
+            continue;
+        }
+
+        // A preposition only goes with a date or time right after it
+        const start = PREPOSITIONS.includes(token.word) && i + 1 < tokens.length ? i + 1 : i;
+        const when = (!date && matchDate(tokens, start, today)) || (!time && matchTime(tokens, start));
+        if (when) {
+            if (when.date && !date) date = when.date;
+            if (when.time && !time) time = when.time;
+            if (when.defaultHour !== undefined) defaultHour = when.defaultHour;
+            i = start + when.length;
+            continue;
+        }
+
+        const tag = /^#([^#\s]+?)[.,;]?$/.exec(token.text);
+        const priority = /^!([a-z]+)$/.exec(token.word);
+        const estimate = !found.estimateMinutes && /^~/.test(token.word) ? parseEstimateText(token.word.slice(1)) : null;
+
+        if (tag) {
+            tags.push(tag[1]);
+        } else if (priority && !found.priority && (PRIORITIES.includes(priority[1]) || PRIORITY_SHORTHANDS[priority[1]])) {
+            found.priority = PRIORITY_SHORTHANDS[priority[1]] || priority[1];
+        } else if (estimate) {
+            found.estimateMinutes = estimate;
+        } else {
+            title.push(token.text);
+        }
+        i++;
+    }
+
+    const value = { title: title.join(' ').trim() };
+    if (!value.title) {
+        return { error: 'Say what the task is, not just when or how', field: 'text' };
+    }
+
+    if (date || time) {
+        let day = date || today;
+        const at = time || { hour: defaultHour, minute: 0 };
+        // A time on its own that has already passed today means tomorrow
+        if (!date && (at.hour < today.hour || (at.hour === today.hour && at.minute <= today.minute))) {
+            day = addDays(today, 1);
+        }
+        value.dueAt = new Date(toTimestamp({ ...day, ...at }, timeZone)).toISOString();
+    }
+    if (tags.length > 0) {
+        const parsed = parseTags(tags);
+        if (parsed.error) return { error: parsed.error, field: 'text' };
+        value.tags = parsed.value;
+    }
+    return { value: { ...value, ...found } };
+}
+
+// Words, and "quoted text" kept together as a literal (never a date or tag)
+function tokenize(text) {
+    const tokens = [];
+    for (const match of text.matchAll(/"([^"]*)"|(\S+)/g)) {
+        if (match[1] !== undefined) {
+            if (match[1]) tokens.push({ text: match[1], literal: true });
+        } else {
+            tokens.push({ text: match[2], word: match[2].toLowerCase().replace(/[.,;]$/, '') });
+        }
+    }
+    return tokens;
+}
+
+// A due date starting at tokens[i]: { date, time?, defaultHour?, length } or null
+function matchDate(tokens, i, today) {
+    const word = at => (tokens[at] && !tokens[at].literal ? tokens[at].word : null);
+    const first = word(i);
+    if (!first) return null;
+
+    if (first === 'today') return { date: today, length: 1 };
+    if (first === 'tonight') return { date: today, defaultHour: TONIGHT_HOUR, length: 1 };
+    if (['tomorrow', 'tmrw', 'tmr'].includes(first)) return { date: addDays(today, 1), length: 1 };
+
+    const weekday = WEEKDAYS.findIndex(names => names.includes(first));
+    if (weekday !== -1) {
+        return { date: addDays(today, ((weekday - today.weekday + 6) % 7) + 1), length: 1 };
+    }
+    if (first === 'next' && word(i + 1) === 'week') {
+        return { date: addDays(today, ((1 - today.weekday + 6) % 7) + 1), length: 2 };
+    }
+    if (first === 'next' && WEEKDAYS.some(names => names.includes(word(i + 1)))) {
+        return { ...matchDate(tokens, i + 1, today), length: 2 };
+    }
+
+    // in 3 days / 2 weeks / 4 hours / 30 minutes
+    const amount = Number(word(i + 1));
+    const unit = word(i + 2);
+    if (first === 'in' && Number.isInteger(amount) && amount > 0 && amount <= 1000 && unit) {
+        if (/^days?$/.test(unit)) return { date: addDays(today, amount), length: 3 };
+        if (/^weeks?$/.test(unit)) return { date: addDays(today, amount * 7), length: 3 };
+        const minutes = /^(hours?|hrs?)$/.test(unit) ? amount * 60 : /^(minutes?|mins?)$/.test(unit) ? amount : null;
+        if (minutes !== null) {
+            const later = addMinutes(today, minutes);
+            return { date: later, time: { hour: later.hour, minute: later.minute }, length: 3 };
+        }
+    }
+
+    // 2026-05-05
+    const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(first);
+    if (iso) {
+        const date = checkedDate(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+        return date ? { date, length: 1 } : null;
+    }
+
+    // may 5 / may 5th / 5 may / 5th may - this year, or next once it's passed
+    const monthAt = at => MONTHS.findIndex(name => word(at) === name || word(at) === name.slice(0, 3));
+    const dayAt = at => {
+        const match = /^(\d{1,2})(st|nd|rd|th)?$/.exec(word(at) || '');
+        return match ? Number(match[1]) : null;
+    };
+    let month = monthAt(i);
+    let day = dayAt(i + 1);
+    if (month === -1 || day === null) {
+        month = monthAt(i + 1);
+        day = dayAt(i);
+    }
+    if (month !== -1 && day !== null) {
+        let date = checkedDate(today.year, month + 1, day);
+        if (date && compareDates(date, today) < 0) date = checkedDate(today.year + 1, month + 1, day);
+        return date ? { date, length: 2 } : null;
+    }
+    return null;
+}
+
+// A time starting at tokens[i]: { time, length } or null
+function matchTime(tokens, i) {
+    const word = at => (tokens[at] && !tokens[at].literal ? tokens[at].word : null);
+    const first = word(i);
+    if (!first) return null;
+    if (first === 'noon') return { time: { hour: 12, minute: 0 }, length: 1 };
+
+    // 5pm, 5:30pm, or 5 pm as two words
+    let match = /^(\d{1,2})(?::([0-5]\d))?(am|pm)$/.exec(first);
+    let length = 1;
+    if (!match && /^(am|pm)$/.test(word(i + 1) || '')) {
+        match = /^(\d{1,2})(?::([0-5]\d))?()$/.exec(first);
+        if (match) match[3] = word(i + 1);
+        length = 2;
+    }
+    if (match) {
+        const hour = Number(match[1]);
+        if (hour < 1 || hour > 12) return null;
+        return { time: { hour: (hour % 12) + (match[3] === 'pm' ? 12 : 0), minute: Number(match[2] || 0) }, length };
+    }
+
+    // 17:00
+    match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(first);
+    return match ? { time: { hour: Number(match[1]), minute: Number(match[2]) }, length: 1 } : null;
+}
+
+// "15m", "1h", "1h30m", "1.5h", "20" → minutes, or null
+function parseEstimateText(text) {
+    let minutes = null;
+    const match = /^(?:(\d+(?:\.\d+)?)h)?(?:(\d+)m(?:in)?)?$/.exec(text);
+    if (/^\d+$/.test(text)) {
+        minutes = Number(text);
+    } else if (match && (match[1] || match[2])) {
+        minutes = Math.round(Number(match[1] || 0) * 60) + Number(match[2] || 0);
+    }
+    return minutes > 0 ? minutes : null;
+}
+
+function isTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// The date and time on the clock at `now`: { year, month, day, hour, minute, weekday }
+function wallClock(now, timeZone) {
+    if (!timeZone) {
+        return {
+            year: now.getFullYear(),
+            month: now.getMonth() + 1,
+            day: now.getDate(),
+            hour: now.getHours(),
+            minute: now.getMinutes(),
+            weekday: now.getDay()
+        };
+    }
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric'
+    }).formatToParts(now).map(part => [part.type, Number(part.value)]));
+    return withWeekday({ year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute });
+}
+
+// Calendar arithmetic, done in UTC so no time zone gets in the way
+function withWeekday(clock) {
+    return { ...clock, weekday: new Date(Date.UTC(clock.year, clock.month - 1, clock.day)).getUTCDay() };
+}
+
+function addDays(clock, days) {
+    return addMinutes(clock, days * 24 * 60);
+}
+
+function addMinutes(clock, minutes) {
+    const date = new Date(Date.UTC(clock.year, clock.month - 1, clock.day, clock.hour || 0, (clock.minute || 0) + minutes));
+    return withWeekday({
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        hour: date.getUTCHours(),
+        minute: date.getUTCMinutes()
+    });
+}
+
+// { year, month, day } when that day exists (no February 30th), else null
+function checkedDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return withWeekday({ year, month, day });
+}
+
+function compareDates(a, b) {
+    return Date.UTC(a.year, a.month - 1, a.day) - Date.UTC(b.year, b.month - 1, b.day);
+}
+
+// The moment a wall-clock time happens, in `timeZone` or the server's zone
+function toTimestamp({ year, month, day, hour, minute }, timeZone) {
+    if (timeZone) return zonedTimeToUtc([year, month, day, hour, minute, 0], timeZone);
+    return new Date(year, month - 1, day, hour, minute).getTime();
+}
+
+module.exports = { parseQuickAdd, isTimeZone, wallClock, addDays, toTimestamp };
@@ -0,0 +1,392 @@
+/**
+ * BriPlanner - Recurring Tasks
+ *
+ * Repeat rules follow the iCalendar RRULE format (RFC 5545), the same format
+ * Google Calendar and Outlook use, e.g.:
+ *
+ *   FREQ=DAILY                              every day ("take meds")
+ *   FREQ=MONTHLY;BYMONTHDAY=1               the 1st of every month ("pay rent")
+ *   FREQ=WEEKLY;BYDAY=SU                    every Sunday ("weekly review")
+ *   FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1   last weekday of the month
+ *
+ * Supported parts: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, COUNT,
+ * UNTIL, BYDAY (with ordinals such as 2MO or -1FR), BYMONTHDAY, BYMONTH,
+ * BYSETPOS and WKST.
+ *
+ * A recurring task stores its rule and the start of the series:
+ *
+ *   task.recurrence = { rule: 'FREQ=WEEKLY;BYDAY=SU', dtstart: '2024-05-05T18:00:00.000Z' }
+ *
+ * Dates are calculated in the server's local time zone (set the TZ
+ * environment variable), so "9am every day" stays at 9am across
+ * daylight saving changes.
+ */
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// Index matches Date.getDay() (0 = Sunday)
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Give up after this many periods in a row without a match, so impossible
+// rules (like February 30th) can't loop forever
+const MAX_EMPTY_PERIODS = 5000;
+
+const MAX_PREVIEW = 100;
+
+// Parse an RRULE string into a rule object. Throws with a readable message
+// when the rule is invalid or uses parts we don't support.
+function parseRule(text) {
+    if (typeof text !== 'string' || text.trim() === '') {
+        throw new Error('Repeat rule must be a non-empty RRULE string');
+    }
+
+    const rule = {
+        freq: null,
+        interval: 1,
+        count: null,
+        until: null,
+        byDay: [],
+        byMonthDay: [],
+        byMonth: [],
+        bySetPos: [],
+        wkst: 1 // Monday
+    };
+
+    const body = text.trim().replace(/^RRULE:/i, '');
+    for (const part of body.split(';')) {
+        if (!part) continue;
+        const [rawName, value] = part.split('=');
+        const name = rawName.toUpperCase();
+
+        if (value === undefined || value === '') {
+            throw new Error(`Repeat rule part "${part}" has no value`);
+        }
+
+        switch (name) {
+            case 'FREQ':
+                rule.freq = value.toUpperCase();
+                if (!FREQUENCIES.includes(rule.freq)) {
+                    throw new Error(`FREQ must be one of ${FREQUENCIES.join(', ')}`);
+                }
+                break;
+            case 'INTERVAL':
+                rule.interval = parseInteger(value, 'INTERVAL', 1, 1000);
+                break;
+            case 'COUNT':
+                rule.count = parseInteger(value, 'COUNT', 1, 10000);
+                break;
+            case 'UNTIL':
+                rule.until = parseUntil(value);
+                break;
+            case 'BYDAY':
+                rule.byDay = value.split(',').map(parseWeekday);
+                break;
+            case 'BYMONTHDAY':
+                rule.byMonthDay = value.split(',').map(v => parseNonZero(v, 'BYMONTHDAY', 31));
+                break;
+            case 'BYMONTH':
+                rule.byMonth = value.split(',').map(v => parseInteger(v, 'BYMONTH', 1, 12));
+                break;
+            case 'BYSETPOS':
+                rule.bySetPos = value.split(',').map(v => parseNonZero(v, 'BYSETPOS', 366));
+                break;
+            case 'WKST':
+                rule.wkst = WEEKDAYS.indexOf(value.toUpperCase());
+                if (rule.wkst === -1) throw new Error(`WKST "${value}" is not a weekday`);
+                break;
+            default:
+                throw new Error(`Repeat rule part ${name} is not supported`);
+        }
+    }
+
+    if (!rule.freq) {
+        throw new Error('Repeat rule needs a FREQ (e.g. FREQ=DAILY)');
+    }
+    if (rule.count && rule.until) {
+        throw new Error('Repeat rule can have COUNT or UNTIL, not both');
+    }
+    if (rule.byDay.some(d => d.n !== 0) && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+        throw new Error('Numbered BYDAY values (like 2MO) only work with FREQ=MONTHLY or FREQ=YEARLY');
+    }
+
+    return rule;
+}
+
+// Turn a rule object back into a normalized RRULE string
+function formatRule(rule) {
+    const parts = [`FREQ=${rule.freq}`];
+    if (rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.byMonth.length) parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+    if (rule.byMonthDay.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+    if (rule.byDay.length) parts.push(`BYDAY=${rule.byDay.map(d => `${d.n || ''}${WEEKDAYS[d.weekday]}`).join(',')}`);
+    if (rule.bySetPos.length) parts.push(`BYSETPOS=${rule.bySetPos.join(',')}`);
+    if (rule.wkst !== 1) parts.push(`WKST=${WEEKDAYS[rule.wkst]}`);
+    if (rule.count) parts.push(`COUNT=${rule.count}`);
+    if (rule.until) parts.push(`UNTIL=${rule.until.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+    return parts.join(';');
+}
+
+// Validate a recurrence value from a request. Accepts an RRULE string, an
+// object { rule, dtstart }, or null to stop repeating.
+// Returns { value } or { error }.
+function parseRecurrence(value) {
+    if (value === null) return { value: null };
+
+    const input = typeof value === 'string' ? { rule: value } : value;
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'recurrence must be an RRULE string or { rule, dtstart }' };
+    }
+
+    let rule;
+    try {
+        rule = parseRule(input.rule);
+    } catch (error) {
+        return { error: error.message };
+    }
+
+    let dtstart = null;
+    if (input.dtstart !== undefined && input.dtstart !== null) {
+        if (typeof input.dtstart !== 'string' || Number.isNaN(Date.parse(input.dtstart))) {
+            return { error: 'recurrence.dtstart must be an ISO 8601 date string' };
+        }
+        dtstart = new Date(input.dtstart).toISOString();
+    }
+
+    return { value: { rule: formatRule(rule), dtstart } };
+}
+
+/**
+ * List occurrences of a series in order.
+ *
+ * Options:
+ *   after     - only occurrences strictly after this date
+ *   from      - only occurrences on or after this date
+ *   limit     - stop after this many (default 10)
+ */
+function listOccurrences(recurrence, { after = null, from = null, limit = 10 } = {}) {
+    const results = [];
+    if (limit <= 0) return results;
+
+    for (const date of iterate(parseRule(recurrence.rule), new Date(recurrence.dtstart))) {
+        if (after && date <= after) continue;
+        if (from && date < from) continue;
+        results.push(date);
+        if (results.length >= limit) break;
+    }
+    return results;
+}
+
+// The next occurrence strictly after the given date, or null when the series has ended
+function nextOccurrence(recurrence, after) {
+    return listOccurrences(recurrence, { after: new Date(after), limit: 1 })[0] || null;
+}
+
+// Generate every occurrence of a rule, starting at dtstart
+function* iterate(rule, dtstart) {
+    let emitted = 0;
+    let emptyPeriods = 0;
+
+    for (let period = 0; emptyPeriods < MAX_EMPTY_PERIODS; period++) {
+        const candidates = applySetPos(periodCandidates(rule, dtstart, period), rule.bySetPos);
+        emptyPeriods = candidates.length === 0 ? emptyPeriods + 1 : 0;
+
+        for (const date of candidates) {
+            if (date < dtstart) continue;
+            if (rule.until && date > rule.until) return;
+            yield date;
+            emitted++;
+            if (rule.count && emitted >= rule.count) return;
+        }
+    }
+}
+
+// All dates in the Nth period (day/week/month/year) of the rule, sorted
+function periodCandidates(rule, dtstart, period) {
+    const step = period * rule.interval;
+    const year = dtstart.getFullYear();
+    const month = dtstart.getMonth();
+    const day = dtstart.getDate();
+    let days = [];
+
+    switch (rule.freq) {
+        case 'DAILY': {
+            days = [new Date(year, month, day + step)];
+            break;
+        }
+        case 'WEEKLY': {
+            // Start of the week containing dtstart, respecting WKST
+            const offset = (dtstart.getDay() - rule.wkst + 7) % 7;
+            const weekStart = new Date(year, month, day - offset + step * 7);
+            const weekdays = rule.byDay.length ? rule.byDay.map(d => d.weekday) : [dtstart.getDay()];
+            for (let i = 0; i < 7; i++) {
+                const date = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + i);
+                if (weekdays.includes(date.getDay())) days.push(date);
+            }
+            break;
+        }
+        case 'MONTHLY': {
+            const first = new Date(year, month + step, 1);
+            days = monthDays(rule, first.getFullYear(), first.getMonth(), day);
+            break;
+        }
+        case 'YEARLY': {
+            const targetYear = year + step;
+            if (!rule.byMonth.length && rule.byDay.some(d => d.n !== 0) && !rule.byMonthDay.length) {
+                // e.g. FREQ=YEARLY;BYDAY=20MO - the 20th Monday of the year
+                days = nthWeekdays(rule.byDay, dayRange(targetYear, 0, 365 + (isLeapYear(targetYear) ? 1 : 0)));
+            } else {
+                const months = rule.byMonth.length ? rule.byMonth.map(m => m - 1) : [month];
+                for (const m of months) {
+                    days.push(...monthDays(rule, targetYear, m, day));
+                }
+            }
+            break;
+        }
+    }
+
+    return days
+        .filter(date => matchesFilters(rule, date))
+        .map(date => withTimeOf(date, dtstart))
+        .sort((a, b) => a - b);
+}
+
+// Candidate days within one month for MONTHLY and YEARLY rules
+function monthDays(rule, year, month, defaultDay) {
+    const length = daysInMonth(year, month);
+    let days;
+
+    if (rule.byMonthDay.length) {
+        days = rule.byMonthDay
+            .map(d => (d > 0 ? d : length + d + 1))
+            .filter(d => d >= 1 && d <= length)
+            .map(d => new Date(year, month, d));
+    } else if (rule.byDay.length) {
+        days = nthWeekdays(rule.byDay, dayRange(year, month, length));
+    } else {
+        // Months without that day (e.g. the 31st) are skipped, as RFC 5545 says
+        days = defaultDay <= length ? [new Date(year, month, defaultDay)] : [];
+    }
+    return days;
+}
+
+// Pick the days matching BYDAY entries from a range. An entry with n = 0
+// matches every such weekday; n = 2 the second one; n = -1 the last one.
+function nthWeekdays(byDay, range) {
+    const picked = new Set();
+    for (const { weekday, n } of byDay) {
+        const matches = range.filter(date => date.getDay() === weekday);
+        if (n === 0) {
+            matches.forEach(date => picked.add(date));
+        } else {
+            const date = n > 0 ? matches[n - 1] : matches[matches.length + n];
+            if (date) picked.add(date);
+        }
+    }
+    return [...picked];
+}
+
+// BYxxx parts that narrow down the candidates instead of expanding them
+function matchesFilters(rule, date) {
+    if (rule.byMonth.length && !rule.byMonth.includes(date.getMonth() + 1)) return false;
+
+    if (rule.freq === 'DAILY') {
+        if (rule.byDay.length && !rule.byDay.some(d => d.weekday === date.getDay())) return false;
+        if (rule.byMonthDay.length) {
+            const length = daysInMonth(date.getFullYear(), date.getMonth());
+            const matches = rule.byMonthDay.some(d => (d > 0 ? d : length + d + 1) === date.getDate());
+            if (!matches) return false;
+        }
+    }
+    if (['MONTHLY', 'YEARLY'].includes(rule.freq) && rule.byMonthDay.length && rule.byDay.length) {
+        // Both given: a day must match both (e.g. Friday the 13th)
+        if (!rule.byDay.some(d => d.weekday === date.getDay())) return false;
+    }
+    return true;
+}
+
+// BYSETPOS picks positions from the sorted candidates of each period
+function applySetPos(dates, bySetPos) {
+    if (!bySetPos.length) return dates;
+    const picked = bySetPos
+        .map(pos => (pos > 0 ? dates[pos - 1] : dates[dates.length + pos]))
+        .filter(Boolean);
+    return [...new Set(picked)].sort((a, b) => a - b);
+}
+
+function dayRange(year, month, count) {
+    const days = [];
+    for (let i = 0; i < count; i++) {
+        days.push(new Date(year, month, 1 + i));
+    }
+    return days;
+}
+
+function withTimeOf(date, source) {
+    return new Date(
+        date.getFullYear(), date.getMonth(), date.getDate(),
+        source.getHours(), source.getMinutes(), source.getSeconds()
+    );
+}
+
+function daysInMonth(year, month) {
+    return new Date(year, month + 1, 0).getDate();
+}
+
+function isLeapYear(year) {
+    return daysInMonth(year, 1) === 29;
+}
+
+function parseInteger(value, name, min, max) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw new Error(`${name} must be a whole number between ${min} and ${max}`);
+    }
+    return number;
+}
+
+function parseNonZero(value, name, max) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number === 0 || Math.abs(number) > max) {
+        throw new Error(`${name} must be a whole number between -${max} and ${max}, but not 0`);
+    }
+    return number;
+}
+
+// BYDAY entries look like MO, 2MO or -1FR
+function parseWeekday(value) {
+    const match = /^([+-]?\d{1,2})?([A-Z]{2})$/i.exec(value.trim());
+    const weekday = match ? WEEKDAYS.indexOf(match[2].toUpperCase()) : -1;
+    if (weekday === -1) {
+        throw new Error(`BYDAY value "${value}" is not a weekday like MO or 2MO`);
+    }
+    const n = match[1] ? Number(match[1]) : 0;
+    if (Math.abs(n) > 53) {
+        throw new Error(`BYDAY value "${value}" has an ordinal out of range`);
+    }
+    return { weekday, n };
+}
+
+// UNTIL is either a date (20240531) or a UTC date-time (20240531T235959Z)
+function parseUntil(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+    if (!match) {
+        throw new Error('UNTIL must look like 20240531 or 20240531T235959Z');
+    }
+    const [, y, mo, d, h, mi, s, utc] = match;
+    if (h === undefined) {
+        // A plain date includes the whole day
+        return new Date(Number(y), Number(mo) - 1, Number(d), 23, 59, 59);
+    }
+    return utc
+        ? new Date(Date.UTC(Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi), Number(s)))
+        : new Date(Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi), Number(s));
+}
+
+module.exports = {
+    parseRule,
+    formatRule,
+    parseRecurrence,
+    listOccurrences,
+    nextOccurrence,
+    MAX_PREVIEW
+};
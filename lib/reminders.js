@@ -0,0 +1,248 @@
+/**
+ * BriPlanner - Due Dates and Automatic Reminders
+ *
+ * A task can carry a due date (dueAt) and one or more reminder offsets
+ * (remindAt, in minutes before the due date). From those we build a reminder
+ * schedule that is stored on the task itself, so it is saved with the rest of
+ * the data and survives restarts:
+ *
+ *   task.reminders = [
+ *     { offsetMinutes: 60, fireAt: '2024-05-01T08:00:00.000Z', status: 'pending', handledAt: null }
+ *   ]
+ *
+ * The scheduler works like a Scheduled Script in NetSuite: a timer wakes up
+ * every minute, finds reminders whose fireAt has passed, and emails them.
+ * Each reminder ends up as 'sent', 'failed' or 'skipped'.
+ *
+ * After downtime we don't flood the inbox with every reminder we missed:
+ * reminders older than the catch-up window are skipped, and when several
+ * reminders for the same task are due at once only the latest one is sent.
+ */
+
+const { walkTasks } = require('./tasks');
+
+// Reminders can't be set further out than this (one year, in minutes)
+const MAX_REMINDER_OFFSET = 365 * 24 * 60;
+const MAX_REMINDERS_PER_TASK = 10;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+// Validate a dueAt value from a request. Returns { value } or { error }.
+// null or an empty string clears the due date.
+function parseDueAt(value) {
+    if (value === null || value === '') return { value: null };
+    if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+        return { error: 'dueAt must be an ISO 8601 date string' };
+    }
+    return { value: new Date(value).toISOString() };
+}
+
+// Validate a remindAt value: a list of whole minutes before the due date
+function parseRemindAt(value) {
+    if (value === null) return { value: [] };
+    if (!Array.isArray(value)) {
+        return { error: 'remindAt must be an array of minutes before the due date' };
+    }
+    if (value.length > MAX_REMINDERS_PER_TASK) {
+        return { error: `A task can have at most ${MAX_REMINDERS_PER_TASK} reminders` };
+    }
+    for (const offset of value) {
+        if (!Number.isInteger(offset) || offset < 0 || offset > MAX_REMINDER_OFFSET) {
+            return { error: `remindAt offsets must be whole minutes between 0 and ${MAX_REMINDER_OFFSET}` };
+        }
+    }
+    // Largest offset first, so the schedule is in firing order
+    return { value: [...new Set(value)].sort((a, b) => b - a) };
+}
+
+// Validate the optional address that scheduled reminders are sent to
+function parseReminderEmail(value) {
+    if (value === null || value === '') return { value: null };
+    if (typeof value !== 'string' || !EMAIL_PATTERN.test(value)) {
+        return { error: 'reminderEmail must be a valid email address' };
+    }
+    return { value };
+}
+
+// Build the reminder schedule for a task from its dueAt and remindAt.
+// Entries that haven't moved keep their status, so editing a task doesn't
+// resend reminders that already went out.
+function buildReminderSchedule(task) {
+    if (!task.dueAt || !task.remindAt || task.remindAt.length === 0) {
+        return [];
+    }
+
+    const dueTime = Date.parse(task.dueAt);
+    const previous = task.reminders || [];
+
+    return task.remindAt.map((offsetMinutes) => {
+        const fireAt = new Date(dueTime - offsetMinutes * 60 * 1000).toISOString();
+        const existing = previous.find(r => r.offsetMinutes === offsetMinutes && r.fireAt === fireAt);
+        return existing || { offsetMinutes, fireAt, status: 'pending', handledAt: null };
+    });
+}
+
+// Human-friendly "due in ..." text for the email subject
+function describeOffset(offsetMinutes) {
+    if (offsetMinutes === 0) return 'now';
+    if (offsetMinutes % (24 * 60) === 0) {
+        const days = offsetMinutes / (24 * 60);
+        return `in ${days} day${days === 1 ? '' : 's'}`;
+    }
+    if (offsetMinutes % 60 === 0) {
+        const hours = offsetMinutes / 60;
+        return `in ${hours} hour${hours === 1 ? '' : 's'}`;
+    }
+    return `in ${offsetMinutes} minute${offsetMinutes === 1 ? '' : 's'}`;
+}
+
+/**
+ * Create the background reminder scheduler.
+ *
+ * Options:
+ *   getTaskTrees     - returns the task trees to scan, as a list of
+ *                      { tasks, recipient } where recipient is the address
+ *                      used for tasks in that tree without a reminderEmail
+ *   sendReminder     - async (task, { to, subject }) => { previewUrl }
+ *   onReminderHandled - (task, result, { to, subject }) => void, called once
+ *                      a reminder was sent or failed and the task records it
+ *                      (result is { taskId, status, to } or { ..., error })
+ *   persist          - called after a tick changed any task
+ *   intervalMs       - how often to check (default: every minute)
+ *   catchUpWindowMs  - how late a reminder may still be sent (default: 15 minutes)
+ *   now              - clock function, replaceable in tests
+ */
+function createReminderScheduler({
+    getTaskTrees,
+    sendReminder,
+    onReminderHandled = () => {},
+    persist,
+    intervalMs = 60 * 1000,
+    catchUpWindowMs = 15 * 60 * 1000,
+    now = () => Date.now()
+}) {
+    let timer = null;
+    let running = null;
+
+    async function runTick() {
+        const currentTime = now();
+        const results = [];
+
+        for (const { tasks, recipient = null } of getTaskTrees()) {
+            for (const task of walkTasks(tasks)) {
+                const result = await handleDueReminders(task, recipient, currentTime);
+                if (result) results.push(result);
+            }
+        }
+
+        if (results.length > 0) {
+            persist();
+        }
+        return results;
+    }
+
+    // Send (or skip) the reminder of one task that is due. Returns what
+    // happened, or null when nothing was due.
+    async function handleDueReminders(task, recipient, currentTime) {
+        const handledAt = new Date(currentTime).toISOString();
+        const due = (task.reminders || []).filter(r =>
+            r.status === 'pending' && Date.parse(r.fireAt) <= currentTime
+        );
+        if (due.length === 0) return null;
+
+        // Only the most recent reminder is still useful; the rest were missed
+        const latest = due[due.length - 1];
+        for (const reminder of due.slice(0, -1)) {
+            markReminder(reminder, 'skipped', handledAt, 'Superseded by a later reminder');
+        }
+
+        const to = task.reminderEmail || recipient;
+        let skipReason = null;
+        if (task.completed) {
+            skipReason = 'Task already completed';
+        } else if (currentTime - Date.parse(latest.fireAt) > catchUpWindowMs) {
+            skipReason = 'Missed while the server was offline';
+        } else if (!to) {
+            skipReason = 'No recipient configured';
+        }
+
+        if (skipReason) {
+            markReminder(latest, 'skipped', handledAt, skipReason);
+            return { taskId: task.id, status: 'skipped', reason: skipReason };
+        }
+
+        task.updatedAt = handledAt;
+        const message = {
+            to,
+            subject: `Reminder: ${task.title} is due ${describeOffset(latest.offsetMinutes)}`
+        };
+        let result;
+        try {
+            const { previewUrl } = await sendReminder(task, message);
+            markReminder(latest, 'sent', handledAt);
+            task.emailReminder = {
+                sentAt: handledAt,
+                to,
+                previewUrl: previewUrl || null,
+                source: 'scheduled',
+                offsetMinutes: latest.offsetMinutes
+            };
+            result = { taskId: task.id, status: 'sent', to };
+        } catch (error) {
+            console.error(`Reminder for task ${task.id} failed:`, error);
+            markReminder(latest, 'failed', handledAt, error.message);
+            task.emailReminder = {
+                failedAt: handledAt,
+                to,
+                error: error.message,
+                source: 'scheduled',
+                offsetMinutes: latest.offsetMinutes
+            };
+            result = { taskId: task.id, status: 'failed', error: error.message };
+        }
+        // Only now does the task show the outcome, so whoever is told about
+        // it sees the reminder as sent (or failed) rather than pending
+        onReminderHandled(task, result, message);
+        return result;
+    }
+
+    return {
+        // Check for due reminders once. Overlapping calls share the same run.
+        tick() {
+            if (!running) {
+                running = runTick().finally(() => {
+                    running = null;
+                });
+            }
+            return running;
+        },
+
+        start() {
+            if (timer) return;
+            const check = () => this.tick().catch(error => console.error('Reminder scheduler error:', error));
+            timer = setInterval(check, intervalMs);
+            timer.unref(); // don't keep the process alive just for reminders
+            check();
+        },
+
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+}
+
+function markReminder(reminder, status, handledAt, reason = null) {
+    reminder.status = status;
+    reminder.handledAt = handledAt;
+    if (reason) reminder.reason = reason;
+}
+
+module.exports = {
+    parseDueAt,
+    parseRemindAt,
+    parseReminderEmail,
+    buildReminderSchedule,
+    describeOffset,
+    createReminderScheduler
+};
@@ -0,0 +1,285 @@
+/**
+ * BriPlanner - Reading Email Messages (RFC 822 / MIME)
+ *
+ * An email as it travels between servers is plain text: header lines
+ * ("Subject: Pay rent"), a blank line, then the body. Anything beyond plain
+ * ASCII is wrapped in MIME: the body can be split into parts (a text and an
+ * HTML version, attachments), each with its own headers, and encoded as
+ * base64 or quoted-printable; header text can hold "encoded words" like
+ * =?UTF-8?B?Q2Fmw6k=?=. It's a bit like reading a CSV export by hand instead
+ * of through N/file - simple once you know the rules.
+ *
+ * parseMessage() reads a whole message into:
+ *
+ *   {
+ *     headers:     [{ name: 'subject', value: 'Pay rent' }, ...]   (names lowercased)
+ *     subject, messageId, date,
+ *     from:        { name, address } or null
+ *     to, cc:      [{ name, address }, ...]
+ *     text, html:  the first plain-text and HTML body (null when missing)
+ *     attachments: [{ filename, contentType, size }]
+ *   }
+ *
+ * Only reading is covered; nodemailer writes the messages we send.
+ */
+
+// Header and body are separated by the first empty line
+const HEADER_END = /\r?\n\r?\n/;
+
+/**
+ * Parse a raw message (a Buffer, or a string). It's lenient like a mail
+ * client: headers it can't read are skipped rather than rejected.
+ */
+function parseMessage(raw) {
+    // Work on the bytes as a "binary" string, so every part can be decoded
+    // with its own charset later
+    const binary = Buffer.isBuffer(raw) ? raw.toString('latin1') : Buffer.from(String(raw), 'utf8').toString('latin1');
+    const root = parseEntity(binary);
+
+    const first = name => headerValue(root.headers, name);
+    const message = {
+        headers: root.headers,
+        subject: first('subject') === null ? '' : first('subject').trim(),
+        messageId: parseMessageId(first('message-id')),
+        date: parseDate(first('date')),
+        from: parseAddressList(first('from') || '')[0] || null,
+        to: allHeaderValues(root.headers, 'to').flatMap(parseAddressList),
+        cc: allHeaderValues(root.headers, 'cc').flatMap(parseAddressList),
+        text: null,
+        html: null,
+        attachments: []
+    };
+    collectParts(root, message);
+    return message;
+}
+
+// Split one MIME entity (the message, or a part of it) into headers and body
+function parseEntity(binary) {
+    const match = HEADER_END.exec(binary);
+    // No blank line: all headers (or, if it doesn't start like one, all body)
+    const headerText = match ? binary.slice(0, match.index) : (/^[\w-]+:/.test(binary) ? binary : '');
+    const body = match ? binary.slice(match.index + match[0].length) : (headerText ? '' : binary);
+
+    const headers = [];
+    // Long headers are "folded" onto lines starting with a space or tab
+    for (const line of headerText.split(/\r?\n(?![ \t])/)) {
+        const colon = line.indexOf(':');
+        if (colon <= 0) continue;
+        const name = line.slice(0, colon).trim().toLowerCase();
+        const value = line.slice(colon + 1).replace(/\r?\n[ \t]+/g, ' ').trim();
+        // Headers are ASCII, or UTF-8 for newer mail (RFC 6532)
+        headers.push({ name, value: decodeWords(Buffer.from(value, 'latin1').toString('utf8')) });
+    }
+
+    const contentType = parseParameterHeader(headerValue(headers, 'content-type') || 'text/plain');
+    return { headers, contentType, body };
+}
+
+// Walk the parts of an entity, keeping the first text and HTML body and
+// listing everything else as an attachment
+function collectParts(entity, message) {
+    const { contentType, headers, body } = entity;
+    const disposition = parseParameterHeader(headerValue(headers, 'content-disposition') || 'inline');
+    const filename = disposition.params.filename || contentType.params.name || null;
+
+    if (contentType.type.startsWith('multipart/') && contentType.params.boundary) {
+        for (const part of splitMultipart(body, contentType.params.boundary)) {
+            collectParts(parseEntity(part), message);
+        }
+        return;
+    }
+
+    const bytes = decodeTransfer(body, headerValue(headers, 'content-transfer-encoding'));
+    const isAttachment = disposition.type === 'attachment' || filename !== null;
+    if (!isAttachment && contentType.type === 'text/plain' && message.text === null) {
+        message.text = decodeText(bytes, contentType.params.charset);
+    } else if (!isAttachment && contentType.type === 'text/html' && message.html === null) {
+        message.html = decodeText(bytes, contentType.params.charset);
+    } else if (isAttachment || !contentType.type.startsWith('text/')) {
+        message.attachments.push({
+            filename: filename || (contentType.type === 'message/rfc822' ? 'message.eml' : null),
+            contentType: contentType.type,
+            size: bytes.length
+        });
+    }
+}
+
+// The parts of a multipart body, between "--boundary" lines
+function splitMultipart(body, boundary) {
+    const delimiter = `--${boundary}`;
+    const parts = [];
+    let current = null;
+
+    for (const line of body.split(/\r?\n/)) {
+        const trimmed = line.trimEnd();
+        if (trimmed === `${delimiter}--`) break;
+        if (trimmed === delimiter) {
+            if (current) parts.push(current.join('\r\n'));
+            current = [];
+        } else if (current) {
+            current.push(line);
+        }
+    }
+    if (current) parts.push(current.join('\r\n'));
+    return parts;
+}
+
+// Undo the Content-Transfer-Encoding; returns the raw bytes
+function decodeTransfer(body, encoding) {
+    switch ((encoding || '').trim().toLowerCase()) {
+        case 'base64':
+            return Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+        case 'quoted-printable':
+            return Buffer.from(decodeQuotedPrintable(body), 'latin1');
+        default:
+            return Buffer.from(body, 'latin1');
+    }
+}
+
+// "Caf=C3=A9 =\r\n" -> the bytes of "Café " (still as a binary string)
+function decodeQuotedPrintable(text) {
+    return text
+        .replace(/[ \t]+(?=\r?\n)/g, '') // trailing spaces were added in transit
+        .replace(/=\r?\n/g, '') // soft line breaks
+        .replace(/=([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+// Bytes to text in the given charset (UTF-8 when it's missing or unknown)
+function decodeText(bytes, charset = 'utf-8') {
+    let decoder;
+    try {
+        decoder = new TextDecoder(charset || 'utf-8');
+    } catch (error) {
+        decoder = new TextDecoder('utf-8');
+    }
+    return decoder.decode(bytes).replace(/\r\n/g, '\n');
+}
+
+// "=?UTF-8?Q?Caf=C3=A9?= =?UTF-8?B?IHRpbWU=?=" -> "Café time"
+function decodeWords(value) {
+    return value
+        // Space between two encoded words doesn't count
+        .replace(/(\?=)\s+(?==\?)/g, '$1')
+        .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (match, charset, encoding, text) => {
+            const bytes = encoding.toUpperCase() === 'B'
+                ? Buffer.from(text, 'base64')
+                : Buffer.from(decodeQuotedPrintable(text.replace(/_/g, ' ')), 'latin1');
+            // A language can follow the charset: "UTF-8*en"
+            return decodeText(bytes, charset.split('*')[0]);
+        });
+}
+
+// 'text/plain; charset="utf-8"' -> { type: 'text/plain', params: { charset: 'utf-8' } }
+// Long or non-ASCII values can be split and encoded (RFC 2231): name*0*=utf-8''Caf%C3%A9
+function parseParameterHeader(value) {
+    const [type, ...rest] = splitOutsideQuotes(value, ';');
+    const pieces = {};
+    for (const param of rest) {
+        const equals = param.indexOf('=');
+        if (equals === -1) continue;
+        const key = param.slice(0, equals).trim().toLowerCase();
+        let text = param.slice(equals + 1).trim();
+        if (text.startsWith('"') && text.endsWith('"')) text = text.slice(1, -1).replace(/\\(.)/g, '$1');
+
+        const [, name, index = '0', encoded] = /^([^*]+)(?:\*(\d+))?(\*)?$/.exec(key) || [];
+        if (!name) continue;
+        (pieces[name] = pieces[name] || []).push({ index: Number(index), text, encoded: Boolean(encoded) });
+    }
+
+    const params = {};
+    for (const [name, list] of Object.entries(pieces)) {
+        list.sort((a, b) => a.index - b.index);
+        let charset = 'utf-8';
+        params[name] = list.map(({ text, encoded }, i) => {
+            if (!encoded) return text;
+            if (i === 0 && /^[^']*'[^']*'/.test(text)) {
+                charset = text.slice(0, text.indexOf("'")) || charset;
+                text = text.slice(text.indexOf("'", text.indexOf("'") + 1) + 1);
+            }
+            return decodeText(Buffer.from(text.replace(/%([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1'), charset);
+        }).join('');
+    }
+    return { type: (type || '').trim().toLowerCase(), params };
+}
+
+/**
+ * 'Ann <ann@example.com>, "Doe, Bob" <bob@example.com>, carl@example.com (Carl)'
+ *   -> [{ name: 'Ann', address: 'ann@example.com' }, ...]
+ * Addresses are lowercased; groups ("team: a@x, b@x;") are flattened.
+ */
+function parseAddressList(value) {
+    const addresses = [];
+    for (let piece of splitOutsideQuotes(value, ',')) {
+        // Group syntax: "Team: a@x" ... "b@x;"
+        piece = piece.replace(/^[^"<@]*:/, '').replace(/;\s*$/, '').trim();
+        if (!piece) continue;
+
+        let name = '';
+        let address;
+        const angle = /<([^>]*)>/.exec(piece);
+        if (angle) {
+            address = angle[1];
+            name = piece.slice(0, angle.index).trim();
+        } else {
+            const comment = /\(([^)]*)\)/.exec(piece);
+            if (comment) name = comment[1];
+            address = piece.replace(/\([^)]*\)/g, '');
+        }
+        address = address.trim().toLowerCase();
+        if (!address.includes('@')) continue;
+        name = name.replace(/^"(.*)"$/, '$1').replace(/\\(.)/g, '$1').trim();
+        addresses.push({ name, address });
+    }
+    return addresses;
+}
+
+// Split on `separator` where it isn't inside "quotes", <angle brackets> or (comments)
+function splitOutsideQuotes(value, separator) {
+    const pieces = [];
+    let current = '';
+    let quoted = false;
+    let depth = 0;
+    for (let i = 0; i < value.length; i++) {
+        const char = value[i];
+        if (char === '\\' && quoted) {
+            current += char + (value[i + 1] || '');
+            i++;
+            continue;
+        }
+        if (char === '"') quoted = !quoted;
+        else if (!quoted && (char === '<' || char === '(')) depth++;
+        else if (!quoted && (char === '>' || char === ')')) depth = Math.max(0, depth - 1);
+
+        if (char === separator && !quoted && depth === 0) {
+            pieces.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    pieces.push(current);
+    return pieces;
+}
+
+function headerValue(headers, name) {
+    const header = headers.find(h => h.name === name);
+    return header ? header.value : null;
+}
+
+function allHeaderValues(headers, name) {
+    return headers.filter(h => h.name === name).map(h => h.value);
+}
+
+// "<abc@mail.example.com>" -> "abc@mail.example.com"
+function parseMessageId(value) {
+    if (!value) return null;
+    const match = /<([^>]+)>/.exec(value);
+    return (match ? match[1] : value).trim() || null;
+}
+
+function parseDate(value) {
+    const time = value ? Date.parse(value) : NaN;
+    return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+module.exports = { parseMessage, parseAddressList, decodeWords, headerValue, allHeaderValues };
@@ -0,0 +1,228 @@
+/**
+ * BriPlanner - Request Schemas
+ *
+ * What each API route accepts, checked by validateRequest() before the
+ * route runs (see lib/validation.js for the rule options). The schemas only
+ * cover the shape of a request - types, sizes, which fields exist. Whether
+ * a value makes sense (a real date, a repeat rule that parses, a task that
+ * exists) is still up to the parsers in the other lib/ modules.
+ *
+ * POST /api/tasks and PUT /api/tasks/:id share their fields, and imports go
+ * through the same create schema, so a task looks the same however it got in.
+ */
+
+const { PRIORITIES, ENERGY_LEVELS } = require('./planner');
+const { DIGEST_FREQUENCIES } = require('./digest');
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 10000;
+const MAX_CHECKLIST_TEXT_LENGTH = 500;
+const MAX_CHECKLIST_ITEMS = 500;
+const MAX_EMAIL_LENGTH = 254;
+
+// Query string values are always text; this keeps them to a sane size
+const QUERY_VALUE = { type: 'string', maxLength: 500 };
+
+const ID = { type: 'string', minLength: 1, maxLength: 100 };
+// IDs the server hands out itself; a client can only send one back, and
+// since they end up in the page's markup nothing else is taken
+const UUID = { type: 'string', pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i, format: 'a UUID' };
+const DATE = { type: 'string', nullable: true, maxLength: 40 };
+const EMAIL = { type: 'string', maxLength: MAX_EMAIL_LENGTH };
+
+const CHECKLIST_TEXT = { type: 'string', minLength: 1, maxLength: MAX_CHECKLIST_TEXT_LENGTH };
+
+// Fields a task can be created or updated with
+const TASK_FIELDS = {
+    title: { type: 'string', minLength: 1, maxLength: MAX_TITLE_LENGTH },
+    description: { type: 'string', maxLength: MAX_DESCRIPTION_LENGTH },
+    dueAt: DATE,
+    remindAt: { type: 'array', nullable: true, maxItems: 50, items: { type: 'integer' } },
+    reminderEmail: { ...EMAIL, nullable: true },
+    recurrence: {
+        type: ['string', 'object'],
+        nullable: true,
+        maxLength: 500,
+        fields: { rule: { type: 'string', required: true, maxLength: 500 }, dtstart: DATE }
+    },
+    estimateMinutes: { type: 'integer', nullable: true },
+    priority: { type: 'string', nullable: true, values: [...PRIORITIES, ''] },
+    energy: { type: 'string', nullable: true, values: [...ENERGY_LEVELS, ''] },
+    tags: { type: 'array', nullable: true, maxItems: 100, items: { type: 'string', maxLength: 100 } },
+    blockedBy: { type: 'array', nullable: true, maxItems: 100, items: ID },
+    deferredUntil: DATE
+};
+
+// A task saved in a template: its checklist is just text, and its children
+// are template tasks too (filled in below, since the rule refers to itself)
+const TEMPLATE_TASK = {
+    type: 'object',
+    fields: {
+        title: { ...TASK_FIELDS.title, required: true },
+        description: TASK_FIELDS.description,
+        remindAt: TASK_FIELDS.remindAt,
+        estimateMinutes: TASK_FIELDS.estimateMinutes,
+        priority: TASK_FIELDS.priority,
+        energy: TASK_FIELDS.energy,
+        tags: TASK_FIELDS.tags,
+        checklist: {
+            type: 'array',
+            maxItems: MAX_CHECKLIST_ITEMS,
+            items: { type: 'object', fields: { text: { ...CHECKLIST_TEXT, required: true } } }
+        },
+        children: { type: 'array', maxItems: 500 }
+    }
+};
+TEMPLATE_TASK.fields.children.items = TEMPLATE_TASK;
+
+const NO_FIELDS = { body: {}, query: {} };
+
+const schemas = {
+    listTasks: {
+        query: Object.fromEntries([
+            'q', 'completed', 'priority', 'tag', 'createdAfter', 'createdBefore', 'updatedAfter', 'updatedBefore',
+            'maxDepth', 'flat', 'sort', 'limit', 'cursor'
+        ].map(param => [param, QUERY_VALUE]))
+    },
+    noQuery: { query: {} },
+
+    createTask: {
+        body: {
+            ...TASK_FIELDS,
+            title: { ...TASK_FIELDS.title, required: true },
+            parentId: { ...ID, nullable: true }
+        }
+    },
+    // The whole checklist can be sent at once, but every item has to be complete
+    updateTask: {
+        body: {
+            ...TASK_FIELDS,
+            completed: { type: 'boolean' },
+            checklist: {
+                type: 'array',
+                maxItems: MAX_CHECKLIST_ITEMS,
+                uniqueBy: 'id',
+                items: {
+                    type: 'object',
+                    fields: {
+                        id: { ...UUID, required: true },
+                        text: { ...CHECKLIST_TEXT, required: true },
+                        completed: { type: 'boolean', required: true }
+                    }
+                }
+            }
+        }
+    },
+    moveTask: {
+        body: {
+            parentId: { ...ID, nullable: true, required: true },
+            position: { type: 'integer', min: 0 }
+        }
+    },
+    occurrences: { query: { count: QUERY_VALUE } },
+    addChecklistItem: { body: { text: { ...CHECKLIST_TEXT, required: true } } },
+    updateChecklistItem: { body: { text: CHECKLIST_TEXT, completed: { type: 'boolean' } } },
+    sendEmail: {
+        body: {
+            to: { ...EMAIL, required: true, minLength: 1 },
+            subject: { type: 'string', maxLength: MAX_TITLE_LENGTH }
+        }
+    },
+    noFields: NO_FIELDS,
+
+    register: {
+        body: {
+            email: { ...EMAIL, required: true },
+            password: { type: 'string', required: true, maxLength: 1000 },
+            name: { type: 'string', nullable: true, maxLength: 100 }
+        }
+    },
+    login: {
+        body: {
+            email: { ...EMAIL, required: true },
+            password: { type: 'string', required: true, maxLength: 1000 }
+        }
+    },
+
+    startFocus: {
+        body: {
+            workMinutes: { type: 'integer' },
+            breakMinutes: { type: 'integer' }
+        }
+    },
+    timeReport: { query: { from: QUERY_VALUE, to: QUERY_VALUE } },
+    planToday: { query: { minutes: QUERY_VALUE, energy: QUERY_VALUE, skip: { type: 'string', maxLength: 10000 } } },
+
+    saveView: {
+        body: {
+            name: { type: 'string', maxLength: 200 },
+            query: { type: 'object', entries: QUERY_VALUE }
+        }
+    },
+
+    saveTemplate: {
+        body: {
+            name: { type: 'string', maxLength: 200 },
+            taskId: ID,
+            task: TEMPLATE_TASK
+        }
+    },
+    instantiateTemplate: {
+        body: {
+            parentId: { ...ID, nullable: true },
+            dueAt: DATE,
+            variables: { type: 'object', entries: { type: 'string', maxLength: 500 } }
+        }
+    },
+
+    digestSettings: {
+        body: {
+            frequency: { type: 'string', values: DIGEST_FREQUENCIES },
+            time: { type: 'string', maxLength: 5 },
+            weekday: { type: 'integer', min: 0, max: 6 },
+            timeZone: { type: 'string', nullable: true, maxLength: 100 },
+            quietHours: {
+                type: 'object',
+                nullable: true,
+                fields: { start: { type: 'string', required: true, maxLength: 5 }, end: { type: 'string', required: true, maxLength: 5 } }
+            },
+            to: { ...EMAIL, nullable: true },
+            skipEmpty: { type: 'boolean' }
+        }
+    },
+    digestPreview: { query: { frequency: QUERY_VALUE, format: QUERY_VALUE } },
+
+    inboundSettings: {
+        body: {
+            enabled: { type: 'boolean' },
+            senders: { type: 'array', maxItems: 200, items: { type: 'string', minLength: 1, maxLength: MAX_EMAIL_LENGTH } }
+        }
+    },
+    inboundEmail: { query: { to: { type: 'string', maxLength: 2000 } } },
+
+    saveWebhook: {
+        body: {
+            url: { type: 'string', minLength: 1, maxLength: 2000 },
+            events: { type: 'array', maxItems: 20, items: { type: 'string', maxLength: 50 } },
+            secret: { type: 'string', nullable: true, maxLength: 200 },
+            active: { type: 'boolean' },
+            description: { type: 'string', maxLength: 200 }
+        }
+    },
+    listDeliveries: { query: { status: QUERY_VALUE } },
+
+    quickAdd: {
+        body: {
+            text: { type: 'string', required: true, minLength: 1, maxLength: MAX_TITLE_LENGTH * 2 },
+            description: TASK_FIELDS.description,
+            timeZone: { type: 'string', nullable: true, maxLength: 100 },
+            parentId: { ...ID, nullable: true }
+        }
+    },
+    quickAddPreview: { query: { text: QUERY_VALUE, timeZone: QUERY_VALUE } },
+
+    importTasks: { query: { mode: QUERY_VALUE } },
+    events: { query: { lastEventId: QUERY_VALUE } }
+};
+
+module.exports = { schemas, MAX_TITLE_LENGTH, MAX_DESCRIPTION_LENGTH, MAX_CHECKLIST_TEXT_LENGTH };
@@ -0,0 +1,192 @@
+/**
+ * BriPlanner - A Small SMTP Listener
+ *
+ * SMTP is how mail servers hand messages to each other: a short text
+ * conversation over a TCP connection.
+ *
+ *   server: 220 planner.local ESMTP
+ *   client: EHLO mail.example.com          server: 250 ...
+ *   client: MAIL FROM:<me@example.com>     server: 250 OK
+ *   client: RCPT TO:<tasks@planner.local>  server: 250 OK
+ *   client: DATA                           server: 354 ...
+ *   client: (the message, ending with a line holding only ".")
+ *                                          server: 250 or 550
+ *   client: QUIT                           server: 221 Bye
+ *
+ * This listener speaks just enough of it to receive mail for the planner
+ * and hand each message to onMessage(). Its answer decides the reply: a
+ * result with status 2xx is accepted, anything else is refused, so the
+ * sending server bounces the message back with our reason.
+ *
+ * There is no TLS and no login: run it on localhost (the default) behind
+ * your real mail server, or on a private network, and let the sender
+ * allowlist in lib/inbound.js decide what becomes a task.
+ */
+
+const net = require('net');
+const os = require('os');
+
+const MAX_LINE_LENGTH = 4096;
+const MAX_RECIPIENTS = 100;
+
+// The SMTP reply for a receive() result (see lib/inbound.js)
+function replyFor({ status, error }) {
+    if (status >= 200 && status < 300) return '250 2.0.0 OK: task created';
+    const reason = error && error.message ? error.message : 'Rejected';
+    if (status === 403) return `550 5.7.1 ${reason}`;
+    if (status === 404) return `550 5.1.1 ${reason}`;
+    if (status === 413) return `552 5.3.4 ${reason}`;
+    if (status >= 500) return `451 4.3.0 ${reason}`;
+    return `554 5.6.0 ${reason}`;
+}
+
+// "MAIL FROM:<me@example.com> SIZE=1234" -> { address: 'me@example.com', params: { SIZE: '1234' } }
+function parsePath(argument) {
+    const match = /^\s*<([^>]*)>\s*(.*)$/.exec(argument) || /^\s*(\S*)\s*(.*)$/.exec(argument);
+    const params = {};
+    for (const pair of match[2].split(/\s+/).filter(Boolean)) {
+        const [key, value = ''] = pair.split('=');
+        params[key.toUpperCase()] = value;
+    }
+    return { address: match[1].trim(), params };
+}
+
+/**
+ * Create the listener (a net.Server; call listen(port, host) on it).
+ *
+ *   onMessage      - async (raw Buffer, { from, recipients }) -> { status, error }
+ *   maxBytes       - biggest message accepted (announced as SIZE)
+ *   hostname       - the name in the greeting
+ *   idleTimeoutMs  - hang up on clients that go quiet for this long
+ */
+function createSmtpServer({ onMessage, maxBytes = 10 * 1024 * 1024, hostname = os.hostname(), idleTimeoutMs = 60 * 1000 }) {
+    return net.createServer((socket) => {
+        let buffer = Buffer.alloc(0);
+        let envelope = null; // { from, recipients } once MAIL FROM has been given
+        let data = null; // the lines of the message while in DATA
+        let dataBytes = 0;
+        let busy = false;
+
+        const reply = line => socket.write(`${line}\r\n`);
+        const reset = () => {
+            envelope = null;
+            data = null;
+            dataBytes = 0;
+        };
+
+        socket.setTimeout(idleTimeoutMs, () => {
+            reply('421 4.4.2 Idle for too long, closing');
+            socket.end();
+        });
+        socket.on('error', () => {}); // a client that hangs up mid-way is not our problem
+
+        async function finishData() {
+            const tooBig = dataBytes > maxBytes;
+            const raw = Buffer.concat(data);
+            const current = envelope;
+            reset();
+            if (tooBig) {
+                reply(`552 5.3.4 Message too big (at most ${maxBytes} bytes)`);
+                return;
+            }
+            try {
+                reply(replyFor(await onMessage(raw, current)));
+            } catch (error) {
+                console.error('Inbound email error:', error);
+                reply('451 4.3.0 Could not process the message, try again later');
+            }
+        }
+
+        function command(line) {
+            const [verb = '', ...rest] = line.split(' ');
+            const argument = rest.join(' ');
+            switch (verb.toUpperCase()) {
+                case 'EHLO':
+                    reset();
+                    reply(`250-${hostname} Hello`);
+                    reply(`250-SIZE ${maxBytes}`);
+                    reply('250-8BITMIME');
+                    return reply('250 SMTPUTF8');
+                case 'HELO':
+                    reset();
+                    return reply(`250 ${hostname} Hello`);
+                case 'MAIL': {
+                    if (!/^FROM:/i.test(argument)) return reply('501 5.5.4 Syntax: MAIL FROM:<address>');
+                    if (envelope) return reply('503 5.5.1 Sender already given');
+                    const { address, params } = parsePath(argument.slice(5));
+                    if (params.SIZE && Number(params.SIZE) > maxBytes) {
+                        return reply(`552 5.3.4 Message too big (at most ${maxBytes} bytes)`);
+                    }
+                    envelope = { from: address.toLowerCase(), recipients: [] };
+                    return reply('250 2.1.0 OK');
+                }
+                case 'RCPT': {
+                    if (!envelope) return reply('503 5.5.1 Need MAIL FROM first');
+                    if (!/^TO:/i.test(argument)) return reply('501 5.5.4 Syntax: RCPT TO:<address>');
+                    if (envelope.recipients.length >= MAX_RECIPIENTS) return reply('452 4.5.3 Too many recipients');
+                    const { address } = parsePath(argument.slice(3));
+                    if (!address.includes('@')) return reply('501 5.1.3 Bad recipient address');
+                    envelope.recipients.push(address.toLowerCase());
+                    return reply('250 2.1.5 OK');
+                }
+                case 'DATA':
+                    if (!envelope || envelope.recipients.length === 0) return reply('503 5.5.1 Need RCPT TO first');
+                    data = [];
+                    return reply('354 End data with <CR><LF>.<CR><LF>');
+                case 'RSET':
+                    reset();
+                    return reply('250 2.0.0 OK');
+                case 'NOOP':
+                    return reply('250 2.0.0 OK');
+                case 'VRFY':
+                    return reply('252 2.5.0 Cannot verify, but will try to deliver');
+                case 'QUIT':
+                    reply('221 2.0.0 Bye');
+                    return socket.end();
+                default:
+                    return reply('502 5.5.2 Command not recognized');
+            }
+        }
+
+        // One line of the message. A line with only "." ends it; lines that
+        // start with a dot had one added by the sender ("dot-stuffing").
+        function dataLine(line) {
+            if (line.length === 1 && line[0] === 0x2e) return true;
+            const content = line[0] === 0x2e ? line.subarray(1) : line;
+            dataBytes += content.length + 2;
+            if (dataBytes <= maxBytes) data.push(content, Buffer.from('\r\n'));
+            return false;
+        }
+
+        async function drain() {
+            if (busy) return;
+            busy = true;
+            let end;
+            while ((end = buffer.indexOf('\n')) !== -1) {
+                const line = buffer.subarray(0, end > 0 && buffer[end - 1] === 0x0d ? end - 1 : end);
+                buffer = buffer.subarray(end + 1);
+                if (data) {
+                    if (dataLine(line)) await finishData();
+                } else {
+                    command(line.toString('utf8').trim());
+                }
+            }
+            if (data && buffer.length > maxBytes) {
+                reply(`552 5.3.4 Message too big (at most ${maxBytes} bytes)`);
+                socket.end();
+            } else if (!data && buffer.length > MAX_LINE_LENGTH) {
+                reply('500 5.5.6 Line too long');
+                buffer = Buffer.alloc(0);
+            }
+            busy = false;
+        }
+
+        reply(`220 ${hostname} ESMTP BriPlanner`);
+        socket.on('data', (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+            drain();
+        });
+    });
+}
+
+module.exports = { createSmtpServer, replyFor };
@@ -0,0 +1,35 @@
+/**
+ * Atomic file writes
+ *
+ * Writing straight over a file can leave it half-written if the process dies
+ * mid-write. Instead we write to a temporary file next to it, flush it to
+ * disk, and then rename it over the original. A rename on the same filesystem
+ * is atomic, so readers only ever see the old file or the complete new one.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function writeFileAtomic(filePath, contents) {
+    const dir = path.dirname(filePath);
+    const tmpPath = path.join(dir, `.${path.basename(filePath)}.${process.pid}.tmp`);
+
+    fs.mkdirSync(dir, { recursive: true });
+
+    const fd = fs.openSync(tmpPath, 'w');
+    try {
+        fs.writeSync(fd, contents);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    try {
+        fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+        fs.rmSync(tmpPath, { force: true });
+        throw error;
+    }
+}
+
+module.exports = { writeFileAtomic };
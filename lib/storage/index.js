@@ -0,0 +1,44 @@
+/**
+ * BriPlanner - Storage Layer
+ *
+ * The server keeps a working copy of its data in memory and hands a snapshot
+ * to a storage backend after every change. A snapshot is a plain object of
+ * collections, e.g. { tasks: [...] }, where `tasks` is the nested task tree.
+ *
+ * Think of a backend like the record layer in NetSuite: the routes don't care
+ * where the data ends up, they just ask for it to be saved.
+ *
+ * Every backend returns an object with the same shape:
+ *   driver        - name of the backend ('memory', 'json' or 'sqlite')
+ *   load()        - returns the last saved snapshot, or null if nothing was saved yet
+ *   save(data)    - writes a snapshot (synchronously, so the response is only
+ *                   sent once the data is safely stored)
+ *   close()       - releases any resources held by the backend
+ */
+
+const { createMemoryStorage } = require('./memory');
+const { createJsonStorage } = require('./json');
+const { createSqliteStorage } = require('./sqlite');
+
+const DRIVERS = {
+    memory: createMemoryStorage,
+    json: createJsonStorage,
+    sqlite: createSqliteStorage
+};
+
+// Create the backend named by options.driver (async because SQLite loads a WASM module)
+async function createStorage(options = {}) {
+    const driver = options.driver || 'memory';
+    const factory = DRIVERS[driver];
+
+    if (!factory) {
+        throw new Error(`Unknown storage driver "${driver}" (expected one of: ${Object.keys(DRIVERS).join(', ')})`);
+    }
+    if (driver !== 'memory' && !options.path) {
+        throw new Error(`Storage driver "${driver}" requires a path`);
+    }
+
+    return factory(options);
+}
+
+module.exports = { createStorage, createMemoryStorage, DRIVERS: Object.keys(DRIVERS) };
@@ -0,0 +1,51 @@
+/**
+ * JSON file storage backend
+ *
+ * Saves the whole snapshot as one pretty-printed JSON file. Easy to read,
+ * back up and edit by hand. Writes go through writeFileAtomic so a crash
+ * never leaves a corrupted file behind.
+ */
+
+const fs = require('fs');
+const { writeFileAtomic } = require('./atomic');
+
+// Bump when the file layout changes so older files can be migrated on load
+const FORMAT_VERSION = 1;
+
+function createJsonStorage({ path: filePath }) {
+    return {
+        driver: 'json',
+
+        load() {
+            let raw;
+            try {
+                raw = fs.readFileSync(filePath, 'utf8');
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+
+            const file = JSON.parse(raw);
+            if (!file || typeof file !== 'object' || !file.data) {
+                throw new Error(`Storage file ${filePath} is not a BriPlanner data file`);
+            }
+            if (file.version > FORMAT_VERSION) {
+                throw new Error(`Storage file ${filePath} was written by a newer version (format ${file.version})`);
+            }
+            return file.data;
+        },
+
+        save(data) {
+            const file = {
+                version: FORMAT_VERSION,
+                savedAt: new Date().toISOString(),
+                data
+            };
+            writeFileAtomic(filePath, JSON.stringify(file, null, 2));
+        },
+
+        close() {}
+    };
+}
+
+module.exports = { createJsonStorage, FORMAT_VERSION };
@@ -0,0 +1,26 @@
+/**
+ * Memory storage backend
+ *
+ * Keeps a deep copy of the last snapshot in the process. Nothing survives a
+ * restart, which makes it the right choice for tests and quick experiments.
+ */
+
+function createMemoryStorage() {
+    let snapshot = null;
+
+    return {
+        driver: 'memory',
+
+        load() {
+            return snapshot ? structuredClone(snapshot) : null;
+        },
+
+        save(data) {
+            snapshot = structuredClone(data);
+        },
+
+        close() {}
+    };
+}
+
+module.exports = { createMemoryStorage };
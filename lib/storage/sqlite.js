@@ -0,0 +1,162 @@
+/**
+ * SQLite storage backend
+ *
+ * Uses sql.js (SQLite compiled to WebAssembly) so there is nothing native to
+ * build on install. The database lives in memory while the server runs and is
+ * written to disk after every save with writeFileAtomic, so the file on disk
+ * is always a complete, valid SQLite database you can open with any SQLite tool.
+ *
+ * Tables:
+ *   tasks       - one row per task; the tree is stored via parent_id + position
+ *   collections - any other snapshot collection, stored as JSON by name
+ *   meta        - bookkeeping such as when the snapshot was last saved
+ */
+
+const fs = require('fs');
+const initSqlJs = require('sql.js');
+const { writeFileAtomic } = require('./atomic');
+
+const SCHEMA_VERSION = 1;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS tasks (
+        id TEXT PRIMARY KEY,
+        parent_id TEXT,
+        position INTEGER NOT NULL,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS tasks_parent ON tasks (parent_id, position);
+    CREATE TABLE IF NOT EXISTS collections (
+        name TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+`;
+
+// The WASM module only needs to be loaded once per process
+let sqlJsPromise = null;
+function loadSqlJs() {
+    if (!sqlJsPromise) {
+        sqlJsPromise = initSqlJs();
+    }
+    return sqlJsPromise;
+}
+
+async function createSqliteStorage({ path: filePath }) {
+    const SQL = await loadSqlJs();
+
+    let db;
+    try {
+        db = new SQL.Database(fs.readFileSync(filePath));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        db = new SQL.Database();
+    }
+
+    const version = db.exec('PRAGMA user_version')[0].values[0][0];
+    if (version > SCHEMA_VERSION) {
+        db.close();
+        throw new Error(`SQLite file ${filePath} was written by a newer version (schema ${version})`);
+    }
+    db.run(SCHEMA);
+    db.run(`PRAGMA user_version = ${SCHEMA_VERSION}`);
+
+    return {
+        driver: 'sqlite',
+
+        load() {
+            const savedAt = queryAll(db, 'SELECT value FROM meta WHERE key = ?', ['savedAt']);
+            if (savedAt.length === 0) return null;
+
+            const data = {};
+            for (const row of queryAll(db, 'SELECT name, data FROM collections')) {
+                data[row.name] = JSON.parse(row.data);
+            }
+            data.tasks = buildTree(queryAll(db, 'SELECT id, parent_id, data FROM tasks ORDER BY position'));
+            return data;
+        },
+
+        save(data) {
+            db.run('BEGIN');
+            try {
+                db.run('DELETE FROM tasks');
+                db.run('DELETE FROM collections');
+
+                const insertTask = db.prepare('INSERT INTO tasks (id, parent_id, position, data) VALUES (?, ?, ?, ?)');
+                try {
+                    insertTaskRows(insertTask, data.tasks || [], null);
+                } finally {
+                    insertTask.free();
+                }
+
+                for (const [name, value] of Object.entries(data)) {
+                    if (name === 'tasks') continue;
+                    db.run('INSERT INTO collections (name, data) VALUES (?, ?)', [name, JSON.stringify(value)]);
+                }
+
+                db.run('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)', ['savedAt', new Date().toISOString()]);
+                db.run('COMMIT');
+            } catch (error) {
+                db.run('ROLLBACK');
+                throw error;
+            }
+
+            writeFileAtomic(filePath, Buffer.from(db.export()));
+        },
+
+        close() {
+            db.close();
+        }
+    };
+}
+
+// Run a query and return the rows as plain objects
+function queryAll(db, sql, params = []) {
+    const stmt = db.prepare(sql);
+    const rows = [];
+    try {
+        stmt.bind(params);
+        while (stmt.step()) {
+            rows.push(stmt.getAsObject());
+        }
+    } finally {
+        stmt.free();
+    }
+    return rows;
+}
+
+// Flatten the task tree into rows, remembering each task's parent and position
+function insertTaskRows(stmt, taskList, parentId) {
+    taskList.forEach((task, position) => {
+        const { children, ...fields } = task;
+        stmt.run([task.id, parentId, position, JSON.stringify(fields)]);
+        if (children && children.length > 0) {
+            insertTaskRows(stmt, children, task.id);
+        }
+    });
+}
+
+// Rebuild the nested tree from rows already sorted by position
+function buildTree(rows) {
+    const byId = new Map();
+    for (const row of rows) {
+        byId.set(row.id, { ...JSON.parse(row.data), children: [] });
+    }
+
+    const roots = [];
+    for (const row of rows) {
+        const task = byId.get(row.id);
+        const parent = row.parent_id ? byId.get(row.parent_id) : null;
+        if (parent) {
+            parent.children.push(task);
+        } else {
+            roots.push(task);
+        }
+    }
+    return roots;
+}
+
+module.exports = { createSqliteStorage, SCHEMA_VERSION };
@@ -0,0 +1,140 @@
+/**
+ * BriPlanner - Live Sync Hub
+ *
+ * Keeps every open tab and device of a user up to date. Each one holds a
+ * Server-Sent Events stream open (GET /api/events), and whenever a task or
+ * checklist changes the server pushes a "change" event down all of that
+ * user's streams. There's no NetSuite equivalent - think of it as a saved
+ * search that refreshes itself the moment a record changes.
+ *
+ * Every event has an ID, and the last few events of each user are kept in
+ * memory. A browser that lost its connection reconnects with the ID it last
+ * saw (EventSource sends it as the Last-Event-ID header), and gets whatever
+ * it missed replayed. If that's no longer possible - too much happened, or
+ * the server restarted - it gets a "resync" event instead, meaning "reload
+ * everything".
+ *
+ * Stream format (see https://html.spec.whatwg.org/multipage/server-sent-events.html):
+ *
+ *   retry: 3000
+ *
+ *   id: 5f1c…:42
+ *   event: change
+ *   data: {"action":"task.updated","taskId":"…","task":{…},"origin":"…"}
+ *
+ *   : ping
+ */
+
+const crypto = require('crypto');
+
+const DEFAULTS = {
+    bufferSize: 200,      // events kept per user for replays
+    heartbeatMs: 25000,   // comment line that keeps proxies from closing idle streams
+    retryMs: 3000         // how long browsers wait before reconnecting
+};
+
+function createSyncHub(options = {}) {
+    const { bufferSize, heartbeatMs, retryMs } = { ...DEFAULTS, ...options };
+
+    // Event IDs look like "<bootId>:<n>", so an ID from before a restart
+    // is recognised as unknown rather than mistaken for a recent event
+    const bootId = crypto.randomBytes(6).toString('hex');
+    const users = new Map(); // userId -> { seq, buffer: [{ seq, frame }], clients: Set }
+
+    function userState(userId) {
+        if (!users.has(userId)) {
+            users.set(userId, { seq: 0, buffer: [], clients: new Set() });
+        }
+        return users.get(userId);
+    }
+
+    // Send an event to every stream of a user (and keep it for replays)
+    function publish(userId, type, data) {
+        const state = userState(userId);
+        state.seq += 1;
+        const frame = `id: ${bootId}:${state.seq}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+        state.buffer.push({ seq: state.seq, frame });
+        if (state.buffer.length > bufferSize) state.buffer.shift();
+
+        for (const client of state.clients) {
+            client.res.write(frame);
+        }
+    }
+
+    // The frames a client missed since lastEventId, or null when they can't
+    // all be replayed and the client has to reload instead
+    function missedFrames(state, lastEventId) {
+        const [eventBoot, seqText] = String(lastEventId).split(':');
+        const lastSeq = Number(seqText);
+        if (eventBoot !== bootId || !Number.isInteger(lastSeq) || lastSeq > state.seq) return null;
+        if (lastSeq === state.seq) return [];
+
+        const oldest = state.buffer.length > 0 ? state.buffer[0].seq : state.seq + 1;
+        if (lastSeq + 1 < oldest) return null;
+        return state.buffer.filter(event => event.seq > lastSeq).map(event => event.frame);
+    }
+
+    /**
+     * Turn a response into an event stream for a user. lastEventId is the ID
+     * the client last saw (if any). isActive is checked on every heartbeat,
+     * so a stream ends once its login does.
+     */
+    function connect(res, { userId, lastEventId = null, isActive = () => true }) {
+        const state = userState(userId);
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no' // tell nginx not to hold events back
+        });
+        res.write(`retry: ${retryMs}\n\n`);
+
+        if (lastEventId) {
+            const frames = missedFrames(state, lastEventId);
+            if (frames) {
+                for (const frame of frames) res.write(frame);
+            } else {
+                res.write(`id: ${bootId}:${state.seq}\nevent: resync\ndata: {}\n\n`);
+            }
+        } else {
+            // Give a fresh client an ID to come back with
+            res.write(`id: ${bootId}:${state.seq}\nevent: ready\ndata: {}\n\n`);
+        }
+
+        const client = { res };
+        client.heartbeat = setInterval(() => {
+            if (!isActive()) {
+                res.end();
+                return;
+            }
+            res.write(': ping\n\n');
+        }, heartbeatMs);
+        client.heartbeat.unref();
+
+        state.clients.add(client);
+        res.on('close', () => {
+            clearInterval(client.heartbeat);
+            state.clients.delete(client);
+        });
+    }
+
+    // How many streams a user has open
+    function clientCount(userId) {
+        return users.has(userId) ? users.get(userId).clients.size : 0;
+    }
+
+    // End every stream (on shutdown)
+    function close() {
+        for (const state of users.values()) {
+            for (const client of state.clients) {
+                client.res.end();
+            }
+        }
+    }
+
+    return { publish, connect, clientCount, close };
+}
+
+module.exports = { createSyncHub };
@@ -0,0 +1,66 @@
+/**
+ * BriPlanner - Tags
+ *
+ * Free-form labels on tasks, like "work", "home" or "waiting-for" - a bit
+ * like a multi-select custom field where you make up the values as you go.
+ * Tags are kept in one spelling: trimmed, lower case, without a leading "#"
+ * and with single spaces, so "#Work" and "work " are the same tag.
+ *
+ *   task.tags = ['work', 'errands']
+ */
+
+const { walkTasks } = require('./tasks');
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+
+function normalizeTag(text) {
+    return text.trim().replace(/^#+/, '').replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Validate and normalize a tags list from a POST/PUT body (null clears it).
+// Returns { value } or { error }.
+function parseTags(value) {
+    if (value === null) return { value: [] };
+    if (!Array.isArray(value) || value.some(tag => typeof tag !== 'string')) {
+        return { error: 'tags must be an array of strings' };
+    }
+
+    const tags = [];
+    for (const tag of value.map(normalizeTag)) {
+        if (!tag) {
+            return { error: 'tags cannot be empty' };
+        }
+        if (tag.length > MAX_TAG_LENGTH) {
+            return { error: `tags can be at most ${MAX_TAG_LENGTH} characters long` };
+        }
+        // Commas separate tags in ?tag= filters, so they can't be part of one
+        if (tag.includes(',')) {
+            return { error: 'tags cannot contain commas' };
+        }
+        if (!tags.includes(tag)) tags.push(tag);
+    }
+    if (tags.length > MAX_TAGS) {
+        return { error: `A task can have at most ${MAX_TAGS} tags` };
+    }
+    return { value: tags };
+}
+
+/**
+ * Every tag in use, with how many tasks have it and how many of those are
+ * still open. Most used first, then alphabetical.
+ */
+function tagIndex(taskList) {
+    const counts = new Map();
+    for (const task of walkTasks(taskList)) {
+        for (const tag of task.tags || []) {
+            const entry = counts.get(tag) || { tag, count: 0, openCount: 0 };
+            entry.count++;
+            if (!task.completed) entry.openCount++;
+            counts.set(tag, entry);
+        }
+    }
+    return [...counts.values()].sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+module.exports = { MAX_TAGS, normalizeTag, parseTags, tagIndex };
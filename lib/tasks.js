@@ -0,0 +1,156 @@
+/**
+ * BriPlanner - Task Tree Helpers
+ *
+ * Tasks form a tree: each task has a `children` array of subtasks, which can
+ * have children of their own. These helpers create, find, move, remove, walk
+ * and copy tasks anywhere in that tree. They work on any task array, whichever storage
+ * backend it was loaded from.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+// Build a new task with every field set to its default. `fields` can set
+// any of them (e.g. { title, description, completed, id }).
+function createTask(fields = {}) {
+    const now = new Date().toISOString();
+    return {
+        id: uuidv4(),
+        version: 0, // goes up with every change, see lib/versions.js
+        title: '',
+        description: '',
+        completed: false,
+        progress: 0,
+        checklist: [],
+        children: [],
+        dueAt: null,
+        remindAt: [],
+        reminderEmail: null,
+        reminders: [],
+        recurrence: null,
+        emailReminder: null,
+        timeEntries: [],
+        focusSession: null,
+        estimateMinutes: null,
+        priority: null,
+        tags: [],
+        energy: null,
+        blockedBy: [],
+        deferredUntil: null,
+        createdAt: now,
+        updatedAt: now,
+        ...fields
+    };
+}
+
+// Helper function to find task by ID (searches nested children too)
+function findTaskById(id, taskList) {
+    for (const task of taskList) {
+        if (task.id === id) {
+            return task;
+        }
+        if (task.children && task.children.length > 0) {
+            const found = findTaskById(id, task.children);
+            if (found) return found;
+        }
+    }
+    return null;
+}
+
+// Helper function to remove task by ID
+function removeTaskById(id, taskList) {
+    for (let i = 0; i < taskList.length; i++) {
+        if (taskList[i].id === id) {
+            taskList.splice(i, 1);
+            return true;
+        }
+        if (taskList[i].children && taskList[i].children.length > 0) {
+            if (removeTaskById(id, taskList[i].children)) {
+                return true;
+            }
+        }
+    }
+    return false;
+}
+
+// Find where a task sits in the tree: the array holding it, its index in
+// that array, and its parent task (null for top-level tasks)
+function findTaskLocation(id, taskList, parent = null) {
+    for (let i = 0; i < taskList.length; i++) {
+        const task = taskList[i];
+        if (task.id === id) {
+            return { list: taskList, index: i, parent };
+        }
+        if (task.children && task.children.length > 0) {
+            const found = findTaskLocation(id, task.children, task);
+            if (found) return found;
+        }
+    }
+    return null;
+}
+
+// Move a task (with its whole subtree) under a new parent, or to the top
+// level when parent is null. `position` is the task's index in its new list
+// once the move is done; leave it out to move the task to the end.
+// The caller must make sure the new parent isn't the task itself or one of
+// its own subtasks (see isSameOrDescendant).
+function moveTask(taskList, task, parent, position) {
+    const from = findTaskLocation(task.id, taskList);
+    from.list.splice(from.index, 1);
+
+    const target = parent ? parent.children : taskList;
+    const index = position === undefined ? target.length : Math.min(position, target.length);
+    target.splice(index, 0, task);
+
+    return { previousParent: from.parent, index };
+}
+
+// True when `candidate` is `task` itself or anywhere in its subtree
+function isSameOrDescendant(task, candidate) {
+    return findTaskById(candidate.id, [task]) !== null;
+}
+
+// Visit every task in the tree, children included
+function* walkTasks(taskList) {
+    for (const task of taskList) {
+        yield task;
+        if (task.children && task.children.length > 0) {
+            yield* walkTasks(task.children);
+        }
+    }
+}
+
+// Deep-copy a task and its subtasks as fresh, unfinished work: new IDs
+// everywhere, nothing completed, no reminders, email history or time tracked.
+function cloneTask(task) {
+    const now = new Date().toISOString();
+    const copy = structuredClone(task);
+
+    for (const clone of walkTasks([copy])) {
+        clone.id = uuidv4();
+        clone.version = 0;
+        clone.completed = false;
+        clone.checklist = (clone.checklist || []).map(item => ({ ...item, id: uuidv4(), completed: false }));
+        clone.reminders = [];
+        clone.emailReminder = null;
+        clone.timeEntries = [];
+        clone.focusSession = null;
+        clone.deferredUntil = null;
+        clone.createdAt = now;
+        clone.updatedAt = now;
+        if (clone.recurrence) {
+            delete clone.recurrence.spawnedNextId;
+        }
+    }
+    return copy;
+}
+
+module.exports = {
+    createTask,
+    findTaskById,
+    removeTaskById,
+    findTaskLocation,
+    moveTask,
+    isSameOrDescendant,
+    walkTasks,
+    cloneTask
+};
@@ -0,0 +1,233 @@
+/**
+ * BriPlanner - Task Templates
+ *
+ * A template is a task breakdown you use again and again - "Pack for trip"
+ * with its 20 checklist items, "Monthly bills" with a subtask per bill -
+ * saved under a name, like a memorized transaction in NetSuite. Making a
+ * task from it copies the whole thing with new IDs, so the copies have
+ * nothing to do with each other (or with the template) afterwards:
+ *
+ *   { id, ownerId, name, task, createdAt, updatedAt }
+ *
+ *   task = { title, description, checklist: [{ text }], children: [task, ...],
+ *            estimateMinutes, priority, energy, tags, remindAt }
+ *
+ * Only what describes the work is kept: no IDs, no ticks, no due dates or
+ * tracked time. Titles, descriptions and checklist items can hold
+ * placeholders that are filled in when the template is used:
+ *
+ *   "Pack for {{destination}}"   → "Pack for Lisbon"
+ *
+ * {{date}} (2026-05-05), {{month}} (May 2026) and {{year}} are filled in
+ * with today's values unless you give your own.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { createTask, walkTasks } = require('./tasks');
+const { parsePlanningFields } = require('./planner');
+const { parseTags } = require('./tags');
+const { parseRemindAt, buildReminderSchedule } = require('./reminders');
+const { MAX_TITLE_LENGTH, MAX_DESCRIPTION_LENGTH, MAX_CHECKLIST_TEXT_LENGTH } = require('./schemas');
+
+const MAX_TEMPLATES = 100;
+const MAX_NAME_LENGTH = 60;
+const MAX_TEMPLATE_TASKS = 500;
+const MAX_DEPTH = 20;
+
+const PLACEHOLDER = /\{\{\s*([a-zA-Z][\w-]{0,39})\s*\}\}/g;
+
+// The fields of a task a template keeps (besides checklist and children)
+const KEPT_FIELDS = ['title', 'description', 'estimateMinutes', 'priority', 'energy', 'tags', 'remindAt'];
+
+// Values for the built-in placeholders, in the server's time zone
+function builtInValues(now = new Date()) {
+    const pad = number => String(number).padStart(2, '0');
+    return {
+        date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+        month: now.toLocaleString('en-US', { month: 'long', year: 'numeric' }),
+        year: String(now.getFullYear())
+    };
+}
+
+// The template version of a task subtree
+function templateFromTask(task) {
+    const kept = {};
+    for (const field of KEPT_FIELDS) {
+        if (task[field] !== undefined && task[field] !== null) kept[field] = structuredClone(task[field]);
+    }
+    return {
+        ...kept,
+        checklist: (task.checklist || []).map(item => ({ text: item.text })),
+        children: (task.children || []).map(templateFromTask)
+    };
+}
+
+/**
+ * Check a POST/PUT body (already shape-checked by the saveTemplate schema).
+ * `templates` are the user's other templates (names must be unique, ignoring
+ * case); on PUT, missing fields keep their current value. `source` is the
+ * task named by body.taskId, if any. Returns { value: { name, task } } or
+ * { error, field, status? }.
+ */
+function parseTemplate(body, { templates, current = null, source = null }) {
+    const name = body.name === undefined && current ? current.name : body.name;
+    if (typeof name !== 'string' || !name.trim()) {
+        return { error: 'name is required', field: 'name' };
+    }
+    if (name.trim().length > MAX_NAME_LENGTH) {
+        return { error: `name can be at most ${MAX_NAME_LENGTH} characters long`, field: 'name' };
+    }
+    const taken = templates.some(other => other !== current && other.name.toLowerCase() === name.trim().toLowerCase());
+    if (taken) {
+        return { error: `You already have a template called "${name.trim()}"`, field: 'name' };
+    }
+
+    if (body.taskId !== undefined && body.task !== undefined) {
+        return { error: 'Send either taskId or task, not both', field: 'task' };
+    }
+    let task = current ? current.task : null;
+    if (body.taskId !== undefined) {
+        if (!source) return { error: 'Task not found', field: 'taskId', status: 404 };
+        task = templateFromTask(source);
+    } else if (body.task !== undefined) {
+        task = templateFromTask(body.task);
+    }
+    if (!task) {
+        return { error: 'Give the task to save, as taskId or task', field: 'taskId' };
+    }
+
+    const size = [...walkTasks([task])].length;
+    if (size > MAX_TEMPLATE_TASKS) {
+        return { error: `A template can have at most ${MAX_TEMPLATE_TASKS} tasks (this one has ${size})`, field: 'task' };
+    }
+    if (depthOf(task) > MAX_DEPTH) {
+        return { error: `A template can be at most ${MAX_DEPTH} levels deep`, field: 'task' };
+    }
+    const invalid = checkTemplateTask(task, 'task');
+    if (invalid) {
+        return invalid;
+    }
+    return { value: { name: name.trim(), task } };
+}
+
+// Run every task in the template through the same checks a new task gets,
+// so what instantiateTemplate builds is as valid as a task added by hand.
+// Cleans the values up in place (tags normalized, reminders sorted) and
+// returns { error, field } for the first bad one, with its path, e.g.
+// "task.children.2.estimateMinutes".
+function checkTemplateTask(node, path) {
+    const planning = parsePlanningFields(node, { taskList: [], taskId: null });
+    if (planning.error) {
+        return { error: planning.error, field: `${path}.${planning.field}` };
+    }
+    Object.assign(node, planning.value);
+
+    for (const [field, parse] of [['tags', parseTags], ['remindAt', parseRemindAt]]) {
+        if (node[field] === undefined) continue;
+        const result = parse(node[field]);
+        if (result.error) return { error: result.error, field: `${path}.${field}` };
+        node[field] = result.value;
+    }
+
+    for (const [index, child] of node.children.entries()) {
+        const invalid = checkTemplateTask(child, `${path}.children.${index}`);
+        if (invalid) return invalid;
+    }
+    return null;
+}
+
+function depthOf(task) {
+    return 1 + Math.max(0, ...task.children.map(depthOf));
+}
+
+function createTemplate({ ownerId, name, task }, now = new Date()) {
+    return {
+        id: uuidv4(),
+        ownerId,
+        name,
+        task,
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString()
+    };
+}
+
+// Placeholder names used anywhere in a template, in order of first use
+function templateVariables(task) {
+    const names = [];
+    for (const node of walkTasks([task])) {
+        const texts = [node.title, node.description || '', ...node.checklist.map(item => item.text)];
+        for (const text of texts) {
+            for (const [, name] of text.matchAll(PLACEHOLDER)) {
+                if (!names.includes(name)) names.push(name);
+            }
+        }
+    }
+    return names;
+}
+
+// A template as the API shows it: with its placeholders, and the value the
+// built-in ones get when none is given
+function describeTemplate(template, now = new Date()) {
+    const builtIns = builtInValues(now);
+    return {
+        ...template,
+        variables: templateVariables(template.task).map(name => ({ name, default: Object.hasOwn(builtIns, name) ? builtIns[name] : null }))
+    };
+}
+
+/**
+ * Make tasks from a template: a new task tree with fresh IDs, every
+ * placeholder filled in from `values` (or the built-ins). The caller adds
+ * the root to the tree. Returns { value: rootTask } or { error, field }.
+ */
+function instantiateTemplate(template, values = {}, now = new Date()) {
+    // Own keys only: {{constructor}} or {{toString}} are placeholders like
+    // any other, not a way to reach Object.prototype
+    const filled = Object.assign(Object.create(null), builtInValues(now), values);
+    const missing = templateVariables(template.task).filter(name => !(filled[name] || '').trim());
+    if (missing.length > 0) {
+        return {
+            error: `Fill in ${missing.map(name => `{{${name}}}`).join(', ')}`,
+            field: `variables.${missing[0]}`
+        };
+    }
+
+    const fill = text => text.replace(PLACEHOLDER, (match, name) => filled[name].trim());
+    let tooLong = null;
+    const limit = (text, max, field) => {
+        if (text.length > max && !tooLong) tooLong = { error: `${field} "${text.slice(0, 40)}…" is too long once filled in`, field: 'variables' };
+        return text;
+    };
+
+    const build = (node) => {
+        const { checklist, children, title, description, tags, ...fields } = node;
+        const task = createTask({
+            ...structuredClone(fields),
+            title: limit(fill(title), MAX_TITLE_LENGTH, 'Title'),
+            description: limit(fill(description || ''), MAX_DESCRIPTION_LENGTH, 'Description'),
+            tags: [...(tags || [])],
+            checklist: checklist.map(item => ({
+                id: uuidv4(),
+                text: limit(fill(item.text), MAX_CHECKLIST_TEXT_LENGTH, 'Checklist item'),
+                completed: false
+            })),
+            children: children.map(build)
+        });
+        // Like addTask: the reminders are scheduled once there's a due date
+        task.reminders = buildReminderSchedule(task);
+        return task;
+    };
+
+    const root = build(template.task);
+    return tooLong || { value: root };
+}
+
+module.exports = {
+    MAX_TEMPLATES,
+    parseTemplate,
+    createTemplate,
+    templateFromTask,
+    templateVariables,
+    describeTemplate,
+    instantiateTemplate
+};
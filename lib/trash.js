@@ -0,0 +1,131 @@
+/**
+ * BriPlanner - Trash Bin
+ *
+ * Deleting a task (with all its subtasks) or a checklist item doesn't destroy
+ * it straight away. It goes into the trash, remembering where it was, and can
+ * be put back until the retention window runs out - like the Recycle Bin on
+ * your computer. Each trash entry looks like:
+ *
+ *   {
+ *     id, ownerId, deletedAt, expiresAt,
+ *     type: 'task',          parentId, position, task   // whole subtree
+ *     type: 'checklistItem', taskId,   position, item
+ *   }
+ *
+ * Entries past expiresAt are removed for good by pruneTrash(), which runs
+ * whenever the trash is used.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { findTaskById, findTaskLocation, walkTasks } = require('./tasks');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function newEntry(fields, { ownerId, retentionDays, now = new Date() }) {
+    return {
+        id: uuidv4(),
+        ownerId,
+        deletedAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + retentionDays * DAY_MS).toISOString(),
+        ...fields
+    };
+}
+
+// Take a task (and its subtasks) out of the tree and into the trash.
+// Returns the trash entry, or null when there's no such task.
+function trashTask(trash, taskList, taskId, options) {
+    const location = findTaskLocation(taskId, taskList);
+    if (!location) return null;
+
+    const [task] = location.list.splice(location.index, 1);
+    const entry = newEntry({
+        type: 'task',
+        parentId: location.parent ? location.parent.id : null,
+        position: location.index,
+        task
+    }, options);
+
+    trash.push(entry);
+    return entry;
+}
+
+// Take a checklist item off its task and into the trash.
+// Returns the trash entry, or null when the task has no such item.
+function trashChecklistItem(trash, task, itemId, options) {
+    const index = task.checklist.findIndex(i => i.id === itemId);
+    if (index === -1) return null;
+
+    const [item] = task.checklist.splice(index, 1);
+    const entry = newEntry({ type: 'checklistItem', taskId: task.id, position: index, item }, options);
+
+    trash.push(entry);
+    return entry;
+}
+
+/**
+ * Put a trashed task or checklist item back where it was, and drop the entry.
+ * A task whose parent is gone comes back at the top level; a checklist item
+ * needs its task. Returns { entry } or { status, error }.
+ */
+function restoreFromTrash(trash, entryId, taskList) {
+    const index = trash.findIndex(e => e.id === entryId);
+    if (index === -1) {
+        return { status: 404, error: 'Trash item not found' };
+    }
+    const entry = trash[index];
+
+    if (entry.type === 'task') {
+        for (const task of walkTasks([entry.task])) {
+            if (findTaskById(task.id, taskList)) {
+                return { status: 409, error: 'A task with the same ID is already in your list' };
+            }
+        }
+        const parent = entry.parentId ? findTaskById(entry.parentId, taskList) : null;
+        const siblings = parent ? parent.children : taskList;
+        siblings.splice(Math.min(entry.position, siblings.length), 0, entry.task);
+        if (parent) parent.updatedAt = new Date().toISOString();
+    } else {
+        const task = findTaskById(entry.taskId, taskList);
+        if (!task) {
+            return { status: 409, error: 'The task this item belonged to is gone - restore that task first' };
+        }
+        if (task.checklist.some(i => i.id === entry.item.id)) {
+            return { status: 409, error: 'The checklist already has this item' };
+        }
+        task.checklist.splice(Math.min(entry.position, task.checklist.length), 0, entry.item);
+        task.updatedAt = new Date().toISOString();
+    }
+
+    trash.splice(index, 1);
+    return { entry };
+}
+
+// Remove entries whose retention window has run out. Returns how many went.
+function pruneTrash(trash, now = new Date()) {
+    const before = trash.length;
+    const kept = trash.filter(entry => Date.parse(entry.expiresAt) > now.getTime());
+    trash.splice(0, trash.length, ...kept);
+    return before - kept.length;
+}
+
+// What the trash list shows for an entry
+function describeEntry(entry) {
+    const summary = {
+        id: entry.id,
+        type: entry.type,
+        deletedAt: entry.deletedAt,
+        expiresAt: entry.expiresAt
+    };
+
+    if (entry.type === 'task') {
+        return {
+            ...summary,
+            title: entry.task.title,
+            parentId: entry.parentId,
+            subtaskCount: [...walkTasks(entry.task.children || [])].length
+        };
+    }
+    return { ...summary, title: entry.item.text, taskId: entry.taskId };
+}
+
+module.exports = { trashTask, trashChecklistItem, restoreFromTrash, pruneTrash, describeEntry };
@@ -0,0 +1,221 @@
+/**
+ * BriPlanner - Request Validation and Error Responses
+ *
+ * Every route says what it accepts as a schema, the way a NetSuite record
+ * type defines its fields: a type, whether it's mandatory, a maximum length.
+ * validateRequest() checks the body and query string against it before the
+ * route runs, so a route only ever sees fields it knows, of the right type
+ * and size. Fields that aren't in the schema are rejected rather than
+ * quietly ignored (or worse, saved).
+ *
+ * A schema maps field names to rules (see lib/schemas.js for the real ones):
+ *
+ *   { title: { type: 'string', required: true, minLength: 1, maxLength: 200 } }
+ *
+ *   type        'string', 'boolean', 'integer', 'number', 'array' or 'object'
+ *               (or a list of them, e.g. ['string', 'object'])
+ *   required    the field has to be there
+ *   nullable    null is allowed too
+ *   values      the allowed values, like a list field
+ *   minLength   strings: at least this long, not counting surrounding spaces
+ *   maxLength   strings: at most this long
+ *   pattern     strings: a regular expression the value has to match, with
+ *               `format` saying what that is in words ("a UUID")
+ *   min, max    numbers: the allowed range
+ *   maxItems    arrays: at most this many items
+ *   items       arrays: the rule every item has to follow
+ *   uniqueBy    arrays of objects: no two items may share this field
+ *   fields      objects: a schema for the object (unknown keys rejected)
+ *   entries     objects: the rule every value follows, for any key
+ *
+ * Every error the API sends has the same shape, whether it came from here
+ * or from a route:
+ *
+ *   { "error": { "code": "too_long", "message": "title can be at most 200 characters long", "field": "title" } }
+ *
+ * `field` names the offending field (like "checklist[2].text"), or is null
+ * when the error isn't about one field.
+ */
+
+const TYPES = {
+    string: { check: value => typeof value === 'string', name: 'a string' },
+    boolean: { check: value => typeof value === 'boolean', name: 'true or false' },
+    integer: { check: value => Number.isInteger(value), name: 'a whole number' },
+    number: { check: value => typeof value === 'number' && Number.isFinite(value), name: 'a number' },
+    array: { check: value => Array.isArray(value), name: 'a list' },
+    object: { check: value => value !== null && typeof value === 'object' && !Array.isArray(value), name: 'an object' }
+};
+
+// Error codes for errors that only come with a message
+const STATUS_CODES = {
+    400: 'invalid_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    412: 'version_conflict',
+    413: 'too_large',
+    415: 'unsupported_media_type',
+    422: 'unprocessable',
+    500: 'server_error'
+};
+
+function apiError(code, message, field = null) {
+    return { code, message, field };
+}
+
+// A field had the right type but a value we can't use
+function fieldError(field, message) {
+    return apiError('invalid_value', message, field);
+}
+
+/**
+ * Check `input` (an object) against a schema.
+ * Returns { value: input } or { error: { code, message, field } }.
+ */
+function validate(schema, input, path = '') {
+    if (!TYPES.object.check(input)) {
+        return { error: apiError('invalid_type', `${path || 'The request body'} must be an object`, path || null) };
+    }
+
+    for (const key of Object.keys(input)) {
+        if (!Object.prototype.hasOwnProperty.call(schema, key)) {
+            const field = joinPath(path, key);
+            return { error: apiError('unknown_field', `${field} is not a known field`, field) };
+        }
+    }
+    for (const [key, rule] of Object.entries(schema)) {
+        const error = checkValue(rule, input[key], joinPath(path, key));
+        if (error) return { error };
+    }
+    return { value: input };
+}
+
+// Returns an error for `value`, or null when it follows the rule
+function checkValue(rule, value, field) {
+    if (value === undefined) {
+        return rule.required ? apiError('required', `${field} is required`, field) : null;
+    }
+    if (value === null) {
+        return rule.nullable ? null : apiError('invalid_type', `${field} cannot be null`, field);
+    }
+
+    const types = [].concat(rule.type);
+    const type = types.find(name => TYPES[name].check(value));
+    if (!type) {
+        return apiError('invalid_type', `${field} must be ${types.map(name => TYPES[name].name).join(' or ')}`, field);
+    }
+    if (rule.values && !rule.values.includes(value)) {
+        return apiError('invalid_value', `${field} must be one of: ${rule.values.join(', ')}`, field);
+    }
+
+    if (type === 'string') {
+        if (rule.minLength !== undefined && value.trim().length < rule.minLength) {
+            return apiError('too_short', rule.minLength === 1
+                ? `${field} cannot be empty`
+                : `${field} must be at least ${rule.minLength} characters long`, field);
+        }
+        if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+            return apiError('too_long', `${field} can be at most ${rule.maxLength} characters long`, field);
+        }
+        if (rule.pattern && !rule.pattern.test(value)) {
+            return apiError('invalid_value', `${field} must be ${rule.format}`, field);
+        }
+    }
+
+    if ((type === 'integer' || type === 'number')
+        && ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max))) {
+        return apiError('out_of_range', `${field} must be ${describeRange(rule)}`, field);
+    }
+
+    if (type === 'array') {
+        if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+            return apiError('too_many_items', `${field} can have at most ${rule.maxItems} items`, field);
+        }
+        for (let i = 0; rule.items && i < value.length; i++) {
+            const error = checkValue(rule.items, value[i], `${field}[${i}]`);
+            if (error) return error;
+        }
+        if (rule.uniqueBy) {
+            const seen = new Set();
+            for (let i = 0; i < value.length; i++) {
+                const key = value[i][rule.uniqueBy];
+                if (seen.has(key)) {
+                    return apiError('invalid_value', `${field}[${i}].${rule.uniqueBy} is used twice`, `${field}[${i}].${rule.uniqueBy}`);
+                }
+                seen.add(key);
+            }
+        }
+    }
+
+    if (type === 'object') {
+        if (rule.fields) {
+            const { error } = validate(rule.fields, value, field);
+            if (error) return error;
+        }
+        for (const [key, entry] of rule.entries ? Object.entries(value) : []) {
+            const error = checkValue(rule.entries, entry, joinPath(field, key));
+            if (error) return error;
+        }
+    }
+    return null;
+}
+
+function describeRange({ min, max }) {
+    if (min !== undefined && max !== undefined) return `from ${min} to ${max}`;
+    return min !== undefined ? `at least ${min}` : `at most ${max}`;
+}
+
+function joinPath(path, key) {
+    return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Express middleware that checks req.body and/or req.query against the
+ * schemas in `{ body, query }` and answers 400 when they don't match.
+ */
+function validateRequest({ body, query }) {
+    return (req, res, next) => {
+        for (const [part, schema] of [['query', query], ['body', body]]) {
+            if (!schema) continue;
+            const { error } = validate(schema, req[part] || {});
+            if (error) {
+                return sendError(res, 400, error);
+            }
+        }
+        next();
+    };
+}
+
+/**
+ * Send an error response: { error: { code, message, field } }. `error` is a
+ * message, or an error object like the ones validate() returns. `extra`
+ * adds fields next to `error` (like the current task on a 412).
+ */
+function sendError(res, status, error, extra = {}) {
+    const { code = STATUS_CODES[status] || 'error', message, field = null } =
+        typeof error === 'string' ? { message: error } : error;
+    return res.status(status).json({ error: apiError(code, message, field), ...extra });
+}
+
+// Express error handler (registered last): bodies that aren't valid JSON or
+// are too big, and anything a route throws, get the same error shape
+function errorHandler(err, req, res, next) {
+    if (res.headersSent) {
+        return next(err);
+    }
+    if (err.type === 'entity.parse.failed') {
+        return sendError(res, 400, apiError('invalid_json', 'The request body is not valid JSON'));
+    }
+    if (err.type === 'entity.too.large') {
+        return sendError(res, 413, `The request body is too large (at most ${err.limit} bytes)`);
+    }
+    if (err.status >= 400 && err.status < 500) {
+        return sendError(res, err.status, err.expose ? err.message : 'Bad request');
+    }
+
+    console.error('Unexpected error:', err);
+    sendError(res, 500, 'Something went wrong on the server');
+}
+
+module.exports = { apiError, fieldError, validate, validateRequest, sendError, errorHandler };
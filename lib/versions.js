@@ -0,0 +1,61 @@
+/**
+ * BriPlanner - Task Versions and If-Match
+ *
+ * Two tabs editing the same task shouldn't quietly overwrite each other.
+ * Every task has a `version` that goes up whenever it changes - or anything
+ * under it does, since its subtasks are part of it - and task responses
+ * carry it as their ETag header:
+ *
+ *   ETag: "7"
+ *
+ * A client sends the version it last saw back in If-Match when it changes
+ * the task. If the task has moved on since, the change is refused with
+ * 412 Precondition Failed and the task as it is now, so the client can
+ * reload or merge - like NetSuite's "Record has been changed" error when
+ * two people save the same record. Requests without If-Match go through as
+ * before. Checklist items don't have versions of their own; changing one
+ * is checked against its task.
+ */
+
+const { findTaskById, findTaskLocation } = require('./tasks');
+const { sendError } = require('./validation');
+
+function etagFor(task) {
+    return `"${task.version || 0}"`;
+}
+
+// Count a change to a task and to every task above it
+function bumpVersion(taskList, taskId) {
+    let location = findTaskLocation(taskId, taskList);
+    let task = location ? location.list[location.index] : null;
+    while (task) {
+        task.version = (task.version || 0) + 1;
+        location = findTaskLocation(task.id, taskList);
+        task = location.parent;
+    }
+}
+
+// Does an If-Match header allow changing `task`? No header always does.
+// Versions are compared exactly, so weak (W/"7") tags never match.
+function ifMatchAllows(header, task) {
+    if (!header) return true;
+    return header.split(',').map(tag => tag.trim()).some(tag => tag === '*' || tag === etagFor(task));
+}
+
+/**
+ * Express middleware that checks If-Match against the task a request is
+ * about. `getTaskId(req)` names it; a task that doesn't exist is left for
+ * the route to answer with its 404.
+ */
+function requireCurrentVersion(getTaskId) {
+    return (req, res, next) => {
+        const task = findTaskById(getTaskId(req), req.tasks);
+        if (task && !ifMatchAllows(req.get('If-Match'), task)) {
+            res.set('ETag', etagFor(task));
+            return sendError(res, 412, 'This task was changed somewhere else since you loaded it', { task });
+        }
+        next();
+    };
+}
+
+module.exports = { etagFor, bumpVersion, ifMatchAllows, requireCurrentVersion };
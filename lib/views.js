@@ -0,0 +1,73 @@
+/**
+ * BriPlanner - Saved Views
+ *
+ * A view is a named set of GET /api/tasks query parameters, like a saved
+ * search in NetSuite: "Work this week" might be
+ * { tag: 'work', completed: 'false', sort: 'dueAt' }. Views are kept on the
+ * server, so they show up as tabs on every device:
+ *
+ *   { id, ownerId, name, query, createdAt, updatedAt }
+ *
+ * A view's tasks are whatever GET /api/tasks?<query> returns right now -
+ * the view only remembers the filters, not the results.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { parseTaskQuery } = require('./query');
+
+const MAX_VIEWS = 50;
+const MAX_NAME_LENGTH = 60;
+
+// Paging belongs to one request, not to a saved view
+const PAGING_PARAMS = ['limit', 'cursor'];
+
+/**
+ * Check a POST/PUT body. `views` are the user's other views (names must be
+ * unique, ignoring case). On PUT, missing fields keep their current value.
+ * Returns { value: { name, query } } or { error, field }.
+ */
+function parseView(body, { views, current = null }) {
+    const name = body.name === undefined && current ? current.name : body.name;
+    if (typeof name !== 'string' || !name.trim()) {
+        return { error: 'name is required', field: 'name' };
+    }
+    if (name.trim().length > MAX_NAME_LENGTH) {
+        return { error: `name can be at most ${MAX_NAME_LENGTH} characters long`, field: 'name' };
+    }
+    const taken = views.some(view => view !== current && view.name.toLowerCase() === name.trim().toLowerCase());
+    if (taken) {
+        return { error: `You already have a view called "${name.trim()}"`, field: 'name' };
+    }
+
+    const query = body.query === undefined ? (current ? current.query : {}) : body.query;
+    if (!query || typeof query !== 'object' || Array.isArray(query)) {
+        return { error: 'query must be an object of GET /api/tasks parameters', field: 'query' };
+    }
+    for (const [param, value] of Object.entries(query)) {
+        if (PAGING_PARAMS.includes(param)) {
+            return { error: `query cannot include ${param} (views aren't paged)`, field: `query.${param}` };
+        }
+        if (typeof value !== 'string') {
+            return { error: `query.${param} must be a string`, field: `query.${param}` };
+        }
+    }
+    const { error } = parseTaskQuery(query);
+    if (error) {
+        return { error: `query: ${error}`, field: 'query' };
+    }
+
+    return { value: { name: name.trim(), query: { ...query } } };
+}
+
+function createView({ ownerId, name, query }, now = new Date()) {
+    return {
+        id: uuidv4(),
+        ownerId,
+        name,
+        query,
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString()
+    };
+}
+
+module.exports = { MAX_VIEWS, parseView, createView };
@@ -0,0 +1,407 @@
+/**
+ * BriPlanner - Outgoing Webhooks
+ *
+ * A webhook is a URL we call whenever something happens to your tasks, so
+ * other tools (home automation, a chat bot) can react - the same idea as a
+ * User Event Script in NetSuite that posts to another system afterSubmit.
+ * Each subscription is kept per user:
+ *
+ *   { id, ownerId, url, events: ['task.completed', ...] or ['*'], secret,
+ *     active, description, createdAt, updatedAt }
+ *
+ * Events (worked out from the activity history, see lib/activity.js):
+ *
+ *   task.created       a task was added (by hand, import, template, email...)
+ *   task.updated       any change to a task's fields
+ *   task.completed     a task was ticked off (comes with a task.updated too)
+ *   task.deleted       a task went to the trash
+ *   checklist.toggled  a checklist item was ticked or unticked
+ *   reminder.sent      a reminder email went out
+ *
+ * Every call is a POST with a JSON body:
+ *
+ *   { id, event, createdAt, data: { taskId, itemId, task, item, changes, actor, details } }
+ *
+ * signed with the subscription's secret, so the receiver can check it came
+ * from us and wasn't changed on the way:
+ *
+ *   X-BriPlanner-Timestamp: 1792400000
+ *   X-BriPlanner-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ *
+ * A call that fails (no 2xx answer, or no answer in time) is tried again
+ * later, waiting twice as long each time: 30 s, 1 min, 2 min... until
+ * maxAttempts. Every delivery and its attempts are kept in a log.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { v4: uuidv4 } = require('uuid');
+
+const WEBHOOK_EVENTS = ['task.created', 'task.updated', 'task.completed', 'task.deleted', 'checklist.toggled', 'reminder.sent'];
+const ALL_EVENTS = '*';
+
+const MAX_WEBHOOKS = 20;
+const MAX_URL_LENGTH = 2000;
+const MIN_SECRET_LENGTH = 16;
+// Finished deliveries kept per webhook; older ones are dropped
+const MAX_DELIVERIES = 100;
+// How much of the receiver's answer goes in the log
+const MAX_RESPONSE_LENGTH = 500;
+
+const USER_AGENT = 'BriPlanner-Webhooks/1.0';
+
+/**
+ * Check a POST/PUT body (already shape-checked by the saveWebhook schema).
+ * On PUT (`current` given) missing fields keep their value; a new webhook
+ * without a secret gets a random one.
+ * Returns { value: { url, events, secret, active, description } } or { error, field }.
+ */
+function parseWebhook(body, { current = null } = {}) {
+    const pick = (field, fallback) => (body[field] !== undefined ? body[field] : (current ? current[field] : fallback));
+
+    const url = pick('url', undefined);
+    if (typeof url !== 'string' || !url.trim()) {
+        return { error: 'url is required', field: 'url' };
+    }
+    let parsed;
+    try {
+        parsed = new URL(url.trim());
+    } catch (error) {
+        return { error: 'url must be a full http:// or https:// address', field: 'url' };
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol) || url.trim().length > MAX_URL_LENGTH) {
+        return { error: 'url must be a full http:// or https:// address', field: 'url' };
+    }
+
+    const events = [];
+    for (const [index, name] of pick('events', [ALL_EVENTS]).entries()) {
+        if (name !== ALL_EVENTS && !WEBHOOK_EVENTS.includes(name)) {
+            return { error: `Unknown event "${name}" (expected "*" or one of: ${WEBHOOK_EVENTS.join(', ')})`, field: `events.${index}` };
+        }
+        if (!events.includes(name)) events.push(name);
+    }
+    if (events.length === 0) {
+        return { error: 'Pick at least one event (or "*" for all of them)', field: 'events' };
+    }
+
+    const secret = pick('secret', null) || crypto.randomBytes(24).toString('base64url');
+    if (secret.length < MIN_SECRET_LENGTH) {
+        return { error: `secret must be at least ${MIN_SECRET_LENGTH} characters long`, field: 'secret' };
+    }
+
+    return {
+        value: {
+            url: parsed.href,
+            events: events.includes(ALL_EVENTS) ? [ALL_EVENTS] : events,
+            secret,
+            active: pick('active', true),
+            description: pick('description', '').trim()
+        }
+    };
+}
+
+function createWebhook({ ownerId, url, events, secret, active, description }, now = new Date()) {
+    return {
+        id: uuidv4(),
+        ownerId,
+        url,
+        events,
+        secret,
+        active,
+        description,
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString()
+    };
+}
+
+// A webhook as the API shows it: the secret only when asked for (right
+// after it was made), otherwise just its last characters
+function describeWebhook(webhook, { withSecret = false } = {}) {
+    const { secret, ...fields } = webhook;
+    return withSecret ? { ...fields, secret } : { ...fields, secretHint: `…${secret.slice(-4)}` };
+}
+
+function subscribes(webhook, event) {
+    return webhook.events.includes(ALL_EVENTS) || webhook.events.includes(event);
+}
+
+// The webhook events an activity history event stands for (often none)
+function webhookEvents(event) {
+    const changed = field => (event.changes || []).find(change => change.field === field);
+    switch (event.action) {
+        case 'task.created':
+        case 'task.deleted':
+            return [event.action];
+        case 'task.updated': {
+            const completed = changed('completed');
+            return completed && completed.after === true ? ['task.updated', 'task.completed'] : ['task.updated'];
+        }
+        case 'checklist.updated':
+            return changed('completed') ? ['checklist.toggled'] : [];
+        case 'email.sent':
+            return ['reminder.sent'];
+        default:
+            return [];
+    }
+}
+
+// "sha256=<hex>" for a body sent at `timestamp` (seconds)
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * What a receiver does to check a call: recompute the signature and compare
+ * in constant time, and refuse old timestamps so a captured call can't be
+ * replayed later. Returns true or false.
+ */
+function verifySignature(secret, { timestamp, signature, body }, { toleranceSeconds = 300, now = Date.now() } = {}) {
+    if (!timestamp || !signature || Math.abs(now / 1000 - Number(timestamp)) > toleranceSeconds) return false;
+    const expected = Buffer.from(signPayload(secret, timestamp, body));
+    const actual = Buffer.from(String(signature));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// How long to wait after the nth failed attempt (1, 2, ...): base, 2 x base, 4 x base...
+function retryDelayMs(attempt, baseMs) {
+    return baseMs * 2 ** (attempt - 1);
+}
+
+/**
+ * POST a body to a URL. Resolves with { statusCode, body } (the start of
+ * the answer) whatever the status; rejects when the call itself fails or
+ * takes longer than timeoutMs.
+ */
+function sendWebhook({ url, headers, body, timeoutMs }) {
+    return new Promise((resolve, reject) => {
+        const client = new URL(url).protocol === 'https:' ? https : http;
+        const req = client.request(url, { method: 'POST', headers: { ...headers, 'Content-Length': Buffer.byteLength(body) } }, (res) => {
+            let text = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => {
+                if (text.length < MAX_RESPONSE_LENGTH) text += chunk;
+            });
+            res.on('end', () => resolve({ statusCode: res.statusCode, body: text.slice(0, MAX_RESPONSE_LENGTH) }));
+            res.on('error', reject);
+        });
+        req.setTimeout(timeoutMs, () => req.destroy(new Error(`No answer within ${Math.round(timeoutMs / 1000)} s`)));
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+/**
+ * Set up the background job that sends webhook calls. Dependencies:
+ *
+ *   webhooks       - the list of subscriptions
+ *   deliveries     - the delivery log (kept, so retries survive a restart)
+ *   persist        - saves the data
+ *   send           - does the HTTP call (sendWebhook; replaceable in tests)
+ *   now            - clock function, replaceable in tests
+ *   intervalMs     - how often to look for retries that are due
+ *   timeoutMs      - how long to wait for a receiver
+ *   retryBaseMs    - the wait after the first failure (doubled each time)
+ *   maxAttempts    - give up after this many tries
+ *
+ * dispatch(event, task) is called with every activity history event and
+ * sends it to the webhooks that want it straight away; tick() sends the
+ * retries that are due. A delivery looks like:
+ *
+ *   { id, webhookId, ownerId, event, payload, status: 'pending' | 'succeeded' | 'failed',
+ *     attempts: [{ at, statusCode, error, response, durationMs }], nextAttemptAt,
+ *     createdAt, completedAt }
+ */
+function createWebhookDispatcher({
+    webhooks,
+    deliveries,
+    persist,
+    send = sendWebhook,
+    now = () => Date.now(),
+    intervalMs = 15 * 1000,
+    timeoutMs = 10 * 1000,
+    retryBaseMs = 30 * 1000,
+    maxAttempts = 6
+}) {
+    let timer = null;
+    let running = null;
+    const inFlight = new Map(); // delivery ID -> the attempt's promise
+
+    // Add a delivery to the log (trimming the webhook's oldest finished ones)
+    function enqueue(webhook, event, data) {
+        const createdAt = new Date(now()).toISOString();
+        const delivery = {
+            id: uuidv4(),
+            webhookId: webhook.id,
+            ownerId: webhook.ownerId,
+            event,
+            payload: { id: null, event, createdAt, data },
+            status: 'pending',
+            attempts: [],
+            nextAttemptAt: createdAt,
+            createdAt,
+            completedAt: null
+        };
+        delivery.payload.id = delivery.id;
+        deliveries.push(delivery);
+
+        const finished = deliveries.filter(d => d.webhookId === webhook.id && d.status !== 'pending');
+        for (const old of finished.slice(0, Math.max(0, finished.length - MAX_DELIVERIES))) {
+            deliveries.splice(deliveries.indexOf(old), 1);
+        }
+        return delivery;
+    }
+
+    // Try one delivery once, and work out what happens next
+    function attempt(delivery) {
+        if (!inFlight.has(delivery.id)) {
+            const promise = runAttempt(delivery).finally(() => inFlight.delete(delivery.id));
+            inFlight.set(delivery.id, promise);
+        }
+        return inFlight.get(delivery.id);
+    }
+
+    async function runAttempt(delivery) {
+        const webhook = webhooks.find(w => w.id === delivery.webhookId);
+        const started = now();
+        const record = { at: new Date(started).toISOString(), statusCode: null, error: null, response: null, durationMs: 0 };
+
+        if (!webhook || !webhook.active) {
+            record.error = webhook ? 'The webhook was turned off' : 'The webhook was deleted';
+        } else {
+            const body = JSON.stringify(delivery.payload);
+            const timestamp = String(Math.floor(started / 1000));
+            try {
+                const result = await send({
+                    url: webhook.url,
+                    body,
+                    timeoutMs,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'User-Agent': USER_AGENT,
+                        'X-BriPlanner-Event': delivery.event,
+                        'X-BriPlanner-Delivery': delivery.id,
+                        'X-BriPlanner-Timestamp': timestamp,
+                        'X-BriPlanner-Signature': signPayload(webhook.secret, timestamp, body)
+                    }
+                });
+                record.statusCode = result.statusCode;
+                record.response = result.body || null;
+                if (result.statusCode < 200 || result.statusCode >= 300) {
+                    record.error = `The receiver answered ${result.statusCode}`;
+                }
+            } catch (error) {
+                record.error = error.message;
+            }
+        }
+        record.durationMs = Math.max(0, now() - started);
+        delivery.attempts.push(record);
+
+        if (!record.error) {
+            delivery.status = 'succeeded';
+            delivery.nextAttemptAt = null;
+            delivery.completedAt = new Date(now()).toISOString();
+        } else if (!webhook || !webhook.active || delivery.attempts.length >= maxAttempts) {
+            delivery.status = 'failed';
+            delivery.nextAttemptAt = null;
+            delivery.completedAt = new Date(now()).toISOString();
+        } else {
+            delivery.nextAttemptAt = new Date(now() + retryDelayMs(delivery.attempts.length, retryBaseMs)).toISOString();
+        }
+        persist();
+        return delivery;
+    }
+
+    // Queue deliveries to the given webhooks and send them right away
+    function deliver(targets, event, data) {
+        const queued = targets.map(webhook => enqueue(webhook, event, data));
+        if (queued.length > 0) {
+            persist();
+            for (const delivery of queued) {
+                attempt(delivery).catch(error => console.error('Webhook delivery error:', error));
+            }
+        }
+        return queued;
+    }
+
+    async function runTick() {
+        const current = now();
+        const due = deliveries.filter(d => d.status === 'pending' && Date.parse(d.nextAttemptAt) <= current && !inFlight.has(d.id));
+        for (const delivery of due) {
+            await attempt(delivery);
+        }
+        return due;
+    }
+
+    return {
+        // Send an activity history event (with the task as it is now, or
+        // null when it's gone) to the owner's webhooks that want it
+        dispatch(event, task = null) {
+            const names = webhookEvents(event);
+            const owned = webhooks.filter(webhook => webhook.ownerId === event.ownerId && webhook.active);
+            const item = event.itemId && task ? task.checklist.find(i => i.id === event.itemId) || null : null;
+            const data = {
+                taskId: event.taskId,
+                itemId: event.itemId || null,
+                task,
+                item,
+                changes: event.changes,
+                actor: event.actor,
+                details: event.details || null
+            };
+            return names.flatMap(name => deliver(owned.filter(webhook => subscribes(webhook, name)), name, data));
+        },
+
+        // A test call ("ping") to one webhook, whatever its events
+        ping(webhook) {
+            return deliver([webhook], 'ping', { webhookId: webhook.id, message: 'Hello from BriPlanner' })[0];
+        },
+
+        // Send a logged delivery again, as a new delivery with the same payload data
+        redeliver(delivery, webhook) {
+            return deliver([webhook], delivery.event, delivery.payload.data)[0];
+        },
+
+        // Send the retries that are due once. Overlapping calls share the same run.
+        tick() {
+            if (!running) {
+                running = runTick().finally(() => {
+                    running = null;
+                });
+            }
+            return running;
+        },
+
+        // Wait for the calls under way (used by the tests)
+        idle() {
+            return Promise.allSettled([...inFlight.values()]);
+        },
+
+        start() {
+            if (timer) return;
+            const check = () => this.tick().catch(error => console.error('Webhook dispatcher error:', error));
+            timer = setInterval(check, intervalMs);
+            timer.unref(); // don't keep the process alive just for retries
+            check();
+        },
+
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    MAX_WEBHOOKS,
+    parseWebhook,
+    createWebhook,
+    describeWebhook,
+    webhookEvents,
+    signPayload,
+    verifySignature,
+    retryDelayMs,
+    sendWebhook,
+    createWebhookDispatcher
+};
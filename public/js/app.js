@@ -8,23 +8,223 @@
 // API Base URL
 const API_URL = '/api';
 
+// Reminder choices offered in the task detail (minutes before the due date)
+const REMINDER_PRESETS = [
+    { minutes: 0, label: 'At due time' },
+    { minutes: 15, label: '15 minutes before' },
+    { minutes: 60, label: '1 hour before' },
+    { minutes: 1440, label: '1 day before' }
+];
+
 // DOM Elements
 const addTaskForm = document.getElementById('add-task-form');
 const tasksContainer = document.getElementById('tasks-container');
 const taskModal = document.getElementById('task-modal');
 const taskDetail = document.getElementById('task-detail');
 const closeModal = document.querySelector('.close-modal');
+const appMain = document.getElementById('app-main');
+const authSection = document.getElementById('auth-section');
+const authForm = document.getElementById('auth-form');
+const authMessage = document.getElementById('auth-message');
+const userBar = document.getElementById('user-bar');
+
+// 'login' or 'register' - which form the auth screen shows
+let authMode = 'login';
+
+// The task card being dragged (while a drag is in progress)
+let draggedCard = null;
+
+// Pending search (we wait for a pause in typing before asking the server)
+let searchTimer = null;
+
+// How long the "Undo" toast stays up after a delete
+const UNDO_TIMEOUT_MS = 8000;
+let toastTimer = null;
+
+// Live sync (see connectLiveSync). CLIENT_ID tags this tab's own changes, so
+// their echo from the server can be skipped.
+const CLIENT_ID = Math.random().toString(36).slice(2) + Date.now().toString(36);
+const LIVE_RETRY_MAX_MS = 30000;
+let liveSource = null;
+let liveLastEventId = null;
+let liveRetryMs = 1000;
+let liveRetryTimer = null;
+let liveReloadTimer = null;
+
+// Ticks the focus timer in the detail modal once a second
+let focusTimer = null;
+
+// Saved views (the tabs above the task list) and the one that's selected
+let views = [];
+let activeViewId = null;
+
+// Saved task templates (see renderTemplatePicker)
+let templates = [];
+
+// Email-in settings, once loaded (see loadInboundSettings)
+let inboundSettings = null;
+
+// Today view: what "Skip" passed on (kept until the end of the day) and the
+// plan item currently shown
+const PLAN_SKIP_KEY = 'briplanner.planSkip';
+let planCurrent = null;
+
+// The last copy of each task this tab has seen (see sendTaskChange). Its
+// version goes back to the server in If-Match so we don't save over a change
+// made in another tab.
+const knownTasks = new Map();
+
+// Command palette (see openPalette): the tasks on screen, the commands
+// matching what's typed, which one is picked, and what Enter does
+// ({ type: 'subtask', task } while typing a subtask, else null)
+const PALETTE_MAX_RESULTS = 12;
+let shownTasks = [];
+let paletteCommands = [];
+let paletteIndex = 0;
+let paletteMode = null;
+let quickAddPreviewTimer = null;
+
+// Offline changes (see sendOrQueue): while the queue is being sent, and when
+// to try again after the connection dropped halfway
+const OFFLINE_RETRY_MS = 30000;
+let offlineSyncing = false;
+let offlineRetryTimer = null;
+
+// Thrown by apiFetch when the server says we're not logged in (any more)
+class AuthRequiredError extends Error {}
+
+// Common repeat rules (iCalendar RRULE format) offered in the task detail
+const REPEAT_PRESETS = [
+    { rule: 'FREQ=DAILY', label: 'Every day' },
+    { rule: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR', label: 'Every weekday' },
+    { rule: 'FREQ=WEEKLY', label: 'Every week' },
+    { rule: 'FREQ=MONTHLY', label: 'Every month' },
+    { rule: 'FREQ=YEARLY', label: 'Every year' }
+];
+
+// File types the Export/Import panel can import, by file extension
+const IMPORT_TYPES = {
+    json: 'application/json',
+    md: 'text/markdown',
+    markdown: 'text/markdown',
+    csv: 'text/csv',
+    ics: 'text/calendar'
+};
 
 // Initialize app
 document.addEventListener('DOMContentLoaded', () => {
-    loadTasks();
     setupEventListeners();
+    checkSession();
+
+    // Keep a copy of the page itself so it opens offline (see sw.js)
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('/sw.js').catch((error) => {
+            console.error('Error registering the service worker:', error);
+        });
+    }
 });
 
 // Setup Event Listeners
 function setupEventListeners() {
-    // Add task form submission
+    // Add task form submission, with a preview of the quick-add line
     addTaskForm.addEventListener('submit', handleAddTask);
+    document.getElementById('task-title').addEventListener('input', () => {
+        clearTimeout(quickAddPreviewTimer);
+        quickAddPreviewTimer = setTimeout(updateQuickAddPreview, 250);
+    });
+
+    // Template picker: the boxes follow the chosen template
+    document.getElementById('template-select').addEventListener('change', renderTemplateVariables);
+    document.getElementById('template-form').addEventListener('submit', createFromTemplate);
+    document.getElementById('template-delete').addEventListener('click', deleteTemplate);
+
+    // Command palette: Ctrl+K / ⌘K anywhere, or the button
+    document.addEventListener('keydown', (e) => {
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k' && !appMain.hidden) {
+            e.preventDefault();
+            if (document.getElementById('command-palette').hidden) openPalette();
+            else closePalette();
+        }
+    });
+    document.getElementById('palette-button').addEventListener('click', () => openPalette());
+    document.getElementById('palette-input').addEventListener('input', () => {
+        paletteIndex = 0;
+        renderPalette();
+    });
+    document.getElementById('palette-input').addEventListener('keydown', handlePaletteKey);
+    document.getElementById('palette-list').addEventListener('click', (e) => {
+        const item = e.target.closest('li');
+        if (item) runPaletteCommand(Number(item.dataset.index));
+    });
+    document.getElementById('command-palette').addEventListener('click', (e) => {
+        if (e.target.id === 'command-palette') closePalette();
+    });
+
+    // Login / register / logout
+    authForm.addEventListener('submit', handleAuthSubmit);
+    document.getElementById('auth-switch-link').addEventListener('click', (e) => {
+        e.preventDefault();
+        setAuthMode(authMode === 'login' ? 'register' : 'login');
+    });
+    document.getElementById('logout-button').addEventListener('click', handleLogout);
+
+    // Send changes made offline as soon as the connection is back
+    window.addEventListener('online', syncOfflineChanges);
+    window.addEventListener('offline', updateOfflineBanner);
+
+    // Search and "show completed" narrow down the task list
+    document.getElementById('task-search').addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(loadTasks, 300);
+    });
+    document.getElementById('show-completed').addEventListener('change', loadTasks);
+    document.getElementById('filter-priority').addEventListener('change', loadTasks);
+    document.getElementById('filter-tag').addEventListener('change', loadTasks);
+
+    // Today view - a new time budget or energy level means a new plan
+    document.getElementById('plan-minutes').addEventListener('change', loadPlan);
+    document.getElementById('plan-energy').addEventListener('change', loadPlan);
+
+    // Export / Import panel
+    document.getElementById('import-form').addEventListener('submit', handleImport);
+
+    // Trash panel - load what's in it when it's opened
+    document.getElementById('trash-section').addEventListener('toggle', (e) => {
+        if (e.target.open) loadTrash();
+    });
+    document.getElementById('empty-trash').addEventListener('click', emptyTrash);
+
+    // Digest email panel - load the settings when it's opened
+    document.getElementById('digest-section').addEventListener('toggle', (e) => {
+        if (e.target.open) loadDigestSettings();
+    });
+    document.getElementById('digest-form').addEventListener('submit', saveDigestSettings);
+    document.getElementById('digest-frequency').addEventListener('change', updateDigestForm);
+    document.getElementById('digest-quiet').addEventListener('change', updateDigestForm);
+    document.getElementById('digest-send').addEventListener('click', sendDigestNow);
+
+    // Email to tasks panel
+    document.getElementById('inbound-section').addEventListener('toggle', (e) => {
+        if (e.target.open) loadInboundSettings();
+    });
+    document.getElementById('inbound-form').addEventListener('submit', saveInboundSettings);
+
+    // Webhooks panel
+    document.getElementById('webhooks-section').addEventListener('toggle', (e) => {
+        if (e.target.open) loadWebhooks();
+    });
+    document.getElementById('webhook-form').addEventListener('submit', addWebhook);
+
+    // Drag and drop to move tasks (cards are re-rendered, so listen on the container)
+    tasksContainer.addEventListener('dragstart', handleDragStart);
+    tasksContainer.addEventListener('dragover', handleDragOver);
+    tasksContainer.addEventListener('dragleave', clearDropMarker);
+    tasksContainer.addEventListener('drop', handleDrop);
+    tasksContainer.addEventListener('dragend', handleDragEnd);
+
+    // Checklist boxes and buttons (see renderChecklist)
+    tasksContainer.addEventListener('change', handleChecklistControl);
+    tasksContainer.addEventListener('click', handleChecklistControl);
 
     // Close modal
     closeModal.addEventListener('click', () => {
@@ -39,84 +239,1072 @@ function setupEventListeners() {
     });
 }
 
-// Load all tasks from server
+// Ask the server who is logged in, then show the planner or the login screen
+async function checkSession() {
+    try {
+        const response = await fetch(`${API_URL}/auth/me`);
+        if (response.ok) {
+            const { user } = await response.json();
+            showApp(user);
+        } else {
+            showAuth();
+        }
+    } catch (error) {
+        // Offline: carry on as whoever used the planner last on this device
+        const user = await getOfflineValue('user').catch(() => null);
+        if (user) {
+            showApp(user);
+            return;
+        }
+        console.error('Error checking session:', error);
+        showAuth('Could not reach the server. Please refresh the page.');
+    }
+}
+
+// fetch() for API calls. A 401 means the session is gone (expired or logged
+// out in another tab), so send the user back to the login screen.
+async function apiFetch(url, options = {}) {
+    const response = await fetch(url, {
+        ...options,
+        headers: { ...options.headers, 'X-Client-Id': CLIENT_ID }
+    });
+    if (response.status === 401) {
+        showAuth('Your session has ended. Please log in again.');
+        throw new AuthRequiredError('Authentication required');
+    }
+    return response;
+}
+
+// Remember tasks (and their subtasks) as the server last sent them
+function rememberTasks(tasks) {
+    for (const task of tasks) {
+        knownTasks.set(task.id, task);
+        rememberTasks(task.children || []);
+    }
+}
+
+/**
+ * apiFetch() for a change to one task. Sends the version we last saw in
+ * If-Match; if the task was changed somewhere else since, the server answers
+ * 412 with the task as it is now. When the part we're changing (`touches`
+ * picks it out of a task) is the same there as in our copy, the other change
+ * was to something else, so we just send ours again. Otherwise the user
+ * decides: apply their change on top of the new version, or drop it and see
+ * what changed. Returns the response, or null when the change was dropped.
+ * `known` is the copy we're changing (a queued change brings its own).
+ */
+async function sendTaskChange(taskId, url, options, touches = task => task, known = knownTasks.get(taskId)) {
+    while (true) {
+        const headers = known ? { ...options.headers, 'If-Match': `"${known.version || 0}"` } : options.headers;
+        const response = await apiFetch(url, { ...options, headers });
+        if (response.status !== 412) return response;
+
+        const { task: latest } = await response.json();
+        const untouched = known && JSON.stringify(touches(known)) === JSON.stringify(touches(latest));
+        knownTasks.set(taskId, latest);
+        if (!untouched && !confirm(`"${latest.title}" was changed somewhere else since you loaded it.\n\n`
+            + 'OK: apply your change on top of the latest version\nCancel: discard your change and show the latest version')) {
+            loadTasks();
+            if (taskModal.style.display === 'block') openTaskDetail(taskId);
+            return null;
+        }
+        known = latest;
+    }
+}
+
+/**
+ * Send a change that can wait: creating a task, editing its fields, ticking
+ * it or a checklist item off. When we're offline (or the request doesn't get
+ * through) the change goes into the queue in IndexedDB instead, the copy of
+ * the tree on this device is updated to match, and syncOfflineChanges()
+ * sends it later. `change` is { method, url, body, taskId, itemId } for an
+ * edit, or { method, url, body, tempId } for a new task - the temporary ID
+ * stands in for the real one until the server has made the task.
+ *
+ * Every change has an Idempotency-Key, so a request that did get through
+ * before the connection dropped isn't applied twice when it's sent again.
+ * Returns the response (202 when queued), or null when a conflict was
+ * resolved by dropping the change.
+ */
+async function sendOrQueue(change) {
+    const entry = {
+        ...change,
+        idempotencyKey: newIdempotencyKey(),
+        known: knownTasks.get(change.taskId) || null,
+        createdAt: new Date().toISOString()
+    };
+
+    // Queued changes go first, so a new one waits behind them
+    const waiting = await listQueuedChanges().catch(() => []);
+    if (navigator.onLine && waiting.length === 0) {
+        try {
+            return await sendQueuedChange(entry);
+        } catch (error) {
+            if (!(error instanceof TypeError)) throw error; // fetch() throws TypeError when it can't connect
+        }
+    }
+
+    await queueChange(entry);
+    await applyOfflineChange(entry);
+    if (navigator.onLine) {
+        clearTimeout(offlineRetryTimer);
+        offlineRetryTimer = setTimeout(syncOfflineChanges, OFFLINE_RETRY_MS);
+    }
+    return new Response(JSON.stringify({ queued: true }), { status: 202 });
+}
+
+function sendQueuedChange(entry) {
+    const options = {
+        method: entry.method,
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': entry.idempotencyKey },
+        body: JSON.stringify(entry.body)
+    };
+    if (entry.tempId) {
+        return apiFetch(entry.url, options);
+    }
+    const touches = entry.itemId ? pickChecklistItem(entry.itemId) : pickFields(entry.body);
+    return sendTaskChange(entry.taskId, entry.url, options, touches, entry.known || undefined);
+}
+
+// Send the queued changes in order, then reload the list. Stops (and tries
+// again later) when the connection drops; a change the server turns down is
+// reported and dropped, so it can't hold up the ones behind it. When that
+// change created a task, the changes queued for the task go with it.
+async function syncOfflineChanges() {
+    if (offlineSyncing) return;
+    offlineSyncing = true;
+    clearTimeout(offlineRetryTimer);
+
+    try {
+        let entry;
+        while ((entry = (await listQueuedChanges())[0])) {
+            let response;
+            try {
+                response = await sendQueuedChange(entry);
+            } catch (error) {
+                if (!(error instanceof TypeError)) throw error;
+                offlineRetryTimer = setTimeout(syncOfflineChanges, OFFLINE_RETRY_MS);
+                break;
+            }
+            if (response && response.status >= 500) {
+                offlineRetryTimer = setTimeout(syncOfflineChanges, OFFLINE_RETRY_MS);
+                break;
+            }
+
+            if (response && response.ok && entry.tempId) {
+                const task = await response.json();
+                await replaceTempId(entry.tempId, task.id);
+            } else if (response && response.ok) {
+                await carryForward(entry, response);
+            } else if (response && !response.ok && entry.tempId) {
+                // The task was never made, so the changes queued for it can't be saved either
+                const reason = errorMessage(await response.json(), 'it was turned down');
+                const dropped = await dropTempIdChanges(entry.tempId, entry.id);
+                const also = dropped ? ` The ${dropped} change${dropped === 1 ? '' : 's'} made to it offline were dropped too.` : '';
+                showErrorToast(`"${entry.body.text}" could not be saved: ${reason}.${also}`);
+            } else if (response && !response.ok) {
+                showErrorToast(errorMessage(await response.json(), 'A change made offline could not be saved'));
+            }
+            await removeQueuedChange(entry.id);
+        }
+    } catch (error) {
+        if (error instanceof AuthRequiredError) return; // already back on the login screen
+        console.error('Error sending offline changes:', error);
+    } finally {
+        offlineSyncing = false;
+    }
+    loadTasks();
+}
+
+// The server made a task we created offline: point the queued changes that
+// use its temporary ID at the real one
+async function replaceTempId(tempId, taskId) {
+    for (const entry of await listQueuedChanges()) {
+        const url = entry.url.replace(`/tasks/${tempId}`, `/tasks/${taskId}`);
+        const parentId = entry.body && entry.body.parentId === tempId ? taskId : undefined;
+        if (url === entry.url && entry.taskId !== tempId && !parentId) continue;
+
+        await updateQueuedChange({
+            ...entry,
+            url,
+            taskId: entry.taskId === tempId ? taskId : entry.taskId,
+            body: parentId ? { ...entry.body, parentId } : entry.body
+        });
+    }
+}
+
+// The server turned down a task we created offline: drop the queued changes
+// that use its temporary ID (its edits, and subtasks created under it along
+// with their own changes). `createId` is the queue entry of the create itself,
+// which the caller removes. Returns how many changes were dropped.
+async function dropTempIdChanges(tempId, createId) {
+    const lost = [tempId];
+    let dropped = 0;
+    for (const entry of await listQueuedChanges()) {
+        if (entry.id === createId) continue;
+        const usesLost = lost.some(id => entry.taskId === id
+            || entry.url.includes(`/tasks/${id}`)
+            || (entry.body && entry.body.parentId === id));
+        if (!usesLost) continue;
+        if (entry.tempId) lost.push(entry.tempId);
+        await removeQueuedChange(entry.id);
+        dropped++;
+    }
+    return dropped;
+}
+
+// One of our changes went through. Later queued changes to the same task
+// were made on top of it, so their copy of the task gets it too (and the
+// new version), or they'd look like they conflict with it.
+async function carryForward(sent, response) {
+    const etag = response.headers.get('ETag');
+    for (const entry of await listQueuedChanges()) {
+        if (entry.taskId !== sent.taskId || !entry.known) continue;
+        const known = applyChangeToTask(JSON.parse(JSON.stringify(entry.known)), sent);
+        if (etag) known.version = Number(etag.replace(/"/g, ''));
+        await updateQueuedChange({ ...entry, known });
+    }
+}
+
+// Apply the fields of an edit to `task` (or to one of its checklist items)
+function applyChangeToTask(task, entry) {
+    if (!entry.itemId) return Object.assign(task, entry.body);
+    const item = (task.checklist || []).find(i => i.id === entry.itemId);
+    if (item) Object.assign(item, entry.body);
+    return task;
+}
+
+// Show a queued change in the copy of the tree on this device
+async function applyOfflineChange(entry) {
+    const tasks = (await getOfflineValue('tasks')) || [];
+    if (entry.tempId) {
+        const now = new Date().toISOString();
+        // A quick-add line is parsed by the server, so for now it's all title
+        const { parentId, text, timeZone, ...fields } = entry.body;
+        const task = {
+            id: entry.tempId, title: text, description: '', completed: false, checklist: [], children: [], tags: [],
+            createdAt: now, updatedAt: now, ...fields, pending: true
+        };
+        const parent = parentId ? findCachedTask(tasks, parentId) : null;
+        (parent ? parent.children : tasks).push(task);
+    } else {
+        const task = findCachedTask(tasks, entry.taskId);
+        if (task) {
+            applyChangeToTask(task, entry);
+            task.pending = true;
+        }
+    }
+    await setOfflineValue('tasks', tasks);
+    renderTasks(tasks);
+    updateOfflineBanner();
+}
+
+function findCachedTask(tasks, taskId) {
+    for (const task of tasks) {
+        if (task.id === taskId) return task;
+        const found = findCachedTask(task.children || [], taskId);
+        if (found) return found;
+    }
+    return null;
+}
+
+// "You're offline" and/or how many changes are still waiting to be sent
+async function updateOfflineBanner() {
+    const banner = document.getElementById('offline-banner');
+    const waiting = (await listQueuedChanges().catch(() => [])).length;
+    const pending = waiting ? ` ${waiting} change${waiting === 1 ? '' : 's'} waiting to be sent.` : '';
+
+    if (!navigator.onLine) {
+        banner.textContent = `You're offline. Changes are saved on this device and sent when you're back online.${pending}`;
+    } else {
+        banner.textContent = pending.trim();
+    }
+    banner.hidden = !banner.textContent;
+}
+
+function newIdempotencyKey() {
+    if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+}
+
+// The fields of a task that a PUT of `fields` would change
+function pickFields(fields) {
+    return task => Object.keys(fields).map(field => task[field]);
+}
+
+// One checklist item of a task (undefined once it's gone)
+function pickChecklistItem(itemId) {
+    return task => (task.checklist || []).find(item => item.id === itemId);
+}
+
+function showApp(user) {
+    document.getElementById('user-email').textContent = user.name || user.email;
+    authSection.hidden = true;
+    userBar.hidden = false;
+    appMain.hidden = false;
+    loadViews();
+    loadTemplates();
+    rememberUser(user).finally(syncOfflineChanges); // ends with loadTasks()
+    connectLiveSync();
+}
+
+// Keep who's logged in for opening offline. What's saved on this device
+// belongs to one user, so another user starts without it.
+async function rememberUser(user) {
+    try {
+        const saved = await getOfflineValue('user');
+        if (saved && saved.id !== user.id) await clearOfflineData();
+        await setOfflineValue('user', user);
+    } catch (error) {
+        console.error('Error saving offline data:', error);
+    }
+}
+
+function showAuth(message = '') {
+    appMain.hidden = true;
+    userBar.hidden = true;
+    authSection.hidden = false;
+    disconnectLiveSync();
+    liveLastEventId = null;
+    taskModal.style.display = 'none';
+    tasksContainer.innerHTML = '';
+    views = [];
+    activeViewId = null;
+    inboundSettings = null;
+    showAuthMessage(message);
+}
+
+function showAuthMessage(message) {
+    authMessage.textContent = message;
+    authMessage.hidden = !message;
+}
+
+// Switch the auth screen between "Log In" and "Create Account"
+function setAuthMode(mode) {
+    authMode = mode;
+    const registering = mode === 'register';
+
+    document.getElementById('auth-title').textContent = registering ? 'Create Account' : 'Log In';
+    document.getElementById('auth-submit').textContent = registering ? 'Create Account' : 'Log In';
+    document.getElementById('auth-switch-text').textContent = registering ? 'Already have an account?' : 'New here?';
+    document.getElementById('auth-switch-link').textContent = registering ? 'Log in' : 'Create an account';
+    document.getElementById('auth-password').autocomplete = registering ? 'new-password' : 'current-password';
+    showAuthMessage('');
+}
+
+// Handle login / register form submission
+async function handleAuthSubmit(e) {
+    e.preventDefault();
+
+    const email = document.getElementById('auth-email').value.trim();
+    const password = document.getElementById('auth-password').value;
+
+    try {
+        const response = await fetch(`${API_URL}/auth/${authMode}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email, password })
+        });
+        const result = await response.json();
+
+        if (response.ok) {
+            authForm.reset();
+            showApp(result.user);
+        } else {
+            showAuthMessage(errorMessage(result, 'Something went wrong. Please try again.'));
+        }
+    } catch (error) {
+        console.error('Error logging in:', error);
+        showAuthMessage('Could not reach the server. Please try again.');
+    }
+}
+
+async function handleLogout() {
+    const waiting = (await listQueuedChanges().catch(() => [])).length;
+    if (waiting && !confirm(`${waiting} change${waiting === 1 ? ' hasn\'t' : 's haven\'t'} been sent yet and will be lost. Log out anyway?`)) {
+        return;
+    }
+    await clearOfflineData().catch(error => console.error('Error clearing offline data:', error));
+
+    try {
+        await fetch(`${API_URL}/auth/logout`, { method: 'POST' });
+    } catch (error) {
+        console.error('Error logging out:', error);
+    }
+    setAuthMode('login');
+    showAuth();
+}
+
+// Load tasks from server (only the ones matching the search box / filters)
 async function loadTasks() {
     try {
-        const response = await fetch(`${API_URL}/tasks`);
+        const response = await apiFetch(`${API_URL}/tasks${taskQueryString()}`);
         const tasks = await response.json();
+        rememberTasks(tasks);
         renderTasks(tasks);
+        updateOfflineBanner();
+        loadPlan();
+        loadTagOptions();
+        saveOfflineTree(tasks);
     } catch (error) {
+        if (error instanceof AuthRequiredError) return; // already back on the login screen
+        const saved = error instanceof TypeError ? await getOfflineValue('tasks').catch(() => null) : null;
+        if (saved) {
+            renderTasks(saved); // offline: the copy on this device
+            updateOfflineBanner();
+            return;
+        }
         console.error('Error loading tasks:', error);
         tasksContainer.innerHTML = '<p class="error">Failed to load tasks. Please refresh the page.</p>';
     }
 }
 
+// Keep the whole tree for offline use - not a filtered part of it, and not
+// while queued changes are missing from it (the saved copy has them)
+async function saveOfflineTree(tasks) {
+    if (taskQueryString()) return;
+    try {
+        if ((await listQueuedChanges()).length === 0) {
+            await setOfflineValue('tasks', tasks);
+        }
+    } catch (error) {
+        console.error('Error saving offline data:', error);
+    }
+}
+
+// Load the Today view: the first item of today's plan, and how many follow
+async function loadPlan() {
+    const container = document.getElementById('today-next');
+    const params = new URLSearchParams();
+    const minutes = document.getElementById('plan-minutes').value;
+    const energy = document.getElementById('plan-energy').value;
+    const skipped = getSkippedPlanItems();
+    if (minutes) params.set('minutes', minutes);
+    if (energy) params.set('energy', energy);
+    if (skipped.length > 0) params.set('skip', skipped.join(','));
+
+    try {
+        const response = await apiFetch(`${API_URL}/plan/today?${params}`);
+        const plan = await response.json();
+        if (!response.ok) {
+            container.innerHTML = `<p class="error">${escapeHtml(errorMessage(plan, 'Could not plan your day'))}</p>`;
+            return;
+        }
+        renderPlan(plan);
+    } catch (error) {
+        if (error instanceof AuthRequiredError) return; // already back on the login screen
+        console.error('Error loading the plan:', error);
+        container.innerHTML = '<p class="error">Failed to load today\'s plan.</p>';
+    }
+}
+
+function renderPlan(plan) {
+    const container = document.getElementById('today-next');
+    const item = plan.items[0];
+    planCurrent = item || null;
+    document.getElementById('plan-minutes').placeholder = plan.availableMinutes;
+
+    const waiting = [
+        plan.blockedCount > 0 ? `${plan.blockedCount} waiting on other tasks` : '',
+        plan.deferredCount > 0 ? `${plan.deferredCount} deferred` : '',
+        getSkippedPlanItems().length > 0 ? `${getSkippedPlanItems().length} skipped today` : ''
+    ].filter(Boolean).join(' · ');
+
+    if (!item) {
+        container.innerHTML = `
+            <p class="no-tasks">${plan.unplanned.length > 0
+                ? 'Nothing fits in the time you have. Try more minutes.'
+                : 'Nothing left to plan for today 🎉'}</p>
+            ${waiting ? `<p class="today-summary">${waiting}</p>` : ''}
+        `;
+        return;
+    }
+
+    const path = item.type === 'step' ? [...item.path, item.taskTitle] : item.path;
+    container.innerHTML = `
+        <div class="today-card">
+            ${path.length > 0 ? `<p class="today-path">${path.map(escapeHtml).join(' › ')}</p>` : ''}
+            <p class="today-title">${item.type === 'step' ? '☐ ' : ''}${escapeHtml(item.title)}</p>
+            <p class="today-meta">
+                ~${item.minutes} min
+                ${item.spentMinutes > 0 ? ` · ${formatDuration(item.spentMinutes * 60)} spent` : ''}
+                ${item.reasons.length > 0 ? ` · ${item.reasons.map(escapeHtml).join(', ')}` : ''}
+            </p>
+            <div class="today-actions">
+                <button type="button" class="btn btn-sm btn-primary" onclick="completePlanItem()">✓ Done</button>
+                <button type="button" class="btn btn-sm btn-secondary" onclick="skipPlanItem()">Skip</button>
+                <button type="button" class="btn btn-sm btn-secondary" onclick="deferPlanItem()">Tomorrow</button>
+                <button type="button" class="btn btn-sm btn-secondary" onclick="openTaskDetail('${item.taskId}')">Details</button>
+            </div>
+        </div>
+        <p class="today-summary">
+            ${plan.items.length > 1 ? `${plan.items.length - 1} more planned · ` : ''}${plan.plannedMinutes} of ${plan.availableMinutes} min
+            ${waiting ? ` · ${waiting}` : ''}
+        </p>
+    `;
+}
+
+// Check off what the Today view shows (the task, or its checklist item)
+async function completePlanItem() {
+    if (!planCurrent) return;
+    const { taskId, itemId } = planCurrent;
+    if (itemId) {
+        await toggleChecklistItem(taskId, itemId, true);
+    } else {
+        await toggleTask(taskId, true);
+    }
+}
+
+// Pass on the current item for the rest of the day (remembered in this browser)
+function skipPlanItem() {
+    if (!planCurrent) return;
+    const skipped = getSkippedPlanItems();
+    skipped.push(planCurrent.itemId || planCurrent.taskId);
+    localStorage.setItem(PLAN_SKIP_KEY, JSON.stringify({ date: new Date().toDateString(), ids: skipped }));
+    loadPlan();
+}
+
+// Put the task off until tomorrow morning (on every device)
+async function deferPlanItem() {
+    if (!planCurrent) return;
+    const tomorrow = new Date();
+    tomorrow.setHours(24, 0, 0, 0);
+
+    try {
+        const fields = { deferredUntil: tomorrow.toISOString() };
+        const response = await sendTaskChange(planCurrent.taskId, `${API_URL}/tasks/${planCurrent.taskId}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(fields)
+        }, pickFields(fields));
+        if (!response) return;
+        if (!response.ok) {
+            showErrorToast(errorMessage(await response.json(), 'Failed to defer the task'));
+        }
+        loadTasks();
+    } catch (error) {
+        if (error instanceof AuthRequiredError) return; // already back on the login screen
+        console.error('Error deferring task:', error);
+    }
+}
+
+// IDs skipped today; yesterday's skips don't count any more
+function getSkippedPlanItems() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PLAN_SKIP_KEY));
+        return saved && saved.date === new Date().toDateString() ? saved.ids : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+// Listen for changes made in other tabs and on other devices. EventSource
+// reconnects by itself after a dropped connection and the server replays
+// what was missed (or sends "resync"). If the stream gets closed for good
+// (e.g. the server was down), we open a new one with a growing delay.
+function connectLiveSync() {
+    disconnectLiveSync();
+    const query = liveLastEventId ? `?lastEventId=${encodeURIComponent(liveLastEventId)}` : '';
+    liveSource = new EventSource(`${API_URL}/events${query}`);
+
+    liveSource.addEventListener('open', () => {
+        liveRetryMs = 1000;
+    });
+    liveSource.addEventListener('ready', rememberEventId);
+    liveSource.addEventListener('resync', (e) => {
+        rememberEventId(e);
+        loadTasks();
+    });
+    liveSource.addEventListener('change', (e) => {
+        rememberEventId(e);
+        applyLiveChange(JSON.parse(e.data));
+    });
+    liveSource.addEventListener('error', () => {
+        if (liveSource.readyState !== EventSource.CLOSED) return; // reconnecting by itself
+        disconnectLiveSync();
+        liveRetryTimer = setTimeout(reconnectLiveSync, liveRetryMs);
+        liveRetryMs = Math.min(liveRetryMs * 2, LIVE_RETRY_MAX_MS);
+    });
+}
+
+function disconnectLiveSync() {
+    clearTimeout(liveRetryTimer);
+    if (liveSource) {
+        liveSource.close();
+        liveSource = null;
+    }
+}
+
+// Check the login is still good before opening a new stream (a 401 sends
+// us to the login screen instead)
+async function reconnectLiveSync() {
+    try {
+        await apiFetch(`${API_URL}/auth/me`);
+        connectLiveSync();
+    } catch (error) {
+        if (error instanceof AuthRequiredError) return;
+        liveRetryTimer = setTimeout(reconnectLiveSync, liveRetryMs);
+        liveRetryMs = Math.min(liveRetryMs * 2, LIVE_RETRY_MAX_MS);
+    }
+}
+
+function rememberEventId(e) {
+    if (e.lastEventId) liveLastEventId = e.lastEventId;
+}
+
+// Patch the page for a change made elsewhere. Edits to a task or its
+// checklist redraw just that card; anything that changes the shape of the
+// tree (or any change while a search is active) reloads the list.
+function applyLiveChange(change) {
+    if (change.origin === CLIENT_ID) return;
+    if (change.task) rememberTasks([change.task]);
+
+    const inPlace = ['task.updated', 'checklist.added', 'checklist.updated', 'checklist.deleted', 'checklist.restored', 'email.sent', 'email.failed'];
+    const card = tasksContainer.querySelector(`[data-task-id="${change.taskId}"]`);
+
+    if (inPlace.includes(change.action) && change.task && card && !taskQueryString() && !draggedCard) {
+        card.outerHTML = createTaskCard(
+            change.task,
+            card.classList.contains('child-task-card'),
+            card.dataset.parentId || null,
+            Number(card.dataset.position)
+        );
+        return;
+    }
+
+    // A bulk change (like an import) sends many events; reload once
+    clearTimeout(liveReloadTimer);
+    liveReloadTimer = setTimeout(loadTasks, 200);
+}
+
 // Handle add task form submission
 async function handleAddTask(e) {
     e.preventDefault();
 
-    const title = document.getElementById('task-title').value.trim();
+    const text = document.getElementById('task-title').value.trim();
     const description = document.getElementById('task-description').value.trim();
 
-    if (!title) {
-        alert('Please enter a task title');
+    if (!text) {
+        showFormError(addTaskForm, { error: { message: 'Please enter a task', field: 'text' } });
         return;
     }
 
     try {
-        const response = await fetch(`${API_URL}/tasks`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ title, description })
-        });
+        const response = await quickAdd({ text, description });
+        if (!response) return;
 
         if (response.ok) {
             // Clear form
             addTaskForm.reset();
+            clearFormError(addTaskForm);
+            updateQuickAddPreview();
             // Reload tasks
             loadTasks();
         } else {
-            const error = await response.json();
-            alert(error.error || 'Failed to add task');
+            showFormError(addTaskForm, await response.json(), 'Failed to add task');
         }
     } catch (error) {
+        if (error instanceof AuthRequiredError) return; // already back on the login screen
         console.error('Error adding task:', error);
-        alert('Failed to add task. Please try again.');
+        showFormError(addTaskForm, null, 'Failed to add task. Please try again.');
     }
 }
 
-// Render tasks to the page
-function renderTasks(tasks) {
-    if (!tasks || tasks.length === 0) {
-        tasksContainer.innerHTML = '<p class="no-tasks">No tasks yet. Add your first task above!</p>';
+// Create a task from a quick-add line (see lib/quickadd.js). Offline it
+// waits in the queue, and shows up with the whole line as its title.
+function quickAdd({ text, description, parentId }) {
+    return sendOrQueue({
+        method: 'POST',
+        url: `${API_URL}/quick-add`,
+        body: { text, description, parentId, timeZone: browserTimeZone() },
+        tempId: `local-${newIdempotencyKey()}`
+    });
+}
+
+function browserTimeZone() {
+    try {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Show what the quick-add line will become (due date, tags, ...) while typing
+async function updateQuickAddPreview() {
+    const preview = document.getElementById('quick-add-preview');
+    const text = document.getElementById('task-title').value.trim();
+    if (!text) {
+        preview.innerHTML = '';
         return;
     }
 
-    tasksContainer.innerHTML = tasks.map(task => createTaskCard(task)).join('');
+    try {
+        const query = new URLSearchParams({ text });
+        const timeZone = browserTimeZone();
+        if (timeZone) query.set('timeZone', timeZone);
+        const response = await apiFetch(`${API_URL}/quick-add/preview?${query}`);
+        // The box may have changed while we waited
+        if (document.getElementById('task-title').value.trim() !== text) return;
+
+        const result = await response.json();
+        if (!response.ok) {
+            preview.innerHTML = `<span class="quick-add-problem">${escapeHtml(errorMessage(result, ''))}</span>`;
+            return;
+        }
+        preview.innerHTML = [
+            `<span title="Title">${escapeHtml(result.title)}</span>`,
+            result.dueAt ? `<span title="Due">📅 ${escapeHtml(formatDueDate(new Date(result.dueAt)))}</span>` : '',
+            ...(result.tags || []).map(tag => `<span title="Tag">#${escapeHtml(tag)}</span>`),
+            result.priority ? `<span title="Priority">!${escapeHtml(result.priority)}</span>` : '',
+            result.estimateMinutes ? `<span title="Estimate">~${formatDuration(result.estimateMinutes * 60)}</span>` : ''
+        ].join('');
+    } catch (error) {
+        preview.innerHTML = ''; // offline: the line is added as it is
+    }
 }
 
-// Create task card HTML
-function createTaskCard(task, isChild = false) {
-    const completedClass = task.completed ? 'completed' : '';
-    const cardClass = isChild ? 'child-task-card' : 'task-card';
+// Query parameters for the current search and filters ('' when showing
+// everything). A selected view's query is the starting point, so filters it
+// has that the controls don't show (like sort) still apply.
+function taskQueryString() {
+    const view = views.find(v => v.id === activeViewId);
+    const params = new URLSearchParams(view ? view.query : {});
+    const controls = currentFilters();
+    for (const name of ['q', 'completed', 'priority', 'tag']) {
+        if (controls[name]) params.set(name, controls[name]);
+        else params.delete(name);
+    }
 
-    // Calculate checklist progress
-    const checklistTotal = task.checklist.length;
-    const checklistCompleted = task.checklist.filter(item => item.completed).length;
-    const progressPercent = checklistTotal > 0 ? (checklistCompleted / checklistTotal) * 100 : 0;
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}
+
+// What the search box and filter controls are set to, as query parameters
+function currentFilters() {
+    const filters = {};
+    const search = document.getElementById('task-search').value.trim();
+    if (search) filters.q = search;
+    if (!document.getElementById('show-completed').checked) filters.completed = 'false';
+    const priority = document.getElementById('filter-priority').value;
+    if (priority) filters.priority = priority;
+    const tag = document.getElementById('filter-tag').value;
+    if (tag) filters.tag = tag;
+    return filters;
+}
+
+// "work, #Errands" -> ['work', '#Errands'] (the server tidies them up)
+function splitTags(text) {
+    return text.split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+// Fill the tag filter with the tags in use, keeping the current choice
+async function loadTagOptions() {
+    const select = document.getElementById('filter-tag');
+    try {
+        const response = await apiFetch(`${API_URL}/tags`);
+        const tags = await response.json();
+        const selected = select.value;
+        const names = tags.map(entry => entry.tag);
+        if (selected && !names.includes(selected)) names.push(selected);
+
+        select.innerHTML = '<option value="">Any tag</option>' + names
+            .map(name => `<option value="${escapeHtml(name)}">#${escapeHtml(name)}</option>`)
+            .join('');
+        select.value = selected;
+    } catch (error) {
+        if (error instanceof AuthRequiredError) return; // already back on the login screen
+        console.error('Error loading tags:', error);
+    }
+}
+
+// Show the tasks with a tag (clicked on a card)
+function filterByTag(tag) {
+    const select = document.getElementById('filter-tag');
+    if (![...select.options].some(option => option.value === tag)) {
+        select.add(new Option(`#${tag}`, tag));
+    }
+    select.value = tag;
+    loadTasks();
+}
+
+// Load the saved views and show them as tabs
+async function loadViews() {
+    try {
+        const response = await apiFetch(`${API_URL}/views`);
+        views = await response.json();
+        renderViewTabs();
+    } catch (error) {
+        if (error instanceof AuthRequiredError) return; // already back on the login screen
+        console.error('Error loading views:', error);
+    }
+}
+
+function renderViewTabs() {
+    const tab = (id, label, active) => `
+        <button type="button" role="tab" class="view-tab ${active ? 'active' : ''}" aria-selected="${active}"
+                onclick="selectView(${id ? `'${id}'` : 'null'})">${escapeHtml(label)}</button>
+    `;
+    const active = views.find(v => v.id === activeViewId);
+
+    document.getElementById('view-tabs').innerHTML = `
+        ${tab(null, 'All tasks', !active)}
+        ${views.map(view => tab(view.id, view.name, view === active)).join('')}
+        <button type="button" class="view-tab view-tab-action view-tab-save" onclick="saveCurrentView()" title="Save the current filters as a view">＋ Save view</button>
+        ${active ? `<button type="button" class="view-tab view-tab-action" onclick="deleteView('${active.id}')" title="Delete this view">✕ Delete view</button>` : ''}
+    `;
+}
+
+// Switch to a view (null = all tasks): set the filter controls from its query
+function selectView(viewId) {
+    const view = views.find(v => v.id === viewId);
+    const query = view ? view.query : {};
+    activeViewId = view ? view.id : null;
+
+    document.getElementById('task-search').value = query.q || '';
+    document.getElementById('show-completed').checked = query.completed !== 'false';
+    document.getElementById('filter-priority').value = query.priority || '';
+    const tagSelect = document.getElementById('filter-tag');
+    if (query.tag && ![...tagSelect.options].some(option => option.value === query.tag)) {
+        tagSelect.add(new Option(`#${query.tag}`, query.tag));
+    }
+    tagSelect.value = query.tag || '';
+
+    renderViewTabs();
+    loadTasks();
+}
+
+// Save what the task list is showing now as a new view
+async function saveCurrentView() {
+    const name = prompt('Name this view:');
+    if (!name || !name.trim()) return;
+
+    const query = Object.fromEntries(new URLSearchParams(taskQueryString()));
+    try {
+        const response = await apiFetch(`${API_URL}/views`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, query })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            showErrorToast(errorMessage(result, 'Failed to save the view'));
+            return;
+        }
+        views.push(result);
+        selectView(result.id);
+    } catch (error) {
+        if (error instanceof AuthRequiredError) return; // already back on the login screen
+        console.error('Error saving view:', error);
+        showErrorToast('Failed to save the view. Please try again.');
+    }
+}
+
+async function deleteView(viewId) {
+    const view = views.find(v => v.id === viewId);
+    if (!view || !confirm(`Delete the view "${view.name}"? Its tasks stay as they are.`)) return;
+
+    try {
+        const response = await apiFetch(`${API_URL}/views/${viewId}`, { method: 'DELETE' });
+        if (response.ok) {
+            views = views.filter(v => v.id !== viewId);
+            selectView(null);
+        }
+    } catch (error) {
+        if (error instanceof AuthRequiredError) return; // already back on the login screen
+        console.error('Error deleting view:', error);
+    }
+}
+
+// Load the saved templates into the picker
+async function loadTemplates() {
+    try {
+        const response = await apiFetch(`${API_URL}/templates`);
+        templates = await response.json();
+        renderTemplatePicker();
+    } catch (error) {
+        if (error instanceof AuthRequiredError) return; // already back on the login screen
+        console.error('Error loading templates:', error);
+    }
+}
+
+// The template list, keeping the current choice when it's still there
+function renderTemplatePicker(selectedId = document.getElementById('template-select').value) {
+    const select = document.getElementById('template-select');
+    select.innerHTML = templates
+        .map(template => `<option value="${template.id}">${escapeHtml(template.name)}</option>`)
+        .join('');
+    if (templates.some(template => template.id === selectedId)) select.value = selectedId;
+
+    document.getElementById('template-empty').hidden = templates.length > 0;
+    for (const control of document.getElementById('template-form').querySelectorAll('.form-group, .form-row, button')) {
+        control.hidden = templates.length === 0;
+    }
+    renderTemplateVariables();
+}
+
+// A box for each {{placeholder}}; the built-in ones ({{date}}, ...) start
+// with today's value
+function renderTemplateVariables() {
+    const template = templates.find(t => t.id === document.getElementById('template-select').value);
+    document.getElementById('template-variables').innerHTML = (template ? template.variables : []).map(variable => `
+        <div class="form-group">
+            <label for="template-var-${escapeHtml(variable.name)}">${escapeHtml(variable.name)}</label>
+            <input type="text" id="template-var-${escapeHtml(variable.name)}" name="${escapeHtml(variable.name)}"
+                   data-field="variables.${escapeHtml(variable.name)}" value="${escapeHtml(variable.default || '')}" required>
+        </div>
+    `).join('');
+}
+
+// Where the new tasks can go: the top level or under any task on screen
+function renderTemplateParents() {
+    const select = document.getElementById('template-parent');
+    const selected = select.value;
+    const options = ['<option value="">Top level</option>'];
+    const walk = (list, depth) => list.forEach((task) => {
+        options.push(`<option value="${task.id}">${'\u2003'.repeat(depth)}${escapeHtml(task.title)}</option>`);
+        walk(task.children || [], depth + 1);
+    });
+    walk(shownTasks, 0);
+    select.innerHTML = options.join('');
+    if ([...select.options].some(option => option.value === selected)) select.value = selected;
+}
+
+// Open the picker with a template chosen (from the command palette)
+function pickTemplate(templateId) {
+    renderTemplatePicker(templateId);
+    focusSection('template-picker', true);
+    const firstBox = document.querySelector('#template-variables input');
+    if (firstBox) firstBox.focus();
+}
+
+async function createFromTemplate(e) {
+    e.preventDefault();
+    const form = e.target;
+    const templateId = document.getElementById('template-select').value;
+    const dueValue = document.getElementById('template-due').value;
+    const variables = Object.fromEntries([...document.querySelectorAll('#template-variables input')]
+        .map(input => [input.name, input.value.trim()]));
+
+    try {
+        const response = await apiFetch(`${API_URL}/templates/${templateId}/instantiate`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Idempotency-Key': newIdempotencyKey() },
+            body: JSON.stringify({
+                parentId: document.getElementById('template-parent').value || null,
+                // datetime-local gives local time without a zone; Date converts it to UTC
+                dueAt: dueValue ? new Date(dueValue).toISOString() : null,
+                variables
+            })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            showFormError(form, result, 'Failed to create tasks from the template');
+            return;
+        }
+        clearFormError(form);
+        document.getElementById('template-due').value = '';
+        renderTemplateVariables();
+        showToast(`Added "${result.title}".`);
+        loadTasks();
+    } catch (error) {
+        if (error instanceof AuthRequiredError) return; // already back on the login screen
+        console.error('Error using template:', error);
+        showFormError(form, null, navigator.onLine
+            ? 'Failed to create tasks from the template. Please try again.'
+            : 'Templates need a connection. Please try again once you\'re online.');
+    }
+}
+
+// Save a task and everything under it as a template
+async function saveAsTemplate(taskId) {
+    const task = knownTasks.get(taskId);
+    const name = prompt('Name this template:', task ? task.title : '');
+    if (!name || !name.trim()) return;
+
+    try {
+        const response = await apiFetch(`${API_URL}/templates`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, taskId })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            showErrorToast(errorMessage(result, 'Failed to save the template'));
+            return;
+        }
+        templates = [...templates, result].sort((a, b) => a.name.localeCompare(b.name));
+        renderTemplatePicker(result.id);
+        showToast(`Saved the template "${result.name}".`);
+    } catch (error) {
+        if (error instanceof AuthRequiredError) return; // already back on the login screen
+        console.error('Error saving template:', error);
+        showErrorToast('Failed to save the template. Please try again.');
+    }
+}
+
+async function deleteTemplate() {
+    const template = templates.find(t => t.id === document.getElementById('template-select').value);
+    if (!template || !confirm(`Delete the template "${template.name}"? Tasks made from it stay as they are.`)) return;
+
+    try {
+        const response = await apiFetch(`${API_URL}/templates/${template.id}`, { method: 'DELETE' });
+        if (response.ok) {
+            templates = templates.filter(t => t.id !== template.id);
+            renderTemplatePicker();
+        }
+    } catch (error) {
+        if (error instanceof AuthRequiredError) return; // already back on the login screen
+        console.error('Error deleting template:', error);
+    }
+}
+
+// Render tasks to the page
+function renderTasks(tasks) {
+    shownTasks = tasks || [];
+    if (!tasks || tasks.length === 0) {
+        renderTemplateParents();
+        tasksContainer.innerHTML = taskQueryString()
+            ? '<p class="no-tasks">No tasks match your search.</p>'
+            : '<p class="no-tasks">No tasks yet. Add your first task above!</p>';
+        return;
+    }
+
+    tasksContainer.innerHTML = tasks.map((task, index) => createTaskCard(task, false, null, index)).join('');
+    renderTemplateParents();
+}
+
+// Create task card HTML. parentId and position say where the card sits in
+// the tree, so a drop onto it knows where to move the dragged task.
+function createTaskCard(task, isChild = false, parentId = null, position = 0) {
+    const completedClass = task.completed ? 'completed' : '';
+    const cardClass = isChild ? 'child-task-card' : 'task-card';
+
+    // Calculate checklist progress
+    const checklistTotal = task.checklist.length;
+    const checklistCompleted = task.checklist.filter(item => item.completed).length;
+    const progressPercent = checklistTotal > 0 ? (checklistCompleted / checklistTotal) * 100 : 0;
 
     return `
-        <div class="${cardClass} ${completedClass}" data-task-id="${task.id}">
+        <div class="${cardClass} ${completedClass} ${task.pending ? 'pending-sync' : ''}" data-task-id="${task.id}"
+             data-parent-id="${parentId || ''}" data-position="${position}">
             <div class="task-header">
                 <div class="task-title-section">
+                    ${taskQueryString() ? '' : '<span class="drag-handle" draggable="true" title="Drag to move">⠿</span>'}
                     <input type="checkbox" class="task-checkbox" 
                            ${task.completed ? 'checked' : ''} 
                            onchange="toggleTask('${task.id}', this.checked)">
                     <span class="task-title" onclick="openTaskDetail('${task.id}')">${escapeHtml(task.title)}</span>
+                    ${renderDueBadge(task)}
+                    ${task.recurrence ? `<span class="repeat-badge" title="Repeats: ${escapeHtml(describeRule(task.recurrence.rule))}">🔁</span>` : ''}
+                    ${task.focusSession ? '<span class="focus-badge" title="Focus session going">⏱️</span>' : ''}
+                    ${renderPlanningBadges(task)}
+                    ${task.pending ? '<span class="pending-badge" title="Saved on this device, not sent yet">⏳</span>' : ''}
                 </div>
                 <div class="task-actions">
+                    ${isChild && task.children.length === 0 && task.checklist.length === 0 ? `
+                        <button class="btn btn-sm btn-secondary" title="Turn into a checklist item"
+                                onclick="demoteTask('${task.id}')">→ 📋</button>
+                    ` : ''}
                     <button class="btn btn-sm btn-secondary" onclick="openTaskDetail('${task.id}')">Details</button>
                     <button class="btn btn-sm btn-danger" onclick="deleteTask('${task.id}')">Delete</button>
                 </div>
@@ -129,18 +1317,55 @@ function createTaskCard(task, isChild = false) {
     `;
 }
 
+// Render the due date badge (highlighted once the task is overdue)
+function renderDueBadge(task) {
+    if (!task.dueAt) return '';
+
+    const dueDate = new Date(task.dueAt);
+    const overdue = !task.completed && dueDate < new Date();
+
+    return `
+        <span class="due-badge ${overdue ? 'overdue' : ''}" title="Due ${dueDate.toLocaleString()}">
+            ${overdue ? '⚠️ Overdue' : '📅 Due'} ${formatDueDate(dueDate)}
+        </span>
+    `;
+}
+
+// Priority (when it stands out) and the estimate, next to the title
+function renderPlanningBadges(task) {
+    const badges = [];
+    if (task.priority === 'high' || task.priority === 'urgent') {
+        badges.push(`<span class="priority-badge ${task.priority}" title="${task.priority} priority">${task.priority === 'urgent' ? '‼️' : '❗'}</span>`);
+    }
+    if (task.estimateMinutes) {
+        badges.push(`<span class="estimate-badge" title="Estimate">~${formatDuration(task.estimateMinutes * 60)}</span>`);
+    }
+    if (task.blockedBy && task.blockedBy.length > 0) {
+        badges.push('<span class="blocked-badge" title="Waits on other tasks">⛓️</span>');
+    }
+    for (const tag of task.tags || []) {
+        badges.push(`<button type="button" class="tag-chip" title="Show tasks tagged #${escapeHtml(tag)}"
+                             onclick="filterByTag(decodeURIComponent('${encodeURIComponent(tag).replace(/'/g, '%27')}'))">#${escapeHtml(tag)}</button>`);
+    }
+    return badges.join('');
+}
+
 // Render checklist section
 function renderChecklist(task) {
     const checklistTotal = task.checklist.length;
     const checklistCompleted = task.checklist.filter(item => item.completed).length;
-    const progressPercent = checklistTotal > 0 ? (checklistCompleted / checklistTotal) * 100 : 0;
+    // The server works progress out over the whole subtree (subtasks too)
+    const hasParts = checklistTotal > 0 || (task.children && task.children.length > 0);
+    const progressPercent = task.progress || 0;
 
+    // The IDs go in data attributes, read by handleChecklistControl, so no
+    // ID ever ends up inside a script
     const checklistItems = task.checklist.map(item => `
-        <div class="checklist-item ${item.completed ? 'completed' : ''}">
-            <input type="checkbox" ${item.completed ? 'checked' : ''} 
-                   onchange="toggleChecklistItem('${task.id}', '${item.id}', this.checked)">
+        <div class="checklist-item ${item.completed ? 'completed' : ''}" data-checklist-task-id="${escapeHtml(task.id)}" data-item-id="${escapeHtml(item.id)}">
+            <input type="checkbox" ${item.completed ? 'checked' : ''} data-checklist-action="toggle">
             <span class="checklist-item-text">${escapeHtml(item.text)}</span>
-            <button class="btn btn-sm btn-danger" onclick="deleteChecklistItem('${task.id}', '${item.id}')">×</button>
+            <button class="btn btn-sm btn-secondary" title="Turn into a subtask" data-checklist-action="promote">→ 📁</button>
+            <button class="btn btn-sm btn-danger" data-checklist-action="delete">×</button>
         </div>
     `).join('');
 
@@ -149,14 +1374,14 @@ function renderChecklist(task) {
             <div class="checklist-header">
                 <h4>📋 Checklist ${checklistTotal > 0 ? `(${checklistCompleted}/${checklistTotal})` : ''}</h4>
             </div>
-            ${checklistTotal > 0 ? `
-                <div class="progress-bar">
+            ${hasParts ? `
+                <div class="progress-bar" title="${progressPercent}% done, subtasks included">
                     <div class="progress-fill" style="width: ${progressPercent}%"></div>
                 </div>
             ` : ''}
             ${checklistItems}
             <form class="add-checklist-form" onsubmit="addChecklistItem(event, '${task.id}')">
-                <input type="text" placeholder="Add checklist item..." required>
+                <input type="text" data-field="text" placeholder="Add checklist item..." required>
                 <button type="submit" class="btn btn-sm btn-primary">Add</button>
             </form>
         </div>
@@ -166,7 +1391,7 @@ function renderChecklist(task) {
 // Render child tasks
 function renderChildTasks(task) {
     const childTasksHtml = task.children && task.children.length > 0
-        ? task.children.map(child => createTaskCard(child, true)).join('')
+        ? task.children.map((child, index) => createTaskCard(child, true, task.id, index)).join('')
         : '';
 
     return `
@@ -176,86 +1401,724 @@ function renderChildTasks(task) {
             </div>
             ${childTasksHtml}
             <form class="add-child-form" onsubmit="addChildTask(event, '${task.id}')">
-                <input type="text" placeholder="Add subtask..." required>
+                <input type="text" data-field="text" placeholder="Add subtask... (quick add works here too)" required>
                 <button type="submit" class="btn btn-sm btn-primary">Add</button>
             </form>
         </div>
     `;
 }
 
-// Toggle task completion
-async function toggleTask(taskId, completed) {
+// Drag and drop: dropping on the top or bottom edge of a card puts the task
+// before/after it, dropping on the middle makes it a subtask of that card
+function handleDragStart(e) {
+    if (!e.target.classList.contains('drag-handle')) return;
+
+    draggedCard = e.target.closest('[data-task-id]');
+    draggedCard.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', draggedCard.dataset.taskId);
+    e.dataTransfer.setDragImage(draggedCard, 20, 20);
+}
+
+function handleDragOver(e) {
+    const target = getDropTarget(e);
+    clearDropMarker();
+    if (!target) return;
+
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    target.card.classList.add(`drop-${target.placement}`);
+}
+
+async function handleDrop(e) {
+    const target = getDropTarget(e);
+    clearDropMarker();
+    if (!target) return;
+    e.preventDefault();
+
+    const { card, placement } = target;
+    let parentId;
+    let position;
+
+    if (placement === 'inside') {
+        parentId = card.dataset.taskId;
+        position = undefined; // at the end of its subtasks
+    } else {
+        parentId = card.dataset.parentId || null;
+        position = Number(card.dataset.position) + (placement === 'after' ? 1 : 0);
+
+        // The server counts positions after the task is taken out of its old
+        // spot, so moving down the same list shifts everything up by one
+        const sameList = (draggedCard.dataset.parentId || null) === parentId;
+        if (sameList && Number(draggedCard.dataset.position) < position) {
+            position -= 1;
+        }
+    }
+
+    await moveTask(draggedCard.dataset.taskId, parentId, position);
+}
+
+function handleDragEnd() {
+    clearDropMarker();
+    if (draggedCard) draggedCard.classList.remove('dragging');
+    draggedCard = null;
+}
+
+// Work out which card the pointer is over and where the drop would go.
+// Returns null when there's nothing to drop on (or it would be a no-op / a
+// move into the dragged task's own subtasks).
+function getDropTarget(e) {
+    if (!draggedCard) return null;
+
+    const card = e.target.closest('[data-task-id]');
+    if (!card || draggedCard.contains(card)) return null;
+
+    const rect = card.getBoundingClientRect();
+    const offset = e.clientY - rect.top;
+    const edge = Math.min(24, rect.height / 4);
+
+    let placement = 'inside';
+    if (offset < edge) placement = 'before';
+    else if (offset > rect.height - edge) placement = 'after';
+
+    return { card, placement };
+}
+
+function clearDropMarker() {
+    tasksContainer.querySelectorAll('.drop-before, .drop-after, .drop-inside').forEach(card => {
+        card.classList.remove('drop-before', 'drop-after', 'drop-inside');
+    });
+}
+
+// Move a task to a new parent (null = top level) and position
+async function moveTask(taskId, parentId, position) {
+    try {
+        const response = await sendTaskChange(taskId, `${API_URL}/tasks/${taskId}/move`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ parentId, position })
+        }, () => null); // where a task sits doesn't depend on what's in it
+        if (!response) return;
+
+        if (!response.ok) {
+            showErrorToast(errorMessage(await response.json(), 'Failed to move task'));
+        }
+        loadTasks();
+    } catch (error) {
+        if (error instanceof AuthRequiredError) return; // already back on the login screen
+        console.error('Error moving task:', error);
+        showErrorToast('Failed to move task. Please try again.');
+    }
+}
+
+// Import a backup, outline, spreadsheet or calendar file. The file's
+// extension picks the format.
+async function handleImport(e) {
+    e.preventDefault();
+    const form = e.target;
+    const file = document.getElementById('import-file').files[0];
+    const mode = form.querySelector('input[name="import-mode"]:checked').value;
+    if (!file) return;
+
+    const extension = file.name.split('.').pop().toLowerCase();
+    const contentType = IMPORT_TYPES[extension];
+    if (!contentType) {
+        showFormError(form, null, 'Choose a .json, .md, .csv or .ics file');
+        return;
+    }
+    if (mode === 'replace' && !confirm('Replace ALL your tasks with the ones in this file? Your current tasks will be moved to the trash.')) {
+        return;
+    }
+
+    try {
+        const format = extension === 'markdown' ? 'md' : extension;
+        const response = await apiFetch(`${API_URL}/import.${format}?mode=${mode}`, {
+            method: 'POST',
+            headers: { 'Content-Type': contentType },
+            body: await file.text()
+        });
+        const result = await response.json();
+
+        if (response.ok) {
+            const message = `Imported ${result.imported} task${result.imported === 1 ? '' : 's'}.`;
+            showToast(mode === 'replace' ? `${message} Your old tasks are in the trash.` : message);
+            form.reset();
+            clearFormError(form);
+            loadTasks();
+        } else {
+            showFormError(form, result, 'Failed to import the file');
+        }
+    } catch (error) {
+        if (error instanceof AuthRequiredError) return; // already back on the login screen
+        console.error('Error importing file:', error);
+        showFormError(form, null, 'Failed to import the file. Please try again.');
+    }
+}
+
+// Toggle task completion
+async function toggleTask(taskId, completed) {
+    try {
+        const response = await sendOrQueue({ method: 'PUT', url: `${API_URL}/tasks/${taskId}`, body: { completed }, taskId });
+        if (!response) return;
+        loadTasks();
+    } catch (error) {
+        console.error('Error toggling task:', error);
+    }
+}
+
+// Delete task (it goes to the trash, so offer an undo instead of asking first)
+async function deleteTask(taskId) {
+    try {
+        // Deleting goes to the trash and can be undone, so any change counts
+        const response = await sendTaskChange(taskId, `${API_URL}/tasks/${taskId}`, {
+            method: 'DELETE'
+        });
+        if (!response) return;
+        if (response.ok) {
+            const { trashId } = await response.json();
+            showToast('Task deleted.', () => restoreFromTrash(trashId));
+        }
+        loadTasks();
+    } catch (error) {
+        console.error('Error deleting task:', error);
+    }
+}
+
+// Add checklist item
+async function addChecklistItem(e, taskId) {
+    e.preventDefault();
+    const form = e.target;
+    const input = form.querySelector('input');
+    const text = input.value.trim();
+
+    if (!text) return;
+
+    try {
+        const response = await sendTaskChange(taskId, `${API_URL}/tasks/${taskId}/checklist`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ text })
+        }, () => null); // adding an item never gets in the way of other changes
+        if (!response) return;
+        if (!response.ok) {
+            showFormError(form, await response.json(), 'Failed to add the checklist item');
+            return;
+        }
+        input.value = '';
+        loadTasks();
+    } catch (error) {
+        console.error('Error adding checklist item:', error);
+    }
+}
+
+// Toggle checklist item
+// A checklist box was ticked or one of its buttons clicked (the box on
+// "change", the buttons on "click")
+function handleChecklistControl(e) {
+    const control = e.target.closest('[data-checklist-action]');
+    if (!control || (e.type === 'change') !== (control.type === 'checkbox')) return;
+
+    const { checklistTaskId: taskId, itemId } = control.closest('.checklist-item').dataset;
+    switch (control.dataset.checklistAction) {
+        case 'toggle': return toggleChecklistItem(taskId, itemId, control.checked);
+        case 'promote': return promoteChecklistItem(taskId, itemId);
+        case 'delete': return deleteChecklistItem(taskId, itemId);
+    }
+}
+
+async function toggleChecklistItem(taskId, itemId, completed) {
+    try {
+        const response = await sendOrQueue({
+            method: 'PUT',
+            url: `${API_URL}/tasks/${taskId}/checklist/${itemId}`,
+            body: { completed },
+            taskId,
+            itemId
+        });
+        if (!response) return;
+        loadTasks();
+    } catch (error) {
+        console.error('Error toggling checklist item:', error);
+    }
+}
+
+// Delete checklist item
+async function deleteChecklistItem(taskId, itemId) {
+    try {
+        const response = await sendTaskChange(taskId, `${API_URL}/tasks/${taskId}/checklist/${itemId}`, {
+            method: 'DELETE'
+        }, pickChecklistItem(itemId));
+        if (!response) return;
+        if (response.ok) {
+            const { trashId } = await response.json();
+            showToast('Checklist item deleted.', () => restoreFromTrash(trashId));
+        }
+        loadTasks();
+    } catch (error) {
+        console.error('Error deleting checklist item:', error);
+    }
+}
+
+// Show a short message at the bottom of the screen, with an "Undo" button
+// when an undo action is given. A new toast replaces the old one.
+function showToast(message, undo = null) {
+    const toast = document.getElementById('toast');
+    toast.innerHTML = `<span>${escapeHtml(message)}</span>`;
+    toast.classList.remove('toast-error');
+
+    if (undo) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-sm btn-secondary';
+        button.textContent = 'Undo';
+        button.addEventListener('click', () => {
+            hideToast();
+            undo();
+        });
+        toast.appendChild(button);
+    }
+
+    toast.hidden = false;
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(hideToast, UNDO_TIMEOUT_MS);
+}
+
+function hideToast() {
+    clearTimeout(toastTimer);
+    document.getElementById('toast').hidden = true;
+}
+
+// Errors from buttons that have no form of their own go in the toast
+function showErrorToast(message) {
+    showToast(message);
+    document.getElementById('toast').classList.add('toast-error');
+}
+
+// The API answers errors with { error: { code, message, field } }
+function errorMessage(result, fallback) {
+    return (result && result.error && result.error.message) || fallback;
+}
+
+// Show an API error at the top of a form and mark the input it's about.
+// Inputs say which API field they hold with data-field, and an error about
+// "checklist[2].text" marks the "checklist" input (unless there's one for
+// exactly that field, like "variables.destination").
+function showFormError(form, result, fallback) {
+    clearFormError(form);
+    const error = (result && result.error) || {};
+
+    const message = document.createElement('p');
+    message.className = 'form-error';
+    message.setAttribute('role', 'alert');
+    message.textContent = error.message || fallback;
+    form.prepend(message);
+
+    const field = error.field && error.field.split(/[.[]/)[0];
+    const input = error.field && (form.querySelector(`[data-field="${CSS.escape(error.field)}"]`)
+        || form.querySelector(`[data-field="${field}"]`));
+    if (input) {
+        input.classList.add('input-invalid');
+        input.setAttribute('aria-invalid', 'true');
+        input.focus();
+    }
+}
+
+function clearFormError(form) {
+    form.querySelectorAll('.form-error').forEach(message => message.remove());
+    form.querySelectorAll('.input-invalid').forEach(input => {
+        input.classList.remove('input-invalid');
+        input.removeAttribute('aria-invalid');
+    });
+}
+
+// Put a deleted task or checklist item back where it was
+async function restoreFromTrash(trashId) {
+    try {
+        const response = await apiFetch(`${API_URL}/trash/${trashId}/restore`, { method: 'POST' });
+        if (!response.ok) {
+            showErrorToast(errorMessage(await response.json(), 'Failed to restore'));
+        }
+        loadTasks();
+        if (document.getElementById('trash-section').open) loadTrash();
+    } catch (error) {
+        if (error instanceof AuthRequiredError) return; // already back on the login screen
+        console.error('Error restoring from trash:', error);
+        showErrorToast('Failed to restore. Please try again.');
+    }
+}
+
+// Fill the trash panel
+async function loadTrash() {
+    const list = document.getElementById('trash-list');
+    try {
+        const response = await apiFetch(`${API_URL}/trash`);
+        const entries = await response.json();
+
+        if (entries.length === 0) {
+            list.innerHTML = '<p class="no-tasks">The trash is empty.</p>';
+            return;
+        }
+        list.innerHTML = entries.map(entry => `
+            <div class="trash-item">
+                <span class="trash-title">${entry.type === 'task' ? '📁' : '📋'} ${escapeHtml(entry.title || '(untitled)')}</span>
+                <span class="trash-meta">
+                    ${entry.subtaskCount ? `${entry.subtaskCount} subtask${entry.subtaskCount === 1 ? '' : 's'} · ` : ''}deleted ${formatDueDate(new Date(entry.deletedAt))}
+                </span>
+                <button class="btn btn-sm btn-secondary" onclick="restoreFromTrash('${entry.id}')">Restore</button>
+                <button class="btn btn-sm btn-danger" onclick="purgeTrashEntry('${entry.id}')">Delete forever</button>
+            </div>
+        `).join('');
+    } catch (error) {
+        if (error instanceof AuthRequiredError) return; // already back on the login screen
+        console.error('Error loading trash:', error);
+        list.innerHTML = '<p class="no-tasks">Failed to load the trash.</p>';
+    }
+}
+
+// Fill the digest panel with the saved settings
+async function loadDigestSettings() {
+    try {
+        const response = await apiFetch(`${API_URL}/digest`);
+        renderDigestSettings(await response.json());
+    } catch (error) {
+        if (error instanceof AuthRequiredError) return; // already back on the login screen
+        console.error('Error loading digest settings:', error);
+    }
+}
+
+function renderDigestSettings(settings) {
+    document.getElementById('digest-frequency').value = settings.frequency;
+    document.getElementById('digest-weekday').value = String(settings.weekday);
+    document.getElementById('digest-time').value = settings.time;
+    document.getElementById('digest-quiet').checked = Boolean(settings.quietHours);
+    document.getElementById('digest-quiet-start').value = settings.quietHours ? settings.quietHours.start : '22:00';
+    document.getElementById('digest-quiet-end').value = settings.quietHours ? settings.quietHours.end : '07:00';
+    document.getElementById('digest-to').value = settings.to || '';
+    document.getElementById('digest-skip-empty').checked = settings.skipEmpty;
+
+    const status = [];
+    if (settings.nextAt) status.push(`Next one: ${formatDueDate(new Date(settings.nextAt))}.`);
+    if (settings.lastSentAt) status.push(`Last sent ${formatDueDate(new Date(settings.lastSentAt))}.`);
+    if (settings.lastStatus === 'failed') status.push(`The last one failed: ${settings.lastError}`);
+    document.getElementById('digest-status').textContent = status.join(' ');
+    updateDigestForm();
+}
+
+// Only show the fields that matter for the chosen schedule
+function updateDigestForm() {
+    const frequency = document.getElementById('digest-frequency').value;
+    document.getElementById('digest-weekday').closest('.form-group').hidden = frequency !== 'weekly';
+    document.getElementById('digest-time').closest('.form-row').hidden = frequency === 'off';
+    const quiet = document.getElementById('digest-quiet').checked;
+    document.getElementById('digest-quiet-start').disabled = !quiet;
+    document.getElementById('digest-quiet-end').disabled = !quiet;
+}
+
+async function saveDigestSettings(e) {
+    e.preventDefault();
+    const form = e.target;
+    const quiet = document.getElementById('digest-quiet').checked;
+
+    try {
+        const response = await apiFetch(`${API_URL}/digest`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                frequency: document.getElementById('digest-frequency').value,
+                weekday: Number(document.getElementById('digest-weekday').value),
+                time: document.getElementById('digest-time').value,
+                // The digest goes by this browser's clock
+                timeZone: browserTimeZone(),
+                quietHours: quiet ? {
+                    start: document.getElementById('digest-quiet-start').value,
+                    end: document.getElementById('digest-quiet-end').value
+                } : null,
+                to: document.getElementById('digest-to').value.trim() || null,
+                skipEmpty: document.getElementById('digest-skip-empty').checked
+            })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            showFormError(form, result, 'Failed to save the digest settings');
+            return;
+        }
+        clearFormError(form);
+        renderDigestSettings(result);
+        showToast('Digest settings saved.');
+    } catch (error) {
+        if (error instanceof AuthRequiredError) return; // already back on the login screen
+        console.error('Error saving digest settings:', error);
+        showFormError(form, null, 'Failed to save the digest settings. Please try again.');
+    }
+}
+
+async function sendDigestNow() {
+    try {
+        const response = await apiFetch(`${API_URL}/digest/send`, { method: 'POST' });
+        const result = await response.json();
+        if (!response.ok) {
+            showErrorToast(errorMessage(result, 'Failed to send the digest'));
+            return;
+        }
+        showToast(`Digest sent to ${result.to}.`);
+    } catch (error) {
+        if (error instanceof AuthRequiredError) return; // already back on the login screen
+        console.error('Error sending digest:', error);
+        showErrorToast('Failed to send the digest. Please try again.');
+    }
+}
+
+// Fill the email-to-tasks panel with the saved settings
+async function loadInboundSettings() {
+    try {
+        const response = await apiFetch(`${API_URL}/inbound`);
+        renderInboundSettings(await response.json());
+    } catch (error) {
+        if (error instanceof AuthRequiredError) return; // already back on the login screen
+        console.error('Error loading email settings:', error);
+    }
+}
+
+function renderInboundSettings(settings) {
+    inboundSettings = settings;
+    document.getElementById('inbound-enabled').checked = settings.enabled;
+    document.getElementById('inbound-senders').value = settings.senders.join('\n');
+
+    const status = [];
+    if (settings.address) {
+        status.push(`Send or forward mail to ${settings.address}. To add a subtask, use the address shown on the task.`);
+    } else {
+        status.push('Your mail server needs to deliver to this planner (see "Tasks from Email" in the README).');
+    }
+    if (settings.lastReceivedAt) status.push(`Last task by email: ${formatDueDate(new Date(settings.lastReceivedAt))}.`);
+    document.getElementById('inbound-status').textContent = status.join(' ');
+}
+
+async function saveInboundSettings(e) {
+    e.preventDefault();
+    const form = e.target;
+    const senders = document.getElementById('inbound-senders').value.split(/[\n,]/).map(s => s.trim()).filter(Boolean);
+
+    try {
+        const response = await apiFetch(`${API_URL}/inbound`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ enabled: document.getElementById('inbound-enabled').checked, senders })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            showFormError(form, result, 'Failed to save the email settings');
+            return;
+        }
+        clearFormError(form);
+        renderInboundSettings(result);
+        showToast('Email settings saved.');
+    } catch (error) {
+        if (error instanceof AuthRequiredError) return; // already back on the login screen
+        console.error('Error saving email settings:', error);
+        showFormError(form, null, 'Failed to save the email settings. Please try again.');
+    }
+}
+
+// List the webhooks, each with its switches and buttons
+async function loadWebhooks() {
+    const list = document.getElementById('webhook-list');
+    try {
+        const response = await apiFetch(`${API_URL}/webhooks`);
+        const hooks = await response.json();
+
+        if (hooks.length === 0) {
+            list.innerHTML = '<p class="no-tasks">No webhooks yet.</p>';
+            return;
+        }
+        list.innerHTML = hooks.map(hook => `
+            <div class="trash-item">
+                <span class="trash-title">${escapeHtml(hook.description || hook.url)}</span>
+                <span class="trash-meta">${hook.description ? `${escapeHtml(hook.url)} · ` : ''}${escapeHtml(hook.events.join(', '))} · secret ${escapeHtml(hook.secretHint)}</span>
+                <label class="trash-meta"><input type="checkbox" ${hook.active ? 'checked' : ''} onchange="toggleWebhook('${hook.id}', this.checked)"> On</label>
+                <button class="btn btn-sm btn-secondary" onclick="pingWebhook('${hook.id}')">Test</button>
+                <button class="btn btn-sm btn-secondary" onclick="showWebhookDeliveries('${hook.id}')">Log</button>
+                <button class="btn btn-sm btn-danger" onclick="deleteWebhook('${hook.id}')">Delete</button>
+                <ol id="webhook-log-${hook.id}" class="webhook-log" hidden></ol>
+            </div>
+        `).join('');
+    } catch (error) {
+        if (error instanceof AuthRequiredError) return; // already back on the login screen
+        console.error('Error loading webhooks:', error);
+        list.innerHTML = '<p class="no-tasks">Failed to load the webhooks.</p>';
+    }
+}
+
+async function addWebhook(e) {
+    e.preventDefault();
+    const form = e.target;
+    const events = [...form.querySelectorAll('input[name="webhook-event"]:checked')].map(input => input.value);
+
+    try {
+        const response = await apiFetch(`${API_URL}/webhooks`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                url: document.getElementById('webhook-url').value.trim(),
+                description: document.getElementById('webhook-description').value.trim(),
+                events
+            })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            showFormError(form, result, 'Failed to add the webhook');
+            return;
+        }
+        clearFormError(form);
+        form.reset();
+        loadWebhooks();
+        // The only time the secret is shown in full
+        prompt('Webhook added. Copy its secret now to check the signatures - it won\'t be shown again:', result.secret);
+    } catch (error) {
+        if (error instanceof AuthRequiredError) return; // already back on the login screen
+        console.error('Error adding webhook:', error);
+        showFormError(form, null, 'Failed to add the webhook. Please try again.');
+    }
+}
+
+async function toggleWebhook(webhookId, active) {
+    try {
+        const response = await apiFetch(`${API_URL}/webhooks/${webhookId}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ active })
+        });
+        if (!response.ok) {
+            showErrorToast(errorMessage(await response.json(), 'Failed to change the webhook'));
+        }
+        loadWebhooks();
+    } catch (error) {
+        if (error instanceof AuthRequiredError) return; // already back on the login screen
+        console.error('Error changing webhook:', error);
+    }
+}
+
+async function pingWebhook(webhookId) {
+    try {
+        const response = await apiFetch(`${API_URL}/webhooks/${webhookId}/ping`, { method: 'POST' });
+        if (!response.ok) {
+            showErrorToast(errorMessage(await response.json(), 'Failed to test the webhook'));
+            return;
+        }
+        showToast('Test call sent. Check the log for the answer.');
+    } catch (error) {
+        if (error instanceof AuthRequiredError) return; // already back on the login screen
+        console.error('Error testing webhook:', error);
+    }
+}
+
+// Show (or hide again) the last calls to a webhook and how they went
+async function showWebhookDeliveries(webhookId) {
+    const log = document.getElementById(`webhook-log-${webhookId}`);
+    if (!log.hidden) {
+        log.hidden = true;
+        return;
+    }
+    try {
+        const response = await apiFetch(`${API_URL}/webhooks/${webhookId}/deliveries`);
+        const deliveries = await response.json();
+        const icons = { succeeded: '✅', failed: '❌', pending: '⏳' };
+        log.innerHTML = deliveries.length === 0 ? '<li>No calls yet.</li>' : deliveries.slice(0, 20).map((delivery) => {
+            const last = delivery.attempts[delivery.attempts.length - 1];
+            const outcome = last ? (last.error || `answered ${last.statusCode}`) : 'waiting';
+            const retry = delivery.status === 'pending' && delivery.nextAttemptAt ? ` · next try ${formatDueDate(new Date(delivery.nextAttemptAt))}` : '';
+            return `<li>${icons[delivery.status]} ${escapeHtml(delivery.event)} · ${formatDueDate(new Date(delivery.createdAt))} · ${escapeHtml(outcome)} (${delivery.attempts.length} ${delivery.attempts.length === 1 ? 'try' : 'tries'})${retry}</li>`;
+        }).join('');
+        log.hidden = false;
+    } catch (error) {
+        if (error instanceof AuthRequiredError) return; // already back on the login screen
+        console.error('Error loading webhook deliveries:', error);
+    }
+}
+
+async function deleteWebhook(webhookId) {
+    if (!confirm('Delete this webhook and its log?')) return;
+
     try {
-        await fetch(`${API_URL}/tasks/${taskId}`, {
-            method: 'PUT',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ completed })
-        });
-        loadTasks();
+        await apiFetch(`${API_URL}/webhooks/${webhookId}`, { method: 'DELETE' });
+        loadWebhooks();
     } catch (error) {
-        console.error('Error toggling task:', error);
+        if (error instanceof AuthRequiredError) return; // already back on the login screen
+        console.error('Error deleting webhook:', error);
     }
 }
 
-// Delete task
-async function deleteTask(taskId) {
-    if (!confirm('Are you sure you want to delete this task?')) return;
+// The plus address that files mail under a task: tasks+1a2b3c4d@example.com
+async function showTaskEmailAddress(taskId) {
+    const section = document.getElementById('task-email');
+    if (!section) return;
+    if (!inboundSettings) {
+        try {
+            const response = await apiFetch(`${API_URL}/inbound`);
+            inboundSettings = await response.json();
+        } catch (error) {
+            return; // offline or logged out: just leave the section hidden
+        }
+    }
+    if (!inboundSettings.enabled || !inboundSettings.address) return;
+
+    const [local, domain] = inboundSettings.address.split('@');
+    document.getElementById('task-email-address').textContent = `${local}+${taskId.slice(0, 8)}@${domain}`;
+    section.hidden = false;
+}
+
+async function purgeTrashEntry(trashId) {
+    if (!confirm('Delete this forever? It cannot be restored afterwards.')) return;
 
     try {
-        await fetch(`${API_URL}/tasks/${taskId}`, {
-            method: 'DELETE'
-        });
-        loadTasks();
+        await apiFetch(`${API_URL}/trash/${trashId}`, { method: 'DELETE' });
+        loadTrash();
     } catch (error) {
-        console.error('Error deleting task:', error);
+        console.error('Error deleting from trash:', error);
     }
 }
 
-// Add checklist item
-async function addChecklistItem(e, taskId) {
-    e.preventDefault();
-    const form = e.target;
-    const input = form.querySelector('input');
-    const text = input.value.trim();
-
-    if (!text) return;
+async function emptyTrash() {
+    if (!confirm('Empty the trash? Nothing in it can be restored afterwards.')) return;
 
     try {
-        await fetch(`${API_URL}/tasks/${taskId}/checklist`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ text })
-        });
-        input.value = '';
-        loadTasks();
+        await apiFetch(`${API_URL}/trash`, { method: 'DELETE' });
+        loadTrash();
     } catch (error) {
-        console.error('Error adding checklist item:', error);
+        console.error('Error emptying trash:', error);
     }
 }
 
-// Toggle checklist item
-async function toggleChecklistItem(taskId, itemId, completed) {
+// Turn a checklist item into a subtask of the same task
+async function promoteChecklistItem(taskId, itemId) {
     try {
-        await fetch(`${API_URL}/tasks/${taskId}/checklist/${itemId}`, {
-            method: 'PUT',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ completed })
-        });
+        const response = await sendTaskChange(taskId, `${API_URL}/tasks/${taskId}/checklist/${itemId}/promote`, {
+            method: 'POST'
+        }, pickChecklistItem(itemId));
+        if (!response) return;
         loadTasks();
     } catch (error) {
-        console.error('Error toggling checklist item:', error);
+        console.error('Error promoting checklist item:', error);
     }
 }
 
-// Delete checklist item
-async function deleteChecklistItem(taskId, itemId) {
+// Turn a subtask (with no subtasks or checklist of its own) into a checklist item
+async function demoteTask(taskId) {
+    if (!confirm('Turn this subtask into a checklist item? Its description, due date and repeat settings will be dropped.')) return;
+
     try {
-        await fetch(`${API_URL}/tasks/${taskId}/checklist/${itemId}`, {
-            method: 'DELETE'
+        const response = await sendTaskChange(taskId, `${API_URL}/tasks/${taskId}/demote`, {
+            method: 'POST'
         });
+        if (!response) return;
+
+        if (!response.ok) {
+            showErrorToast(errorMessage(await response.json(), 'Failed to turn the subtask into a checklist item'));
+        }
         loadTasks();
     } catch (error) {
-        console.error('Error deleting checklist item:', error);
+        if (error instanceof AuthRequiredError) return; // already back on the login screen
+        console.error('Error demoting task:', error);
     }
 }
 
@@ -264,16 +2127,17 @@ async function addChildTask(e, parentId) {
     e.preventDefault();
     const form = e.target;
     const input = form.querySelector('input');
-    const title = input.value.trim();
+    const text = input.value.trim();
 
-    if (!title) return;
+    if (!text) return;
 
     try {
-        await fetch(`${API_URL}/tasks`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ title, parentId })
-        });
+        const response = await quickAdd({ text, parentId });
+        if (!response) return;
+        if (!response.ok) {
+            showFormError(form, await response.json(), 'Failed to add the subtask');
+            return;
+        }
         input.value = '';
         loadTasks();
     } catch (error) {
@@ -284,8 +2148,16 @@ async function addChildTask(e, parentId) {
 // Open task detail modal
 async function openTaskDetail(taskId) {
     try {
-        const response = await fetch(`${API_URL}/tasks/${taskId}`);
-        const task = await response.json();
+        let task;
+        try {
+            const response = await apiFetch(`${API_URL}/tasks/${taskId}`);
+            task = await response.json();
+            rememberTasks([task]);
+        } catch (error) {
+            // Offline: show the copy on this device
+            task = error instanceof TypeError ? findCachedTask((await getOfflineValue('tasks')) || [], taskId) : null;
+            if (!task) throw error;
+        }
 
         taskDetail.innerHTML = `
             <h2>${escapeHtml(task.title)}</h2>
@@ -308,60 +2180,709 @@ async function openTaskDetail(taskId) {
                 <p>${new Date(task.updatedAt).toLocaleString()}</p>
             </div>
             
+            <div class="detail-section">
+                <h3>📅 Due Date &amp; Reminders</h3>
+                ${renderDueDateForm(task)}
+            </div>
+
+            <div class="detail-section">
+                <h3>🎯 Planning</h3>
+                ${renderPlanningForm(task)}
+            </div>
+
+            <div class="detail-section">
+                <h3>🔁 Repeat</h3>
+                ${renderRecurrenceForm(task)}
+            </div>
+
             <div class="detail-section">
                 <h3>📧 Send Email Reminder</h3>
                 <form class="email-form" onsubmit="sendEmailReminder(event, '${task.id}')">
-                    <input type="email" id="email-to" placeholder="Recipient email" required>
-                    <input type="text" id="email-subject" placeholder="Subject (optional)">
+                    <input type="email" id="email-to" data-field="to" placeholder="Recipient email" required>
+                    <input type="text" id="email-subject" data-field="subject" placeholder="Subject (optional)">
                     <button type="submit" class="btn btn-primary">Send Reminder</button>
                 </form>
-                ${task.emailReminder ? `
+                ${task.emailReminder && task.emailReminder.sentAt ? `
                     <p style="margin-top: 10px; font-size: 0.9rem; color: var(--text-muted);">
                         Last email sent to: ${escapeHtml(task.emailReminder.to)} at ${new Date(task.emailReminder.sentAt).toLocaleString()}
-                        ${task.emailReminder.previewUrl ? `<br><a href="${task.emailReminder.previewUrl}" target="_blank">View email preview</a>` : ''}
+                        ${task.emailReminder.source === 'scheduled' ? '(automatic reminder)' : ''}
+                        ${task.emailReminder.previewUrl ? `<br><a href="${escapeHtml(task.emailReminder.previewUrl)}" target="_blank">View email preview</a>` : ''}
+                    </p>
+                ` : ''}
+                ${task.emailReminder && task.emailReminder.failedAt ? `
+                    <p class="error" style="margin-top: 10px; font-size: 0.9rem;">
+                        Automatic reminder to ${escapeHtml(task.emailReminder.to)} failed at ${new Date(task.emailReminder.failedAt).toLocaleString()}:
+                        ${escapeHtml(task.emailReminder.error)}
                     </p>
                 ` : ''}
             </div>
+
+            <div class="detail-section">
+                <h3>⏱️ Focus</h3>
+                <div id="focus-panel">Loading...</div>
+            </div>
+
+            <div class="detail-section">
+                <h3>📋 Template</h3>
+                <p class="quick-add-help">Reuse this task, its checklist and all its subtasks. Write {{name}} in a title or checklist item for a blank to fill in each time.</p>
+                <button type="button" class="btn btn-secondary" onclick="saveAsTemplate('${task.id}')">Save as template</button>
+            </div>
+
+            <div class="detail-section" id="task-email" hidden>
+                <h3>✉️ Email</h3>
+                <p class="quick-add-help">Mail sent to this address becomes a subtask of this one:</p>
+                <code id="task-email-address"></code>
+            </div>
+
+            <div class="detail-section">
+                <h3>🕘 History</h3>
+                <ol id="task-history" class="history-timeline"><li>Loading...</li></ol>
+            </div>
         `;
 
         taskModal.style.display = 'block';
+
+        if (task.recurrence) {
+            loadOccurrencePreview(task.id);
+        }
+        loadFocusPanel(task.id);
+        loadTaskHistory(task.id);
+        showTaskEmailAddress(task.id);
     } catch (error) {
         console.error('Error loading task details:', error);
     }
 }
 
+// Render the due date picker and reminder options for the detail modal
+function renderDueDateForm(task) {
+    const remindAt = task.remindAt || [];
+    // Keep offsets set through the API visible even if they aren't a preset
+    const options = [...REMINDER_PRESETS];
+    for (const minutes of remindAt) {
+        if (!options.some(option => option.minutes === minutes)) {
+            options.push({ minutes, label: `${minutes} minutes before` });
+        }
+    }
+
+    const reminderStatuses = (task.reminders || []).map(reminder => `
+        <li class="reminder-status ${reminder.status}">
+            ${new Date(reminder.fireAt).toLocaleString()} - ${reminder.status}
+            ${reminder.reason ? `(${escapeHtml(reminder.reason)})` : ''}
+        </li>
+    `).join('');
+
+    return `
+        <form class="due-date-form" onsubmit="saveDueDate(event, '${task.id}')">
+            <label for="due-at">Due</label>
+            <input type="datetime-local" id="due-at" data-field="dueAt" value="${toDateTimeLocal(task.dueAt)}">
+
+            <fieldset class="reminder-options">
+                <legend>Email me</legend>
+                ${options.map(option => `
+                    <label>
+                        <input type="checkbox" name="remind-at" value="${option.minutes}"
+                               ${remindAt.includes(option.minutes) ? 'checked' : ''}>
+                        ${option.label}
+                    </label>
+                `).join('')}
+            </fieldset>
+
+            <input type="email" id="reminder-email" data-field="reminderEmail" placeholder="Reminder email (optional)"
+                   value="${escapeHtml(task.reminderEmail || '')}">
+
+            <div class="due-date-actions">
+                <button type="submit" class="btn btn-primary">Save</button>
+                ${task.dueAt ? `<button type="button" class="btn btn-secondary" onclick="clearDueDate('${task.id}')">Clear due date</button>` : ''}
+            </div>
+        </form>
+        ${reminderStatuses ? `<ul class="reminder-list">${reminderStatuses}</ul>` : ''}
+    `;
+}
+
+// Save due date and reminder settings
+async function saveDueDate(e, taskId) {
+    e.preventDefault();
+
+    const dueValue = document.getElementById('due-at').value;
+    const remindAt = Array.from(document.querySelectorAll('input[name="remind-at"]:checked'))
+        .map(input => Number(input.value));
+    const reminderEmail = document.getElementById('reminder-email').value.trim();
+
+    await updateDueDate(taskId, {
+        // datetime-local gives local time without a zone; Date converts it to UTC
+        dueAt: dueValue ? new Date(dueValue).toISOString() : null,
+        remindAt,
+        reminderEmail: reminderEmail || null
+    }, e.target);
+}
+
+// Remove the due date (and with it all reminders)
+async function clearDueDate(taskId) {
+    await updateDueDate(taskId, { dueAt: null }, document.querySelector('.due-date-form'));
+}
+
+// Save scheduling fields; errors show up in `form`
+async function updateDueDate(taskId, fields, form) {
+    try {
+        const response = await sendOrQueue({ method: 'PUT', url: `${API_URL}/tasks/${taskId}`, body: fields, taskId });
+        if (!response) return;
+
+        if (response.ok) {
+            openTaskDetail(taskId); // Refresh modal
+            loadTasks();
+        } else {
+            showFormError(form, await response.json(), 'Failed to save due date');
+        }
+    } catch (error) {
+        if (error instanceof AuthRequiredError) return; // already back on the login screen
+        console.error('Error saving due date:', error);
+        showFormError(form, null, 'Failed to save due date. Please try again.');
+    }
+}
+
+// Estimate, priority and energy for the daily plan
+function renderPlanningForm(task) {
+    const options = (values, selected) => values
+        .map(value => `<option value="${value}" ${value === selected ? 'selected' : ''}>${value || 'Not set'}</option>`)
+        .join('');
+    const deferred = task.deferredUntil && new Date(task.deferredUntil) > new Date();
+
+    return `
+        <form class="planning-form" onsubmit="savePlanning(event, '${task.id}')">
+            <label>Estimate <input type="number" id="plan-estimate" data-field="estimateMinutes" min="1" max="1440"
+                   value="${task.estimateMinutes || ''}" placeholder="min"> min</label>
+            <label>Priority <select id="plan-priority" data-field="priority">${options(['', 'low', 'normal', 'high', 'urgent'], task.priority || '')}</select></label>
+            <label>Energy <select id="plan-task-energy" data-field="energy">${options(['', 'low', 'medium', 'high'], task.energy || '')}</select></label>
+            <label>Tags <input type="text" id="plan-tags" data-field="tags" class="plan-tags"
+                   value="${escapeHtml((task.tags || []).join(', '))}" placeholder="work, errands"></label>
+            <button type="submit" class="btn btn-primary">Save</button>
+        </form>
+        ${deferred ? `
+            <p class="plan-deferred">
+                Deferred until ${new Date(task.deferredUntil).toLocaleString()}
+                <button type="button" class="btn btn-sm btn-secondary" onclick="savePlanningFields('${task.id}', { deferredUntil: null })">Plan it again</button>
+            </p>
+        ` : ''}
+    `;
+}
+
+async function savePlanning(e, taskId) {
+    e.preventDefault();
+    const estimate = document.getElementById('plan-estimate').value;
+    await savePlanningFields(taskId, {
+        estimateMinutes: estimate ? Number(estimate) : null,
+        priority: document.getElementById('plan-priority').value || null,
+        energy: document.getElementById('plan-task-energy').value || null,
+        tags: splitTags(document.getElementById('plan-tags').value)
+    });
+}
+
+async function savePlanningFields(taskId, fields) {
+    const form = document.querySelector('.planning-form');
+    try {
+        const response = await sendOrQueue({ method: 'PUT', url: `${API_URL}/tasks/${taskId}`, body: fields, taskId });
+        if (!response) return;
+
+        if (response.ok) {
+            openTaskDetail(taskId); // Refresh modal
+            loadTasks();
+        } else {
+            showFormError(form, await response.json(), 'Failed to save the planning details');
+        }
+    } catch (error) {
+        if (error instanceof AuthRequiredError) return; // already back on the login screen
+        console.error('Error saving planning details:', error);
+        showFormError(form, null, 'Failed to save the planning details. Please try again.');
+    }
+}
+
+// Render the repeat rule editor for the detail modal
+function renderRecurrenceForm(task) {
+    const currentRule = task.recurrence ? task.recurrence.rule : '';
+
+    return `
+        <form class="recurrence-form" onsubmit="saveRecurrence(event, '${task.id}')">
+            <select id="repeat-preset" onchange="document.getElementById('repeat-rule').value = this.value">
+                <option value="">Choose a repeat...</option>
+                ${REPEAT_PRESETS.map(preset => `
+                    <option value="${preset.rule}" ${preset.rule === currentRule ? 'selected' : ''}>${preset.label}</option>
+                `).join('')}
+            </select>
+            <input type="text" id="repeat-rule" data-field="recurrence" placeholder="Custom rule, e.g. FREQ=MONTHLY;BYMONTHDAY=1"
+                   value="${escapeHtml(currentRule)}">
+            <div class="due-date-actions">
+                <button type="submit" class="btn btn-primary">Save</button>
+                ${task.recurrence ? `<button type="button" class="btn btn-secondary" onclick="stopRecurrence('${task.id}')">Stop repeating</button>` : ''}
+            </div>
+        </form>
+        ${task.recurrence ? `
+            <p class="occurrence-heading">Upcoming:</p>
+            <ul id="occurrence-preview" class="reminder-list"><li>Loading...</li></ul>
+        ` : ''}
+    `;
+}
+
+// Save the repeat rule (an empty rule stops repeating)
+async function saveRecurrence(e, taskId) {
+    e.preventDefault();
+    const rule = document.getElementById('repeat-rule').value.trim();
+    await updateDueDate(taskId, { recurrence: rule || null }, e.target);
+}
+
+async function stopRecurrence(taskId) {
+    await updateDueDate(taskId, { recurrence: null }, document.querySelector('.recurrence-form'));
+}
+
+// Fill in the list of upcoming dates for a repeating task
+async function loadOccurrencePreview(taskId) {
+    const list = document.getElementById('occurrence-preview');
+    try {
+        const response = await apiFetch(`${API_URL}/tasks/${taskId}/occurrences?count=5`);
+        const result = await response.json();
+        list.innerHTML = result.occurrences.length > 0
+            ? result.occurrences.map(iso => `<li>${new Date(iso).toLocaleString()}</li>`).join('')
+            : '<li>No more occurrences</li>';
+    } catch (error) {
+        console.error('Error loading occurrences:', error);
+        list.innerHTML = '<li>Could not load upcoming dates</li>';
+    }
+}
+
+// Fill the Focus section of the detail modal: time tracked so far and either
+// the running session's timer or a form to start one
+async function loadFocusPanel(taskId) {
+    const panel = document.getElementById('focus-panel');
+    clearInterval(focusTimer);
+    try {
+        const response = await apiFetch(`${API_URL}/tasks/${taskId}/time`);
+        const time = await response.json();
+
+        const totals = `
+            <p class="focus-totals">
+                Tracked: <strong>${formatDuration(time.ownSeconds)}</strong>
+                ${time.totalSeconds !== time.ownSeconds ? ` · with subtasks: <strong>${formatDuration(time.totalSeconds)}</strong>` : ''}
+            </p>
+        `;
+
+        if (!time.focus) {
+            panel.innerHTML = `${totals}
+                <form class="focus-form" onsubmit="startFocus(event, '${taskId}')">
+                    <label>Work <input type="number" name="workMinutes" data-field="workMinutes" min="1" max="180" value="25"> min</label>
+                    <label>Break <input type="number" name="breakMinutes" data-field="breakMinutes" min="1" max="60" value="5"> min</label>
+                    <button type="submit" class="btn btn-primary">▶ Start Focus</button>
+                </form>
+            `;
+            return;
+        }
+
+        const { session } = time.focus;
+        panel.innerHTML = `${totals}
+            <div class="focus-timer">
+                <span id="focus-clock" class="focus-clock"></span>
+                <span id="focus-state" class="focus-state"></span>
+            </div>
+            <div class="focus-controls">
+                ${session.runningSince
+                    ? `<button class="btn btn-sm btn-secondary" onclick="focusAction('${taskId}', 'pause')">⏸ Pause</button>`
+                    : `<button class="btn btn-sm btn-secondary" onclick="focusAction('${taskId}', 'resume')">▶ Resume</button>`}
+                <button class="btn btn-sm btn-danger" onclick="focusAction('${taskId}', 'stop')">⏹ Stop</button>
+            </div>
+        `;
+        tickFocusClock(session);
+        if (session.runningSince) {
+            focusTimer = setInterval(() => tickFocusClock(session), 1000);
+        }
+    } catch (error) {
+        if (error instanceof AuthRequiredError) return; // already back on the login screen
+        console.error('Error loading focus session:', error);
+        panel.innerHTML = '<p>Could not load the focus timer</p>';
+    }
+}
+
+// Count down the work time, then the break
+function tickFocusClock(session) {
+    const clock = document.getElementById('focus-clock');
+    const state = document.getElementById('focus-state');
+    if (!clock) {
+        clearInterval(focusTimer); // the modal moved on
+        return;
+    }
+
+    const now = Date.now();
+    if (!session.runningSince) {
+        clock.textContent = formatClock(session.remainingSeconds);
+        state.textContent = session.remainingSeconds > 0 ? 'Paused' : 'Work time done - take a break';
+    } else if (now < Date.parse(session.workEndsAt)) {
+        clock.textContent = formatClock((Date.parse(session.workEndsAt) - now) / 1000);
+        state.textContent = 'Focus';
+    } else if (now < Date.parse(session.breakEndsAt)) {
+        clock.textContent = formatClock((Date.parse(session.breakEndsAt) - now) / 1000);
+        state.textContent = '☕ Break';
+    } else {
+        clock.textContent = '00:00';
+        state.textContent = 'Break over - stop this session and start the next one';
+        clearInterval(focusTimer);
+    }
+}
+
+async function startFocus(e, taskId) {
+    e.preventDefault();
+    const form = e.target;
+    await focusRequest(taskId, 'start', {
+        workMinutes: Number(form.workMinutes.value),
+        breakMinutes: Number(form.breakMinutes.value)
+    }, form);
+}
+
+function focusAction(taskId, action) {
+    return focusRequest(taskId, action, {});
+}
+
+// Errors show up in `form` when there is one, otherwise in the toast
+async function focusRequest(taskId, action, body, form = null) {
+    const showError = (result, fallback) => (form ? showFormError(form, result, fallback) : showErrorToast(errorMessage(result, fallback)));
+    try {
+        const response = await sendTaskChange(taskId, `${API_URL}/tasks/${taskId}/focus/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        }, task => task.focusSession || null);
+        if (!response) return;
+        if (!response.ok) {
+            showError(await response.json(), 'Failed to update the focus session');
+            return;
+        }
+        loadFocusPanel(taskId);
+        loadTasks();
+    } catch (error) {
+        if (error instanceof AuthRequiredError) return; // already back on the login screen
+        console.error('Error updating focus session:', error);
+        showError(null, 'Failed to update the focus session. Please try again.');
+    }
+}
+
+// "1h 05m" / "12m" for tracked time
+function formatDuration(seconds) {
+    const minutes = Math.round(seconds / 60);
+    const hours = Math.floor(minutes / 60);
+    return hours > 0 ? `${hours}h ${String(minutes % 60).padStart(2, '0')}m` : `${minutes}m`;
+}
+
+// "24:59" for the timer
+function formatClock(seconds) {
+    const whole = Math.max(0, Math.ceil(seconds));
+    return `${String(Math.floor(whole / 60)).padStart(2, '0')}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+// Fill the History section of the detail modal, newest first
+async function loadTaskHistory(taskId) {
+    const list = document.getElementById('task-history');
+    try {
+        const response = await apiFetch(`${API_URL}/tasks/${taskId}/history`);
+        const events = await response.json();
+        list.innerHTML = events.length > 0
+            ? events.map(renderHistoryEvent).join('')
+            : '<li>No recorded changes yet</li>';
+    } catch (error) {
+        console.error('Error loading history:', error);
+        list.innerHTML = '<li>Could not load the history</li>';
+    }
+}
+
+const HISTORY_LABELS = {
+    'task.created': 'Created',
+    'task.updated': 'Edited',
+    'task.moved': 'Moved',
+    'task.deleted': 'Deleted',
+    'task.restored': 'Restored from the trash',
+    'task.demoted': 'Turned into a checklist item',
+    'checklist.added': 'Added checklist item',
+    'checklist.updated': 'Changed checklist item',
+    'checklist.deleted': 'Deleted checklist item',
+    'checklist.restored': 'Restored checklist item',
+    'checklist.promoted': 'Turned a checklist item into a subtask',
+    'email.sent': 'Sent email',
+    'email.failed': 'Could not send email',
+    'focus.started': 'Started a focus session',
+    'focus.paused': 'Paused the focus session',
+    'focus.resumed': 'Resumed the focus session',
+    'focus.stopped': 'Stopped the focus session'
+};
+
+// Why a completion rule changed a task (see lib/completion.js)
+const HISTORY_RULE_LABELS = {
+    cascadeDown: 'a task above it was completed',
+    rollUp: 'everything under it was done',
+    reopenAncestors: 'something under it was reopened'
+};
+
+// One timeline entry: what happened, who did it and when, and the changed fields
+function renderHistoryEvent(event) {
+    const who = event.actor.type === 'user' ? event.actor.email : `${event.actor.name} (automatic)`;
+    const label = HISTORY_LABELS[event.action] || event.action;
+    let extra = event.action.startsWith('email.') ? ` to ${escapeHtml(event.details.to)}` : '';
+    if (event.action === 'email.failed') extra += ` (${escapeHtml(event.details.error)})`;
+    if (event.details && event.details.rule) {
+        extra += ` (automatically: ${HISTORY_RULE_LABELS[event.details.rule] || event.details.rule})`;
+    }
+    const changes = event.action.endsWith('.updated') || event.action === 'task.moved'
+        ? event.changes.map(change => `
+            <li><strong>${escapeHtml(change.field)}</strong>:
+                ${escapeHtml(formatHistoryValue(change.before))} → ${escapeHtml(formatHistoryValue(change.after))}</li>
+        `).join('')
+        : '';
+
+    return `
+        <li>
+            <span class="history-action">${label}${extra}</span>
+            <span class="history-meta">${escapeHtml(who)} · ${new Date(event.at).toLocaleString()}</span>
+            ${changes ? `<ul class="history-changes">${changes}</ul>` : ''}
+        </li>
+    `;
+}
+
+function formatHistoryValue(value) {
+    if (value === null || value === '') return '(none)';
+    if (typeof value === 'string' && /^\d{4}-\d\d-\d\dT/.test(value)) return new Date(value).toLocaleString();
+    if (Array.isArray(value) && value.every(v => v && v.text !== undefined)) {
+        return value.map(v => `${v.completed ? '☑' : '☐'} ${v.text}`).join(', ') || '(none)';
+    }
+    if (value && value.rule) return describeRule(value.rule);
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// Label for a rule: the preset name if it is one, otherwise the rule itself
+function describeRule(rule) {
+    const preset = REPEAT_PRESETS.find(p => p.rule === rule);
+    return preset ? preset.label : rule;
+}
+
 // Send email reminder
 async function sendEmailReminder(e, taskId) {
     e.preventDefault();
+    const form = e.target;
 
     const to = document.getElementById('email-to').value;
     const subject = document.getElementById('email-subject').value;
 
     try {
-        const response = await fetch(`${API_URL}/tasks/${taskId}/email`, {
+        const response = await sendTaskChange(taskId, `${API_URL}/tasks/${taskId}/email`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ to, subject })
-        });
+        }, task => [task.title, task.description, task.dueAt]);
+        if (!response) return;
 
         const result = await response.json();
 
         if (response.ok) {
-            alert(`Email sent successfully! ${result.previewUrl ? 'Check the preview URL in the modal.' : ''}`);
+            showToast(`Email sent successfully! ${result.previewUrl ? 'Check the preview URL in the task details.' : ''}`);
             openTaskDetail(taskId); // Refresh modal
         } else {
-            alert(result.error || 'Failed to send email');
+            showFormError(form, result, 'Failed to send email');
         }
     } catch (error) {
+        if (error instanceof AuthRequiredError) return; // already back on the login screen
         console.error('Error sending email:', error);
-        alert('Failed to send email. Please try again.');
+        showFormError(form, null, 'Failed to send email. Please try again.');
+    }
+}
+
+/**
+ * Command palette (Ctrl+K / ⌘K): do things without the mouse. Type to narrow
+ * down the list, ↑/↓ to pick, Enter to run, Esc to close. Typing part of a
+ * task's title offers to open it, complete it, add a subtask to it or jump
+ * to it in the list; anything can also be added as a new task, with the
+ * same syntax as the quick-add box.
+ */
+function openPalette(mode = null) {
+    paletteMode = mode;
+    paletteIndex = 0;
+    const input = document.getElementById('palette-input');
+    input.value = '';
+    input.placeholder = mode
+        ? `Subtask of "${mode.task.title}" (quick add works here too)...`
+        : 'Type a command or a task...';
+    document.getElementById('command-palette').hidden = false;
+    renderPalette();
+    input.focus();
+}
+
+function closePalette() {
+    document.getElementById('command-palette').hidden = true;
+    paletteMode = null;
+}
+
+function handlePaletteKey(e) {
+    if (e.key === 'Escape') {
+        e.preventDefault();
+        closePalette();
+    } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        paletteIndex = (paletteIndex + step + paletteCommands.length) % Math.max(paletteCommands.length, 1);
+        renderPalette();
+    } else if (e.key === 'Enter') {
+        e.preventDefault();
+        runPaletteCommand(paletteIndex);
+    }
+}
+
+function renderPalette() {
+    const query = document.getElementById('palette-input').value.trim();
+    paletteCommands = paletteCommandsFor(query);
+    paletteIndex = Math.min(paletteIndex, Math.max(paletteCommands.length - 1, 0));
+
+    const list = document.getElementById('palette-list');
+    list.innerHTML = paletteCommands.map((command, index) => `
+        <li role="option" data-index="${index}" aria-selected="${index === paletteIndex}">
+            <span>${escapeHtml(command.label)}</span>
+            ${command.hint ? `<span class="palette-hint">${escapeHtml(command.hint)}</span>` : ''}
+        </li>
+    `).join('') || '<li aria-disabled="true">Nothing matches</li>';
+
+    const selected = list.querySelector('[aria-selected="true"]');
+    if (selected) selected.scrollIntoView({ block: 'nearest' });
+}
+
+async function runPaletteCommand(index) {
+    const command = paletteCommands[index];
+    if (!command) return;
+    closePalette();
+    await command.run();
+}
+
+// Commands matching `query`: every word typed has to be in the label
+function paletteCommandsFor(query) {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const matches = label => words.every(word => label.toLowerCase().includes(word));
+
+    if (paletteMode && paletteMode.type === 'subtask') {
+        const parent = paletteMode.task;
+        return query ? [{
+            label: `Add subtask "${query}"`,
+            hint: `to ${parent.title}`,
+            run: () => paletteAddTask(query, parent.id)
+        }] : [];
+    }
+
+    const showCompleted = document.getElementById('show-completed');
+    const commands = [
+        { label: 'Go to Today', run: () => focusSection('today-section') },
+        { label: 'Search tasks', run: () => document.getElementById('task-search').focus() },
+        { label: 'Add a task with the form', run: () => document.getElementById('task-title').focus() },
+        {
+            label: showCompleted.checked ? 'Hide completed tasks' : 'Show completed tasks',
+            run: () => {
+                showCompleted.checked = !showCompleted.checked;
+                loadTasks();
+            }
+        },
+        { label: 'Open the trash', run: () => focusSection('trash-section', true) },
+        { label: 'Digest email settings', run: () => focusSection('digest-section', true) },
+        { label: 'Email to tasks settings', run: () => focusSection('inbound-section', true) },
+        { label: 'Webhooks', run: () => focusSection('webhooks-section', true) },
+        { label: 'Show all tasks', hint: 'view', run: () => selectView(null) },
+        ...views.map(view => ({ label: `View: ${view.name}`, hint: 'view', run: () => selectView(view.id) })),
+        ...templates.map(template => ({ label: `New from template: ${template.name}`, hint: 'template', run: () => pickTemplate(template.id) })),
+        { label: 'Log out', run: handleLogout }
+    ].filter(command => matches(command.label));
+
+    if (words.length > 0) {
+        for (const task of paletteTasks()) {
+            if (!matches(task.title)) continue;
+            commands.push(
+                { label: `Open "${task.title}"`, hint: 'details', run: () => openTaskDetail(task.id) },
+                {
+                    label: `${task.completed ? 'Reopen' : 'Complete'} "${task.title}"`,
+                    hint: 'task',
+                    run: () => toggleTask(task.id, !task.completed)
+                },
+                { label: `Add subtask to "${task.title}"`, hint: 'task', run: () => openPalette({ type: 'subtask', task }) },
+                { label: `Go to "${task.title}"`, hint: 'in the list', run: () => focusTaskCard(task.id) }
+            );
+        }
+    }
+
+    // Adding what was typed as a task is always on offer
+    const results = commands.slice(0, PALETTE_MAX_RESULTS - 1);
+    if (words.length > 0) {
+        results.push({ label: `Add task "${query}"`, hint: 'quick add', run: () => paletteAddTask(query, null) });
+    }
+    return results;
+}
+
+// Every task on screen, subtasks included
+function paletteTasks() {
+    const tasks = [];
+    const walk = list => list.forEach((task) => {
+        tasks.push(task);
+        walk(task.children || []);
+    });
+    walk(shownTasks);
+    return tasks;
+}
+
+async function paletteAddTask(text, parentId) {
+    try {
+        const response = await quickAdd({ text, parentId });
+        if (!response) return;
+        if (response.ok) {
+            showToast(response.status === 202 ? 'Task saved on this device.' : 'Task added.');
+            loadTasks();
+        } else {
+            showErrorToast(errorMessage(await response.json(), 'Failed to add task'));
+        }
+    } catch (error) {
+        if (error instanceof AuthRequiredError) return; // already back on the login screen
+        console.error('Error adding task:', error);
+        showErrorToast('Failed to add task. Please try again.');
     }
 }
 
+// Scroll to a section (opening it if it's a <details>) and move focus there
+function focusSection(id, open = false) {
+    const section = document.getElementById(id);
+    if (open) section.open = true;
+    section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    const target = section.querySelector('summary, button, input') || section;
+    target.focus();
+}
+
+// Scroll to a task's card and highlight it for a moment
+function focusTaskCard(taskId) {
+    const card = tasksContainer.querySelector(`[data-task-id="${taskId}"]`);
+    if (!card) return;
+    card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    card.classList.add('task-highlight');
+    setTimeout(() => card.classList.remove('task-highlight'), 2000);
+    card.querySelector('.task-checkbox').focus();
+}
+
+// Short due date for task cards, e.g. "Today 5:00 PM" or "Mon, May 6 9:00 AM"
+function formatDueDate(date) {
+    const time = date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    const today = new Date();
+    const tomorrow = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+
+    if (date.toDateString() === today.toDateString()) return `Today ${time}`;
+    if (date.toDateString() === tomorrow.toDateString()) return `Tomorrow ${time}`;
+    return `${date.toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' })} ${time}`;
+}
+
+// Convert an ISO date to the local "YYYY-MM-DDTHH:mm" value a datetime-local input expects
+function toDateTimeLocal(iso) {
+    if (!iso) return '';
+    const date = new Date(iso);
+    const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+    return local.toISOString().slice(0, 16);
+}
+
 // Escape HTML to prevent XSS
 function escapeHtml(text) {
     if (text == null) return '';
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    // Quotes too, so the result is also safe inside attribute values
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
@@ -0,0 +1,85 @@
+/**
+ * BriPlanner Offline Storage
+ *
+ * Keeps a copy of the task tree on this device (in IndexedDB, the browser's
+ * built-in database) so the planner still opens without a connection, and a
+ * queue of changes made while offline, which app.js sends to the server once
+ * it's back. Two object stores:
+ *
+ *   meta  - { key, value } pairs: 'tasks' (the whole tree, as GET /api/tasks
+ *           last returned it plus any queued changes) and 'user'
+ *   queue - changes waiting to be sent, oldest first:
+ *           { id, method, url, body, idempotencyKey, taskId, itemId, tempId, known, createdAt }
+ *
+ * Loaded before app.js; everything here is a plain function it can call.
+ */
+
+const OFFLINE_DB_NAME = 'briplanner';
+const OFFLINE_DB_VERSION = 1;
+let offlineDbPromise = null;
+
+function openOfflineDb() {
+    if (!offlineDbPromise) {
+        offlineDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore('meta', { keyPath: 'key' });
+                db.createObjectStore('queue', { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Let a later call try again (e.g. after private browsing blocked it)
+        offlineDbPromise.catch(() => {
+            offlineDbPromise = null;
+        });
+    }
+    return offlineDbPromise;
+}
+
+// Run `work(store)` in a transaction and resolve with the result of the
+// request it returns, once the transaction has been saved
+async function withOfflineStore(storeName, mode, work) {
+    const db = await openOfflineDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = work(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+async function getOfflineValue(key) {
+    const entry = await withOfflineStore('meta', 'readonly', store => store.get(key));
+    return entry ? entry.value : null;
+}
+
+function setOfflineValue(key, value) {
+    return withOfflineStore('meta', 'readwrite', store => store.put({ key, value }));
+}
+
+// Add a change to the end of the queue; resolves with its ID
+function queueChange(entry) {
+    return withOfflineStore('queue', 'readwrite', store => store.add(entry));
+}
+
+// Every queued change, oldest first
+function listQueuedChanges() {
+    return withOfflineStore('queue', 'readonly', store => store.getAll());
+}
+
+function updateQueuedChange(entry) {
+    return withOfflineStore('queue', 'readwrite', store => store.put(entry));
+}
+
+function removeQueuedChange(id) {
+    return withOfflineStore('queue', 'readwrite', store => store.delete(id));
+}
+
+// Forget everything saved on this device (on log out, or a different user)
+async function clearOfflineData() {
+    await withOfflineStore('meta', 'readwrite', store => store.clear());
+    await withOfflineStore('queue', 'readwrite', store => store.clear());
+}
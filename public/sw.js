@@ -0,0 +1,64 @@
+/**
+ * BriPlanner Service Worker
+ *
+ * Keeps a copy of the app shell - the page, styles, scripts and icons - so
+ * the planner opens without a connection. Files come from the network when
+ * it's there (so you always get the latest version) and from the copy when
+ * it isn't. API requests are left alone: the page keeps its own copy of the
+ * tasks and queues changes made offline (see js/offline.js).
+ *
+ * Bump SHELL_CACHE when the list of files changes; the old copy is removed
+ * when the new worker takes over.
+ */
+
+const SHELL_CACHE = 'briplanner-shell-v1';
+const SHELL_FILES = [
+    '/',
+    '/index.html',
+    '/css/style.css',
+    '/js/offline.js',
+    '/js/app.js',
+    '/manifest.webmanifest',
+    '/icons/icon.svg',
+    '/icons/icon-192.png',
+    '/icons/icon-512.png'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('briplanner-shell-') && name !== SHELL_CACHE)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+        return;
+    }
+
+    event.respondWith(
+        fetch(request)
+            .then((response) => {
+                if (response.ok) {
+                    const copy = response.clone();
+                    caches.open(SHELL_CACHE).then(cache => cache.put(request, copy));
+                }
+                return response;
+            })
+            .catch(() => caches.match(request).then(cached => cached
+                || (request.mode === 'navigate' ? caches.match('/index.html') : Response.error())))
+    );
+});
@@ -0,0 +1,135 @@
+/**
+ * Auth routes - registration, login and logout
+ *
+ *   POST /api/auth/register  - create an account and log in
+ *   POST /api/auth/login     - log in with email and password
+ *   POST /api/auth/logout    - end the current session
+ *   GET  /api/auth/me        - the logged-in user (401 if not logged in)
+ */
+
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const {
+    hashPassword,
+    verifyPassword,
+    newSessionToken,
+    parseCredentials,
+    publicUser,
+    sessionCookie,
+    findSession
+} = require('../lib/auth');
+const { validateRequest, sendError } = require('../lib/validation');
+const { schemas } = require('../lib/schemas');
+
+// A well-formed hash that no password matches, so logins for unknown emails
+// take as long as real ones
+const DUMMY_HASH = 'scrypt$16384$8$1$c2FsdHNhbHRzYWx0c2FsdA==$' + Buffer.alloc(64).toString('base64');
+
+/**
+ * Options:
+ *   users, sessions  - the arrays holding accounts and sessions
+ *   persist          - saves the data after a change
+ *   settings         - config.auth (session length, cookie and registration settings)
+ *   onRegister(user) - called after a new account is created
+ */
+function createAuthRouter({ users, sessions, persist, settings, onRegister = () => {} }) {
+    const router = express.Router();
+    const maxAgeSeconds = Math.round(settings.sessionTtlDays * 24 * 60 * 60);
+
+    // Start a session for the user and send its cookie
+    function startSession(res, user) {
+        const { token, tokenHash } = newSessionToken();
+        const now = Date.now();
+
+        // Drop expired sessions while we're here
+        const live = sessions.filter(s => Date.parse(s.expiresAt) > now);
+        sessions.splice(0, sessions.length, ...live, {
+            tokenHash,
+            userId: user.id,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + maxAgeSeconds * 1000).toISOString()
+        });
+        persist();
+
+        res.setHeader('Set-Cookie', sessionCookie(token, { maxAgeSeconds, secure: settings.secureCookies }));
+    }
+
+    router.post('/register', validateRequest(schemas.register), async (req, res, next) => {
+        if (!settings.allowRegistration) {
+            return sendError(res, 403, 'Registration is disabled');
+        }
+
+        const { value, error } = parseCredentials(req.body);
+        if (error) {
+            return sendError(res, 400, error);
+        }
+        if (users.some(u => u.email === value.email)) {
+            return sendError(res, 409, 'An account with this email already exists');
+        }
+
+        try {
+            const passwordHash = await hashPassword(value.password);
+            // Check again: another registration may have finished while we were hashing
+            if (users.some(u => u.email === value.email)) {
+                return sendError(res, 409, 'An account with this email already exists');
+            }
+
+            const user = {
+                id: uuidv4(),
+                email: value.email,
+                name: value.name,
+                passwordHash,
+                createdAt: new Date().toISOString()
+            };
+            users.push(user);
+            onRegister(user);
+            startSession(res, user);
+
+            res.status(201).json({ user: publicUser(user) });
+        } catch (err) {
+            // Express 4 doesn't catch errors in async handlers: hand them to errorHandler
+            next(err);
+        }
+    });
+
+    router.post('/login', validateRequest(schemas.login), async (req, res, next) => {
+        const { email, password } = req.body;
+
+        try {
+            const user = users.find(u => u.email === email.trim().toLowerCase());
+            // Hash even when the user doesn't exist, so response times don't reveal which emails have accounts
+            const valid = await verifyPassword(password, user ? user.passwordHash : DUMMY_HASH);
+            if (!user || !valid) {
+                return sendError(res, 401, 'Invalid email or password');
+            }
+
+            startSession(res, user);
+            res.json({ user: publicUser(user) });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+    router.post('/logout', validateRequest(schemas.noFields), (req, res) => {
+        const found = findSession(req, { users, sessions });
+        if (found) {
+            sessions.splice(sessions.indexOf(found.session), 1);
+            persist();
+        }
+
+        res.setHeader('Set-Cookie', sessionCookie('', { maxAgeSeconds: 0, secure: settings.secureCookies }));
+        res.json({ message: 'Logged out' });
+    });
+
+    router.get('/me', validateRequest(schemas.noQuery), (req, res) => {
+        const found = findSession(req, { users, sessions });
+        if (!found) {
+            return sendError(res, 401, 'Authentication required');
+        }
+        res.json({ user: publicUser(found.user) });
+    });
+
+    return router;
+}
+
+module.exports = { createAuthRouter };
@@ -0,0 +1,89 @@
+/**
+ * Digest routes - a daily or weekly summary email (lib/digest.js)
+ *
+ *   GET  /api/digest           - your digest settings, with when the next one is due (nextAt)
+ *   PUT  /api/digest           - change them ({ frequency, time, weekday, timeZone, quietHours, to, skipEmpty })
+ *   GET  /api/digest/preview   - the digest as it would look now, without sending it
+ *                                (?frequency=daily|weekly, ?format=json|text|html)
+ *   POST /api/digest/send      - send it now, whatever the schedule says
+ *
+ * The background scheduler (started in server.js) sends the scheduled ones.
+ *
+ * Needs req.user and req.tasks (set by the login check in server.js).
+ */
+
+const express = require('express');
+const { defaultDigestSettings, parseDigestSettings, digestDueAt, buildDigest, digestMessage } = require('../lib/digest');
+const { validateRequest, sendError, fieldError } = require('../lib/validation');
+const { schemas } = require('../lib/schemas');
+
+const PREVIEW_FORMATS = ['json', 'text', 'html'];
+
+function createDigestRouter({ digests, activity, persist, sendMail }) {
+    const router = express.Router();
+
+    // The user's settings (the defaults until they've saved some)
+    const settingsFor = req => digests.find(entry => entry.ownerId === req.user.id) || defaultDigestSettings(req.user.id);
+    const describe = (settings) => {
+        const nextAt = digestDueAt(settings);
+        return { ...settings, nextAt: nextAt ? nextAt.toISOString() : null };
+    };
+    const recipient = (req, settings) => settings.to || req.user.email;
+
+    // What the digest holds right now, for these settings (or another frequency)
+    const currentDigest = (req, settings, frequency = settings.frequency) => buildDigest(
+        req.tasks,
+        activity.filter(event => event.ownerId === req.user.id),
+        { frequency: frequency === 'weekly' ? 'weekly' : 'daily', timeZone: settings.timeZone }
+    );
+
+    router.get('/', validateRequest(schemas.noQuery), (req, res) => {
+        res.json(describe(settingsFor(req)));
+    });
+
+    router.put('/', validateRequest(schemas.digestSettings), (req, res) => {
+        const current = settingsFor(req);
+        const { value, error, field } = parseDigestSettings(req.body, current);
+        if (error) {
+            return sendError(res, 400, fieldError(field, error));
+        }
+
+        if (!digests.includes(current)) digests.push(current);
+        Object.assign(current, value, { updatedAt: new Date().toISOString() });
+        persist();
+        res.json(describe(current));
+    });
+
+    router.get('/preview', validateRequest(schemas.digestPreview), (req, res) => {
+        const { frequency, format = 'json' } = req.query;
+        if (frequency !== undefined && !['daily', 'weekly'].includes(frequency)) {
+            return sendError(res, 400, fieldError('frequency', 'frequency must be daily or weekly'));
+        }
+        if (!PREVIEW_FORMATS.includes(format)) {
+            return sendError(res, 400, fieldError('format', `format must be one of: ${PREVIEW_FORMATS.join(', ')}`));
+        }
+
+        const settings = settingsFor(req);
+        const digest = currentDigest(req, settings, frequency);
+        const message = digestMessage(digest, { to: recipient(req, settings) });
+        if (format === 'html') return res.type('html').send(message.html);
+        if (format === 'text') return res.type('text').send(message.text);
+        res.json({ ...message, sections: digest.sections, total: digest.total });
+    });
+
+    router.post('/send', validateRequest(schemas.noFields), async (req, res) => {
+        const settings = settingsFor(req);
+        const message = digestMessage(currentDigest(req, settings), { to: recipient(req, settings) });
+        try {
+            const { previewUrl } = await sendMail(message, { ownerId: req.user.id });
+            res.json({ message: 'Digest sent', to: message.to, subject: message.subject, previewUrl });
+        } catch (error) {
+            console.error('Digest error:', error);
+            sendError(res, 500, { code: 'email_failed', message: `Failed to send the digest: ${error.message}` });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createDigestRouter };
@@ -0,0 +1,34 @@
+/**
+ * Live sync route - a Server-Sent Events stream of task changes (lib/sync.js)
+ *
+ *   GET /api/events   - stays open; pushes "change" events as tasks change
+ *
+ * Each change event carries the action (the same names as the activity
+ * history), the task ID, the task as it is now (null once deleted) and the
+ * X-Client-Id of the tab that made the change, so that tab can skip it.
+ * Reconnect with the Last-Event-ID header (or ?lastEventId=) to catch up.
+ *
+ * Needs req.user and req.session (set by the login check in server.js).
+ */
+
+const express = require('express');
+const { validateRequest } = require('../lib/validation');
+const { schemas } = require('../lib/schemas');
+
+function createEventsRouter({ hub, sessions }) {
+    const router = express.Router();
+
+    router.get('/', validateRequest(schemas.events), (req, res) => {
+        const { session } = req;
+        hub.connect(res, {
+            userId: req.user.id,
+            lastEventId: req.get('Last-Event-ID') || req.query.lastEventId || null,
+            // The stream ends at the next heartbeat after logging out
+            isActive: () => sessions.includes(session) && Date.parse(session.expiresAt) > Date.now()
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createEventsRouter };
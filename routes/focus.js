@@ -0,0 +1,142 @@
+/**
+ * Focus session and time tracking routes (lib/focus.js)
+ *
+ *   GET  /api/focus                    - the session you have going, or null
+ *   POST /api/tasks/:id/focus/start    - start one ({ workMinutes, breakMinutes } optional)
+ *   POST /api/tasks/:id/focus/pause    - pause it (the work so far becomes a time entry)
+ *   POST /api/tasks/:id/focus/resume   - carry on
+ *   POST /api/tasks/:id/focus/stop     - end it
+ *   GET  /api/tasks/:id/time           - time entries and totals, subtasks included
+ *   GET  /api/reports/time?from=&to=   - time spent per day and per task
+ *
+ * The POST routes change the task, so they honor If-Match and answer with
+ * its ETag (lib/versions.js).
+ *
+ * Needs req.user and req.tasks (set by the login check in server.js).
+ */
+
+const express = require('express');
+const { findTaskById } = require('../lib/tasks');
+const {
+    parseFocusSettings,
+    findActiveSession,
+    startSession,
+    pauseSession,
+    resumeSession,
+    stopSession,
+    sessionStatus,
+    timeTotals,
+    timeReport,
+    parseReportRange
+} = require('../lib/focus');
+const { validateRequest, sendError, fieldError } = require('../lib/validation');
+const { schemas } = require('../lib/schemas');
+const { etagFor, requireCurrentVersion } = require('../lib/versions');
+
+function createFocusRouter({ persist, recordActivity, defaults }) {
+    const router = express.Router();
+
+    // What the browser needs to show a session (or null for none)
+    const describe = (task) => task && task.focusSession
+        ? { taskId: task.id, title: task.title, session: sessionStatus(task.focusSession) }
+        : null;
+
+    router.get('/focus', validateRequest(schemas.noQuery), (req, res) => {
+        res.json(describe(findActiveSession(req.tasks)));
+    });
+
+    // Find the task for the /tasks/:id/... routes
+    router.param('id', (req, res, next, id) => {
+        req.task = findTaskById(id, req.tasks);
+        if (!req.task) {
+            return sendError(res, 404, 'Task not found');
+        }
+        next();
+    });
+
+    const ifMatchTask = requireCurrentVersion(req => req.params.id);
+
+    router.post('/tasks/:id/focus/start', validateRequest(schemas.startFocus), ifMatchTask, (req, res) => {
+        const active = findActiveSession(req.tasks);
+        if (active) {
+            const where = active === req.task ? 'this task' : `"${active.title}"`;
+            return sendError(res, 409, `You already have a focus session going on ${where} - stop it first`);
+        }
+
+        const { value: settings, error, field } = parseFocusSettings(req.body, defaults);
+        if (error) {
+            return sendError(res, 400, fieldError(field, error));
+        }
+
+        const session = startSession(req.task, settings);
+        recordActivity(req, req.task.id, 'focus.started', { details: { sessionId: session.id, ...settings } });
+        persist();
+
+        res.set('ETag', etagFor(req.task));
+        res.status(201).json(describe(req.task));
+    });
+
+    // pause, resume and stop only make sense on a task with a session going
+    const requireSession = (req, res, next) => {
+        if (!req.task.focusSession) {
+            return sendError(res, 409, 'This task has no focus session going');
+        }
+        next();
+    };
+
+    router.post('/tasks/:id/focus/pause', validateRequest(schemas.noFields), ifMatchTask, requireSession, (req, res) => {
+        if (!req.task.focusSession.runningSince) {
+            return sendError(res, 409, 'The focus session is already paused');
+        }
+
+        const entry = pauseSession(req.task);
+        recordActivity(req, req.task.id, 'focus.paused', { details: { sessionId: req.task.focusSession.id, seconds: entry ? entry.seconds : 0 } });
+        persist();
+
+        res.set('ETag', etagFor(req.task));
+        res.json({ ...describe(req.task), entry });
+    });
+
+    router.post('/tasks/:id/focus/resume', validateRequest(schemas.noFields), ifMatchTask, requireSession, (req, res) => {
+        if (req.task.focusSession.runningSince) {
+            return sendError(res, 409, 'The focus session is already running');
+        }
+
+        resumeSession(req.task);
+        recordActivity(req, req.task.id, 'focus.resumed', { details: { sessionId: req.task.focusSession.id } });
+        persist();
+
+        res.set('ETag', etagFor(req.task));
+        res.json(describe(req.task));
+    });
+
+    router.post('/tasks/:id/focus/stop', validateRequest(schemas.noFields), ifMatchTask, requireSession, (req, res) => {
+        const { session, entry } = stopSession(req.task);
+        recordActivity(req, req.task.id, 'focus.stopped', { details: { sessionId: session.id, workedSeconds: session.workedSeconds } });
+        persist();
+
+        res.set('ETag', etagFor(req.task));
+        res.json({ taskId: req.task.id, session, entry, ...timeTotals(req.task) });
+    });
+
+    router.get('/tasks/:id/time', validateRequest(schemas.noQuery), (req, res) => {
+        res.json({
+            taskId: req.task.id,
+            ...timeTotals(req.task),
+            entries: req.task.timeEntries || [],
+            focus: describe(req.task)
+        });
+    });
+
+    router.get('/reports/time', validateRequest(schemas.timeReport), (req, res) => {
+        const { value: range, error, field } = parseReportRange(req.query);
+        if (error) {
+            return sendError(res, 400, fieldError(field, error));
+        }
+        res.json(timeReport(req.tasks, range));
+    });
+
+    return router;
+}
+
+module.exports = { createFocusRouter };
@@ -0,0 +1,97 @@
+/**
+ * Inbound email routes - tasks from forwarded mail (lib/inbound.js)
+ *
+ *   GET  /api/inbound        - your settings: on or off, and the allowed senders
+ *   PUT  /api/inbound        - change them ({ enabled, senders })
+ *   POST /api/inbound-email  - deliver one raw message (the .eml file as the body)
+ *
+ * The first two need a login like the rest of the API. The last one is for
+ * your mail server (or a script), not the browser: it needs
+ * "Authorization: Bearer <INBOUND_EMAIL_TOKEN>" and is off until that token
+ * is configured. The recipient can be passed as ?to= when the message
+ * doesn't say it (e.g. tasks+3f2a9c1e@planner.example.com for a subtask).
+ *
+ * A sender can only be allowed by one account: another account's address,
+ * or anything overlapping what another account allows, is refused.
+ *
+ * Replies: 201 with the new task, 200 with { duplicate: true } for a message
+ * already received, 403 for a sender no one allowed, 404 for an unknown
+ * plus tag.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { defaultInboundSettings, parseInboundSettings, claimedSenders } = require('../lib/inbound');
+const { hashToken } = require('../lib/auth');
+const { validateRequest, sendError, fieldError } = require('../lib/validation');
+const { schemas } = require('../lib/schemas');
+const { etagFor } = require('../lib/versions');
+
+// Content types a raw message is accepted as
+const MESSAGE_TYPES = ['message/rfc822', 'text/plain', 'application/octet-stream'];
+
+function createInboundRouter({ inboundSettings, users, persist, address }) {
+    const router = express.Router();
+
+    const settingsFor = req => inboundSettings.find(entry => entry.ownerId === req.user.id) || defaultInboundSettings(req.user);
+    const describe = settings => ({ ...settings, address });
+
+    router.get('/', validateRequest(schemas.noQuery), (req, res) => {
+        res.json(describe(settingsFor(req)));
+    });
+
+    router.put('/', validateRequest(schemas.inboundSettings), (req, res) => {
+        const current = settingsFor(req);
+        const { value, error, field } = parseInboundSettings(req.body, current, {
+            claimed: claimedSenders(req.user.id, { users, settings: inboundSettings }),
+            ownAddress: req.user.email
+        });
+        if (error) {
+            return sendError(res, 400, fieldError(field, error));
+        }
+
+        if (!inboundSettings.includes(current)) inboundSettings.push(current);
+        Object.assign(current, value, { updatedAt: new Date().toISOString() });
+        persist();
+        res.json(describe(current));
+    });
+
+    return router;
+}
+
+function createInboundEmailRouter({ receive, token, maxBytes }) {
+    const router = express.Router();
+
+    // Compare hashes, so the check takes as long whatever the guess
+    const expected = token ? Buffer.from(hashToken(token), 'hex') : null;
+    const requireToken = (req, res, next) => {
+        if (!expected) {
+            return sendError(res, 404, 'Inbound email is off (set INBOUND_EMAIL_TOKEN to turn it on)');
+        }
+        const [scheme, given] = (req.get('Authorization') || '').split(' ');
+        const actual = Buffer.from(hashToken(given || ''), 'hex');
+        if (scheme !== 'Bearer' || !crypto.timingSafeEqual(expected, actual)) {
+            return sendError(res, 401, 'A valid inbound email token is required');
+        }
+        next();
+    };
+
+    router.post('/', requireToken, validateRequest(schemas.inboundEmail), express.raw({ type: MESSAGE_TYPES, limit: maxBytes }), (req, res) => {
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return sendError(res, 415, `Send the raw message as one of: ${MESSAGE_TYPES.join(', ')}`);
+        }
+
+        const recipients = req.query.to ? req.query.to.split(',').map(to => to.trim()).filter(Boolean) : [];
+        const { status, task, duplicate, error } = receive(req.body, { recipients });
+        if (error) {
+            return sendError(res, status, error);
+        }
+
+        res.set('ETag', etagFor(task));
+        res.status(status).json(duplicate ? { duplicate: true, task } : task);
+    });
+
+    return router;
+}
+
+module.exports = { createInboundRouter, createInboundEmailRouter };
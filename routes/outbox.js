@@ -0,0 +1,76 @@
+/**
+ * Outbox routes - inspect mail captured by the "capture" mail transport
+ *
+ * With MAIL_TRANSPORT=capture nothing is actually sent. Messages land in an
+ * outbox instead, so you can check what would have gone out without a mail
+ * server or an internet connection.
+ *
+ *   GET    /api/outbox              - list captured messages (newest first)
+ *   GET    /api/outbox/:id          - one message, including text and HTML bodies
+ *   GET    /api/outbox/:id/raw      - the raw RFC 822 message (.eml)
+ *   GET    /api/outbox/:id/preview  - the HTML body, viewable in the browser
+ *   DELETE /api/outbox              - empty the outbox
+ *
+ * Every account only sees (and empties) the mail sent for it.
+ *
+ * Needs req.user (set by the login check in server.js).
+ */
+
+const express = require('express');
+const { sendError } = require('../lib/validation');
+
+function createOutboxRouter({ outbox }) {
+    const router = express.Router();
+
+    router.use((req, res, next) => {
+        if (!outbox) {
+            return sendError(res, 404, 'The outbox is only available with MAIL_TRANSPORT=capture');
+        }
+        next();
+    });
+
+    router.get('/', (req, res) => {
+        res.json(outbox.list({ ownerId: req.user.id }).map(({ id, messageId, capturedAt, from, to, subject }) => ({
+            id, messageId, capturedAt, from, to, subject
+        })));
+    });
+
+    router.get('/:id', (req, res) => {
+        const message = outbox.get(req.params.id, { ownerId: req.user.id });
+        if (!message) {
+            return sendError(res, 404, 'Message not found');
+        }
+        res.json(message);
+    });
+
+    router.get('/:id/raw', (req, res) => {
+        const message = outbox.get(req.params.id, { ownerId: req.user.id });
+        if (!message) {
+            return sendError(res, 404, 'Message not found');
+        }
+        res.type('message/rfc822').send(message.raw);
+    });
+
+    router.get('/:id/preview', (req, res) => {
+        const message = outbox.get(req.params.id, { ownerId: req.user.id });
+        if (!message) {
+            return sendError(res, 404, 'Message not found');
+        }
+        // Show the email as-is, but never let it run scripts on our origin
+        res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; img-src data:");
+        if (message.html) {
+            res.type('html').send(message.html);
+        } else {
+            res.type('text').send(message.text);
+        }
+    });
+
+    router.delete('/', (req, res) => {
+        outbox.clear({ ownerId: req.user.id });
+        res.json({ message: 'Outbox cleared' });
+    });
+
+    return router;
+}
+
+module.exports = { createOutboxRouter };
@@ -0,0 +1,33 @@
+/**
+ * Daily plan route - "what should I do now?" (lib/planner.js)
+ *
+ *   GET /api/plan/today?minutes=240&energy=low&skip=id,id
+ *
+ * minutes is the time you have (PLAN_AVAILABLE_MINUTES by default), energy
+ * how much you've got left, and skip leaves out tasks or checklist items
+ * you passed on for now. Put a task off for longer by setting its
+ * deferredUntil with PUT /api/tasks/:id.
+ *
+ * Needs req.tasks (set by the login check in server.js).
+ */
+
+const express = require('express');
+const { parsePlanQuery, planDay } = require('../lib/planner');
+const { validateRequest, sendError, fieldError } = require('../lib/validation');
+const { schemas } = require('../lib/schemas');
+
+function createPlanRouter({ defaults }) {
+    const router = express.Router();
+
+    router.get('/today', validateRequest(schemas.planToday), (req, res) => {
+        const { value: options, error, field } = parsePlanQuery(req.query, defaults);
+        if (error) {
+            return sendError(res, 400, fieldError(field, error));
+        }
+        res.json(planDay(req.tasks, { ...options, defaultEstimateMinutes: defaults.defaultEstimateMinutes }));
+    });
+
+    return router;
+}
+
+module.exports = { createPlanRouter };
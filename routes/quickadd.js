@@ -0,0 +1,57 @@
+/**
+ * Quick add routes - a task from one line of text (lib/quickadd.js)
+ *
+ *   GET  /api/quick-add/preview?text=…&timeZone=…   what the line would become
+ *   POST /api/quick-add   { text, description, timeZone, parentId }
+ *
+ * POST makes the task just like POST /api/tasks with the parsed fields
+ * (201 with the task). timeZone is the browser's (e.g. "Europe/London"), so
+ * "tomorrow 5pm" means 5pm where the user is; without it the server's time
+ * zone is used.
+ *
+ * Needs req.tasks (set by the login check in server.js).
+ */
+
+const express = require('express');
+const { parseQuickAdd } = require('../lib/quickadd');
+const { diffFields, taskFields } = require('../lib/activity');
+const { etagFor } = require('../lib/versions');
+const { validateRequest, sendError, fieldError } = require('../lib/validation');
+const { schemas } = require('../lib/schemas');
+
+function createQuickAddRouter({ addTask, persist, recordActivity }) {
+    const router = express.Router();
+
+    router.get('/preview', validateRequest(schemas.quickAddPreview), (req, res) => {
+        const { value, error, field } = parseQuickAdd(req.query.text || '', { timeZone: req.query.timeZone || null });
+        if (error) {
+            return sendError(res, 400, fieldError(field, error));
+        }
+        res.json(value);
+    });
+
+    router.post('/', validateRequest(schemas.quickAdd), (req, res) => {
+        const { text, description, timeZone = null, parentId = null } = req.body;
+        const parsed = parseQuickAdd(text, { timeZone });
+        if (parsed.error) {
+            return sendError(res, 400, fieldError(parsed.field, parsed.error));
+        }
+
+        const { task, status, error } = addTask(req.tasks, { ...parsed.value, description, parentId });
+        if (error) {
+            return sendError(res, status, error);
+        }
+        recordActivity(req, task.id, 'task.created', {
+            changes: diffFields(null, taskFields(task)),
+            details: parentId ? { parentId } : undefined
+        });
+        persist();
+
+        res.set('ETag', etagFor(task));
+        res.status(201).json(task);
+    });
+
+    return router;
+}
+
+module.exports = { createQuickAddRouter };
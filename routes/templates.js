@@ -0,0 +1,136 @@
+/**
+ * Task template routes - task breakdowns saved for reuse (lib/templates.js)
+ *
+ *   GET    /api/templates                   - your templates, by name
+ *   GET    /api/templates/:id               - one template
+ *   POST   /api/templates                   - save one ({ name, taskId } or { name, task })
+ *   PUT    /api/templates/:id               - rename it or replace its tasks
+ *   DELETE /api/templates/:id               - delete it
+ *   POST   /api/templates/:id/instantiate   - make tasks from it
+ *                                             ({ parentId, dueAt, variables })
+ *
+ * { taskId } saves one of your tasks with everything under it; { task }
+ * gives the template's tasks directly. Every template comes back with its
+ * placeholders as `variables: [{ name, default }]`, and instantiate fills
+ * them from `variables` ({ "destination": "Lisbon" }). The new tasks get
+ * fresh IDs, go under parentId (or at the top level) and the top one gets
+ * dueAt, if given (201 with that task).
+ *
+ * Needs req.user and req.tasks (set by the login check in server.js).
+ */
+
+const express = require('express');
+const {
+    MAX_TEMPLATES, parseTemplate, createTemplate, describeTemplate, instantiateTemplate
+} = require('../lib/templates');
+const { findTaskById, walkTasks } = require('../lib/tasks');
+const { diffFields, taskFields } = require('../lib/activity');
+const { etagFor } = require('../lib/versions');
+const { validateRequest, sendError, fieldError } = require('../lib/validation');
+const { schemas } = require('../lib/schemas');
+
+function createTemplatesRouter({ templates, addTask, persist, recordActivity }) {
+    const router = express.Router();
+
+    const ownTemplates = (req) => templates.filter(template => template.ownerId === req.user.id);
+    const findTemplate = (req) => ownTemplates(req).find(template => template.id === req.params.id);
+    const sourceTask = (req) => (req.body.taskId === undefined ? null : findTaskById(req.body.taskId, req.tasks));
+
+    router.get('/', validateRequest(schemas.noQuery), (req, res) => {
+        const mine = ownTemplates(req).sort((a, b) => a.name.localeCompare(b.name));
+        res.json(mine.map(template => describeTemplate(template)));
+    });
+
+    router.get('/:id', validateRequest(schemas.noQuery), (req, res) => {
+        const template = findTemplate(req);
+        if (!template) {
+            return sendError(res, 404, 'Template not found');
+        }
+        res.json(describeTemplate(template));
+    });
+
+    router.post('/', validateRequest(schemas.saveTemplate), (req, res) => {
+        const mine = ownTemplates(req);
+        if (mine.length >= MAX_TEMPLATES) {
+            return sendError(res, 409, `You can have at most ${MAX_TEMPLATES} templates`);
+        }
+
+        const { value, error, field, status = 400 } = parseTemplate(req.body, { templates: mine, source: sourceTask(req) });
+        if (error) {
+            return sendError(res, status, fieldError(field, error));
+        }
+
+        const template = createTemplate({ ownerId: req.user.id, ...value });
+        templates.push(template);
+        persist();
+        res.status(201).json(describeTemplate(template));
+    });
+
+    router.put('/:id', validateRequest(schemas.saveTemplate), (req, res) => {
+        const template = findTemplate(req);
+        if (!template) {
+            return sendError(res, 404, 'Template not found');
+        }
+
+        const { value, error, field, status = 400 } = parseTemplate(req.body, {
+            templates: ownTemplates(req), current: template, source: sourceTask(req)
+        });
+        if (error) {
+            return sendError(res, status, fieldError(field, error));
+        }
+
+        Object.assign(template, value, { updatedAt: new Date().toISOString() });
+        persist();
+        res.json(describeTemplate(template));
+    });
+
+    router.delete('/:id', validateRequest(schemas.noFields), (req, res) => {
+        const index = templates.findIndex(template => template.id === req.params.id && template.ownerId === req.user.id);
+        if (index === -1) {
+            return sendError(res, 404, 'Template not found');
+        }
+
+        templates.splice(index, 1);
+        persist();
+        res.json({ message: 'Template deleted' });
+    });
+
+    router.post('/:id/instantiate', validateRequest(schemas.instantiateTemplate), (req, res) => {
+        const template = findTemplate(req);
+        if (!template) {
+            return sendError(res, 404, 'Template not found');
+        }
+
+        const { parentId = null, dueAt, variables = {} } = req.body;
+        const built = instantiateTemplate(template, variables);
+        if (built.error) {
+            return sendError(res, 400, fieldError(built.field, built.error));
+        }
+
+        // The top task goes in like any new task (so its due date and
+        // reminders are checked); what's under it comes along as built
+        const { title, description, estimateMinutes, priority, energy, tags, remindAt, checklist, children } = built.value;
+        const { task, status, error } = addTask(req.tasks, {
+            title, description, estimateMinutes, priority, energy, tags, remindAt, dueAt, parentId
+        });
+        if (error) {
+            return sendError(res, status, error);
+        }
+        Object.assign(task, { checklist, children });
+
+        for (const created of walkTasks([task])) {
+            recordActivity(req, created.id, 'task.created', {
+                changes: diffFields(null, taskFields(created)),
+                details: { templateId: template.id, ...(created === task && parentId ? { parentId } : {}) }
+            });
+        }
+        persist();
+
+        res.set('ETag', etagFor(task));
+        res.status(201).json(task);
+    });
+
+    return router;
+}
+
+module.exports = { createTemplatesRouter };
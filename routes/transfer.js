@@ -0,0 +1,136 @@
+/**
+ * Export and import routes - get all your tasks out, or bring them back in
+ *
+ *   GET  /api/export.:format          - download every task
+ *   POST /api/import.:format?mode=... - add (mode=merge, the default) or
+ *                                       swap in (mode=replace) the tasks in a file
+ *
+ * Formats:
+ *
+ *   json  versioned backup of everything (lib/backup.js)
+ *   md    Markdown outline with - [ ] checkboxes (lib/markdown.js)
+ *   csv   one row per task, with a parent_path column (lib/csv.js)
+ *   ics   iCalendar VTODOs for calendar apps (lib/ical.js)
+ *
+ * Send the file as the request body. Every imported task goes through the
+ * same checks as POST /api/tasks, and if any fails nothing is changed.
+ * A merge never touches existing tasks; imported tasks whose IDs are
+ * already in use get new ones. A replace moves the old tasks to the trash,
+ * so they can still be restored.
+ */
+
+const express = require('express');
+const { tasksToCalendar, parseCalendar } = require('../lib/ical');
+const { tasksToBackup, parseBackup } = require('../lib/backup');
+const { tasksToMarkdown, parseMarkdown } = require('../lib/markdown');
+const { tasksToCsv, parseCsv } = require('../lib/csv');
+const { buildTasks } = require('../lib/importer');
+const { findTaskById, walkTasks } = require('../lib/tasks');
+const { trashTask } = require('../lib/trash');
+const { taskFields, diffFields } = require('../lib/activity');
+const { validateRequest, sendError, fieldError } = require('../lib/validation');
+const { schemas } = require('../lib/schemas');
+
+// Biggest file we accept for import
+const IMPORT_LIMIT = '5mb';
+
+const FORMATS = {
+    json: {
+        contentType: 'application/json; charset=utf-8',
+        filename: 'briplanner-backup.json',
+        write: tasksToBackup,
+        read: parseBackup
+    },
+    md: {
+        contentType: 'text/markdown; charset=utf-8',
+        filename: 'briplanner.md',
+        bodyTypes: ['text/markdown', 'text/x-markdown', 'text/plain'],
+        write: tasksToMarkdown,
+        read: parseMarkdown
+    },
+    csv: {
+        contentType: 'text/csv; charset=utf-8',
+        filename: 'briplanner.csv',
+        bodyTypes: ['text/csv', 'text/plain'],
+        write: tasksToCsv,
+        read: parseCsv
+    },
+    ics: {
+        contentType: 'text/calendar; charset=utf-8',
+        filename: 'briplanner.ics',
+        bodyTypes: ['text/calendar', 'text/plain'],
+        write: tasksToCalendar,
+        read: parseCalendar
+    }
+};
+
+const MODES = ['merge', 'replace'];
+
+function createTransferRouter({ addTask, persist, trash, trashOptions, recordActivity }) {
+    const router = express.Router();
+
+    router.param('format', (req, res, next, format) => {
+        req.format = FORMATS[format];
+        if (!req.format) {
+            return sendError(res, 404, `Unknown format "${format}" (expected one of: ${Object.keys(FORMATS).join(', ')})`);
+        }
+        next();
+    });
+
+    router.get('/export.:format', validateRequest(schemas.noQuery), (req, res) => {
+        res.set('Content-Type', req.format.contentType);
+        res.set('Content-Disposition', `attachment; filename="${req.format.filename}"`);
+        res.send(req.format.write(req.tasks));
+    });
+
+    // JSON bodies are already read by express.json(); text formats are read here
+    const readText = (req, res, next) => {
+        if (!req.format.bodyTypes) return next();
+        express.text({ type: req.format.bodyTypes, limit: IMPORT_LIMIT })(req, res, next);
+    };
+
+    router.post('/import.:format', validateRequest(schemas.importTasks), readText, (req, res) => {
+        const mode = req.query.mode || 'merge';
+        if (!MODES.includes(mode)) {
+            return sendError(res, 400, fieldError('mode', `mode must be one of: ${MODES.join(', ')}`));
+        }
+
+        const parsed = req.format.read(req.body);
+        if (parsed.error) {
+            return sendError(res, 400, parsed.error);
+        }
+
+        // Build the new tasks on the side first, so a bad one halfway
+        // through doesn't leave half an import behind
+        const imported = [];
+        const result = buildTasks(parsed.value, imported, {
+            addTask,
+            idTaken: (id) => Boolean(findTaskById(id, imported) || (mode === 'merge' && findTaskById(id, req.tasks)))
+        });
+        if (result.error) {
+            return sendError(res, result.status, result.error);
+        }
+
+        const details = { import: req.params.format, mode };
+        if (mode === 'replace') {
+            for (const task of [...req.tasks]) {
+                const entry = trashTask(trash, req.tasks, task.id, trashOptions(req));
+                recordActivity(req, task.id, 'task.deleted', {
+                    changes: diffFields(taskFields(task), null),
+                    details: { ...details, trashId: entry.id }
+                });
+            }
+        }
+        req.tasks.push(...imported);
+        for (const task of walkTasks(imported)) {
+            recordActivity(req, task.id, 'task.created', { changes: diffFields(null, taskFields(task)), details });
+        }
+        persist();
+
+        res.status(201).json({ mode, imported: result.count, tasks: imported });
+    });
+
+    return router;
+}
+
+module.exports = { createTransferRouter, FORMATS, IMPORT_LIMIT };
@@ -0,0 +1,79 @@
+/**
+ * Trash routes - see and undo deletes (lib/trash.js)
+ *
+ *   GET    /api/trash              - what's in your trash (newest first)
+ *   POST   /api/trash/:id/restore  - put a task or checklist item back where it was
+ *   DELETE /api/trash/:id          - delete one entry for good
+ *   DELETE /api/trash              - empty your trash
+ *
+ * Needs req.user and req.tasks (set by the login check in server.js).
+ */
+
+const express = require('express');
+const { restoreFromTrash, pruneTrash, describeEntry } = require('../lib/trash');
+const { validateRequest, sendError } = require('../lib/validation');
+const { schemas } = require('../lib/schemas');
+
+function createTrashRouter({ trash, persist, recordActivity }) {
+    const router = express.Router();
+
+    // Clear out anything past its retention window first
+    router.use((req, res, next) => {
+        if (pruneTrash(trash) > 0) persist();
+        next();
+    });
+
+    const ownEntries = (req) => trash.filter(entry => entry.ownerId === req.user.id);
+
+    router.get('/', validateRequest(schemas.noQuery), (req, res) => {
+        const entries = ownEntries(req)
+            .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+            .map(describeEntry);
+        res.json(entries);
+    });
+
+    router.post('/:id/restore', validateRequest(schemas.noFields), (req, res) => {
+        const owned = ownEntries(req).some(entry => entry.id === req.params.id);
+        if (!owned) {
+            return sendError(res, 404, 'Trash item not found');
+        }
+
+        const { entry, status, error } = restoreFromTrash(trash, req.params.id, req.tasks);
+        if (error) {
+            return sendError(res, status, error);
+        }
+        if (entry.type === 'task') {
+            recordActivity(req, entry.task.id, 'task.restored', { details: { parentId: entry.parentId } });
+        } else {
+            recordActivity(req, entry.taskId, 'checklist.restored', { itemId: entry.item.id });
+        }
+        persist();
+
+        res.json(entry.type === 'task'
+            ? { type: 'task', parentId: entry.parentId, task: entry.task }
+            : { type: 'checklistItem', taskId: entry.taskId, item: entry.item });
+    });
+
+    router.delete('/:id', validateRequest(schemas.noFields), (req, res) => {
+        const index = trash.findIndex(entry => entry.id === req.params.id && entry.ownerId === req.user.id);
+        if (index === -1) {
+            return sendError(res, 404, 'Trash item not found');
+        }
+
+        trash.splice(index, 1);
+        persist();
+        res.json({ message: 'Deleted for good' });
+    });
+
+    router.delete('/', validateRequest(schemas.noFields), (req, res) => {
+        const kept = trash.filter(entry => entry.ownerId !== req.user.id);
+        const purged = trash.length - kept.length;
+        trash.splice(0, trash.length, ...kept);
+        persist();
+        res.json({ purged });
+    });
+
+    return router;
+}
+
+module.exports = { createTrashRouter };
@@ -0,0 +1,77 @@
+/**
+ * Saved view routes - named task filters shown as tabs (lib/views.js)
+ *
+ *   GET    /api/views      - your views, in tab order
+ *   POST   /api/views      - save one ({ name, query })
+ *   PUT    /api/views/:id  - rename it or change its query
+ *   DELETE /api/views/:id  - delete it
+ *
+ * `query` holds GET /api/tasks parameters as strings, e.g.
+ * { "tag": "work", "completed": "false", "sort": "dueAt" }.
+ *
+ * Needs req.user (set by the login check in server.js).
+ */
+
+const express = require('express');
+const { MAX_VIEWS, parseView, createView } = require('../lib/views');
+const { validateRequest, sendError, fieldError } = require('../lib/validation');
+const { schemas } = require('../lib/schemas');
+
+function createViewsRouter({ views, persist }) {
+    const router = express.Router();
+
+    const ownViews = (req) => views.filter(view => view.ownerId === req.user.id);
+
+    router.get('/', validateRequest(schemas.noQuery), (req, res) => {
+        res.json(ownViews(req));
+    });
+
+    router.post('/', validateRequest(schemas.saveView), (req, res) => {
+        const mine = ownViews(req);
+        if (mine.length >= MAX_VIEWS) {
+            return sendError(res, 409, `You can have at most ${MAX_VIEWS} views`);
+        }
+
+        const { value, error, field } = parseView(req.body, { views: mine });
+        if (error) {
+            return sendError(res, 400, fieldError(field, error));
+        }
+
+        const view = createView({ ownerId: req.user.id, ...value });
+        views.push(view);
+        persist();
+        res.status(201).json(view);
+    });
+
+    router.put('/:id', validateRequest(schemas.saveView), (req, res) => {
+        const mine = ownViews(req);
+        const view = mine.find(v => v.id === req.params.id);
+        if (!view) {
+            return sendError(res, 404, 'View not found');
+        }
+
+        const { value, error, field } = parseView(req.body, { views: mine, current: view });
+        if (error) {
+            return sendError(res, 400, fieldError(field, error));
+        }
+
+        Object.assign(view, value, { updatedAt: new Date().toISOString() });
+        persist();
+        res.json(view);
+    });
+
+    router.delete('/:id', validateRequest(schemas.noFields), (req, res) => {
+        const index = views.findIndex(view => view.id === req.params.id && view.ownerId === req.user.id);
+        if (index === -1) {
+            return sendError(res, 404, 'View not found');
+        }
+
+        views.splice(index, 1);
+        persist();
+        res.json({ message: 'View deleted' });
+    });
+
+    return router;
+}
+
+module.exports = { createViewsRouter };
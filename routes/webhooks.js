@@ -0,0 +1,136 @@
+/**
+ * Webhook routes - call your own URLs when tasks change (lib/webhooks.js)
+ *
+ *   GET    /api/webhooks                     - your webhooks
+ *   POST   /api/webhooks                     - add one ({ url, events, secret, active, description })
+ *   GET    /api/webhooks/:id                 - one webhook
+ *   PUT    /api/webhooks/:id                 - change it
+ *   DELETE /api/webhooks/:id                 - delete it, and its delivery log
+ *   POST   /api/webhooks/:id/ping            - send a test call now
+ *   GET    /api/webhooks/:id/deliveries      - its delivery log, newest first (?status=pending|succeeded|failed)
+ *   POST   /api/webhooks/:id/deliveries/:deliveryId/redeliver - send a logged call again
+ *
+ * The secret is only shown when it's set: when the webhook is created (a
+ * random one is made when none is given) or changed with PUT ("secret":
+ * null makes a new random one). Otherwise only its last 4 characters are.
+ *
+ * Needs req.user (set by the login check in server.js).
+ */
+
+const express = require('express');
+const { MAX_WEBHOOKS, parseWebhook, createWebhook, describeWebhook } = require('../lib/webhooks');
+const { validateRequest, sendError, fieldError } = require('../lib/validation');
+const { schemas } = require('../lib/schemas');
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+function createWebhooksRouter({ webhooks, deliveries, persist, dispatcher }) {
+    const router = express.Router();
+
+    const ownWebhooks = req => webhooks.filter(webhook => webhook.ownerId === req.user.id);
+    const findWebhook = req => webhooks.find(webhook => webhook.id === req.params.id && webhook.ownerId === req.user.id);
+
+    router.get('/', validateRequest(schemas.noQuery), (req, res) => {
+        res.json(ownWebhooks(req).map(webhook => describeWebhook(webhook)));
+    });
+
+    router.post('/', validateRequest(schemas.saveWebhook), (req, res) => {
+        if (ownWebhooks(req).length >= MAX_WEBHOOKS) {
+            return sendError(res, 409, `You can have at most ${MAX_WEBHOOKS} webhooks`);
+        }
+
+        const { value, error, field } = parseWebhook(req.body);
+        if (error) {
+            return sendError(res, 400, fieldError(field, error));
+        }
+
+        const webhook = createWebhook({ ownerId: req.user.id, ...value });
+        webhooks.push(webhook);
+        persist();
+        res.status(201).json(describeWebhook(webhook, { withSecret: true }));
+    });
+
+    router.get('/:id', validateRequest(schemas.noQuery), (req, res) => {
+        const webhook = findWebhook(req);
+        if (!webhook) {
+            return sendError(res, 404, 'Webhook not found');
+        }
+        res.json(describeWebhook(webhook));
+    });
+
+    router.put('/:id', validateRequest(schemas.saveWebhook), (req, res) => {
+        const webhook = findWebhook(req);
+        if (!webhook) {
+            return sendError(res, 404, 'Webhook not found');
+        }
+
+        const { value, error, field } = parseWebhook(req.body, { current: webhook });
+        if (error) {
+            return sendError(res, 400, fieldError(field, error));
+        }
+
+        Object.assign(webhook, value, { updatedAt: new Date().toISOString() });
+        persist();
+        // A new secret (given, or made for "secret": null) is shown once
+        res.json(describeWebhook(webhook, { withSecret: req.body.secret !== undefined }));
+    });
+
+    router.delete('/:id', validateRequest(schemas.noFields), (req, res) => {
+        const webhook = findWebhook(req);
+        if (!webhook) {
+            return sendError(res, 404, 'Webhook not found');
+        }
+
+        webhooks.splice(webhooks.indexOf(webhook), 1);
+        // Its log goes too, pending retries included
+        for (let i = deliveries.length - 1; i >= 0; i--) {
+            if (deliveries[i].webhookId === webhook.id) deliveries.splice(i, 1);
+        }
+        persist();
+        res.json({ message: 'Webhook deleted' });
+    });
+
+    router.post('/:id/ping', validateRequest(schemas.noFields), (req, res) => {
+        const webhook = findWebhook(req);
+        if (!webhook) {
+            return sendError(res, 404, 'Webhook not found');
+        }
+        if (!webhook.active) {
+            return sendError(res, 409, 'Turn the webhook on before testing it');
+        }
+
+        res.status(202).json(dispatcher.ping(webhook));
+    });
+
+    router.get('/:id/deliveries', validateRequest(schemas.listDeliveries), (req, res) => {
+        const webhook = findWebhook(req);
+        if (!webhook) {
+            return sendError(res, 404, 'Webhook not found');
+        }
+        const { status } = req.query;
+        if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+            return sendError(res, 400, fieldError('status', `status must be one of: ${DELIVERY_STATUSES.join(', ')}`));
+        }
+
+        res.json(deliveries
+            .filter(delivery => delivery.webhookId === webhook.id && (!status || delivery.status === status))
+            .reverse());
+    });
+
+    router.post('/:id/deliveries/:deliveryId/redeliver', validateRequest(schemas.noFields), (req, res) => {
+        const webhook = findWebhook(req);
+        const delivery = webhook && deliveries.find(d => d.id === req.params.deliveryId && d.webhookId === webhook.id);
+        if (!delivery) {
+            return sendError(res, 404, 'Delivery not found');
+        }
+        if (!webhook.active) {
+            return sendError(res, 409, 'Turn the webhook on before sending to it');
+        }
+
+        res.status(202).json(dispatcher.redeliver(delivery, webhook));
+    });
+
+    return router;
+}
+
+module.exports = { createWebhooksRouter };
@@ -22,123 +22,425 @@
  * This file sets up an Express server that:
  * 1. Serves static HTML/CSS/JS files from the 'public' folder
  * 2. Provides REST API endpoints for task management (like RESTlets)
- * 3. Stores data in-memory (can be extended to use a database)
+ * 3. Keeps a working copy of the data in memory and saves it through a
+ *    pluggable storage backend (JSON file or SQLite, picked by config)
+ * 4. Requires a login: every user gets their own task tree
  */
 
 const express = require('express');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
-const nodemailer = require('nodemailer');
-
+const { loadConfig } = require('./lib/config');
+const { createStorage, createMemoryStorage } = require('./lib/storage');
+const {
+    createTask,
+    findTaskById,
+    removeTaskById,
+    findTaskLocation,
+    moveTask,
+    isSameOrDescendant,
+    walkTasks,
+    cloneTask
+} = require('./lib/tasks');
+const { createMailer } = require('./lib/mailer');
+const {
+    parseDueAt,
+    parseRemindAt,
+    parseReminderEmail,
+    buildReminderSchedule,
+    createReminderScheduler
+} = require('./lib/reminders');
+const { createDigestScheduler } = require('./lib/digest');
+const { parseRecurrence, listOccurrences, nextOccurrence, MAX_PREVIEW } = require('./lib/recurrence');
+const { createRequireAuth } = require('./lib/auth');
+const { parseTaskQuery, queryTasks } = require('./lib/query');
+const { createAuthRouter } = require('./routes/auth');
+const { createOutboxRouter } = require('./routes/outbox');
+const { createTransferRouter, IMPORT_LIMIT } = require('./routes/transfer');
+const { createTrashRouter } = require('./routes/trash');
+const { createEventsRouter } = require('./routes/events');
+const { createFocusRouter } = require('./routes/focus');
+const { createPlanRouter } = require('./routes/plan');
+const { createViewsRouter } = require('./routes/views');
+const { createQuickAddRouter } = require('./routes/quickadd');
+const { createTemplatesRouter } = require('./routes/templates');
+const { createDigestRouter } = require('./routes/digest');
+const { createInboundRouter, createInboundEmailRouter } = require('./routes/inbound');
+const { createWebhooksRouter } = require('./routes/webhooks');
+const { createWebhookDispatcher } = require('./lib/webhooks');
+const { createInboundReceiver } = require('./lib/inbound');
+const { createSmtpServer } = require('./lib/smtp');
+const { trashTask, trashChecklistItem, pruneTrash } = require('./lib/trash');
+const { appendEvent, taskFields, itemFields, diffFields, taskHistory } = require('./lib/activity');
+const { findActiveSession, stopSession } = require('./lib/focus');
+const { parsePlanningFields } = require('./lib/planner');
+const { parseTags, tagIndex } = require('./lib/tags');
+const { applyCompletionRules, applyChecklistRules, updateProgress } = require('./lib/completion');
+const { createSyncHub } = require('./lib/sync');
+const { validate, validateRequest, sendError, fieldError, errorHandler } = require('./lib/validation');
+const { schemas } = require('./lib/schemas');
+const { etagFor, bumpVersion, requireCurrentVersion } = require('./lib/versions');
+const { createIdempotency, loadIdempotencyKeys } = require('./lib/idempotency');
+
+const config = loadConfig();
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.port;
+
+// Sends all email, through the transport picked by MAIL_TRANSPORT
+const mailer = createMailer(config.mail);
 
-// Cached email test account (created on first email request)
-let cachedTestAccount = null;
+// Pushes task changes to every open tab of a user (GET /api/events)
+const syncHub = createSyncHub();
 
 // Middleware - similar to entry points in SuiteScript
-app.use(express.json()); // Parse JSON request bodies
+// Parse JSON request bodies. A backup restore can be big; everything else is small.
+app.use('/api/import.json', express.json({ limit: IMPORT_LIMIT }));
+app.use(express.json({ limit: config.requests.maxBodyBytes }));
 app.use(express.static(path.join(__dirname, 'public'))); // Serve static files
 
-// In-memory data store (in a real app, use a database like MongoDB or PostgreSQL)
-let tasks = [];
+// Working copy of the data. Routes read and mutate it, then call persist()
+// so the storage backend saves it. Until initStorage() runs (as in the tests)
+// a memory backend is used and nothing is written to disk.
+//
+// Every user has their own task tree, keyed by user ID. Tasks saved before
+// accounts existed are kept under the `null` key until the first user
+// registers and adopts them.
+const taskTrees = new Map();
+const users = [];
+const sessions = [];
+const trash = []; // deleted tasks and checklist items, see lib/trash.js
+const activity = []; // append-only task history, see lib/activity.js
+const views = []; // saved task filters, see lib/views.js
+const templates = []; // saved task breakdowns, see lib/templates.js
+const digests = []; // digest email settings, see lib/digest.js
+const inboundSettings = []; // who may email tasks in, see lib/inbound.js
+const webhooks = []; // URLs called when tasks change, see lib/webhooks.js
+const webhookDeliveries = []; // the calls made to them, with retries
+const idempotencyKeys = []; // answers kept for retried requests, see lib/idempotency.js
+let storage = createMemoryStorage();
+
+// The user whose tree a task is in (null for tasks from before accounts)
+function findOwnerId(taskId) {
+    for (const [ownerId, tasks] of taskTrees) {
+        if (findTaskById(taskId, tasks)) return ownerId;
+    }
+    return null;
+}
+
+// Get (or start) the task tree of a user
+function getUserTasks(userId) {
+    if (!taskTrees.has(userId)) {
+        taskTrees.set(userId, []);
+    }
+    return taskTrees.get(userId);
+}
+
+// Open the configured storage backend and load the saved data into memory
+async function initStorage(options = config.storage) {
+    const nextStorage = await createStorage(options);
+    const data = nextStorage.load() || {};
+
+    storage.close();
+    storage = nextStorage;
+
+    users.splice(0, users.length, ...(data.users || []));
+    sessions.splice(0, sessions.length, ...(data.sessions || []));
+    trash.splice(0, trash.length, ...(data.trash || []));
+    pruneTrash(trash);
+    activity.splice(0, activity.length, ...(data.activity || []));
+    views.splice(0, views.length, ...(data.views || []));
+    templates.splice(0, templates.length, ...(data.templates || []));
+    digests.splice(0, digests.length, ...(data.digests || []));
+    inboundSettings.splice(0, inboundSettings.length, ...(data.inboundSettings || []));
+    webhooks.splice(0, webhooks.length, ...(data.webhooks || []));
+    webhookDeliveries.splice(0, webhookDeliveries.length, ...(data.webhookDeliveries || []));
+    loadIdempotencyKeys(idempotencyKeys, data.idempotencyKeys);
+    taskTrees.clear();
+    // Top-level tasks are stored in one list, each tagged with its owner
+    for (const { ownerId = null, ...task } of data.tasks || []) {
+        getUserTasks(ownerId).push(task);
+    }
+    for (const roots of taskTrees.values()) {
+        updateProgress(roots);
+    }
+
+    return storage;
+}
+
+// Save the current data through the storage backend. Progress is worked out
+// here too, since every change ends with a save.
+function persist() {
+    const tasks = [];
+    for (const [ownerId, roots] of taskTrees) {
+        updateProgress(roots);
+        for (const root of roots) {
+            tasks.push({ ...root, ownerId });
+        }
+    }
+    storage.save({ tasks, users, sessions, trash, activity, views, templates, digests, inboundSettings, webhooks, webhookDeliveries, idempotencyKeys });
+}
+
+// Forget all data (used by the tests between runs)
+function resetData() {
+    taskTrees.clear();
+    users.length = 0;
+    sessions.length = 0;
+    trash.length = 0;
+    activity.length = 0;
+    views.length = 0;
+    templates.length = 0;
+    digests.length = 0;
+    inboundSettings.length = 0;
+    webhooks.length = 0;
+    webhookDeliveries.length = 0;
+    idempotencyKeys.length = 0;
+    persist();
+}
+
+// Accounts and sessions - see routes/auth.js
+app.use('/api/auth', createAuthRouter({
+    users,
+    sessions,
+    persist,
+    settings: config.auth,
+    onRegister(user) {
+        // The first account adopts any tasks saved before accounts existed
+        const unclaimed = taskTrees.get(null);
+        if (unclaimed && users.length === 1) {
+            taskTrees.set(user.id, unclaimed);
+            taskTrees.delete(null);
+        }
+    }
+}));
+
+// Everything below needs a logged-in user. req.tasks is that user's task tree.
+const requireAuth = createRequireAuth({ users, sessions });
+app.use(['/api/tasks', '/api/trash', '/api/events', '/api/focus', '/api/reports', '/api/plan', '/api/tags', '/api/views', '/api/templates', '/api/digest', '/api/inbound', '/api/webhooks', '/api/quick-add', '/api/export.:format', '/api/import.:format'], requireAuth, (req, res, next) => {
+    req.tasks = getUserTasks(req.user.id);
+    next();
+}, createIdempotency({ records: idempotencyKeys, persist }));
+app.use('/api/outbox', requireAuth);
 
 /**
  * REST API Routes - These work like RESTlets in SuiteScript
  * Each route handles a specific HTTP method and endpoint
+ *
+ * Routes that change a task honor If-Match (see lib/versions.js), and
+ * their responses carry the task's ETag.
  */
+const ifMatchTask = requireCurrentVersion(req => req.params.id);
+const ifMatchParentTask = requireCurrentVersion(req => req.params.taskId);
+
+// GET all tasks - like a GET method in a RESTlet.
+// Optional query parameters filter, sort and page the results (see lib/query.js).
+// The total number of results is in X-Total-Count, and when there are more
+// pages X-Next-Cursor holds the cursor for the next one.
+app.get('/api/tasks', validateRequest(schemas.listTasks), (req, res) => {
+    const { value: query, error } = parseTaskQuery(req.query);
+    if (error) {
+        return sendError(res, 400, error);
+    }
 
-// GET all tasks - like a GET method in a RESTlet
-app.get('/api/tasks', (req, res) => {
+    const { tasks, total, nextCursor } = queryTasks(req.tasks, query);
+    res.set('X-Total-Count', String(total));
+    if (nextCursor) {
+        res.set('X-Next-Cursor', nextCursor);
+    }
     res.json(tasks);
 });
 
+// GET every tag in use, most used first, with how many (open) tasks have it
+app.get('/api/tags', validateRequest(schemas.noQuery), (req, res) => {
+    res.json(tagIndex(req.tasks));
+});
+
 // GET single task by ID
-app.get('/api/tasks/:id', (req, res) => {
-    const task = findTaskById(req.params.id, tasks);
+app.get('/api/tasks/:id', validateRequest(schemas.noQuery), (req, res) => {
+    const task = findTaskById(req.params.id, req.tasks);
     if (!task) {
-        return res.status(404).json({ error: 'Task not found' });
+        return sendError(res, 404, 'Task not found');
     }
+    res.set('ETag', etagFor(task));
     res.json(task);
 });
 
-// POST create new task - like a POST method in a RESTlet
-app.post('/api/tasks', (req, res) => {
-    const { title, description, parentId } = req.body;
-
-    if (!title) {
-        return res.status(400).json({ error: 'Title is required' });
+// GET the activity history of a task, newest first (see lib/activity.js).
+// Still works after the task is deleted, so you can see when that happened.
+app.get('/api/tasks/:id/history', validateRequest(schemas.noQuery), (req, res) => {
+    const events = taskHistory(activity, { taskId: req.params.id, ownerId: req.user.id });
+    if (events.length === 0 && !findTaskById(req.params.id, req.tasks)) {
+        return sendError(res, 404, 'Task not found');
     }
+    res.json(events);
+});
 
-    const newTask = {
-        id: uuidv4(),
-        title,
-        description: description || '',
-        completed: false,
-        checklist: [],
-        children: [],
-        emailReminder: null,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-    };
-
-    // If parentId is provided, add as child task
-    if (parentId) {
-        const parentTask = findTaskById(parentId, tasks);
-        if (!parentTask) {
-            return res.status(404).json({ error: 'Parent task not found' });
-        }
-        parentTask.children.push(newTask);
-        parentTask.updatedAt = new Date().toISOString();
-    } else {
-        tasks.push(newTask);
+// POST create new task - like a POST method in a RESTlet
+app.post('/api/tasks', validateRequest(schemas.createTask), (req, res) => {
+    const { task, status, error } = addTask(req.tasks, req.body);
+    if (error) {
+        return sendError(res, status, error);
     }
+    recordActivity(req, task.id, 'task.created', {
+        changes: diffFields(null, taskFields(task)),
+        details: req.body.parentId ? { parentId: req.body.parentId } : undefined
+    });
+    persist();
 
-    res.status(201).json(newTask);
+    res.set('ETag', etagFor(task));
+    res.status(201).json(task);
 });
 
 // PUT update task
-app.put('/api/tasks/:id', (req, res) => {
-    const task = findTaskById(req.params.id, tasks);
+app.put('/api/tasks/:id', validateRequest(schemas.updateTask), ifMatchTask, (req, res) => {
+    const task = findTaskById(req.params.id, req.tasks);
     if (!task) {
-        return res.status(404).json({ error: 'Task not found' });
+        return sendError(res, 404, 'Task not found');
+    }
+
+    const before = taskFields(task);
+    const planning = parsePlanningFields(req.body, { taskList: req.tasks, taskId: task.id });
+    if (planning.error) {
+        return sendError(res, 400, fieldError(planning.field, planning.error));
     }
+    const tags = req.body.tags === undefined ? null : parseTags(req.body.tags);
+    if (tags && tags.error) {
+        return sendError(res, 400, fieldError('tags', tags.error));
+    }
+    const scheduleError = applyScheduleFields(task, req.body);
+    if (scheduleError) {
+        return sendError(res, 400, scheduleError);
+    }
+    Object.assign(task, planning.value);
+    if (tags) task.tags = tags.value;
 
-    const { title, description, completed, checklist, emailReminder } = req.body;
+    const { title, description, completed, checklist } = req.body;
+    const wasCompleted = task.completed;
 
     if (title !== undefined) task.title = title;
     if (description !== undefined) task.description = description;
     if (completed !== undefined) task.completed = completed;
-    if (checklist !== undefined) task.checklist = checklist;
-    if (emailReminder !== undefined) task.emailReminder = emailReminder;
+    if (checklist !== undefined) task.checklist = checklist.map(({ id, text, completed }) => ({ id, text, completed }));
     task.updatedAt = new Date().toISOString();
 
+    // Completing or reopening can change the tasks above and below it
+    const ruleChanges = wasCompleted !== task.completed
+        ? applyCompletionRules(req.tasks, task, config.completion)
+        : [];
+
+    const changes = diffFields(before, taskFields(task));
+    if (changes.length > 0) {
+        recordActivity(req, task.id, 'task.updated', { changes });
+    }
+    if (!wasCompleted && task.completed) {
+        scheduleNextOccurrence(req, task);
+    }
+    recordRuleChanges(req, task.id, ruleChanges);
+    persist();
+
+    res.set('ETag', etagFor(task));
     res.json(task);
 });
 
+// POST move a task (and its subtasks) to another parent or position.
+// Body: { parentId: <task ID, or null for the top level>, position: <index, optional> }
+app.post('/api/tasks/:id/move', validateRequest(schemas.moveTask), ifMatchTask, (req, res) => {
+    const task = findTaskById(req.params.id, req.tasks);
+    if (!task) {
+        return sendError(res, 404, 'Task not found');
+    }
+
+    const { parentId, position } = req.body;
+
+    let parent = null;
+    if (parentId !== null) {
+        parent = findTaskById(parentId, req.tasks);
+        if (!parent) {
+            return sendError(res, 404, { message: 'Parent task not found', field: 'parentId' });
+        }
+        if (isSameOrDescendant(task, parent)) {
+            return sendError(res, 400, fieldError('parentId', 'A task cannot be moved into itself or one of its subtasks'));
+        }
+    }
+
+    const now = new Date().toISOString();
+    const from = findTaskLocation(task.id, req.tasks);
+    const { previousParent, index } = moveTask(req.tasks, task, parent, position);
+    task.updatedAt = now;
+    if (previousParent) previousParent.updatedAt = now;
+    if (parent) parent.updatedAt = now;
+    recordActivity(req, task.id, 'task.moved', {
+        changes: diffFields(
+            { parentId: previousParent ? previousParent.id : null, position: from.index },
+            { parentId, position: index }
+        )
+    });
+    // The task it left changed too
+    if (previousParent && previousParent !== parent) bumpVersion(req.tasks, previousParent.id);
+    persist();
+
+    res.set('ETag', etagFor(task));
+    res.json({ task, parentId, position: index });
+});
+
+// GET preview upcoming occurrences of a repeating task
+app.get('/api/tasks/:id/occurrences', validateRequest(schemas.occurrences), (req, res) => {
+    const task = findTaskById(req.params.id, req.tasks);
+    if (!task) {
+        return sendError(res, 404, 'Task not found');
+    }
+    if (!task.recurrence) {
+        return sendError(res, 400, 'Task does not repeat');
+    }
+
+    const count = req.query.count === undefined ? 5 : Number(req.query.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_PREVIEW) {
+        return sendError(res, 400, fieldError('count', `count must be a whole number between 1 and ${MAX_PREVIEW}`));
+    }
+
+    // Start from the current occurrence (this task) so the list reads "this one, then..."
+    const from = new Date(task.dueAt || task.recurrence.dtstart);
+    const occurrences = listOccurrences(task.recurrence, { from, limit: count });
+
+    res.json({
+        rule: task.recurrence.rule,
+        dtstart: task.recurrence.dtstart,
+        occurrences: occurrences.map(date => date.toISOString())
+    });
+});
+
 // DELETE task
-app.delete('/api/tasks/:id', (req, res) => {
-    const taskId = req.params.id;
-    const removed = removeTaskById(taskId, tasks);
+// The task and its subtasks go to the trash, so the delete can be undone.
+// A focus session on any of them is stopped first.
+app.delete('/api/tasks/:id', validateRequest(schemas.noFields), ifMatchTask, (req, res) => {
+    const task = findTaskById(req.params.id, req.tasks);
+    const focused = task && findActiveSession([task]);
+    if (focused) {
+        const { session } = stopSession(focused);
+        recordActivity(req, focused.id, 'focus.stopped', { details: { sessionId: session.id, workedSeconds: session.workedSeconds } });
+    }
 
-    if (!removed) {
-        return res.status(404).json({ error: 'Task not found' });
+    const entry = trashTask(trash, req.tasks, req.params.id, trashOptions(req));
+    if (!entry) {
+        return sendError(res, 404, 'Task not found');
     }
+    recordActivity(req, entry.task.id, 'task.deleted', {
+        changes: diffFields(taskFields(entry.task), null),
+        details: { trashId: entry.id }
+    });
+    if (entry.parentId) bumpVersion(req.tasks, entry.parentId);
+    persist();
 
-    res.json({ message: 'Task deleted successfully' });
+    res.json({ message: 'Task moved to trash', trashId: entry.id, expiresAt: entry.expiresAt });
 });
 
 // POST add checklist item to task
-app.post('/api/tasks/:id/checklist', (req, res) => {
-    const task = findTaskById(req.params.id, tasks);
+app.post('/api/tasks/:id/checklist', validateRequest(schemas.addChecklistItem), ifMatchTask, (req, res) => {
+    const task = findTaskById(req.params.id, req.tasks);
     if (!task) {
-        return res.status(404).json({ error: 'Task not found' });
+        return sendError(res, 404, 'Task not found');
     }
 
     const { text } = req.body;
-    if (!text) {
-        return res.status(400).json({ error: 'Checklist item text is required' });
-    }
 
     const checklistItem = {
         id: uuidv4(),
@@ -148,145 +450,507 @@ app.post('/api/tasks/:id/checklist', (req, res) => {
 
     task.checklist.push(checklistItem);
     task.updatedAt = new Date().toISOString();
+    recordActivity(req, task.id, 'checklist.added', {
+        itemId: checklistItem.id,
+        changes: diffFields(null, itemFields(checklistItem))
+    });
+    persist();
 
+    res.set('ETag', etagFor(task));
     res.status(201).json(checklistItem);
 });
 
 // PUT update checklist item
-app.put('/api/tasks/:taskId/checklist/:itemId', (req, res) => {
-    const task = findTaskById(req.params.taskId, tasks);
+app.put('/api/tasks/:taskId/checklist/:itemId', validateRequest(schemas.updateChecklistItem), ifMatchParentTask, (req, res) => {
+    const task = findTaskById(req.params.taskId, req.tasks);
     if (!task) {
-        return res.status(404).json({ error: 'Task not found' });
+        return sendError(res, 404, 'Task not found');
     }
 
     const item = task.checklist.find(i => i.id === req.params.itemId);
     if (!item) {
-        return res.status(404).json({ error: 'Checklist item not found' });
+        return sendError(res, 404, 'Checklist item not found');
     }
 
+    const before = itemFields(item);
     const { text, completed } = req.body;
     if (text !== undefined) item.text = text;
     if (completed !== undefined) item.completed = completed;
     task.updatedAt = new Date().toISOString();
 
+    const changes = diffFields(before, itemFields(item));
+    if (changes.length > 0) {
+        recordActivity(req, task.id, 'checklist.updated', { itemId: item.id, changes });
+    }
+    if (before.completed !== item.completed) {
+        recordRuleChanges(req, task.id, applyChecklistRules(req.tasks, task, item, config.completion));
+    }
+    persist();
+
+    res.set('ETag', etagFor(task));
     res.json(item);
 });
 
 // DELETE checklist item
-app.delete('/api/tasks/:taskId/checklist/:itemId', (req, res) => {
-    const task = findTaskById(req.params.taskId, tasks);
+app.delete('/api/tasks/:taskId/checklist/:itemId', validateRequest(schemas.noFields), ifMatchParentTask, (req, res) => {
+    const task = findTaskById(req.params.taskId, req.tasks);
     if (!task) {
-        return res.status(404).json({ error: 'Task not found' });
+        return sendError(res, 404, 'Task not found');
+    }
+
+    const entry = trashChecklistItem(trash, task, req.params.itemId, trashOptions(req));
+    if (!entry) {
+        return sendError(res, 404, 'Checklist item not found');
+    }
+    task.updatedAt = new Date().toISOString();
+    recordActivity(req, task.id, 'checklist.deleted', {
+        itemId: entry.item.id,
+        changes: diffFields(itemFields(entry.item), null),
+        details: { trashId: entry.id }
+    });
+    persist();
+
+    res.set('ETag', etagFor(task));
+    res.json({ message: 'Checklist item moved to trash', trashId: entry.id, expiresAt: entry.expiresAt });
+});
+
+// POST turn a checklist item into a subtask of the same task.
+// The subtask keeps the item's ID (when no task already uses it) and whether
+// it was checked off, and goes at the end of the task's subtasks.
+app.post('/api/tasks/:taskId/checklist/:itemId/promote', validateRequest(schemas.noFields), ifMatchParentTask, (req, res) => {
+    const task = findTaskById(req.params.taskId, req.tasks);
+    if (!task) {
+        return sendError(res, 404, 'Task not found');
     }
 
     const itemIndex = task.checklist.findIndex(i => i.id === req.params.itemId);
     if (itemIndex === -1) {
-        return res.status(404).json({ error: 'Checklist item not found' });
+        return sendError(res, 404, 'Checklist item not found');
     }
 
-    task.checklist.splice(itemIndex, 1);
-    task.updatedAt = new Date().toISOString();
+    const [item] = task.checklist.splice(itemIndex, 1);
+    const subtask = createTask({
+        title: item.text,
+        completed: Boolean(item.completed)
+    });
+    if (!findTaskById(item.id, req.tasks)) {
+        subtask.id = item.id;
+    }
+
+    task.children.push(subtask);
+    task.updatedAt = subtask.updatedAt;
+    recordActivity(req, task.id, 'checklist.promoted', { itemId: item.id, details: { subtaskId: subtask.id } });
+    recordActivity(req, subtask.id, 'task.created', {
+        changes: diffFields(null, taskFields(subtask)),
+        details: { parentId: task.id, fromChecklistItem: item.id }
+    });
+    persist();
 
-    res.json({ message: 'Checklist item deleted successfully' });
+    res.set('ETag', etagFor(subtask));
+    res.status(201).json(subtask);
 });
 
-// POST send email reminder (placeholder - requires SMTP configuration)
-app.post('/api/tasks/:id/email', async (req, res) => {
-    const task = findTaskById(req.params.id, tasks);
-    if (!task) {
-        return res.status(404).json({ error: 'Task not found' });
+// POST turn a subtask back into a checklist item on its parent.
+// Only "leaf" subtasks qualify: no subtasks or checklist of their own, since
+// a checklist item has nowhere to keep those. The item keeps the task's ID
+// (when the checklist doesn't already use it), title and completion.
+app.post('/api/tasks/:id/demote', validateRequest(schemas.noFields), ifMatchTask, (req, res) => {
+    const location = findTaskLocation(req.params.id, req.tasks);
+    if (!location) {
+        return sendError(res, 404, 'Task not found');
     }
 
-    const { to, subject } = req.body;
-    if (!to) {
-        return res.status(400).json({ error: 'Email recipient is required' });
+    const { list, index, parent } = location;
+    const task = list[index];
+    if (!parent) {
+        return sendError(res, 400, 'Only subtasks can become checklist items');
+    }
+    if (task.children.length > 0) {
+        return sendError(res, 400, 'A task with subtasks cannot become a checklist item');
+    }
+    if (task.checklist.length > 0) {
+        return sendError(res, 400, 'A task with its own checklist cannot become a checklist item');
     }
 
-    // Note: To actually send emails, configure SMTP settings
-    // This is a demonstration of how email would work
-    try {
-        // For development, use ethereal.email test account (cached for efficiency)
-        // In production, configure with real SMTP credentials via environment variables
-        if (!cachedTestAccount) {
-            cachedTestAccount = await nodemailer.createTestAccount();
-        }
+    const item = {
+        id: parent.checklist.some(i => i.id === task.id) ? uuidv4() : task.id,
+        text: task.title,
+        completed: Boolean(task.completed)
+    };
 
-        const transporter = nodemailer.createTransport({
-            host: 'smtp.ethereal.email',
-            port: 587,
-            secure: false,
-            auth: {
-                user: cachedTestAccount.user,
-                pass: cachedTestAccount.pass
-            }
-        });
+    list.splice(index, 1);
+    parent.checklist.push(item);
+    parent.updatedAt = new Date().toISOString();
+    recordActivity(req, task.id, 'task.demoted', { details: { parentId: parent.id, itemId: item.id } });
+    recordActivity(req, parent.id, 'checklist.added', {
+        itemId: item.id,
+        changes: diffFields(null, itemFields(item)),
+        details: { fromTask: task.id }
+    });
+    persist();
 
-        const mailOptions = {
-            from: '"BriPlanner" <planner@example.com>',
-            to: to,
-            subject: subject || `Reminder: ${task.title}`,
-            text: `Task: ${task.title}\n\nDescription: ${task.description || 'No description'}\n\nStatus: ${task.completed ? 'Completed' : 'Pending'}`,
-            html: `<h2>Task Reminder</h2>
-                   <p><strong>Task:</strong> ${task.title}</p>
-                   <p><strong>Description:</strong> ${task.description || 'No description'}</p>
-                   <p><strong>Status:</strong> ${task.completed ? 'Completed' : 'Pending'}</p>`
-        };
+    res.set('ETag', etagFor(parent));
+    res.json({ parentId: parent.id, item });
+});
 
-        const info = await transporter.sendMail(mailOptions);
+// POST send email reminder (through the configured mail transport)
+app.post('/api/tasks/:id/email', validateRequest(schemas.sendEmail), ifMatchTask, async (req, res) => {
+    const task = findTaskById(req.params.id, req.tasks);
+    if (!task) {
+        return sendError(res, 404, 'Task not found');
+    }
+
+    const { to, subject } = req.body;
+
+    try {
+        const { previewUrl } = await mailer.sendTaskReminder(task, { to, subject }, { ownerId: req.user.id });
 
         // Store email info on task
         task.emailReminder = {
             sentAt: new Date().toISOString(),
             to: to,
-            previewUrl: nodemailer.getTestMessageUrl(info)
+            previewUrl,
+            source: 'manual'
         };
         task.updatedAt = new Date().toISOString();
+        recordActivity(req, task.id, 'email.sent', { details: { to, subject: subject || null, source: 'manual' } });
+        persist();
 
+        res.set('ETag', etagFor(task));
         res.json({
             message: 'Email sent successfully',
-            previewUrl: nodemailer.getTestMessageUrl(info)
+            previewUrl
         });
     } catch (error) {
         console.error('Email error:', error);
-        res.status(500).json({ error: 'Failed to send email', details: error.message });
+        sendError(res, 500, { code: 'email_failed', message: `Failed to send email: ${error.message}` });
     }
 });
 
-// Helper function to find task by ID (searches nested children too)
-function findTaskById(id, taskList) {
-    for (const task of taskList) {
-        if (task.id === id) {
-            return task;
+// Captured mail (MAIL_TRANSPORT=capture) - see routes/outbox.js
+app.use('/api/outbox', createOutboxRouter({ outbox: mailer.outbox }));
+
+// Export and import (JSON backup, Markdown, CSV and .ics)
+app.use('/api', createTransferRouter({ addTask, persist, trash, trashOptions, recordActivity }));
+
+// Trash bin - see routes/trash.js
+app.use('/api/trash', createTrashRouter({ trash, persist, recordActivity }));
+
+// Focus sessions and time tracking - see routes/focus.js
+app.use('/api', createFocusRouter({ persist, recordActivity, defaults: config.focus }));
+
+// Daily plan - see routes/plan.js
+app.use('/api/plan', createPlanRouter({ defaults: config.plan }));
+
+// Saved filter views - see routes/views.js
+app.use('/api/views', createViewsRouter({ views, persist }));
+
+// Task templates - see routes/templates.js
+app.use('/api/templates', createTemplatesRouter({ templates, addTask, persist, recordActivity }));
+
+// Daily and weekly digest emails - see routes/digest.js
+app.use('/api/digest', createDigestRouter({ digests, activity, persist, sendMail: mailer.sendMail }));
+
+// Tasks from email - see routes/inbound.js. The settings need a login; mail
+// servers deliver with the INBOUND_EMAIL_TOKEN instead (or over SMTP, see
+// startServer). Both go through receiveEmail.
+const receiveEmail = createInboundReceiver({
+    settings: inboundSettings,
+    users,
+    getUserTasks,
+    activity,
+    addTask,
+    logActivity,
+    persist,
+    address: config.inbound.address
+});
+app.use('/api/inbound', createInboundRouter({ inboundSettings, users, persist, address: config.inbound.address }));
+app.use('/api/inbound-email', createInboundEmailRouter({ receive: receiveEmail, token: config.inbound.token, maxBytes: config.inbound.maxBytes }));
+
+// Outgoing webhooks - see routes/webhooks.js. logActivity hands every event
+// to the dispatcher; its background job retries the calls that failed.
+const webhookDispatcher = createWebhookDispatcher({
+    webhooks,
+    deliveries: webhookDeliveries,
+    persist,
+    intervalMs: config.webhooks.intervalSeconds * 1000,
+    timeoutMs: config.webhooks.timeoutSeconds * 1000,
+    retryBaseMs: config.webhooks.retryBaseSeconds * 1000,
+    maxAttempts: config.webhooks.maxAttempts
+});
+app.use('/api/webhooks', createWebhooksRouter({ webhooks, deliveries: webhookDeliveries, persist, dispatcher: webhookDispatcher }));
+
+// A task from one line of text - see routes/quickadd.js
+app.use('/api/quick-add', createQuickAddRouter({ addTask, persist, recordActivity }));
+
+// Live sync stream - see routes/events.js
+app.use('/api/events', createEventsRouter({ hub: syncHub, sessions }));
+
+// Anything else under /api doesn't exist; answer in JSON rather than with an HTML page
+app.use('/api', (req, res) => {
+    sendError(res, 404, `No API route for ${req.method} ${req.originalUrl.split('?')[0]}`);
+});
+app.use(errorHandler);
+
+// Helper function to validate and apply the scheduling fields (due date,
+// reminders, repeat rule) from a request body. Nothing is changed unless
+// every field is valid. Returns an error ({ code, message, field }), or null
+// on success.
+function applyScheduleFields(task, body) {
+    const parsers = {
+        dueAt: parseDueAt,
+        remindAt: parseRemindAt,
+        reminderEmail: parseReminderEmail,
+        recurrence: parseRecurrence
+    };
+    const updates = {};
+
+    for (const [field, parse] of Object.entries(parsers)) {
+        if (body[field] === undefined) continue;
+        const result = parse(body[field]);
+        if (result.error) return fieldError(field, result.error);
+        updates[field] = result.value;
+    }
+
+    if (updates.recurrence) {
+        // The series starts at the task's due date unless told otherwise, and a
+        // repeating task without a due date gets its first occurrence as one
+        const dueAt = updates.dueAt !== undefined ? updates.dueAt : task.dueAt;
+        const recurrence = {
+            rule: updates.recurrence.rule,
+            dtstart: updates.recurrence.dtstart || dueAt || new Date().toISOString()
+        };
+        const [first] = listOccurrences(recurrence, { limit: 1 });
+        if (!first) {
+            return fieldError('recurrence', 'Repeat rule has no occurrences');
         }
-        if (task.children && task.children.length > 0) {
-            const found = findTaskById(id, task.children);
-            if (found) return found;
+        if (!dueAt) {
+            updates.dueAt = first.toISOString();
         }
+        updates.recurrence = recurrence;
     }
+
+    Object.assign(task, updates);
+    task.reminders = buildReminderSchedule(task);
     return null;
 }
 
-// Helper function to remove task by ID
-function removeTaskById(id, taskList) {
-    for (let i = 0; i < taskList.length; i++) {
-        if (taskList[i].id === id) {
-            taskList.splice(i, 1);
-            return true;
+// Who a trash entry belongs to and how long it's kept
+function trashOptions(req) {
+    return { ownerId: req.user.id, retentionDays: config.trash.retentionDays };
+}
+
+// Add an event to a task's history, done by the logged-in user. The tab
+// that made the change sends X-Client-Id, so it can ignore its own echo.
+function recordActivity(req, taskId, action, fields = {}) {
+    const actor = { type: 'user', id: req.user.id, email: req.user.email };
+    return logActivity({ taskId, ownerId: req.user.id, actor, action, ...fields }, req.get('X-Client-Id') || null);
+}
+
+// Completing one occurrence of a repeating task schedules the next one
+function scheduleNextOccurrence(req, task) {
+    if (!task.recurrence) return;
+
+    const nextTask = spawnNextOccurrence(task, req.tasks);
+    if (nextTask) {
+        recordActivity(req, nextTask.id, 'task.created', {
+            changes: diffFields(null, taskFields(nextTask)),
+            details: { repeatOf: task.id }
+        });
+    }
+}
+
+// Record the tasks the completion rules changed (see lib/completion.js).
+// causedBy is the task the user changed themselves.
+function recordRuleChanges(req, causedBy, ruleChanges) {
+    for (const { task, rule, before } of ruleChanges) {
+        recordActivity(req, task.id, 'task.updated', {
+            changes: diffFields(before, { completed: task.completed, checklist: task.checklist }),
+            details: { rule, causedBy }
+        });
+        if (!before.completed && task.completed) {
+            scheduleNextOccurrence(req, task);
+        }
+    }
+}
+
+// Append to the activity history and tell the owner's open tabs (and
+// webhooks) about it, with the task as it is now (null when it's gone).
+// Every event is a change, so the task's version goes up here too.
+function logActivity(fields, origin = null) {
+    const event = appendEvent(activity, fields);
+    bumpVersion(getUserTasks(event.ownerId), event.taskId);
+    updateProgress(getUserTasks(event.ownerId));
+    const task = findTaskById(event.taskId, getUserTasks(event.ownerId));
+    syncHub.publish(event.ownerId, 'change', {
+        action: event.action,
+        taskId: event.taskId,
+        itemId: event.itemId || null,
+        at: event.at,
+        task: task || null,
+        origin
+    });
+    webhookDispatcher.dispatch(event, task || null);
+    return event;
+}
+
+// Create a task from the fields of a POST /api/tasks body and add it to the
+// tree: under `parentId` when given, otherwise at the top level. Importers
+// use this too, so imported tasks are checked exactly like new ones.
+// Returns { task } or { status, error: { code, message, field } }. The caller
+// persists.
+function addTask(taskList, input) {
+    const checked = validate(schemas.createTask.body, input);
+    if (checked.error) {
+        return { status: 400, error: checked.error };
+    }
+    const { title, description, parentId } = input;
+
+    const newTask = createTask({ title, description: description || '' });
+
+    const planning = parsePlanningFields(input, { taskList, taskId: newTask.id });
+    if (planning.error) {
+        return { status: 400, error: fieldError(planning.field, planning.error) };
+    }
+    const tags = input.tags === undefined ? null : parseTags(input.tags);
+    if (tags && tags.error) {
+        return { status: 400, error: fieldError('tags', tags.error) };
+    }
+    const scheduleError = applyScheduleFields(newTask, input);
+    if (scheduleError) {
+        return { status: 400, error: scheduleError };
+    }
+    Object.assign(newTask, planning.value);
+    if (tags) newTask.tags = tags.value;
+
+    // If parentId is provided, add as child task
+    if (parentId) {
+        const parentTask = findTaskById(parentId, taskList);
+        if (!parentTask) {
+            return { status: 404, error: { message: 'Parent task not found', field: 'parentId' } };
         }
-        if (taskList[i].children && taskList[i].children.length > 0) {
-            if (removeTaskById(id, taskList[i].children)) {
-                return true;
-            }
+        parentTask.children.push(newTask);
+        parentTask.updatedAt = new Date().toISOString();
+    } else {
+        taskList.push(newTask);
+    }
+
+    return { task: newTask };
+}
+
+// Helper function to create the next occurrence of a recurring task once the
+// current one is completed. The copy gets fresh IDs, an unchecked checklist
+// and cloned subtasks, all moved forward to the next date in the series.
+// Returns the new task, or null when the series has ended.
+function spawnNextOccurrence(task, taskList) {
+    // Completing, reopening and completing again shouldn't create duplicates
+    if (task.recurrence.spawnedNextId) return null;
+
+    const next = nextOccurrence(task.recurrence, task.dueAt || task.recurrence.dtstart);
+    if (!next) return null;
+
+    const nextTask = cloneTask(task);
+    nextTask.dueAt = task.dueAt || task.recurrence.dtstart;
+
+    // Subtask due dates move by the same amount as the task itself
+    const shift = next.getTime() - Date.parse(nextTask.dueAt);
+    for (const copy of walkTasks([nextTask])) {
+        if (copy.dueAt) {
+            copy.dueAt = new Date(Date.parse(copy.dueAt) + shift).toISOString();
         }
+        copy.reminders = buildReminderSchedule(copy);
     }
-    return false;
+
+    // Place the next occurrence right after the completed one
+    const location = findTaskLocation(task.id, taskList);
+    location.list.splice(location.index + 1, 0, nextTask);
+    task.recurrence.spawnedNextId = nextTask.id;
+
+    return nextTask;
 }
 
+// Background job that emails due reminders (started together with the server)
+const reminderScheduler = createReminderScheduler({
+    // Reminders go to the task's reminderEmail, else its owner, else REMINDER_EMAIL_TO
+    getTaskTrees: () => [...taskTrees].map(([ownerId, tasks]) => {
+        const owner = users.find(u => u.id === ownerId);
+        return { tasks, recipient: owner ? owner.email : config.reminders.defaultTo };
+    }),
+    sendReminder: (task, message) => mailer.sendTaskReminder(task, message, { ownerId: findOwnerId(task.id) }),
+    // Automatic reminders show up in the task's history too, sent or not.
+    // Logging also bumps the task's version, as its emailReminder changed.
+    onReminderHandled: (task, result, message) => {
+        const details = { to: message.to, subject: message.subject || null, source: 'scheduled' };
+        logActivity({
+            taskId: task.id,
+            ownerId: findOwnerId(task.id),
+            actor: { type: 'system', name: 'reminders' },
+            action: result.status === 'sent' ? 'email.sent' : 'email.failed',
+            details: result.error ? { ...details, error: result.error } : details
+        });
+    },
+    persist,
+    intervalMs: config.reminders.intervalSeconds * 1000,
+    catchUpWindowMs: config.reminders.catchUpMinutes * 60 * 1000
+});
+
+// Background job that emails the daily and weekly digests
+const digestScheduler = createDigestScheduler({
+    // Digests go to the address in the settings, else the user's own
+    getRecipients: () => digests.flatMap((settings) => {
+        const owner = users.find(u => u.id === settings.ownerId);
+        if (!owner || settings.frequency === 'off') return [];
+        return [{
+            settings,
+            to: settings.to || owner.email,
+            tasks: getUserTasks(owner.id),
+            events: activity.filter(event => event.ownerId === owner.id)
+        }];
+    }),
+    sendDigest: (message, settings) => mailer.sendMail(message, { ownerId: settings.ownerId }),
+    persist,
+    intervalMs: config.digest.intervalSeconds * 1000
+});
+
 // Export for testing
-module.exports = { app, tasks, findTaskById, removeTaskById };
+module.exports = {
+    app,
+    config,
+    syncHub,
+    getUserTasks,
+    findTaskById,
+    removeTaskById,
+    initStorage,
+    persist,
+    resetData,
+    reminderScheduler,
+    digestScheduler,
+    webhookDispatcher,
+    receiveEmail
+};
 
 // Start server only if this is the main module
 if (require.main === module) {
+    initStorage().then(startServer).catch((error) => {
+        console.error('Failed to open storage:', error);
+        process.exit(1);
+    });
+}
+
+function startServer() {
+    reminderScheduler.start();
+    digestScheduler.start();
+    webhookDispatcher.start();
+    if (config.inbound.smtpPort !== null) {
+        const smtp = createSmtpServer({
+            onMessage: (raw, envelope) => receiveEmail(raw, envelope),
+            maxBytes: config.inbound.maxBytes,
+            hostname: config.inbound.address ? config.inbound.address.split('@')[1] : undefined
+        });
+        smtp.listen(config.inbound.smtpPort, config.inbound.smtpHost, () => {
+            console.log(`  Inbound SMTP listening on ${config.inbound.smtpHost}:${smtp.address().port}`);
+        });
+    }
     app.listen(PORT, () => {
         const portStr = String(PORT);
         const urlPadding = ' '.repeat(Math.max(0, 4 - portStr.length));
@@ -306,7 +970,10 @@ if (require.main === module) {
 ║  - DELETE /api/tasks/:id      - Delete a task             ║
 ║  - POST   /api/tasks/:id/checklist    - Add checklist     ║
 ║  - POST   /api/tasks/:id/email        - Send reminder     ║
+║  - GET    /api/outbox         - Captured mail (capture)   ║
 ╚═══════════════════════════════════════════════════════════╝
+  Storage: ${storage.driver}${config.storage.path && storage.driver !== 'memory' ? ` (${config.storage.path})` : ''}
+  Mail:    ${mailer.transport}
         `);
     });
 }
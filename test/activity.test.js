@@ -0,0 +1,65 @@
+/**
+ * BriPlanner Activity History Tests
+ *
+ * Recording events and diffing task fields (lib/activity.js, no server needed).
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const { appendEvent, taskFields, diffFields, taskHistory } = require('../lib/activity');
+const { createTask } = require('../lib/tasks');
+
+const actor = { type: 'user', id: 'u1', email: 'me@example.com' };
+
+describe('Diffing', () => {
+    test('lists only the fields that changed, with before and after', () => {
+        const task = createTask({ title: 'Old', dueAt: '2030-01-01T00:00:00.000Z' });
+        const before = taskFields(task);
+        task.title = 'New';
+        task.dueAt = null;
+        task.updatedAt = 'later';
+
+        assert.deepStrictEqual(diffFields(before, taskFields(task)), [
+            { field: 'title', before: 'Old', after: 'New' },
+            { field: 'dueAt', before: '2030-01-01T00:00:00.000Z', after: null }
+        ]);
+    });
+
+    test('lists non-empty fields for creates and deletes', () => {
+        const fields = taskFields(createTask({ title: 'Trip', checklist: [{ id: 'c1', text: 'Tickets', completed: false }] }));
+        assert.deepStrictEqual(diffFields(null, fields).map(c => c.field), ['title', 'checklist']);
+        assert.deepStrictEqual(diffFields(fields, null).map(c => c.after), [null, null]);
+    });
+
+    test('snapshots are copies, and ignore repeat bookkeeping', () => {
+        const task = createTask({ recurrence: { rule: 'FREQ=DAILY', dtstart: '2030-01-01T00:00:00.000Z' } });
+        const before = taskFields(task);
+        task.recurrence.spawnedNextId = 'next';
+        task.remindAt.push(15);
+
+        assert.deepStrictEqual(diffFields(before, taskFields(task)), [{ field: 'remindAt', before: [], after: [15] }]);
+    });
+});
+
+describe('Log', () => {
+    test('appends events and lists a task\'s history newest first', () => {
+        const log = [];
+        appendEvent(log, { taskId: 't1', ownerId: 'u1', actor, action: 'task.created' }, new Date('2030-01-01T00:00:00.000Z'));
+        appendEvent(log, { taskId: 't2', ownerId: 'u1', actor, action: 'task.created' });
+        appendEvent(log, { taskId: 't1', ownerId: 'u1', actor, action: 'checklist.added', itemId: 'c1' });
+
+        const history = taskHistory(log, { taskId: 't1', ownerId: 'u1' });
+        assert.deepStrictEqual(history.map(e => e.action), ['checklist.added', 'task.created']);
+        assert.strictEqual(history[0].itemId, 'c1');
+        assert.strictEqual(history[1].at, '2030-01-01T00:00:00.000Z');
+        assert.strictEqual(log.length, 3);
+    });
+
+    test('keeps other users out and rejects unknown actions', () => {
+        const log = [];
+        appendEvent(log, { taskId: 't1', ownerId: 'u1', actor, action: 'task.created' });
+        assert.deepStrictEqual(taskHistory(log, { taskId: 't1', ownerId: 'u2' }), []);
+        assert.throws(() => appendEvent(log, { taskId: 't1', ownerId: 'u1', actor, action: 'task.exploded' }), /Unknown activity action/);
+    });
+});
@@ -0,0 +1,211 @@
+/**
+ * BriPlanner Auth Tests
+ *
+ * Accounts, sessions and per-user task trees.
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+
+const {
+    hashPassword,
+    verifyPassword,
+    parseCookies,
+    parseCredentials,
+    findSession,
+    hashToken
+} = require('../lib/auth');
+const express = require('express');
+const { createAuthRouter } = require('../routes/auth');
+const { errorHandler } = require('../lib/validation');
+const { app, resetData } = require('../server');
+
+let server;
+
+// Helper to make HTTP requests, optionally as a logged-in user
+function request(method, urlPath, body = null, cookie = null) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({
+            hostname: 'localhost',
+            port: server.address().port,
+            path: urlPath,
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(cookie ? { Cookie: cookie } : {})
+            }
+        }, (res) => {
+            let data = '';
+            res.on('data', (chunk) => data += chunk);
+            res.on('end', () => resolve({
+                status: res.statusCode,
+                headers: res.headers,
+                data: data ? JSON.parse(data) : null
+            }));
+        });
+        req.on('error', reject);
+        if (body) req.write(JSON.stringify(body));
+        req.end();
+    });
+}
+
+// Register an account and return its session cookie
+async function register(email, password = 'long enough password') {
+    const res = await request('POST', '/api/auth/register', { email, password });
+    assert.strictEqual(res.status, 201);
+    return res.headers['set-cookie'][0].split(';')[0];
+}
+
+describe('Password hashing', () => {
+    test('verifies the right password and rejects others', async () => {
+        const hash = await hashPassword('hunter2hunter2');
+
+        assert.match(hash, /^scrypt\$16384\$8\$1\$/);
+        assert.strictEqual(await verifyPassword('hunter2hunter2', hash), true);
+        assert.strictEqual(await verifyPassword('hunter3hunter3', hash), false);
+        assert.strictEqual(await verifyPassword('anything', 'not-a-hash'), false);
+    });
+
+    test('uses a new salt every time', async () => {
+        assert.notStrictEqual(await hashPassword('same password'), await hashPassword('same password'));
+    });
+});
+
+describe('Auth helpers', () => {
+    test('parseCookies reads a Cookie header', () => {
+        assert.deepStrictEqual(parseCookies('a=1; briplanner_session=abc%3D; b'), { a: '1', briplanner_session: 'abc=' });
+        assert.deepStrictEqual(parseCookies(undefined), {});
+    });
+
+    test('parseCredentials normalizes email and checks password length', () => {
+        assert.deepStrictEqual(parseCredentials({ email: ' Me@Example.com ', password: '12345678' }).value, {
+            email: 'me@example.com',
+            password: '12345678',
+            name: ''
+        });
+        assert.match(parseCredentials({ email: 'me@example.com', password: 'short' }).error, /at least 8/);
+        assert.match(parseCredentials({ email: 'nope', password: '12345678' }).error, /valid email/);
+    });
+
+    test('findSession ignores expired sessions', () => {
+        const users = [{ id: 'u1', email: 'me@example.com' }];
+        const sessions = [{ tokenHash: hashToken('old'), userId: 'u1', expiresAt: '2000-01-01T00:00:00.000Z' }];
+        const req = { headers: { cookie: 'briplanner_session=old' } };
+
+        assert.strictEqual(findSession(req, { users, sessions }), null);
+    });
+});
+
+describe('Auth API', () => {
+    before(() => new Promise((resolve) => {
+        resetData();
+        server = app.listen(0, resolve);
+    }));
+
+    test('register logs the new user in', async () => {
+        const cookie = await register('alice@example.com');
+
+        const me = await request('GET', '/api/auth/me', null, cookie);
+        assert.strictEqual(me.status, 200);
+        assert.strictEqual(me.data.user.email, 'alice@example.com');
+        assert.strictEqual(me.data.user.passwordHash, undefined);
+    });
+
+    test('session cookie is HttpOnly and SameSite', async () => {
+        const res = await request('POST', '/api/auth/register', { email: 'cookie@example.com', password: 'cookie monster' });
+        const setCookie = res.headers['set-cookie'][0];
+
+        assert.match(setCookie, /HttpOnly/);
+        assert.match(setCookie, /SameSite=Lax/);
+    });
+
+    test('register rejects duplicates and bad input', async () => {
+        const duplicate = await request('POST', '/api/auth/register', { email: 'ALICE@example.com', password: 'another password' });
+        assert.strictEqual(duplicate.status, 409);
+
+        const weak = await request('POST', '/api/auth/register', { email: 'bob@example.com', password: 'short' });
+        assert.strictEqual(weak.status, 400);
+    });
+
+    test('login checks the password', async () => {
+        const wrong = await request('POST', '/api/auth/login', { email: 'alice@example.com', password: 'wrong password' });
+        assert.strictEqual(wrong.status, 401);
+        assert.strictEqual(wrong.data.error.message, 'Invalid email or password');
+
+        const unknown = await request('POST', '/api/auth/login', { email: 'nobody@example.com', password: 'wrong password' });
+        assert.strictEqual(unknown.status, 401);
+
+        const ok = await request('POST', '/api/auth/login', { email: 'alice@example.com', password: 'long enough password' });
+        assert.strictEqual(ok.status, 200);
+        assert.ok(ok.headers['set-cookie'][0].startsWith('briplanner_session='));
+    });
+
+    test('logout ends the session', async () => {
+        const cookie = await register('carol@example.com');
+
+        const res = await request('POST', '/api/auth/logout', null, cookie);
+        assert.strictEqual(res.status, 200);
+        assert.match(res.headers['set-cookie'][0], /Max-Age=0/);
+
+        const after = await request('GET', '/api/tasks', null, cookie);
+        assert.strictEqual(after.status, 401);
+    });
+
+    test('every user only sees their own tasks', async () => {
+        const dave = await register('dave@example.com');
+        const erin = await register('erin@example.com');
+
+        const created = await request('POST', '/api/tasks', { title: "Dave's secret plan" }, dave);
+        const taskId = created.data.id;
+
+        const erinList = await request('GET', '/api/tasks', null, erin);
+        assert.deepStrictEqual(erinList.data, []);
+
+        assert.strictEqual((await request('GET', `/api/tasks/${taskId}`, null, erin)).status, 404);
+        assert.strictEqual((await request('PUT', `/api/tasks/${taskId}`, { title: 'Hijacked' }, erin)).status, 404);
+        assert.strictEqual((await request('DELETE', `/api/tasks/${taskId}`, null, erin)).status, 404);
+        assert.strictEqual((await request('POST', '/api/tasks', { title: 'Sneaky', parentId: taskId }, erin)).status, 404);
+
+        const daveTask = await request('GET', `/api/tasks/${taskId}`, null, dave);
+        assert.strictEqual(daveTask.data.title, "Dave's secret plan");
+    });
+
+    test('the outbox needs a login too', async () => {
+        const res = await request('GET', '/api/outbox');
+        assert.strictEqual(res.status, 401);
+    });
+
+    after(() => {
+        resetData();
+        return new Promise((resolve) => server.close(resolve));
+    });
+});
+
+describe('Auth API when saving fails', () => {
+    // The routes on their own, with a persist() that always throws
+    before(() => new Promise((resolve) => {
+        const failing = express();
+        failing.use(express.json());
+        failing.use('/api/auth', createAuthRouter({
+            users: [],
+            sessions: [],
+            persist: () => { throw new Error('disk full'); },
+            settings: { sessionTtlDays: 1, allowRegistration: true, secureCookies: false }
+        }));
+        failing.use(errorHandler);
+        server = failing.listen(0, resolve);
+    }));
+
+    test('register and login answer 500 instead of hanging', async () => {
+        const registered = await request('POST', '/api/auth/register', { email: 'frank@example.com', password: 'long enough password' });
+        assert.strictEqual(registered.status, 500);
+        assert.strictEqual(registered.data.error.code, 'server_error');
+
+        // The account was added before saving failed
+        const login = await request('POST', '/api/auth/login', { email: 'frank@example.com', password: 'long enough password' });
+        assert.strictEqual(login.status, 500);
+    });
+
+    after(() => new Promise((resolve) => server.close(resolve)));
+});
@@ -0,0 +1,119 @@
+/**
+ * BriPlanner Completion Rule Tests
+ *
+ * Cascading completion down the tree, rolling it up, reopening parents and
+ * the recursive progress percentage (lib/completion.js, no server needed).
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const { applyCompletionRules, applyChecklistRules, updateProgress } = require('../lib/completion');
+const { createTask } = require('../lib/tasks');
+
+const ALL_RULES = { cascadeDown: true, rollUp: true, reopenAncestors: true };
+const NO_RULES = { cascadeDown: false, rollUp: false, reopenAncestors: false };
+
+// project
+//   ├─ design  [checklist: sketch]
+//   └─ build
+//        └─ test
+function sampleTree() {
+    const test = createTask({ title: 'test' });
+    const build = createTask({ title: 'build', children: [test] });
+    const design = createTask({ title: 'design', checklist: [{ id: 'i1', text: 'sketch', completed: false }] });
+    const project = createTask({ title: 'project', children: [design, build] });
+    return { tree: [project], project, design, build, test };
+}
+
+function complete(tree, task, rules) {
+    task.completed = true;
+    return applyCompletionRules(tree, task, rules);
+}
+
+describe('Completing a task', () => {
+    test('cascades down to subtasks and checklists when switched on', () => {
+        const { tree, project, design, test: leaf } = sampleTree();
+        const changed = complete(tree, project, ALL_RULES);
+
+        assert.ok(leaf.completed);
+        assert.ok(design.checklist[0].completed);
+        assert.deepStrictEqual(changed.map(c => [c.task.title, c.rule]),
+            [['design', 'cascadeDown'], ['build', 'cascadeDown'], ['test', 'cascadeDown']]);
+        assert.deepStrictEqual(changed[0].before, { completed: false, checklist: [{ id: 'i1', text: 'sketch', completed: false }] });
+    });
+
+    test('leaves everything else alone when the rules are off', () => {
+        const { tree, project, build, test: leaf } = sampleTree();
+        assert.deepStrictEqual(complete(tree, project, NO_RULES), []);
+        assert.strictEqual(leaf.completed, false);
+
+        leaf.completed = true;
+        assert.deepStrictEqual(applyCompletionRules(tree, leaf, NO_RULES), []);
+        assert.strictEqual(build.completed, false);
+    });
+
+    test('rolls up to parents once everything under them is done', () => {
+        const { tree, project, build, design, test: leaf } = sampleTree();
+        const rules = { ...NO_RULES, rollUp: true };
+
+        const changed = complete(tree, leaf, rules);
+        assert.deepStrictEqual(changed.map(c => [c.task.title, c.rule]), [['build', 'rollUp']]);
+        assert.strictEqual(project.completed, false); // design is still open
+
+        design.checklist[0].completed = true;
+        const fromChecklist = applyChecklistRules(tree, design, design.checklist[0], rules);
+        assert.deepStrictEqual(fromChecklist.map(c => c.task.title), ['design', 'project']);
+        assert.ok(project.completed);
+        assert.ok(build.completed);
+    });
+});
+
+describe('Reopening', () => {
+    test('reopens the finished tasks above', () => {
+        const { tree, project, build, test: leaf } = sampleTree();
+        complete(tree, project, ALL_RULES);
+
+        leaf.completed = false;
+        const changed = applyCompletionRules(tree, leaf, ALL_RULES);
+        assert.deepStrictEqual(changed.map(c => [c.task.title, c.rule]), [['build', 'reopenAncestors'], ['project', 'reopenAncestors']]);
+        assert.strictEqual(build.completed, false);
+        assert.strictEqual(project.completed, false);
+    });
+
+    test('unchecking an item reopens its task', () => {
+        const { tree, project, design } = sampleTree();
+        complete(tree, project, ALL_RULES);
+
+        design.checklist[0].completed = false;
+        const changed = applyChecklistRules(tree, design, design.checklist[0], ALL_RULES);
+        assert.deepStrictEqual(changed.map(c => c.task.title), ['design', 'project']);
+    });
+});
+
+describe('Progress', () => {
+    test('counts checklist items and subtasks all the way down', () => {
+        const { tree, project, design, build, test: leaf } = sampleTree();
+        updateProgress(tree);
+        assert.strictEqual(project.progress, 0);
+
+        design.checklist[0].completed = true;
+        updateProgress(tree);
+        assert.strictEqual(design.progress, 100);
+        assert.strictEqual(project.progress, 50);
+
+        design.children.push(createTask({ title: 'review' }));
+        updateProgress(tree);
+        assert.strictEqual(design.progress, 50);
+        assert.strictEqual(project.progress, 25);
+
+        leaf.completed = true;
+        updateProgress(tree);
+        assert.strictEqual(build.progress, 100);
+        assert.strictEqual(project.progress, 75);
+
+        project.completed = true;
+        updateProgress(tree);
+        assert.strictEqual(project.progress, 100);
+    });
+});
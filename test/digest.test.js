@@ -0,0 +1,247 @@
+/**
+ * BriPlanner Digest Tests
+ *
+ * What goes in a digest email, when it's due and the scheduler that sends
+ * it (lib/digest.js, no server or mail transport needed).
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const { createTask } = require('../lib/tasks');
+const {
+    defaultDigestSettings, parseDigestSettings, nextDigestAt, digestDueAt, inQuietHours,
+    buildDigest, digestMessage, createDigestScheduler
+} = require('../lib/digest');
+
+// Monday 19 October 2026, 07:30 in London (06:30 UTC)
+const NOW = new Date('2026-10-19T06:30:00Z');
+const ZONE = 'Europe/London';
+
+function settings(fields = {}) {
+    return { ...defaultDigestSettings('user-1', new Date('2026-10-01T00:00:00Z')), timeZone: ZONE, ...fields };
+}
+
+function sampleTree() {
+    const trip = createTask({
+        title: 'Trip',
+        progress: 50,
+        checklist: [{ id: 'a', text: 'Passport', completed: true }, { id: 'b', text: 'Tickets', completed: false }],
+        children: [
+            createTask({ id: 'late', title: 'Book hotel', dueAt: '2026-10-18T09:00:00.000Z' }),
+            createTask({ id: 'done', title: 'Renew passport', completed: true, progress: 100 })
+        ]
+    });
+    return [
+        trip,
+        createTask({ id: 'today', title: 'Call <pharmacy>', dueAt: '2026-10-19T16:00:00.000Z' }),
+        createTask({ id: 'friday', title: 'Pay rent', dueAt: '2026-10-23T09:00:00.000Z' }),
+        createTask({ id: 'idle', title: 'Someday' })
+    ];
+}
+
+function completedEvent(taskId, at) {
+    return { taskId, at, action: 'task.updated', changes: [{ field: 'completed', before: false, after: true }] };
+}
+
+describe('parseDigestSettings', () => {
+    const current = settings();
+
+    test('keeps the fields left out', () => {
+        const { value } = parseDigestSettings({ frequency: 'daily', quietHours: { start: '22:00', end: '07:00' } }, current);
+        assert.deepStrictEqual(value, {
+            frequency: 'daily',
+            time: '07:00',
+            weekday: 1,
+            timeZone: ZONE,
+            quietHours: { start: '22:00', end: '07:00' },
+            to: null,
+            skipEmpty: true
+        });
+    });
+
+    test('checks times, the time zone and the address', () => {
+        assert.strictEqual(parseDigestSettings({ time: '7am' }, current).field, 'time');
+        assert.strictEqual(parseDigestSettings({ time: '24:00' }, current).field, 'time');
+        assert.strictEqual(parseDigestSettings({ timeZone: 'Mars/Olympus' }, current).field, 'timeZone');
+        assert.strictEqual(parseDigestSettings({ quietHours: { start: '22:00', end: '7:00' } }, current).field, 'quietHours.end');
+        assert.strictEqual(parseDigestSettings({ quietHours: { start: '22:00', end: '22:00' } }, current).field, 'quietHours.end');
+        assert.strictEqual(parseDigestSettings({ to: 'not an address' }, current).field, 'to');
+        assert.strictEqual(parseDigestSettings({ to: '' }, current).value.to, null);
+    });
+});
+
+describe('nextDigestAt', () => {
+    test('is off when the digest is off', () => {
+        assert.strictEqual(nextDigestAt(settings(), NOW), null);
+    });
+
+    test('finds the next daily time on the user\'s clock', () => {
+        const daily = settings({ frequency: 'daily' });
+        // 07:00 London has passed today (it's 07:30), so tomorrow
+        assert.strictEqual(nextDigestAt(daily, NOW).toISOString(), '2026-10-20T06:00:00.000Z');
+        assert.strictEqual(nextDigestAt({ ...daily, time: '18:00' }, NOW).toISOString(), '2026-10-19T17:00:00.000Z');
+        // After the clocks go back on 25 October, 07:00 London is 07:00 UTC
+        assert.strictEqual(nextDigestAt(daily, new Date('2026-10-25T12:00:00Z')).toISOString(), '2026-10-26T07:00:00.000Z');
+    });
+
+    test('finds the next weekday for a weekly digest', () => {
+        const weekly = settings({ frequency: 'weekly', weekday: 5, time: '16:30' });
+        assert.strictEqual(nextDigestAt(weekly, NOW).toISOString(), '2026-10-23T15:30:00.000Z');
+        // Monday 07:00 has just passed: next Monday
+        assert.strictEqual(nextDigestAt(settings({ frequency: 'weekly' }), NOW).toISOString(), '2026-10-26T07:00:00.000Z');
+    });
+
+    test('waits for the end of quiet hours', () => {
+        const night = settings({ frequency: 'daily', time: '23:00', quietHours: { start: '22:00', end: '07:00' } });
+        assert.strictEqual(nextDigestAt(night, NOW).toISOString(), '2026-10-20T06:00:00.000Z');
+        assert.ok(inQuietHours(night, new Date('2026-10-19T22:30:00Z')));
+        assert.ok(inQuietHours(night, new Date('2026-10-19T05:59:00Z')));
+        assert.ok(!inQuietHours(night, NOW));
+
+        const lunch = settings({ frequency: 'daily', time: '12:15', quietHours: { start: '12:00', end: '13:00' } });
+        assert.strictEqual(nextDigestAt(lunch, NOW).toISOString(), '2026-10-19T12:00:00.000Z');
+    });
+
+    test('digestDueAt counts from the last digest or the last change', () => {
+        const daily = settings({ frequency: 'daily', lastRunAt: '2026-10-18T06:00:00.000Z' });
+        assert.strictEqual(digestDueAt(daily).toISOString(), '2026-10-19T06:00:00.000Z');
+        const changed = { ...daily, updatedAt: '2026-10-19T06:10:00.000Z' };
+        assert.strictEqual(digestDueAt(changed).toISOString(), '2026-10-20T06:00:00.000Z');
+    });
+});
+
+describe('buildDigest', () => {
+    const events = [
+        completedEvent('done', '2026-10-18T10:00:00.000Z'),
+        completedEvent('today', '2026-10-18T11:00:00.000Z'), // reopened since
+        completedEvent('idle', '2026-10-12T10:00:00.000Z')
+    ];
+
+    test('sorts open work into overdue, due today and in progress', () => {
+        const digest = buildDigest(sampleTree(), events, { timeZone: ZONE, now: NOW });
+        const ids = Object.fromEntries(digest.sections.map(section => [section.key, section.items.map(item => item.id)]));
+
+        assert.deepStrictEqual(ids.overdue, ['late']);
+        assert.deepStrictEqual(ids.due, ['today']);
+        assert.strictEqual(ids.inProgress.length, 1);
+        assert.deepStrictEqual(ids.completed, ['done']);
+        assert.strictEqual(digest.total, 4);
+
+        const trip = digest.sections[2].items[0];
+        assert.deepStrictEqual([trip.title, trip.progress, trip.checklist], ['Trip', 50, { done: 1, total: 2 }]);
+        assert.deepStrictEqual(digest.sections[0].items[0].path, ['Trip']);
+    });
+
+    test('looks a week ahead and back for a weekly digest', () => {
+        const digest = buildDigest(sampleTree(), events, { frequency: 'weekly', timeZone: ZONE, now: NOW });
+        assert.deepStrictEqual(digest.sections[1].items.map(item => item.id), ['today', 'friday']);
+        assert.strictEqual(digest.sections[1].title, 'Due this week');
+        // Only tasks that are still completed count
+        assert.deepStrictEqual(digest.sections[3].items.map(item => item.id), ['done']);
+    });
+});
+
+describe('digestMessage', () => {
+    test('has a subject with the counts and text and HTML bodies', () => {
+        const digest = buildDigest(sampleTree(), [], { timeZone: ZONE, now: NOW });
+        const message = digestMessage(digest, { to: 'me@example.com' });
+
+        assert.strictEqual(message.to, 'me@example.com');
+        assert.strictEqual(message.subject, 'Your day: 1 overdue, 1 due today, 1 in progress');
+        assert.match(message.text, /^Your BriPlanner daily digest for Monday, October 19\n/);
+        assert.match(message.text, /OVERDUE \(1\)\n- Trip › Book hotel \(due Sun, Oct 18, 10:00 AM\)/);
+        assert.match(message.text, /DUE TODAY \(1\)\n- Call <pharmacy> \(due 5:00 PM\)/);
+        assert.match(message.text, /- Trip \(1\/2 checklist items, 50% done\)/);
+        assert.match(message.html, /<strong>Call &lt;pharmacy&gt;<\/strong>/);
+        assert.ok(!message.html.includes('<pharmacy>'));
+    });
+
+    test('says so when there is nothing to report', () => {
+        const message = digestMessage(buildDigest([], [], { now: NOW }));
+        assert.strictEqual(message.subject, 'Your day: nothing due');
+        assert.match(message.text, /Nothing overdue, due or in progress/);
+    });
+});
+
+describe('createDigestScheduler', () => {
+    function setup(fields, now) {
+        const sent = [];
+        let saves = 0;
+        const digestSettings = settings({ frequency: 'daily', ...fields });
+        const scheduler = createDigestScheduler({
+            getRecipients: () => [{ settings: digestSettings, to: 'me@example.com', tasks: sampleTree(), events: [] }],
+            sendDigest: async (message) => {
+                sent.push(message);
+                return { previewUrl: null };
+            },
+            persist: () => saves++,
+            now: () => now.getTime()
+        });
+        return { scheduler, sent, digestSettings, saves: () => saves };
+    }
+
+    test('sends a digest once it is due, and only once', async () => {
+        const { scheduler, sent, digestSettings, saves } = setup({}, NOW);
+        const results = await scheduler.tick();
+
+        assert.deepStrictEqual(results, [{ ownerId: 'user-1', status: 'sent', to: 'me@example.com' }]);
+        assert.strictEqual(sent.length, 1);
+        assert.strictEqual(digestSettings.lastStatus, 'sent');
+        assert.strictEqual(digestSettings.lastSentAt, NOW.toISOString());
+        assert.strictEqual(saves(), 1);
+        assert.deepStrictEqual(await scheduler.tick(), []);
+    });
+
+    test('sends one digest after downtime, not one per missed day', async () => {
+        const { scheduler, sent } = setup({ lastRunAt: '2026-10-12T06:00:00.000Z' }, NOW);
+        await scheduler.tick();
+        await scheduler.tick();
+        assert.strictEqual(sent.length, 1);
+    });
+
+    test('holds a late digest until quiet hours are over', async () => {
+        const late = new Date('2026-10-19T22:30:00Z');
+        const { scheduler, sent } = setup({ quietHours: { start: '22:00', end: '07:00' } }, late);
+        assert.deepStrictEqual(await scheduler.tick(), []);
+        assert.strictEqual(sent.length, 0);
+    });
+
+    test('skips empty digests unless asked for them', async () => {
+        const sent = [];
+        const digestSettings = settings({ frequency: 'daily' });
+        const scheduler = createDigestScheduler({
+            getRecipients: () => [{ settings: digestSettings, to: 'me@example.com', tasks: [], events: [] }],
+            sendDigest: async message => sent.push(message),
+            persist: () => {},
+            now: () => NOW.getTime()
+        });
+        assert.strictEqual((await scheduler.tick())[0].status, 'skipped');
+        assert.strictEqual(sent.length, 0);
+
+        digestSettings.skipEmpty = false;
+        digestSettings.lastRunAt = null;
+        assert.strictEqual((await scheduler.tick())[0].status, 'sent');
+        assert.match(sent[0].subject, /nothing due/);
+    });
+
+    test('records a failed send', async () => {
+        const digestSettings = settings({ frequency: 'daily' });
+        const scheduler = createDigestScheduler({
+            getRecipients: () => [{ settings: digestSettings, to: 'me@example.com', tasks: sampleTree(), events: [] }],
+            sendDigest: async () => {
+                throw new Error('SMTP down');
+            },
+            persist: () => {},
+            now: () => NOW.getTime()
+        });
+        const originalError = console.error;
+        console.error = () => {};
+        try {
+            assert.strictEqual((await scheduler.tick())[0].status, 'failed');
+        } finally {
+            console.error = originalError;
+        }
+        assert.deepStrictEqual([digestSettings.lastStatus, digestSettings.lastError], ['failed', 'SMTP down']);
+    });
+});
@@ -0,0 +1,119 @@
+/**
+ * BriPlanner Focus Session Tests
+ *
+ * Pomodoro sessions, time entries, totals and the time report
+ * (lib/focus.js, no server needed).
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const {
+    parseFocusSettings,
+    findActiveSession,
+    startSession,
+    pauseSession,
+    resumeSession,
+    stopSession,
+    sessionStatus,
+    timeTotals,
+    timeReport,
+    parseReportRange
+} = require('../lib/focus');
+const { createTask } = require('../lib/tasks');
+
+const defaults = { workMinutes: 25, breakMinutes: 5 };
+
+// Local time, so the per-day report doesn't depend on the machine's time zone
+function at(day, hours, minutes = 0) {
+    return new Date(2024, 4, day, hours, minutes);
+}
+
+describe('Settings', () => {
+    test('falls back to the defaults and checks the limits', () => {
+        assert.deepStrictEqual(parseFocusSettings({}, defaults).value, defaults);
+        assert.deepStrictEqual(parseFocusSettings({ workMinutes: 50 }, defaults).value, { workMinutes: 50, breakMinutes: 5 });
+        assert.match(parseFocusSettings({ workMinutes: 0 }, defaults).error, /workMinutes/);
+        assert.match(parseFocusSettings({ breakMinutes: '5' }, defaults).error, /breakMinutes/);
+    });
+});
+
+describe('Sessions', () => {
+    test('records a time entry for each stretch of work', () => {
+        const task = createTask({ title: 'Write' });
+        startSession(task, defaults, at(1, 9));
+        assert.strictEqual(findActiveSession([task]), task);
+
+        const first = pauseSession(task, at(1, 9, 10));
+        assert.strictEqual(first.seconds, 600);
+        assert.strictEqual(sessionStatus(task.focusSession, at(1, 9, 30)).state, 'paused');
+
+        resumeSession(task, at(1, 9, 30));
+        const { session, entry } = stopSession(task, at(1, 9, 35));
+        assert.strictEqual(entry.seconds, 300);
+        assert.strictEqual(session.workedSeconds, 900);
+        assert.strictEqual(task.focusSession, null);
+        assert.strictEqual(findActiveSession([task]), null);
+        assert.strictEqual(task.timeEntries.length, 2);
+    });
+
+    test('stops counting work once the work time is used up', () => {
+        const task = createTask();
+        startSession(task, defaults, at(1, 9));
+
+        const status = sessionStatus(task.focusSession, at(1, 9, 27));
+        assert.strictEqual(status.state, 'break');
+        assert.strictEqual(status.remainingSeconds, 0);
+        assert.strictEqual(status.breakEndsAt, at(1, 9, 30).toISOString());
+        assert.strictEqual(sessionStatus(task.focusSession, at(1, 9, 31)).state, 'done');
+
+        const { entry } = stopSession(task, at(1, 10));
+        assert.strictEqual(entry.seconds, 25 * 60);
+        assert.strictEqual(entry.endedAt, at(1, 9, 25).toISOString());
+    });
+});
+
+describe('Totals and reports', () => {
+    function trackedTree() {
+        const child = createTask({ title: 'Child', timeEntries: [
+            { id: 'e2', startedAt: at(2, 23, 50).toISOString(), endedAt: at(3, 0, 10).toISOString(), seconds: 1200 }
+        ] });
+        const parent = createTask({ title: 'Parent', children: [child], timeEntries: [
+            { id: 'e1', startedAt: at(1, 9).toISOString(), endedAt: at(1, 9, 25).toISOString(), seconds: 1500 }
+        ] });
+        return [parent];
+    }
+
+    test('rolls time up across subtasks', () => {
+        assert.deepStrictEqual(timeTotals(trackedTree()[0]), { ownSeconds: 1500, totalSeconds: 2700 });
+    });
+
+    test('reports per day, splitting entries at midnight, and per task', () => {
+        const report = timeReport(trackedTree(), { from: at(1, 0), to: at(4, 0) });
+        assert.deepStrictEqual(report.days, [
+            { date: '2024-05-01', seconds: 1500 },
+            { date: '2024-05-02', seconds: 600 },
+            { date: '2024-05-03', seconds: 600 }
+        ]);
+        assert.deepStrictEqual(report.tasks.map(t => [t.title, t.seconds]), [['Parent', 1500], ['Child', 1200]]);
+        assert.strictEqual(report.totalSeconds, 2700);
+    });
+
+    test('only counts time inside the range', () => {
+        const report = timeReport(trackedTree(), { from: at(3, 0), to: at(4, 0) });
+        assert.deepStrictEqual(report.days, [{ date: '2024-05-03', seconds: 600 }]);
+    });
+
+    test('reads report ranges, including whole days', () => {
+        const { value } = parseReportRange({ from: '2024-05-01', to: '2024-05-03' });
+        assert.strictEqual(value.from.getTime(), at(1, 0).getTime());
+        assert.strictEqual(value.to.getTime(), at(4, 0).getTime());
+
+        const defaultRange = parseReportRange({}, at(10, 15)).value;
+        assert.strictEqual(defaultRange.from.getTime(), at(4, 0).getTime());
+        assert.strictEqual(defaultRange.to.getTime(), at(11, 0).getTime());
+
+        assert.match(parseReportRange({ from: 'someday' }).error, /from/);
+        assert.match(parseReportRange({ from: '2024-05-03', to: '2024-05-01' }).error, /before/);
+    });
+});
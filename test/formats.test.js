@@ -0,0 +1,163 @@
+/**
+ * BriPlanner Backup Format Tests
+ *
+ * The JSON backup, Markdown outline and CSV readers and writers on their
+ * own. Imports through the API are in api.test.js.
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const { tasksToBackup, parseBackup } = require('../lib/backup');
+const { tasksToMarkdown, parseMarkdown } = require('../lib/markdown');
+const { tasksToCsv, parseCsv } = require('../lib/csv');
+
+function task(id, fields = {}, children = []) {
+    return {
+        id,
+        title: id,
+        description: '',
+        completed: false,
+        checklist: [],
+        children,
+        dueAt: null,
+        remindAt: [],
+        reminderEmail: null,
+        reminders: [],
+        recurrence: null,
+        emailReminder: null,
+        createdAt: '2024-05-01T12:00:00.000Z',
+        updatedAt: '2024-05-01T12:00:00.000Z',
+        ...fields
+    };
+}
+
+// Titles of the records with their parent's title, e.g. "Groceries < Home"
+function outline(records) {
+    const byUid = new Map(records.map(r => [r.uid, r]));
+    return records.map(r => (r.parentUid ? `${r.fields.title} < ${byUid.get(r.parentUid).fields.title}` : r.fields.title));
+}
+
+describe('JSON backups', () => {
+    test('wraps the tree in a versioned envelope', () => {
+        const backup = JSON.parse(tasksToBackup([task('a')], { now: new Date('2024-06-01T00:00:00Z') }));
+        assert.strictEqual(backup.format, 'briplanner-backup');
+        assert.strictEqual(backup.version, 1);
+        assert.strictEqual(backup.exportedAt, '2024-06-01T00:00:00.000Z');
+        assert.strictEqual(backup.tasks[0].id, 'a');
+    });
+
+    test('reads the tree back as records', () => {
+        const tree = [task('home', {}, [task('groceries', { checklist: [{ id: 'c1', text: 'Milk', completed: true }] })])];
+        const { value } = parseBackup(tasksToBackup(tree));
+        assert.deepStrictEqual(outline(value), ['home', 'groceries < home']);
+        assert.deepStrictEqual(value[1].checklist, [{ id: 'c1', text: 'Milk', completed: true }]);
+    });
+
+    test('rejects other files, newer versions and broken tasks', () => {
+        assert.match(parseBackup('{nope').error, /not valid JSON/);
+        assert.match(parseBackup({ tasks: [] }).error, /Not a BriPlanner backup/);
+        assert.match(parseBackup({ format: 'briplanner-backup', version: 2, tasks: [] }).error, /version 2/);
+        assert.match(parseBackup({ format: 'briplanner-backup', version: 1, tasks: [{ id: 'x' }] }).error, /tasks\[0\] has no title/);
+        assert.match(
+            parseBackup({ format: 'briplanner-backup', version: 1, tasks: [task('a', {}, [{ id: 'b', title: 'b', checklist: 'no' }])] }).error,
+            /tasks\[0\]\.children\[0\]\.checklist must be a list/
+        );
+    });
+});
+
+describe('Markdown outlines', () => {
+    test('writes checkboxes, descriptions and checklists', () => {
+        const tree = [task('p', {
+            title: 'Party',
+            description: 'Low-key\n- not a task',
+            checklist: [{ id: 'c', text: 'Pick a date', completed: true }]
+        }, [task('c', { title: 'Invites', completed: true })])];
+
+        assert.strictEqual(tasksToMarkdown(tree), [
+            '- [ ] Party',
+            '  Low-key',
+            '  \\- not a task',
+            '  * [x] Pick a date',
+            '  - [x] Invites',
+            ''
+        ].join('\n'));
+    });
+
+    test('reads back what it writes', () => {
+        const tree = [task('p', {
+            title: 'Party',
+            description: 'Low-key\n- not a task',
+            checklist: [{ id: 'c', text: 'Pick a date', completed: true }]
+        }, [task('c', { title: 'Invites', completed: true }, [task('g', { title: 'Sam' })])])];
+
+        const { value } = parseMarkdown(tasksToMarkdown(tree));
+        assert.deepStrictEqual(outline(value), ['Party', 'Invites < Party', 'Sam < Invites']);
+        assert.strictEqual(value[0].fields.description, 'Low-key\n- not a task');
+        assert.deepStrictEqual(value[0].checklist, [{ id: null, text: 'Pick a date', completed: true }]);
+        assert.strictEqual(value[1].completed, true);
+    });
+
+    test('reads hand-written outlines', () => {
+        const { value } = parseMarkdown([
+            '# Weekend',
+            '',
+            '- Laundry',
+            '\t- [X] Whites',
+            '* [ ] Stray checklist item with no task',
+            '+ [ ] Call mum'
+        ].join('\n'));
+        assert.deepStrictEqual(outline(value), ['Laundry', 'Whites < Laundry', 'Stray checklist item with no task', 'Call mum']);
+        assert.strictEqual(value[1].completed, true);
+
+        assert.match(parseMarkdown('Just some notes').error, /No tasks found/);
+    });
+});
+
+describe('CSV', () => {
+    test('writes one row per task with the parent path', () => {
+        const tree = [task('a', { title: 'Home/Work' }, [task('b', { title: 'Calls, emails' }, [task('c', { title: '=SUM(A1)' })])])];
+        const lines = tasksToCsv(tree).replace(/^\uFEFF/, '').split('\r\n');
+
+        assert.match(lines[0], /^id,parent_path,title,/);
+        assert.match(lines[1], /^a,,Home\/Work,/);
+        assert.match(lines[2], /^b,Home\\\/Work,"Calls, emails",/);
+        assert.match(lines[3], /^c,"Home\\\/Work \/ Calls, emails",'=SUM\(A1\),/);
+    });
+
+    test('reads back what it writes', () => {
+        const tree = [task('a', {
+            title: 'Home/Work',
+            description: 'Two\nlines, "quoted"',
+            dueAt: '2024-06-01T09:00:00.000Z',
+            remindAt: [60, 0],
+            recurrence: { rule: 'FREQ=DAILY', dtstart: '2024-06-01T09:00:00.000Z' },
+            checklist: [{ id: 'x', text: 'Done thing', completed: true }, { id: 'y', text: 'Open thing', completed: false }]
+        }, [task('b', { title: "'quoted", completed: true }, [task('c', { title: '-minus' })])])];
+
+        const { value } = parseCsv(tasksToCsv(tree));
+        assert.deepStrictEqual(outline(value), ['Home/Work', "'quoted < Home/Work", '-minus < \'quoted']);
+        assert.deepStrictEqual(value[0].fields, {
+            title: 'Home/Work',
+            description: 'Two\nlines, "quoted"',
+            dueAt: '2024-06-01T09:00:00.000Z',
+            remindAt: [60, 0],
+            recurrence: { rule: 'FREQ=DAILY', dtstart: '2024-06-01T09:00:00.000Z' }
+        });
+        assert.deepStrictEqual(value[0].checklist.map(i => [i.text, i.completed]), [['Done thing', true], ['Open thing', false]]);
+        assert.strictEqual(value[1].completed, true);
+    });
+
+    test('reads hand-made sheets with just a few columns', () => {
+        const { value } = parseCsv('Title,Parent_Path,Completed\nHome,,\nLaundry,Home,yes\n');
+        assert.deepStrictEqual(outline(value), ['Home', 'Laundry < Home']);
+        assert.strictEqual(value[1].completed, true);
+    });
+
+    test('reports rows it cannot read', () => {
+        assert.match(parseCsv('name\nx\n').error, /needs a "title" column/);
+        assert.match(parseCsv('title,parent_path\nChild,Missing\n').error, /Row 2: parent "Missing" not found/);
+        assert.match(parseCsv('title,completed\nA,maybe\n').error, /Row 2: completed/);
+        assert.match(parseCsv('title\n"unfinished\n').error, /ends inside a quoted cell/);
+    });
+});
@@ -0,0 +1,147 @@
+/**
+ * BriPlanner iCalendar Tests
+ *
+ * The .ics reader and writer on their own. Round trips through the API are
+ * in api.test.js.
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const { tasksToCalendar, parseCalendar, foldLine, parseDateTime, parseDuration } = require('../lib/ical');
+
+function task(fields = {}) {
+    return {
+        id: '6f1c1f7e-8a51-4c4e-9a35-2d4f1c2b7e01',
+        title: 'Task',
+        description: '',
+        completed: false,
+        checklist: [],
+        children: [],
+        dueAt: null,
+        remindAt: [],
+        reminderEmail: null,
+        recurrence: null,
+        createdAt: '2024-05-01T12:00:00.000Z',
+        updatedAt: '2024-05-02T12:00:00.000Z',
+        ...fields
+    };
+}
+
+describe('Writing .ics', () => {
+    test('folds long lines without splitting characters', () => {
+        const line = `SUMMARY:${'é'.repeat(60)}`;
+        const folded = foldLine(line);
+        for (const part of folded.split('\r\n')) {
+            assert.ok(Buffer.byteLength(part) <= 75);
+        }
+        assert.strictEqual(folded.replace(/\r\n /g, ''), line);
+    });
+
+    test('writes the hierarchy, completion and checklist', () => {
+        const child = task({ id: 'child', title: 'Child', completed: true });
+        const parent = task({
+            id: 'parent',
+            title: 'Comma, semicolon; done',
+            checklist: [{ id: 'item-1', text: 'Step one', completed: true }],
+            children: [child]
+        });
+
+        const ics = tasksToCalendar([parent], { now: new Date('2024-05-03T00:00:00Z') });
+        assert.ok(ics.includes('SUMMARY:Comma\\, semicolon\\; done\r\n'));
+        assert.match(ics, /X-BRIPLANNER-CHECKLIST;X-ID=item-1;X-COMPLETED=TRUE:Step one\r\n/);
+        assert.match(ics, /UID:child\r\nDTSTAMP:20240503T000000Z\r\n/);
+        assert.match(ics, /STATUS:COMPLETED\r\nCOMPLETED:20240502T120000Z\r\n/);
+        assert.match(ics, /RELATED-TO;RELTYPE=PARENT:parent\r\n/);
+    });
+
+    test('reads back what it writes', () => {
+        const original = task({
+            title: 'Water plants',
+            description: 'Back\\slash\nand a second line',
+            dueAt: '2024-06-01T09:00:00.000Z',
+            remindAt: [1440, 15],
+            reminderEmail: 'me@example.com',
+            recurrence: { rule: 'FREQ=WEEKLY;BYDAY=SA', dtstart: '2024-06-01T09:00:00.000Z' }
+        });
+
+        const { value: [todo] } = parseCalendar(tasksToCalendar([original]));
+        assert.strictEqual(todo.uid, original.id);
+        assert.deepStrictEqual(todo.fields, {
+            title: 'Water plants',
+            description: 'Back\\slash\nand a second line',
+            dueAt: '2024-06-01T09:00:00.000Z',
+            recurrence: { rule: 'FREQ=WEEKLY;BYDAY=SA', dtstart: '2024-06-01T09:00:00.000Z' },
+            remindAt: [1440, 15],
+            reminderEmail: 'me@example.com'
+        });
+        assert.strictEqual(todo.createdAt, original.createdAt);
+        assert.strictEqual(todo.updatedAt, original.updatedAt);
+    });
+});
+
+describe('Reading .ics', () => {
+    test('understands UTC, time zone and date-only values', () => {
+        assert.strictEqual(parseDateTime('20240501T090000Z'), '2024-05-01T09:00:00.000Z');
+        // New York is on daylight saving time (UTC-4) in July and standard time (UTC-5) in January
+        assert.strictEqual(parseDateTime('20240701T090000', { TZID: 'America/New_York' }), '2024-07-01T13:00:00.000Z');
+        assert.strictEqual(parseDateTime('20240115T090000', { TZID: 'America/New_York' }), '2024-01-15T14:00:00.000Z');
+        assert.strictEqual(parseDateTime('20240501'), new Date(2024, 4, 1).toISOString());
+        assert.strictEqual(parseDateTime('tomorrow'), null);
+    });
+
+    test('reads durations in minutes', () => {
+        assert.strictEqual(parseDuration('-PT15M'), -15);
+        assert.strictEqual(parseDuration('-P1DT2H'), -1560);
+        assert.strictEqual(parseDuration('P1W'), 10080);
+        assert.strictEqual(parseDuration('PT'), null);
+        assert.strictEqual(parseDuration('15 minutes'), null);
+    });
+
+    test('reads folded lines, quoted parameters and other apps\' alarms', () => {
+        const ics = [
+            'BEGIN:VCALENDAR',
+            'BEGIN:VTODO',
+            'UID:abc',
+            'SUMMARY:A long',
+            '  title',
+            'DUE:20240501T090000Z',
+            'X-BRIPLANNER-CHECKLIST;X-ID="a:b";X-COMPLETED=FALSE:Step',
+            'BEGIN:VALARM',
+            'ACTION:EMAIL',
+            'ATTENDEE;CN="Me, Myself":mailto:me@example.com',
+            'TRIGGER;VALUE=DATE-TIME:20240501T080000Z',
+            'END:VALARM',
+            'BEGIN:VALARM',
+            'TRIGGER;RELATED=END:PT10M',
+            'END:VALARM',
+            'END:VTODO',
+            'END:VCALENDAR'
+        ].join('\r\n');
+
+        const { value: [todo] } = parseCalendar(ics);
+        assert.strictEqual(todo.fields.title, 'A long title');
+        assert.deepStrictEqual(todo.checklist, [{ id: 'a:b', text: 'Step', completed: false }]);
+        // The alarm after the due date can't be a reminder, so only the 60 minute one is kept
+        assert.deepStrictEqual(todo.fields.remindAt, [60]);
+        assert.strictEqual(todo.fields.reminderEmail, 'me@example.com');
+    });
+
+    test('skips edited occurrences and other components', () => {
+        const ics = [
+            'BEGIN:VCALENDAR',
+            'BEGIN:VEVENT', 'SUMMARY:Meeting', 'END:VEVENT',
+            'BEGIN:VTODO', 'UID:x', 'SUMMARY:Series', 'END:VTODO',
+            'BEGIN:VTODO', 'UID:x', 'RECURRENCE-ID:20240501T090000Z', 'SUMMARY:One occurrence', 'END:VTODO',
+            'END:VCALENDAR'
+        ].join('\r\n');
+
+        assert.deepStrictEqual(parseCalendar(ics).value.map(todo => todo.fields.title), ['Series']);
+    });
+
+    test('rejects files that are not calendars or are cut off', () => {
+        assert.match(parseCalendar('hello').error, /Not an iCalendar file/);
+        assert.match(parseCalendar('BEGIN:VCALENDAR\r\nBEGIN:VTODO\r\n').error, /Missing END:VTODO/);
+        assert.match(parseCalendar('BEGIN:VCALENDAR\r\nEND:VTODO\r\n').error, /Unexpected END/);
+    });
+});
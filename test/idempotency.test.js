@@ -0,0 +1,59 @@
+/**
+ * BriPlanner Idempotency Tests
+ *
+ * Kept answers for retried requests (lib/idempotency.js, no server needed).
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const { loadIdempotencyKeys, pruneIdempotencyKeys, requestFingerprint, KEY_TTL_MS } = require('../lib/idempotency');
+
+describe('pruneIdempotencyKeys', () => {
+    test('forgets keys older than a day', () => {
+        const now = new Date('2026-03-02T12:00:00Z');
+        const records = [
+            { key: 'old', createdAt: new Date(now.getTime() - KEY_TTL_MS - 1).toISOString() },
+            { key: 'recent', createdAt: new Date(now.getTime() - KEY_TTL_MS + 1000).toISOString() }
+        ];
+        pruneIdempotencyKeys(records, now);
+        assert.deepStrictEqual(records.map(record => record.key), ['recent']);
+    });
+});
+
+describe('loadIdempotencyKeys', () => {
+    test('frees keys whose request was still running when they were saved', () => {
+        const now = new Date('2026-03-02T12:00:00Z');
+        const createdAt = new Date(now.getTime() - 60 * 1000).toISOString();
+        const saved = [
+            { ownerId: 'u1', key: 'done', fingerprint: 'a', createdAt, status: 201, body: { id: 't1' }, etag: null },
+            { ownerId: 'u1', key: 'pending', fingerprint: 'b', createdAt },
+            { ownerId: 'u1', key: 'old', fingerprint: 'c', createdAt: new Date(now.getTime() - KEY_TTL_MS - 1).toISOString(), status: 200, body: {} }
+        ];
+        const records = [{ key: 'from before the reload' }];
+        loadIdempotencyKeys(records, saved, now);
+        assert.deepStrictEqual(records.map(record => record.key), ['done']);
+    });
+
+    test('copes with nothing saved yet', () => {
+        const records = [];
+        loadIdempotencyKeys(records, undefined);
+        assert.deepStrictEqual(records, []);
+    });
+});
+
+describe('requestFingerprint', () => {
+    const fingerprint = (method, originalUrl, body) => requestFingerprint({ method, originalUrl, body });
+
+    test('matches a retry of the same request', () => {
+        assert.strictEqual(fingerprint('POST', '/api/tasks', { title: 'A' }), fingerprint('POST', '/api/tasks', { title: 'A' }));
+    });
+
+    test('tells different methods, URLs and bodies apart', () => {
+        const base = fingerprint('PUT', '/api/tasks/1', { completed: true });
+        assert.notStrictEqual(base, fingerprint('POST', '/api/tasks/1', { completed: true }));
+        assert.notStrictEqual(base, fingerprint('PUT', '/api/tasks/2', { completed: true }));
+        assert.notStrictEqual(base, fingerprint('PUT', '/api/tasks/1', { completed: false }));
+        assert.notStrictEqual(fingerprint('POST', '/api/import.json?mode=merge', {}), fingerprint('POST', '/api/import.json?mode=replace', {}));
+    });
+});
@@ -0,0 +1,241 @@
+/**
+ * BriPlanner Inbound Email Tests
+ *
+ * Reading raw messages (lib/rfc822.js) and turning them into tasks
+ * (lib/inbound.js), using the .eml files in test/fixtures/inbound. No
+ * server or mail connection needed.
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { createTask, findTaskById } = require('../lib/tasks');
+const { parseMessage, parseAddressList, decodeWords } = require('../lib/rfc822');
+const {
+    defaultInboundSettings, parseInboundSettings, claimedSenders, senderAllowed, plusTag, htmlToText, messageToTask, createInboundReceiver
+} = require('../lib/inbound');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'inbound', `${name}.eml`));
+
+describe('parseMessage', () => {
+    test('reads folded headers, addresses and a plain body', () => {
+        const message = parseMessage(fixture('plain'));
+        assert.strictEqual(message.subject, 'Fwd: Plan the garden party');
+        assert.deepStrictEqual(message.from, { name: 'Ann Example', address: 'ann@example.com' });
+        assert.deepStrictEqual(message.to, [{ name: 'BriPlanner', address: 'tasks@planner.example.com' }]);
+        assert.strictEqual(message.messageId, 'garden-party.1@mail.example.com');
+        assert.strictEqual(message.date, '2026-10-19T07:15:00.000Z');
+        assert.match(message.text, /^Saturday the 31st, weather permitting\.\n\nStill to do:\n- Buy lanterns\n/);
+        assert.strictEqual(message.html, null);
+    });
+
+    test('decodes encoded subjects and quoted-printable parts, preferring the text version', () => {
+        const message = parseMessage(fixture('multipart'));
+        assert.strictEqual(message.subject, 'Re: Café checklist ☕');
+        assert.deepStrictEqual(message.from, { name: 'Doe, Bob', address: 'bob@example.com' });
+        assert.deepStrictEqual(message.cc.map(cc => cc.address), ['ann@example.com']);
+        assert.match(message.text, /with the café before it gets too late\.\n\n• Croissants\n• Two dozen éclairs/);
+        assert.match(message.html, /HTML version/);
+    });
+
+    test('decodes a base64 HTML body', () => {
+        const message = parseMessage(fixture('html-only'));
+        assert.strictEqual(message.text, null);
+        assert.match(message.html, /<li>Book the van<\/li>/);
+    });
+
+    test('reads other charsets and lists attachments without keeping them', () => {
+        const message = parseMessage(fixture('attachment'));
+        assert.strictEqual(message.text, 'Bitte bis Freitag überweisen, dann Rückruf.\n');
+        assert.deepStrictEqual(message.attachments, [
+            { filename: 'Rechnung März.pdf', contentType: 'application/pdf', size: 25 },
+            { filename: 'message.eml', contentType: 'message/rfc822', size: 66 }
+        ]);
+    });
+
+    test('takes a string with bare newlines too', () => {
+        const message = parseMessage('From: a@example.com\nSubject: Hi\n\nBody\n');
+        assert.deepStrictEqual([message.subject, message.text], ['Hi', 'Body\n']);
+    });
+
+    test('parseAddressList and decodeWords handle the odd cases', () => {
+        assert.deepStrictEqual(parseAddressList('team: "A, B" <A@x.com>, c@x.com (Carl);, undisclosed-recipients:;'), [
+            { name: 'A, B', address: 'a@x.com' },
+            { name: 'Carl', address: 'c@x.com' }
+        ]);
+        assert.strictEqual(decodeWords('=?iso-8859-1?q?Gr=FC=DFe?= aus =?utf-8?b?S8O2bG4=?='), 'Grüße aus Köln');
+    });
+});
+
+describe('messageToTask', () => {
+    test('uses the subject as title and bullets as checklist items, without the signature', () => {
+        assert.deepStrictEqual(messageToTask(parseMessage(fixture('plain'))), {
+            title: 'Plan the garden party',
+            description: 'Saturday the 31st, weather permitting.\n\nStill to do:\n\nNot a bullet: -5 degrees is too cold.',
+            checklist: [
+                { text: 'Buy lanterns', completed: false },
+                { text: 'Send the invitations', completed: false },
+                { text: 'Pick a date', completed: true }
+            ]
+        });
+    });
+
+    test('turns an HTML-only body into text with its list items as checklist', () => {
+        const task = messageToTask(parseMessage(fixture('html-only')));
+        assert.strictEqual(task.description, 'Hi,\n\nFor the move:\n\nThanks ☺');
+        assert.deepStrictEqual(task.checklist.map(item => item.text), ['Book the van', 'Buy boxes & tape']);
+        assert.strictEqual(htmlToText('<p>a &lt;b&gt;</p><script>x()</script>'), 'a <b>');
+    });
+
+    test('falls back to the sender for a missing subject and cuts long titles', () => {
+        assert.strictEqual(messageToTask(parseMessage('From: Ann <ann@example.com>\n\nHi')).title, 'Email from Ann');
+        const long = messageToTask(parseMessage(`From: a@example.com\nSubject: RE: Fwd: ${'x'.repeat(300)}\n\n`));
+        assert.strictEqual(long.title.length, 200);
+        assert.ok(long.title.startsWith('xxx') && long.title.endsWith('…'));
+    });
+});
+
+describe('inbound settings', () => {
+    const user = { id: 'u1', email: 'Ann@Example.com' };
+
+    test('start off, allowing only the account\'s own address', () => {
+        const settings = defaultInboundSettings(user);
+        assert.deepStrictEqual([settings.enabled, settings.senders], [false, ['ann@example.com']]);
+    });
+
+    test('accept addresses and @domains, tidied and without duplicates', () => {
+        const { value } = parseInboundSettings({ enabled: true, senders: [' Bob@Example.com', '@work.example', 'bob@example.com'] }, defaultInboundSettings(user));
+        assert.deepStrictEqual(value, { enabled: true, senders: ['bob@example.com', '@work.example'] });
+        assert.strictEqual(parseInboundSettings({ senders: ['bob'] }, defaultInboundSettings(user)).field, 'senders.0');
+        assert.strictEqual(parseInboundSettings({ enabled: true, senders: [] }, defaultInboundSettings(user)).field, 'senders');
+    });
+
+    test('refuse senders that already belong to another account', () => {
+        const users = [user, { id: 'u2', email: 'bob@work.example' }, { id: 'u3', email: 'cat@home.example' }];
+        const settings = [{ ownerId: 'u3', senders: ['cat@home.example', 'dan@example.com'] }];
+        const claimed = claimedSenders('u1', { users, settings });
+        const save = senders => parseInboundSettings({ senders }, defaultInboundSettings(user), { claimed, ownAddress: user.email });
+
+        // The same sender for two accounts: the second one is turned away
+        const taken = save(['ann@example.com', 'dan@example.com']);
+        assert.deepStrictEqual([taken.field, taken.error], ['senders.1', 'Mail from "dan@example.com" already goes to another account']);
+        assert.strictEqual(save(['BOB@work.example']).field, 'senders.0', 'another account\'s own address');
+        assert.strictEqual(save(['@work.example']).field, 'senders.0', 'a domain with another account in it');
+        assert.strictEqual(save(['@example.com']).field, 'senders.0', 'a domain another account allows an address in');
+        assert.deepStrictEqual(save(['ann@example.com', '@elsewhere.example']).value.senders, ['ann@example.com', '@elsewhere.example']);
+
+        // Their own address stays theirs, even when someone else listed it
+        const grabbed = [{ ownerId: 'u2', senders: ['ann@example.com'] }];
+        const own = parseInboundSettings({ senders: ['ann@example.com'] }, defaultInboundSettings(user), {
+            claimed: claimedSenders('u1', { users, settings: grabbed }),
+            ownAddress: user.email
+        });
+        assert.deepStrictEqual(own.value.senders, ['ann@example.com']);
+    });
+
+    test('senderAllowed matches whole addresses or the domain', () => {
+        const settings = { senders: ['ann@example.com', '@work.example'] };
+        assert.ok(senderAllowed(settings, 'ANN@example.com'));
+        assert.ok(senderAllowed(settings, 'boss@work.example'));
+        assert.ok(!senderAllowed(settings, 'boss@notwork.example'));
+        assert.ok(!senderAllowed(settings, 'nann@example.com'));
+    });
+
+    test('plusTag finds the tag on the planner\'s own address', () => {
+        assert.strictEqual(plusTag(['me+x@example.com', 'Tasks+ABC123@planner.example.com'], 'tasks@planner.example.com'), 'abc123');
+        assert.strictEqual(plusTag(['tasks@planner.example.com'], 'tasks@planner.example.com'), null);
+        assert.strictEqual(plusTag(['tasks+abc@anywhere.example']), 'abc');
+    });
+});
+
+describe('createInboundReceiver', () => {
+    function setup() {
+        const trees = { u1: [createTask({ id: 'a1b2c3d4-0000-4000-8000-000000000001', title: 'Garden' })], u2: [] };
+        const users = [{ id: 'u1', email: 'Ann@example.com' }, { id: 'u2', email: 'zoe@example.com' }];
+        const activity = [];
+        const settings = [
+            { ownerId: 'u1', enabled: true, senders: ['ann@example.com'] },
+            { ownerId: 'u2', enabled: false, senders: ['@example.com'] }
+        ];
+        let saves = 0;
+        const receive = createInboundReceiver({
+            settings,
+            users,
+            getUserTasks: id => trees[id],
+            activity,
+            addTask(taskList, { title, description, parentId }) {
+                const task = createTask({ title, description });
+                const parent = parentId ? findTaskById(parentId, taskList) : null;
+                (parent ? parent.children : taskList).push(task);
+                return { task };
+            },
+            logActivity: event => activity.push(event),
+            persist: () => saves++,
+            address: 'tasks@planner.example.com'
+        });
+        return { receive, trees, activity, settings, saves: () => saves };
+    }
+
+    test('creates a task with its checklist in the sender\'s tree', () => {
+        const { receive, trees, activity, settings, saves } = setup();
+        const { status, task } = receive(fixture('plain'));
+
+        assert.strictEqual(status, 201);
+        assert.strictEqual(trees.u1[1], task);
+        assert.deepStrictEqual(task.checklist.map(item => [item.text, item.completed]), [
+            ['Buy lanterns', false], ['Send the invitations', false], ['Pick a date', true]
+        ]);
+        assert.ok(task.checklist.every(item => item.id));
+        assert.deepStrictEqual(activity[0].actor, { type: 'system', name: 'email' });
+        assert.deepStrictEqual(activity[0].details, { source: 'email', from: 'ann@example.com', messageId: 'garden-party.1@mail.example.com' });
+        assert.ok(settings[0].lastReceivedAt);
+        assert.strictEqual(saves(), 1);
+    });
+
+    test('files a plus-addressed message under that task', () => {
+        const { receive, trees, activity } = setup();
+        const { status, task } = receive(fixture('attachment'), { recipients: ['tasks+a1b2c3d4@planner.example.com'] });
+
+        assert.strictEqual(status, 201);
+        assert.strictEqual(trees.u1[0].children[0], task);
+        assert.strictEqual(activity[0].details.parentId, trees.u1[0].id);
+        assert.deepStrictEqual(activity[0].details.attachments, ['Rechnung März.pdf', 'message.eml']);
+
+        const unknown = receive(fixture('html-only'), { recipients: ['tasks+ffffffff@planner.example.com'] });
+        assert.deepStrictEqual([unknown.status, unknown.error.code], [404, 'parent_not_found']);
+        // Too short to be sure which task was meant
+        assert.strictEqual(receive(fixture('html-only'), { recipients: ['tasks+a1b2@planner.example.com'] }).status, 404);
+    });
+
+    test('makes one task per Message-ID, however often it is delivered', () => {
+        const { receive, trees } = setup();
+        const first = receive(fixture('plain'));
+        const again = receive(fixture('plain'));
+        assert.deepStrictEqual([again.status, again.duplicate, again.task], [200, true, first.task]);
+        assert.strictEqual(trees.u1.length, 2);
+    });
+
+    test('refuses senders no one has allowed, or who are turned off', () => {
+        const { receive, trees } = setup();
+        const result = receive(fixture('multipart'));
+        assert.deepStrictEqual([result.status, result.error.code], [403, 'sender_not_allowed']);
+        assert.strictEqual(receive('Subject: No sender\n\nHi').status, 400);
+        assert.deepStrictEqual([trees.u1.length, trees.u2.length], [1, 0]);
+    });
+
+    test('keeps mail from an account\'s own address out of other accounts', () => {
+        const { receive, trees, settings } = setup();
+        // zoe allows all of @example.com, which takes in ann's address too
+        settings[1].enabled = true;
+        assert.strictEqual(receive(fixture('plain')).status, 201, 'not ambiguous: ann\'s mail is ann\'s');
+        assert.deepStrictEqual([trees.u1.length, trees.u2.length], [2, 0]);
+
+        // With ann's email off, her mail is refused rather than given to zoe
+        settings[0].enabled = false;
+        const result = receive(fixture('html-only'));
+        assert.deepStrictEqual([result.status, result.error.code], [403, 'sender_not_allowed']);
+        assert.strictEqual(trees.u2.length, 0);
+    });
+});
@@ -0,0 +1,130 @@
+/**
+ * BriPlanner Mailer Tests
+ *
+ * Only the capture transport actually "sends" here; the other transports are
+ * checked by the options they hand to nodemailer, so nothing needs a network.
+ */
+
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { createMailer, buildReminderMessage, smtpOptions } = require('../lib/mailer');
+const { loadConfig } = require('../lib/config');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'briplanner-mail-'));
+
+const task = {
+    id: 'task-1',
+    title: 'Renew passport',
+    description: 'Photos + form',
+    completed: false,
+    dueAt: '2024-05-01T09:00:00.000Z'
+};
+
+describe('Mail configuration', () => {
+    test('defaults to the ethereal test transport', () => {
+        assert.strictEqual(loadConfig({}).mail.transport, 'ethereal');
+    });
+
+    test('reads SMTP and TLS settings from the environment', () => {
+        const { mail } = loadConfig({
+            MAIL_TRANSPORT: 'SMTP',
+            SMTP_HOST: 'relay.example.com',
+            SMTP_PORT: '465',
+            SMTP_SECURE: 'true',
+            SMTP_USER: 'planner',
+            SMTP_PASS: 'secret',
+            SMTP_TLS_REJECT_UNAUTHORIZED: 'false',
+            SMTP_TLS_MIN_VERSION: 'TLSv1.2'
+        });
+
+        assert.strictEqual(mail.transport, 'smtp');
+        assert.deepStrictEqual(smtpOptions(mail.smtp), {
+            host: 'relay.example.com',
+            port: 465,
+            secure: true,
+            requireTLS: false,
+            auth: { user: 'planner', pass: 'secret' },
+            tls: { rejectUnauthorized: false, minVersion: 'TLSv1.2' }
+        });
+    });
+
+    test('leaves out auth when no SMTP user is set', () => {
+        const { mail } = loadConfig({ MAIL_TRANSPORT: 'smtp' });
+        assert.strictEqual(smtpOptions(mail.smtp).auth, undefined);
+    });
+
+    test('rejects unknown transports', () => {
+        assert.throws(() => createMailer({ transport: 'pigeon' }), /Unknown mail transport "pigeon"/);
+    });
+});
+
+describe('Capture transport', () => {
+    test('keeps sent messages in the outbox', async () => {
+        const mailer = createMailer({ transport: 'capture', from: 'planner@example.com' });
+
+        const result = await mailer.sendTaskReminder(task, { to: 'me@example.com' });
+        const [captured] = mailer.outbox.list();
+
+        assert.strictEqual(result.previewUrl, `/api/outbox/${captured.id}/preview`);
+        assert.strictEqual(captured.from, 'planner@example.com');
+        assert.strictEqual(captured.subject, 'Reminder: Renew passport');
+        assert.match(captured.text, /Due: Wed, 01 May 2024 09:00:00 GMT/);
+        assert.match(captured.raw, /^Subject: Reminder: Renew passport$/m);
+        assert.strictEqual(mailer.outbox.get(captured.id), captured);
+    });
+
+    test('lists newest first and can be cleared', async () => {
+        const mailer = createMailer({ transport: 'capture' });
+        await mailer.sendMail({ to: 'a@example.com', subject: 'First', text: '1' });
+        await mailer.sendMail({ to: 'b@example.com', subject: 'Second', text: '2' });
+
+        assert.deepStrictEqual(mailer.outbox.list().map(m => m.subject), ['Second', 'First']);
+        mailer.outbox.clear();
+        assert.deepStrictEqual(mailer.outbox.list(), []);
+    });
+
+    test('keeps each account\'s mail apart', async () => {
+        const mailer = createMailer({ transport: 'capture' });
+        await mailer.sendMail({ to: 'a@example.com', subject: 'For A', text: '1' }, { ownerId: 'a' });
+        await mailer.sendTaskReminder(task, { to: 'b@example.com' }, { ownerId: 'b' });
+        const [forA] = mailer.outbox.list({ ownerId: 'a' });
+
+        assert.deepStrictEqual(mailer.outbox.list({ ownerId: 'b' }).map(m => m.subject), ['Reminder: Renew passport']);
+        assert.strictEqual(mailer.outbox.get(forA.id, { ownerId: 'b' }), null);
+        mailer.outbox.clear({ ownerId: 'b' });
+        assert.deepStrictEqual(mailer.outbox.list().map(m => m.subject), ['For A']);
+    });
+
+    test('writes .eml files to disk and reads them back after a restart', async () => {
+        const dir = path.join(tmpDir, 'outbox');
+        const first = createMailer({ transport: 'capture', capture: { dir } });
+        await first.sendTaskReminder(task, { to: 'me@example.com' });
+
+        const [captured] = first.outbox.list();
+        assert.match(fs.readFileSync(path.join(dir, `${captured.id}.eml`), 'utf8'), /To: me@example\.com/);
+
+        const second = createMailer({ transport: 'capture', capture: { dir } });
+        assert.strictEqual(second.outbox.get(captured.id).subject, 'Reminder: Renew passport');
+
+        second.outbox.clear();
+        assert.deepStrictEqual(fs.readdirSync(dir), []);
+    });
+
+    test('other transports have no outbox', () => {
+        assert.strictEqual(createMailer({ transport: 'sendmail' }).outbox, null);
+    });
+});
+
+test('reminder HTML escapes task text', () => {
+    const message = buildReminderMessage({ ...task, title: '<script>alert(1)</script>' }, { to: 'me@example.com' });
+    assert.doesNotMatch(message.html, /<script>/);
+    assert.match(message.html, /&lt;script&gt;/);
+});
+
+after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
@@ -0,0 +1,139 @@
+/**
+ * BriPlanner Daily Plan Tests
+ *
+ * Planning fields, scoring and fitting the plan into the available minutes
+ * (lib/planner.js, no server needed).
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const { parsePlanningFields, parsePlanQuery, planDay } = require('../lib/planner');
+const { createTask } = require('../lib/tasks');
+
+const now = new Date(2024, 4, 10, 9, 0);
+
+function task(title, fields = {}) {
+    return Object.assign(createTask({ title }), fields);
+}
+
+function plan(taskList, options = {}) {
+    return planDay(taskList, { availableMinutes: 240, now, defaultEstimateMinutes: 30, ...options });
+}
+
+describe('Planning fields', () => {
+    test('accepts valid values and null to clear them', () => {
+        const result = parsePlanningFields({ estimateMinutes: 45, priority: 'high', energy: null }, { taskList: [] });
+        assert.deepStrictEqual(result.value, { estimateMinutes: 45, priority: 'high', energy: null });
+        assert.deepStrictEqual(parsePlanningFields({ title: 'x' }, { taskList: [] }).value, {});
+    });
+
+    test('rejects bad values', () => {
+        assert.match(parsePlanningFields({ estimateMinutes: 0 }, { taskList: [] }).error, /estimateMinutes/);
+        assert.match(parsePlanningFields({ estimateMinutes: '30' }, { taskList: [] }).error, /estimateMinutes/);
+        assert.match(parsePlanningFields({ priority: 'asap' }, { taskList: [] }).error, /priority/);
+        assert.match(parsePlanningFields({ energy: 'max' }, { taskList: [] }).error, /energy/);
+        assert.match(parsePlanningFields({ deferredUntil: 'later' }, { taskList: [] }).error, /deferredUntil/);
+    });
+
+    test('checks that blockedBy points at other tasks without loops', () => {
+        const a = task('A');
+        const b = task('B', { blockedBy: [a.id] });
+        const taskList = [a, b];
+
+        assert.deepStrictEqual(parsePlanningFields({ blockedBy: [a.id, a.id] }, { taskList, taskId: b.id }).value, { blockedBy: [a.id] });
+        assert.match(parsePlanningFields({ blockedBy: ['nope'] }, { taskList, taskId: b.id }).error, /not found/);
+        assert.match(parsePlanningFields({ blockedBy: [b.id] }, { taskList, taskId: b.id }).error, /itself/);
+        assert.match(parsePlanningFields({ blockedBy: [b.id] }, { taskList, taskId: a.id }).error, /loop/);
+    });
+});
+
+describe('Plan query', () => {
+    test('falls back to the default minutes and splits skip', () => {
+        const defaults = { availableMinutes: 240 };
+        assert.deepStrictEqual(parsePlanQuery({}, defaults).value, { availableMinutes: 240, energy: null, skip: [] });
+        assert.deepStrictEqual(parsePlanQuery({ minutes: '90', energy: 'low', skip: 'a,b' }, defaults).value,
+            { availableMinutes: 90, energy: 'low', skip: ['a', 'b'] });
+        assert.match(parsePlanQuery({ minutes: '0' }, defaults).error, /minutes/);
+        assert.match(parsePlanQuery({ energy: 'none' }, defaults).error, /energy/);
+    });
+});
+
+describe('planDay', () => {
+    test('puts overdue and urgent work first', () => {
+        const later = task('Someday');
+        const urgent = task('Urgent', { priority: 'urgent' });
+        const overdue = task('Overdue', { dueAt: new Date(2024, 4, 8).toISOString() });
+
+        const result = plan([later, urgent, overdue]);
+        assert.deepStrictEqual(result.items.map(i => i.title), ['Overdue', 'Urgent', 'Someday']);
+        assert.ok(result.items[0].reasons.includes('overdue'));
+        assert.strictEqual(result.date, '2024-05-10');
+    });
+
+    test('only suggests leaf tasks, which inherit due dates and priority', () => {
+        const parent = task('Project', { priority: 'high', dueAt: new Date(2024, 4, 10, 17).toISOString() });
+        const done = task('Research', { completed: true });
+        const leaf = task('Write up');
+        parent.children.push(done, leaf);
+
+        const result = plan([task('Other'), parent]);
+        assert.strictEqual(result.items[0].taskId, leaf.id);
+        assert.deepStrictEqual(result.items[0].path, ['Project']);
+        assert.strictEqual(result.items[0].priority, 'high');
+        assert.ok(result.items[0].reasons.includes('due today'));
+        assert.ok(!result.items.some(i => i.taskId === parent.id || i.taskId === done.id));
+    });
+
+    test('fits the available minutes, counting time already spent', () => {
+        const big = task('Big', { estimateMinutes: 120, priority: 'urgent' });
+        const started = task('Started', { estimateMinutes: 60, priority: 'high', timeEntries: [{ seconds: 40 * 60 }] });
+        const small = task('Small', { estimateMinutes: 15 });
+
+        const result = plan([big, started, small], { availableMinutes: 60 });
+        assert.deepStrictEqual(result.items.map(i => [i.title, i.minutes]), [['Started', 20], ['Small', 15]]);
+        assert.deepStrictEqual(result.unplanned.map(i => i.title), ['Big']);
+        assert.strictEqual(result.plannedMinutes, 35);
+        assert.strictEqual(result.items[0].spentMinutes, 40);
+    });
+
+    test('splits a checklist into steps that stay in order', () => {
+        const t = task('Clean', { estimateMinutes: 30 });
+        t.checklist = [
+            { id: 'i1', text: 'Kitchen', completed: true },
+            { id: 'i2', text: 'Bathroom', completed: false },
+            { id: 'i3', text: 'Bedroom', completed: false }
+        ];
+
+        const result = plan([t]);
+        assert.deepStrictEqual(result.items.map(i => [i.type, i.itemId, i.minutes]), [['step', 'i2', 15], ['step', 'i3', 15]]);
+        assert.strictEqual(result.items[0].taskTitle, 'Clean');
+
+        assert.deepStrictEqual(plan([t], { skip: ['i2'] }).items.map(i => i.itemId), ['i3']);
+        assert.strictEqual(plan([t], { skip: [t.id] }).items.length, 0);
+    });
+
+    test('leaves out blocked and deferred tasks', () => {
+        const first = task('First');
+        const second = task('Second', { blockedBy: [first.id] });
+        const later = task('Later', { deferredUntil: new Date(2024, 4, 11).toISOString() });
+        const back = task('Back', { deferredUntil: new Date(2024, 4, 9).toISOString() });
+
+        const result = plan([first, second, later, back]);
+        assert.deepStrictEqual(result.items.map(i => i.title), ['First', 'Back']);
+        assert.ok(result.items[0].reasons.includes('unblocks 1 task'));
+        assert.strictEqual(result.blockedCount, 1);
+        assert.strictEqual(result.deferredCount, 1);
+
+        first.completed = true;
+        assert.deepStrictEqual(plan([first, second]).items.map(i => i.title), ['Second']);
+    });
+
+    test('prefers tasks matching the energy you have', () => {
+        const hard = task('Hard', { energy: 'high' });
+        const easy = task('Easy', { energy: 'low' });
+
+        assert.deepStrictEqual(plan([hard, easy], { energy: 'low' }).items.map(i => i.title), ['Easy', 'Hard']);
+        assert.deepStrictEqual(plan([easy, hard], { energy: 'high' }).items.map(i => i.title), ['Hard', 'Easy']);
+    });
+});
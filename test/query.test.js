@@ -0,0 +1,187 @@
+/**
+ * BriPlanner Task Query Tests
+ *
+ * Filters, sorting and paging for GET /api/tasks, run directly against a
+ * small task tree (no server needed).
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const { parseTaskQuery, queryTasks } = require('../lib/query');
+
+function task(id, fields = {}, children = []) {
+    return {
+        id,
+        title: id,
+        description: '',
+        completed: false,
+        checklist: [],
+        children,
+        dueAt: null,
+        createdAt: '2024-05-01T00:00:00.000Z',
+        updatedAt: '2024-05-01T00:00:00.000Z',
+        ...fields
+    };
+}
+
+// home
+//   ├─ laundry (done)
+//   └─ groceries  [checklist: oat milk]
+//        └─ coupons
+// work (updated in June)
+//   └─ report (due 2024-05-03)
+function sampleTree() {
+    return [
+        task('home', {}, [
+            task('laundry', { completed: true, createdAt: '2024-05-02T00:00:00.000Z' }),
+            task('groceries', { checklist: [{ id: 'c1', text: 'Oat milk', completed: false }] }, [
+                task('coupons', { description: 'Clip the grocery coupons' })
+            ])
+        ]),
+        task('work', { updatedAt: '2024-06-01T00:00:00.000Z', dueAt: '2024-05-09T00:00:00.000Z' }, [
+            task('report', { dueAt: '2024-05-03T00:00:00.000Z' })
+        ])
+    ];
+}
+
+function run(query, tree = sampleTree()) {
+    const parsed = parseTaskQuery(query);
+    assert.ok(parsed.value, parsed.error);
+    return queryTasks(tree, parsed.value);
+}
+
+// Task IDs of a nested result, as an outline string
+function outline(tasks) {
+    return tasks.map(t => t.children.length ? `${t.id}(${outline(t.children)})` : t.id).join(' ');
+}
+
+describe('Query parsing', () => {
+    test('defaults to the whole tree in saved order', () => {
+        const { value } = parseTaskQuery({});
+        assert.strictEqual(value.flat, false);
+        assert.strictEqual(value.maxDepth, Infinity);
+        assert.deepStrictEqual(value.sort, { field: 'position', descending: false });
+        assert.strictEqual(value.limit, null);
+    });
+
+    test('rejects bad values', () => {
+        assert.match(parseTaskQuery({ completed: 'yes' }).error, /completed/);
+        assert.match(parseTaskQuery({ createdAfter: 'soon' }).error, /createdAfter/);
+        assert.match(parseTaskQuery({ maxDepth: '-1' }).error, /maxDepth/);
+        assert.match(parseTaskQuery({ sort: 'colour' }).error, /sort must be one of/);
+        assert.match(parseTaskQuery({ priority: 'high,asap' }).error, /priority/);
+        assert.match(parseTaskQuery({ limit: '0' }).error, /limit/);
+        assert.match(parseTaskQuery({ cursor: 'nonsense' }).error, /cursor/);
+        assert.match(parseTaskQuery({ q: ['a', 'b'] }).error, /only be given once/);
+    });
+});
+
+describe('Filtering', () => {
+    test('keeps ancestors of matching tasks in nested mode', () => {
+        assert.strictEqual(outline(run({ completed: 'true' }).tasks), 'home(laundry)');
+        assert.strictEqual(outline(run({ q: 'COUPONS' }).tasks), 'home(groceries(coupons))');
+    });
+
+    test('searches checklist text and needs every word to match', () => {
+        assert.strictEqual(outline(run({ q: 'oat milk' }).tasks), 'home(groceries)');
+        assert.strictEqual(run({ q: 'oat juice' }).tasks.length, 0);
+    });
+
+    test('filters by created and updated dates', () => {
+        assert.strictEqual(outline(run({ createdAfter: '2024-05-02' }).tasks), 'home(laundry)');
+        assert.strictEqual(outline(run({ updatedAfter: '2024-05-15' }).tasks), 'work');
+        assert.strictEqual(run({ createdBefore: '2024-05-01' }).tasks.length, 0);
+    });
+
+    test('filters by priority and by tags', () => {
+        const tree = [
+            task('taxes', { priority: 'urgent', tags: ['home', 'money'] }),
+            task('plants', { tags: ['home'] }),
+            task('slides', { priority: 'high', tags: ['work'] })
+        ];
+        assert.deepStrictEqual(run({ priority: 'high,urgent' }, tree).tasks.map(t => t.id), ['taxes', 'slides']);
+        assert.deepStrictEqual(run({ priority: 'normal' }, tree).tasks.map(t => t.id), ['plants']);
+        assert.deepStrictEqual(run({ tag: '#Home' }, tree).tasks.map(t => t.id), ['taxes', 'plants']);
+        assert.deepStrictEqual(run({ tag: 'home,money' }, tree).tasks.map(t => t.id), ['taxes']);
+        assert.deepStrictEqual(run({ q: 'work' }, tree).tasks.map(t => t.id), ['slides']);
+    });
+
+    test('limits depth', () => {
+        assert.strictEqual(outline(run({ maxDepth: '0' }).tasks), 'home work');
+        assert.strictEqual(outline(run({ maxDepth: '1' }).tasks), 'home(laundry groceries) work(report)');
+    });
+
+    test('does not change the saved tree', () => {
+        const tree = sampleTree();
+        run({ q: 'coupons', sort: '-title' }, tree);
+        assert.deepStrictEqual(tree, sampleTree());
+    });
+});
+
+describe('Flat mode', () => {
+    test('lists matches with their ancestor path', () => {
+        const { tasks } = run({ flat: 'true', q: 'coupons' });
+        assert.strictEqual(tasks.length, 1);
+        assert.strictEqual(tasks[0].id, 'coupons');
+        assert.strictEqual(tasks[0].depth, 2);
+        assert.deepStrictEqual(tasks[0].path, [
+            { id: 'home', title: 'home' },
+            { id: 'groceries', title: 'groceries' }
+        ]);
+        assert.strictEqual(tasks[0].children, undefined);
+    });
+
+    test('lists every task in tree order', () => {
+        const { tasks } = run({ flat: 'true' });
+        assert.deepStrictEqual(tasks.map(t => t.id), ['home', 'laundry', 'groceries', 'coupons', 'work', 'report']);
+        assert.strictEqual(tasks[2].childCount, 1);
+    });
+});
+
+describe('Sorting', () => {
+    test('sorts every level of the tree', () => {
+        assert.strictEqual(outline(run({ sort: '-title' }).tasks), 'work(report) home(laundry groceries(coupons))');
+    });
+
+    test('sorts by priority, counting tasks without one as normal', () => {
+        const tree = [task('a', { priority: 'low' }), task('b'), task('c', { priority: 'urgent' })];
+        assert.deepStrictEqual(run({ sort: '-priority' }, tree).tasks.map(t => t.id), ['c', 'b', 'a']);
+    });
+
+    test('puts tasks without a due date last', () => {
+        const { tasks } = run({ flat: 'true', sort: 'dueAt' });
+        assert.deepStrictEqual(tasks.slice(0, 2).map(t => t.id), ['report', 'work']);
+    });
+});
+
+describe('Pagination', () => {
+    test('pages through results with a cursor', () => {
+        const first = run({ flat: 'true', limit: '4' });
+        assert.deepStrictEqual(first.tasks.map(t => t.id), ['home', 'laundry', 'groceries', 'coupons']);
+        assert.strictEqual(first.total, 6);
+        assert.ok(first.nextCursor);
+
+        const second = run({ flat: 'true', limit: '4', cursor: first.nextCursor });
+        assert.deepStrictEqual(second.tasks.map(t => t.id), ['work', 'report']);
+        assert.strictEqual(second.nextCursor, null);
+    });
+
+    test('picks up after the last task seen even if tasks were added before it', () => {
+        const first = run({ flat: 'true', limit: '2' });
+        const tree = sampleTree();
+        tree.unshift(task('new'));
+
+        const second = run({ flat: 'true', limit: '2', cursor: first.nextCursor }, tree);
+        assert.deepStrictEqual(second.tasks.map(t => t.id), ['groceries', 'coupons']);
+    });
+
+    test('pages top-level tasks in nested mode', () => {
+        const first = run({ limit: '1' });
+        assert.strictEqual(outline(first.tasks), 'home(laundry groceries(coupons))');
+        assert.strictEqual(first.total, 2);
+
+        const second = run({ limit: '1', cursor: first.nextCursor });
+        assert.strictEqual(outline(second.tasks), 'work(report)');
+    });
+});
@@ -0,0 +1,109 @@
+/**
+ * BriPlanner Quick Add Tests
+ *
+ * Parsing one line of text into task fields (lib/quickadd.js, no server needed).
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const { parseQuickAdd } = require('../lib/quickadd');
+
+// Monday 19 October 2026, 14:30 UTC
+const NOW = new Date('2026-10-19T14:30:00Z');
+
+function parse(text, timeZone = 'UTC') {
+    return parseQuickAdd(text, { now: NOW, timeZone }).value;
+}
+
+describe('parseQuickAdd', () => {
+    test('splits a line into title, due date, tags, priority and estimate', () => {
+        assert.deepStrictEqual(parse('Call pharmacy tomorrow 5pm #health !high ~15m'), {
+            title: 'Call pharmacy',
+            dueAt: '2026-10-20T17:00:00.000Z',
+            tags: ['health'],
+            priority: 'high',
+            estimateMinutes: 15
+        });
+    });
+
+    test('leaves out what the line doesn\'t mention', () => {
+        assert.deepStrictEqual(parse('Water the plants'), { title: 'Water the plants' });
+    });
+
+    test('understands relative days and weekdays', () => {
+        const due = text => parse(`Task ${text}`).dueAt;
+        assert.strictEqual(due('today'), '2026-10-19T17:00:00.000Z');
+        assert.strictEqual(due('tonight'), '2026-10-19T20:00:00.000Z');
+        assert.strictEqual(due('tmrw'), '2026-10-20T17:00:00.000Z');
+        assert.strictEqual(due('friday'), '2026-10-23T17:00:00.000Z');
+        assert.strictEqual(due('mon'), '2026-10-26T17:00:00.000Z', 'the next Monday, not today');
+        assert.strictEqual(due('next week'), '2026-10-26T17:00:00.000Z');
+        assert.strictEqual(due('in 3 days'), '2026-10-22T17:00:00.000Z');
+        assert.strictEqual(due('in 2 weeks'), '2026-11-02T17:00:00.000Z');
+        assert.strictEqual(due('in 2 hours'), '2026-10-19T16:30:00.000Z');
+        assert.strictEqual(due('in 45 mins'), '2026-10-19T15:15:00.000Z');
+    });
+
+    test('understands calendar dates, rolling month names over to next year', () => {
+        const due = text => parse(`Task ${text}`).dueAt;
+        assert.strictEqual(due('2026-12-24'), '2026-12-24T17:00:00.000Z');
+        assert.strictEqual(due('dec 24'), '2026-12-24T17:00:00.000Z');
+        assert.strictEqual(due('24th December 9am'), '2026-12-24T09:00:00.000Z');
+        assert.strictEqual(due('may 5'), '2027-05-05T17:00:00.000Z');
+        assert.strictEqual(parse('Task 2026-02-30').title, 'Task 2026-02-30');
+    });
+
+    test('understands times, with or without a date', () => {
+        const due = text => parse(`Task ${text}`).dueAt;
+        assert.strictEqual(due('5:30pm'), '2026-10-19T17:30:00.000Z');
+        assert.strictEqual(due('5 pm'), '2026-10-19T17:00:00.000Z');
+        assert.strictEqual(due('at 16:45'), '2026-10-19T16:45:00.000Z');
+        assert.strictEqual(due('9am'), '2026-10-20T09:00:00.000Z', 'already past today, so tomorrow');
+        assert.strictEqual(due('noon friday'), '2026-10-23T12:00:00.000Z');
+        assert.strictEqual(parse('Task 13pm').title, 'Task 13pm');
+    });
+
+    test('works out dates in the given time zone', () => {
+        // 10:30 in New York (UTC-4 until 1 November)
+        assert.strictEqual(parse('Call tomorrow 5pm', 'America/New_York').dueAt, '2026-10-20T21:00:00.000Z');
+        // Across the DST change: 17:00 EST is 22:00 UTC
+        assert.strictEqual(parse('Call nov 2', 'America/New_York').dueAt, '2026-11-02T22:00:00.000Z');
+        // Already Tuesday in Auckland
+        assert.strictEqual(parse('Call today', 'Pacific/Auckland').dueAt, '2026-10-20T04:00:00.000Z');
+    });
+
+    test('keeps prepositions that don\'t go with a date in the title', () => {
+        assert.deepStrictEqual(parse('Pay rent by friday'), { title: 'Pay rent', dueAt: '2026-10-23T17:00:00.000Z' });
+        assert.strictEqual(parse('Meet at the cafe').title, 'Meet at the cafe');
+    });
+
+    test('only takes the first date, and keeps quoted words as they are', () => {
+        const task = parse('Move "Monday" standup to tuesday not friday');
+        assert.strictEqual(task.title, 'Move Monday standup to not friday');
+        assert.strictEqual(task.dueAt, '2026-10-20T17:00:00.000Z');
+    });
+
+    test('reads estimate shorthands and priority abbreviations', () => {
+        assert.strictEqual(parse('A ~1h30m').estimateMinutes, 90);
+        assert.strictEqual(parse('A ~1.5h').estimateMinutes, 90);
+        assert.strictEqual(parse('A ~20').estimateMinutes, 20);
+        assert.strictEqual(parse('A ~soon').title, 'A ~soon');
+        assert.strictEqual(parse('A !u').priority, 'urgent');
+        assert.strictEqual(parse('Wow!').title, 'Wow!');
+        assert.strictEqual(parse('A !important').title, 'A !important');
+    });
+
+    test('normalizes tags the same way as the tags field', () => {
+        assert.deepStrictEqual(parse('A #Work #errands, #work').tags, ['work', 'errands']);
+    });
+
+    test('needs a title and a real time zone', () => {
+        assert.deepStrictEqual(parseQuickAdd('tomorrow #home !high', { now: NOW }), {
+            error: 'Say what the task is, not just when or how',
+            field: 'text'
+        });
+        assert.strictEqual(parseQuickAdd('   ').field, 'text');
+        assert.strictEqual(parseQuickAdd('A', { timeZone: 'Mars/Olympus' }).field, 'timeZone');
+    });
+});
@@ -0,0 +1,132 @@
+/**
+ * BriPlanner Recurrence Tests
+ *
+ * Occurrences are calculated in the server's local time zone, so the suite
+ * pins one that has daylight saving time to make sure times don't drift.
+ */
+
+process.env.TZ = 'America/New_York';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const { parseRule, parseRecurrence, listOccurrences, nextOccurrence } = require('../lib/recurrence');
+
+// Occurrences as local "YYYY-MM-DD HH:mm" strings, which are easier to read than UTC
+function preview(rule, dtstart, limit = 5) {
+    return listOccurrences({ rule, dtstart }, { limit }).map(formatLocal);
+}
+
+function formatLocal(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+describe('RRULE parsing', () => {
+    test('parses and normalizes a rule', () => {
+        assert.deepStrictEqual(
+            parseRecurrence('rrule:freq=weekly;interval=2;byday=mo,fr'),
+            { value: { rule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR', dtstart: null } }
+        );
+    });
+
+    test('accepts an object with a series start', () => {
+        const result = parseRecurrence({ rule: 'FREQ=DAILY', dtstart: '2024-05-01T13:00:00Z' });
+        assert.strictEqual(result.value.dtstart, '2024-05-01T13:00:00.000Z');
+    });
+
+    test('rejects invalid or unsupported rules', () => {
+        assert.match(parseRecurrence('INTERVAL=2').error, /needs a FREQ/);
+        assert.match(parseRecurrence('FREQ=HOURLY').error, /FREQ must be one of/);
+        assert.match(parseRecurrence('FREQ=DAILY;BYHOUR=9').error, /BYHOUR is not supported/);
+        assert.match(parseRecurrence('FREQ=DAILY;COUNT=2;UNTIL=20240601').error, /COUNT or UNTIL/);
+        assert.match(parseRecurrence('FREQ=WEEKLY;BYDAY=2MO').error, /Numbered BYDAY/);
+        assert.match(parseRecurrence('FREQ=MONTHLY;BYMONTHDAY=0').error, /BYMONTHDAY/);
+        assert.ok(parseRecurrence(42).error);
+    });
+
+    test('reads ordinals in BYDAY', () => {
+        assert.deepStrictEqual(parseRule('FREQ=MONTHLY;BYDAY=2MO,-1FR').byDay, [
+            { weekday: 1, n: 2 },
+            { weekday: 5, n: -1 }
+        ]);
+    });
+});
+
+describe('Occurrences', () => {
+    test('daily keeps the same local time across a DST change', () => {
+        assert.deepStrictEqual(preview('FREQ=DAILY', '2024-03-09T13:00:00Z', 3), [
+            '2024-03-09 08:00',
+            '2024-03-10 08:00',
+            '2024-03-11 08:00'
+        ]);
+    });
+
+    test('rent on the 1st of every month', () => {
+        assert.deepStrictEqual(preview('FREQ=MONTHLY;BYMONTHDAY=1', '2024-01-01T14:00:00Z', 3), [
+            '2024-01-01 09:00',
+            '2024-02-01 09:00',
+            '2024-03-01 09:00'
+        ]);
+    });
+
+    test('weekly review every Sunday starts on the first Sunday after dtstart', () => {
+        assert.deepStrictEqual(preview('FREQ=WEEKLY;BYDAY=SU', '2024-05-01T22:00:00Z', 3), [
+            '2024-05-05 18:00',
+            '2024-05-12 18:00',
+            '2024-05-19 18:00'
+        ]);
+    });
+
+    test('every other week on two days with COUNT', () => {
+        assert.deepStrictEqual(preview('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=5', '2024-05-06T13:00:00Z', 10), [
+            '2024-05-06 09:00',
+            '2024-05-08 09:00',
+            '2024-05-20 09:00',
+            '2024-05-22 09:00',
+            '2024-06-03 09:00'
+        ]);
+    });
+
+    test('last Friday of the month until a date', () => {
+        assert.deepStrictEqual(preview('FREQ=MONTHLY;BYDAY=-1FR;UNTIL=20240801', '2024-05-01T13:00:00Z', 10), [
+            '2024-05-31 09:00',
+            '2024-06-28 09:00',
+            '2024-07-26 09:00'
+        ]);
+    });
+
+    test('last weekday of the month with BYSETPOS', () => {
+        assert.deepStrictEqual(preview('FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1', '2024-06-01T13:00:00Z', 3), [
+            '2024-06-28 09:00',
+            '2024-07-31 09:00',
+            '2024-08-30 09:00'
+        ]);
+    });
+
+    test('months without the day are skipped', () => {
+        assert.deepStrictEqual(preview('FREQ=MONTHLY', '2024-01-31T14:00:00Z', 3), [
+            '2024-01-31 09:00',
+            '2024-03-31 09:00',
+            '2024-05-31 09:00'
+        ]);
+    });
+
+    test('yearly on a leap day', () => {
+        assert.deepStrictEqual(preview('FREQ=YEARLY', '2024-02-29T14:00:00Z', 2), [
+            '2024-02-29 09:00',
+            '2028-02-29 09:00'
+        ]);
+    });
+
+    test('impossible rules end instead of looping forever', () => {
+        assert.deepStrictEqual(preview('FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=30', '2024-01-01T14:00:00Z'), []);
+    });
+
+    test('nextOccurrence finds the date after the given one', () => {
+        const recurrence = { rule: 'FREQ=DAILY', dtstart: '2024-06-01T13:00:00Z' };
+        assert.strictEqual(formatLocal(nextOccurrence(recurrence, '2024-06-10T13:00:00Z')), '2024-06-11 09:00');
+        assert.strictEqual(nextOccurrence({ ...recurrence, rule: 'FREQ=DAILY;COUNT=2' }, '2024-06-02T13:00:00Z'), null);
+    });
+});
@@ -0,0 +1,285 @@
+/**
+ * BriPlanner Reminder Scheduler Tests
+ *
+ * The scheduler takes its clock and email sender as options, so these tests
+ * run instantly and never touch the network.
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const {
+    parseDueAt,
+    parseRemindAt,
+    buildReminderSchedule,
+    describeOffset,
+    createReminderScheduler
+} = require('../lib/reminders');
+
+const DUE = '2024-05-01T09:00:00.000Z';
+const MINUTE = 60 * 1000;
+
+function makeTask(fields = {}) {
+    const task = {
+        id: fields.id || 'task-1',
+        title: 'Take meds',
+        completed: false,
+        checklist: [],
+        children: [],
+        dueAt: DUE,
+        remindAt: [60, 0],
+        reminderEmail: 'me@example.com',
+        emailReminder: null,
+        ...fields
+    };
+    task.reminders = buildReminderSchedule(task);
+    return task;
+}
+
+// A scheduler wired to a fake clock and a recording email sender
+function makeScheduler(taskList, { at, sendReminder, onReminderHandled } = {}) {
+    const sent = [];
+    let saves = 0;
+    let clock = Date.parse(at || DUE);
+
+    const scheduler = createReminderScheduler({
+        getTaskTrees: () => [{ tasks: taskList }],
+        persist: () => saves++,
+        sendReminder: sendReminder || (async (task, message) => {
+            sent.push({ taskId: task.id, ...message });
+            return { previewUrl: 'https://example.com/preview' };
+        }),
+        onReminderHandled,
+        now: () => clock
+    });
+
+    return {
+        scheduler,
+        sent,
+        saves: () => saves,
+        setTime: (iso) => { clock = Date.parse(iso); }
+    };
+}
+
+describe('Reminder field parsing', () => {
+    test('parseDueAt normalizes dates and clears on null', () => {
+        assert.deepStrictEqual(parseDueAt('2024-05-01T11:00:00+02:00'), { value: DUE });
+        assert.deepStrictEqual(parseDueAt(null), { value: null });
+        assert.ok(parseDueAt('next tuesday').error);
+    });
+
+    test('parseRemindAt sorts, de-duplicates and validates offsets', () => {
+        assert.deepStrictEqual(parseRemindAt([0, 1440, 60, 60]), { value: [1440, 60, 0] });
+        assert.ok(parseRemindAt('60').error);
+        assert.ok(parseRemindAt([-5]).error);
+        assert.ok(parseRemindAt([1.5]).error);
+    });
+
+    test('describeOffset reads naturally', () => {
+        assert.strictEqual(describeOffset(0), 'now');
+        assert.strictEqual(describeOffset(15), 'in 15 minutes');
+        assert.strictEqual(describeOffset(60), 'in 1 hour');
+        assert.strictEqual(describeOffset(2880), 'in 2 days');
+    });
+});
+
+describe('buildReminderSchedule', () => {
+    test('computes fire times from the due date', () => {
+        const task = makeTask();
+        assert.deepStrictEqual(task.reminders.map(r => r.fireAt), [
+            '2024-05-01T08:00:00.000Z',
+            DUE
+        ]);
+        assert.ok(task.reminders.every(r => r.status === 'pending'));
+    });
+
+    test('keeps the status of reminders that did not move', () => {
+        const task = makeTask();
+        task.reminders[0].status = 'sent';
+
+        task.remindAt = [60, 15, 0];
+        task.reminders = buildReminderSchedule(task);
+        assert.deepStrictEqual(task.reminders.map(r => r.status), ['sent', 'pending', 'pending']);
+
+        task.dueAt = '2024-05-02T09:00:00.000Z';
+        task.reminders = buildReminderSchedule(task);
+        assert.ok(task.reminders.every(r => r.status === 'pending'));
+    });
+
+    test('is empty without a due date', () => {
+        assert.deepStrictEqual(makeTask({ dueAt: null }).reminders, []);
+    });
+});
+
+describe('Reminder scheduler', () => {
+    test('sends a reminder once it is due and records it on the task', async () => {
+        const task = makeTask();
+        const { scheduler, sent, saves, setTime } = makeScheduler([task], { at: '2024-05-01T07:59:00.000Z' });
+
+        assert.deepStrictEqual(await scheduler.tick(), []);
+        assert.strictEqual(sent.length, 0);
+
+        setTime('2024-05-01T08:00:30.000Z');
+        await scheduler.tick();
+
+        assert.strictEqual(sent.length, 1);
+        assert.strictEqual(sent[0].to, 'me@example.com');
+        assert.strictEqual(sent[0].subject, 'Reminder: Take meds is due in 1 hour');
+        assert.strictEqual(task.reminders[0].status, 'sent');
+        assert.strictEqual(task.reminders[1].status, 'pending');
+        assert.strictEqual(task.emailReminder.source, 'scheduled');
+        assert.strictEqual(task.emailReminder.previewUrl, 'https://example.com/preview');
+        assert.strictEqual(saves(), 1);
+
+        // Nothing new is due, so the next tick is a no-op
+        await scheduler.tick();
+        assert.strictEqual(sent.length, 1);
+    });
+
+    test('skips reminders when nobody can receive them', async () => {
+        const task = makeTask({ reminderEmail: null });
+        const { scheduler, sent } = makeScheduler([task], { at: DUE });
+
+        await scheduler.tick();
+        assert.strictEqual(sent.length, 0);
+        assert.strictEqual(task.reminders[1].reason, 'No recipient configured');
+    });
+
+    test('finds reminders on nested subtasks', async () => {
+        const child = makeTask({ id: 'child' });
+        const parent = makeTask({ id: 'parent', dueAt: null, children: [child] });
+        const { scheduler, sent } = makeScheduler([parent], { at: DUE });
+
+        await scheduler.tick();
+        assert.deepStrictEqual(sent.map(m => m.taskId), ['child']);
+    });
+
+    test('sends only the latest reminder when several are due at once', async () => {
+        const task = makeTask({ remindAt: [1440, 60, 5] });
+        const { scheduler, sent } = makeScheduler([task], { at: '2024-05-01T08:58:00.000Z' });
+
+        await scheduler.tick();
+
+        assert.strictEqual(sent.length, 1);
+        assert.strictEqual(sent[0].subject, 'Reminder: Take meds is due in 5 minutes');
+        assert.deepStrictEqual(task.reminders.map(r => r.status), ['skipped', 'skipped', 'sent']);
+    });
+
+    test('skips reminders missed during downtime instead of sending them late', async () => {
+        const tasks = [makeTask({ id: 'a' }), makeTask({ id: 'b' })];
+        const { scheduler, sent } = makeScheduler(tasks, { at: '2024-05-02T12:00:00.000Z' });
+
+        const results = await scheduler.tick();
+
+        assert.strictEqual(sent.length, 0);
+        assert.deepStrictEqual(results.map(r => r.status), ['skipped', 'skipped']);
+        assert.strictEqual(tasks[0].reminders[1].reason, 'Missed while the server was offline');
+    });
+
+    test('skips reminders for completed tasks', async () => {
+        const task = makeTask({ completed: true });
+        const { scheduler, sent } = makeScheduler([task], { at: DUE });
+
+        await scheduler.tick();
+        assert.strictEqual(sent.length, 0);
+        assert.strictEqual(task.reminders[1].reason, 'Task already completed');
+    });
+
+    test('records failures on the task without throwing', async () => {
+        const task = makeTask();
+        const { scheduler } = makeScheduler([task], {
+            at: DUE,
+            sendReminder: async () => { throw new Error('SMTP down'); }
+        });
+
+        const originalError = console.error;
+        console.error = () => {};
+        try {
+            await scheduler.tick();
+        } finally {
+            console.error = originalError;
+        }
+
+        assert.strictEqual(task.reminders[1].status, 'failed');
+        assert.strictEqual(task.emailReminder.error, 'SMTP down');
+    });
+
+    test('reports a sent reminder once the task records it', async () => {
+        const task = makeTask();
+        const handled = [];
+        const { scheduler } = makeScheduler([task], {
+            at: DUE,
+            // What a listener sees of the task at the time it is told
+            onReminderHandled: (t, result, message) => handled.push({
+                result,
+                subject: message.subject,
+                status: t.reminders[1].status,
+                sentAt: t.emailReminder && t.emailReminder.sentAt
+            })
+        });
+
+        await scheduler.tick();
+        assert.deepStrictEqual(handled, [{
+            result: { taskId: task.id, status: 'sent', to: 'me@example.com' },
+            subject: 'Reminder: Take meds is due now',
+            status: 'sent',
+            sentAt: DUE
+        }]);
+    });
+
+    test('reports a failed reminder too', async () => {
+        const task = makeTask();
+        const handled = [];
+        const { scheduler } = makeScheduler([task], {
+            at: DUE,
+            sendReminder: async () => { throw new Error('SMTP down'); },
+            onReminderHandled: (t, result) => handled.push({ result, status: t.reminders[1].status, error: t.emailReminder.error })
+        });
+
+        const originalError = console.error;
+        console.error = () => {};
+        try {
+            await scheduler.tick();
+        } finally {
+            console.error = originalError;
+        }
+        assert.deepStrictEqual(handled, [{
+            result: { taskId: task.id, status: 'failed', error: 'SMTP down' },
+            status: 'failed',
+            error: 'SMTP down'
+        }]);
+    });
+
+    test('doesn\'t report skipped reminders', async () => {
+        const handled = [];
+        const { scheduler } = makeScheduler([makeTask({ completed: true })], { at: DUE, onReminderHandled: () => handled.push(1) });
+
+        await scheduler.tick();
+        assert.strictEqual(handled.length, 0);
+    });
+
+    test('picks up saved pending reminders after a restart', async () => {
+        const task = makeTask();
+        // Simulate a save/load cycle through storage
+        const reloaded = JSON.parse(JSON.stringify([task]));
+        const { scheduler, sent } = makeScheduler(reloaded, { at: '2024-05-01T08:10:00.000Z' });
+
+        await scheduler.tick();
+        assert.strictEqual(sent.length, 1);
+        assert.strictEqual(reloaded[0].reminders[0].status, 'sent');
+    });
+
+    test('uses the tree recipient when the task has none', async () => {
+        const task = makeTask({ reminderEmail: null });
+        const sent = [];
+        const scheduler = createReminderScheduler({
+            getTaskTrees: () => [{ tasks: [task], recipient: 'fallback@example.com' }],
+            persist: () => {},
+            sendReminder: async (t, message) => { sent.push(message); return {}; },
+            now: () => Date.parse(DUE)
+        });
+
+        await scheduler.tick();
+        assert.strictEqual(sent[0].to, 'fallback@example.com');
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * BriPlanner SMTP Listener Tests
+ *
+ * A real SMTP conversation with lib/smtp.js on 127.0.0.1, using nodemailer
+ * as the sending side and the fixture messages as the mail.
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const net = require('node:net');
+const path = require('node:path');
+const nodemailer = require('nodemailer');
+
+const { createSmtpServer, replyFor } = require('../lib/smtp');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'inbound', `${name}.eml`));
+
+// Talk to the listener line by line; each say() resolves with the next reply
+function openSession(port) {
+    const socket = net.connect(port, '127.0.0.1');
+    const replies = [];
+    const waiting = [];
+    let buffer = '';
+    socket.setEncoding('utf8');
+    socket.on('data', (chunk) => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\r\n')) !== -1) {
+            const line = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            // "250-..." lines continue; "250 ..." ends the reply
+            if (line[3] !== '-') replies.push(line);
+        }
+        while (waiting.length > 0 && replies.length > 0) waiting.shift()(replies.shift());
+    });
+    const next = () => new Promise(resolve => (replies.length > 0 ? resolve(replies.shift()) : waiting.push(resolve)));
+    return {
+        next,
+        say(line) {
+            socket.write(`${line}\r\n`);
+            return next();
+        },
+        close: () => socket.destroy()
+    };
+}
+
+describe('createSmtpServer', () => {
+    const received = [];
+    let answer = { status: 201 };
+    let server;
+    let port;
+
+    before(() => new Promise((resolve) => {
+        server = createSmtpServer({
+            hostname: 'planner.test',
+            maxBytes: 4096,
+            onMessage: async (raw, envelope) => {
+                received.push({ raw: raw.toString('latin1'), envelope });
+                return answer;
+            }
+        });
+        server.listen(0, '127.0.0.1', () => {
+            port = server.address().port;
+            resolve();
+        });
+    }));
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    const transport = () => nodemailer.createTransport({ host: '127.0.0.1', port, secure: false, ignoreTLS: true });
+
+    test('receives a message with its envelope, as sent', async () => {
+        answer = { status: 201 };
+        const info = await transport().sendMail({
+            envelope: { from: 'ann@example.com', to: ['Tasks+A1B2C3D4@planner.example.com'] },
+            raw: fixture('multipart')
+        });
+
+        assert.match(info.response, /^250 /);
+        const { raw, envelope } = received.at(-1);
+        assert.deepStrictEqual(envelope, { from: 'ann@example.com', recipients: ['tasks+a1b2c3d4@planner.example.com'] });
+        assert.strictEqual(raw, fixture('multipart').toString('latin1'));
+    });
+
+    test('passes a refusal back to the sender', async () => {
+        answer = { status: 403, error: { message: 'Mail from bob@example.com is not accepted' } };
+        await assert.rejects(
+            transport().sendMail({ envelope: { from: 'bob@example.com', to: ['tasks@planner.test'] }, raw: fixture('plain') }),
+            error => error.responseCode === 550 && /not accepted/.test(error.response)
+        );
+    });
+
+    test('removes the dot-stuffing and refuses messages over the size limit', async () => {
+        answer = { status: 201 };
+        const session = openSession(port);
+        assert.match(await session.next(), /^220 planner\.test /);
+        assert.match(await session.say('EHLO client.test'), /^250 /);
+        assert.match(await session.say('DATA'), /^503 /);
+        assert.match(await session.say('MAIL FROM:<ann@example.com> SIZE=99999'), /^552 /);
+        assert.match(await session.say('MAIL FROM:<ann@example.com>'), /^250 /);
+        assert.match(await session.say('RCPT TO:<tasks@planner.test>'), /^250 /);
+        assert.match(await session.say('DATA'), /^354 /);
+        assert.match(await session.say('Subject: Dots\r\n\r\n..leading dot\r\n.'), /^250 /);
+        assert.strictEqual(received.at(-1).raw, 'Subject: Dots\r\n\r\n.leading dot\r\n');
+
+        await session.say('MAIL FROM:<ann@example.com>');
+        await session.say('RCPT TO:<tasks@planner.test>');
+        await session.say('DATA');
+        assert.match(await session.say(`${'x'.repeat(100)}\r\n`.repeat(50) + '.'), /^552 /);
+        assert.match(await session.say('HELLO'), /^502 /);
+        assert.match(await session.say('QUIT'), /^221 /);
+        session.close();
+    });
+
+    test('replyFor maps receive() results to SMTP replies', () => {
+        assert.match(replyFor({ status: 200 }), /^250 /);
+        assert.match(replyFor({ status: 404, error: { message: 'No task matches "+abc"' } }), /^550 5\.1\.1 No task/);
+        assert.match(replyFor({ status: 400, error: { message: 'No From' } }), /^554 /);
+        assert.match(replyFor({ status: 500 }), /^451 /);
+    });
+});
@@ -0,0 +1,225 @@
+/**
+ * BriPlanner Storage Tests
+ *
+ * Every storage backend must behave the same way, so the same contract is
+ * run against each driver.
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { createStorage, DRIVERS } = require('../lib/storage');
+const { app, getUserTasks, findTaskById, removeTaskById, initStorage, resetData } = require('../server');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'briplanner-storage-'));
+
+// A small tree with a checklist and two levels of children
+function sampleTree() {
+    return [
+        {
+            id: 'parent',
+            title: 'Pack for trip',
+            description: '',
+            completed: false,
+            checklist: [
+                { id: 'item-1', text: 'Passport', completed: true },
+                { id: 'item-2', text: 'Charger', completed: false }
+            ],
+            children: [
+                {
+                    id: 'child',
+                    title: 'Clothes',
+                    completed: false,
+                    checklist: [],
+                    children: [
+                        { id: 'grandchild', title: 'Socks', completed: true, checklist: [], children: [] }
+                    ]
+                },
+                { id: 'child-2', title: 'Toiletries', completed: false, checklist: [], children: [] }
+            ]
+        },
+        { id: 'second', title: 'Water plants', completed: false, checklist: [], children: [] }
+    ];
+}
+
+function storagePath(driver, name = 'planner') {
+    return path.join(tmpDir, `${name}.${driver}`);
+}
+
+// Helper to make HTTP requests against a running server (as the logged-in test user)
+let sessionCookie = null;
+function request(server, method, urlPath, body = null) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({
+            hostname: 'localhost',
+            port: server.address().port,
+            path: urlPath,
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(sessionCookie ? { Cookie: sessionCookie } : {})
+            }
+        }, (res) => {
+            let data = '';
+            res.on('data', (chunk) => data += chunk);
+            res.on('end', () => resolve({
+                status: res.statusCode,
+                headers: res.headers,
+                data: data ? JSON.parse(data) : null
+            }));
+        });
+        req.on('error', reject);
+        if (body) req.write(JSON.stringify(body));
+        req.end();
+    });
+}
+
+for (const driver of DRIVERS) {
+    describe(`Storage driver: ${driver}`, () => {
+        test('load() returns null before anything is saved', async () => {
+            const storage = await createStorage({ driver, path: storagePath(driver, 'empty') });
+            assert.strictEqual(storage.load(), null);
+            storage.close();
+        });
+
+        test('save() then load() round-trips the nested tree in order', async () => {
+            const storage = await createStorage({ driver, path: storagePath(driver, 'roundtrip') });
+            storage.save({ tasks: sampleTree() });
+
+            assert.deepStrictEqual(storage.load(), { tasks: sampleTree() });
+            storage.close();
+        });
+
+        test('save() replaces the previous snapshot', async () => {
+            const storage = await createStorage({ driver, path: storagePath(driver, 'replace') });
+            storage.save({ tasks: sampleTree() });
+            storage.save({ tasks: [sampleTree()[1]] });
+
+            const data = storage.load();
+            assert.strictEqual(data.tasks.length, 1);
+            assert.strictEqual(data.tasks[0].id, 'second');
+            storage.close();
+        });
+
+        test('helpers work against a loaded tree', async () => {
+            const storage = await createStorage({ driver, path: storagePath(driver, 'helpers') });
+            storage.save({ tasks: sampleTree() });
+            const { tasks: loaded } = storage.load();
+
+            assert.strictEqual(findTaskById('grandchild', loaded).title, 'Socks');
+            assert.strictEqual(removeTaskById('child', loaded), true);
+            assert.strictEqual(findTaskById('grandchild', loaded), null);
+            storage.close();
+        });
+
+        if (driver === 'memory') return;
+
+        test('data survives reopening the backend', async () => {
+            const file = storagePath(driver, 'reopen');
+            const first = await createStorage({ driver, path: file });
+            first.save({ tasks: sampleTree(), extra: { note: 'kept' } });
+            first.close();
+
+            const second = await createStorage({ driver, path: file });
+            assert.deepStrictEqual(second.load(), { tasks: sampleTree(), extra: { note: 'kept' } });
+            second.close();
+        });
+
+        test('writes leave no temporary files behind', async () => {
+            const dir = fs.mkdtempSync(path.join(tmpDir, `${driver}-atomic-`));
+            const storage = await createStorage({ driver, path: path.join(dir, 'data') });
+            storage.save({ tasks: sampleTree() });
+            storage.save({ tasks: [] });
+
+            assert.deepStrictEqual(fs.readdirSync(dir), ['data']);
+            storage.close();
+        });
+    });
+}
+
+test('json driver rejects files that are not BriPlanner data', async () => {
+    const file = storagePath('json', 'foreign');
+    fs.writeFileSync(file, JSON.stringify({ hello: 'world' }));
+
+    const storage = await createStorage({ driver: 'json', path: file });
+    assert.throws(() => storage.load(), /not a BriPlanner data file/);
+});
+
+test('createStorage rejects unknown drivers', async () => {
+    await assert.rejects(createStorage({ driver: 'mongo' }), /Unknown storage driver "mongo"/);
+});
+
+for (const driver of ['json', 'sqlite']) {
+    describe(`Server restart with ${driver} storage`, () => {
+        let server;
+        let user;
+
+        before(async () => {
+            await initStorage({ driver, path: storagePath(driver, 'server') });
+            await new Promise((resolve) => {
+                server = app.listen(0, resolve);
+            });
+
+            const res = await request(server, 'POST', '/api/auth/register', {
+                email: `${driver}@example.com`,
+                password: 'restart-proof'
+            });
+            user = res.data.user;
+            sessionCookie = res.headers['set-cookie'][0].split(';')[0];
+        });
+
+        test('tasks created through the API are still there after a restart', async () => {
+            const parent = await request(server, 'POST', '/api/tasks', { title: 'Weekly review' });
+            const child = await request(server, 'POST', '/api/tasks', { title: 'Inbox zero', parentId: parent.data.id });
+            await request(server, 'POST', `/api/tasks/${child.data.id}/checklist`, { text: 'Archive newsletters' });
+
+            // Simulate a restart: throw away the working copy and reload from disk
+            getUserTasks(user.id).length = 0;
+            await initStorage({ driver, path: storagePath(driver, 'server') });
+
+            // The session survives the restart too, so the same cookie still works
+            const res = await request(server, 'GET', `/api/tasks/${child.data.id}`);
+            assert.strictEqual(res.status, 200);
+            assert.strictEqual(res.data.checklist[0].text, 'Archive newsletters');
+            assert.strictEqual(findTaskById(child.data.id, getUserTasks(user.id)).title, 'Inbox zero');
+        });
+
+        test('deletes are persisted too', async () => {
+            const created = await request(server, 'POST', '/api/tasks', { title: 'Temporary' });
+            await request(server, 'DELETE', `/api/tasks/${created.data.id}`);
+
+            await initStorage({ driver, path: storagePath(driver, 'server') });
+            assert.strictEqual(findTaskById(created.data.id, getUserTasks(user.id)), null);
+        });
+
+        test('tasks saved before accounts existed go to the first user', async () => {
+            const file = storagePath(driver, 'legacy');
+            const legacy = await createStorage({ driver, path: file });
+            legacy.save({ tasks: sampleTree() });
+            legacy.close();
+
+            await initStorage({ driver, path: file });
+            const res = await request(server, 'POST', '/api/auth/register', {
+                email: `first-${driver}@example.com`,
+                password: 'first-in-line'
+            });
+
+            assert.strictEqual(findTaskById('grandchild', getUserTasks(res.data.user.id)).title, 'Socks');
+            resetData();
+        });
+
+        after(() => {
+            resetData();
+            sessionCookie = null;
+            return new Promise((resolve) => server.close(resolve));
+        });
+    });
+}
+
+after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
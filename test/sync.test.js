@@ -0,0 +1,127 @@
+/**
+ * BriPlanner Live Sync Tests
+ *
+ * The Server-Sent Events hub (lib/sync.js), run against a stand-in response
+ * object that records what would be sent.
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+
+const { createSyncHub } = require('../lib/sync');
+
+// Collects everything written, like an http.ServerResponse would send it
+function fakeResponse() {
+    const res = new EventEmitter();
+    res.output = '';
+    res.writeHead = (status, headers) => {
+        res.status = status;
+        res.headers = headers;
+    };
+    res.write = (chunk) => {
+        res.output += chunk;
+    };
+    res.end = () => {
+        res.ended = true;
+        res.emit('close');
+    };
+    return res;
+}
+
+// The events in a stream, as { id, event, data }
+function parseStream(text) {
+    return text.split('\n\n').filter(block => block.includes('event:')).map(block => {
+        const fields = {};
+        for (const line of block.split('\n')) {
+            const [name, ...rest] = line.split(': ');
+            fields[name] = rest.join(': ');
+        }
+        return { id: fields.id, event: fields.event, data: JSON.parse(fields.data) };
+    });
+}
+
+describe('Publishing', () => {
+    test('sends events to every stream of that user only', () => {
+        const hub = createSyncHub();
+        const laptop = fakeResponse();
+        const phone = fakeResponse();
+        const someoneElse = fakeResponse();
+        hub.connect(laptop, { userId: 'u1' });
+        hub.connect(phone, { userId: 'u1' });
+        hub.connect(someoneElse, { userId: 'u2' });
+
+        hub.publish('u1', 'change', { taskId: 't1' });
+
+        assert.strictEqual(laptop.status, 200);
+        assert.match(laptop.headers['Content-Type'], /text\/event-stream/);
+        assert.deepStrictEqual(parseStream(laptop.output).map(e => e.event), ['ready', 'change']);
+        assert.deepStrictEqual(parseStream(phone.output)[1].data, { taskId: 't1' });
+        assert.deepStrictEqual(parseStream(someoneElse.output).map(e => e.event), ['ready']);
+        hub.close();
+    });
+
+    test('forgets streams once they close', () => {
+        const hub = createSyncHub();
+        const res = fakeResponse();
+        hub.connect(res, { userId: 'u1' });
+        assert.strictEqual(hub.clientCount('u1'), 1);
+
+        res.emit('close');
+        assert.strictEqual(hub.clientCount('u1'), 0);
+    });
+});
+
+describe('Reconnecting', () => {
+    test('replays what was missed since the last event ID', () => {
+        const hub = createSyncHub();
+        const first = fakeResponse();
+        hub.connect(first, { userId: 'u1' });
+        hub.publish('u1', 'change', { n: 1 });
+        const lastSeen = parseStream(first.output).pop().id;
+        first.emit('close');
+
+        hub.publish('u1', 'change', { n: 2 });
+        hub.publish('u1', 'change', { n: 3 });
+
+        const again = fakeResponse();
+        hub.connect(again, { userId: 'u1', lastEventId: lastSeen });
+        assert.deepStrictEqual(parseStream(again.output).map(e => e.data.n), [2, 3]);
+        hub.close();
+    });
+
+    test('asks for a resync when the gap is too big or the ID is unknown', () => {
+        const hub = createSyncHub({ bufferSize: 2 });
+        const first = fakeResponse();
+        hub.connect(first, { userId: 'u1' });
+        const lastSeen = parseStream(first.output)[0].id;
+        first.emit('close');
+        for (let n = 1; n <= 3; n++) hub.publish('u1', 'change', { n });
+
+        const late = fakeResponse();
+        hub.connect(late, { userId: 'u1', lastEventId: lastSeen });
+        assert.deepStrictEqual(parseStream(late.output).map(e => e.event), ['resync']);
+
+        // An ID from before a server restart
+        const restarted = fakeResponse();
+        createSyncHub().connect(restarted, { userId: 'u1', lastEventId: lastSeen });
+        assert.deepStrictEqual(parseStream(restarted.output).map(e => e.event), ['resync']);
+        hub.close();
+    });
+
+    test('ends a stream at the heartbeat after its login ends', async () => {
+        const hub = createSyncHub({ heartbeatMs: 5 });
+        const res = fakeResponse();
+        let loggedIn = true;
+        hub.connect(res, { userId: 'u1', isActive: () => loggedIn });
+
+        await new Promise(resolve => setTimeout(resolve, 20));
+        assert.match(res.output, /: ping/);
+        assert.ok(!res.ended);
+
+        loggedIn = false;
+        await new Promise(resolve => setTimeout(resolve, 20));
+        assert.ok(res.ended);
+        assert.strictEqual(hub.clientCount('u1'), 0);
+    });
+});
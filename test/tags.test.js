@@ -0,0 +1,44 @@
+/**
+ * BriPlanner Tag Tests
+ *
+ * Tag validation and the tag index (lib/tags.js, no server needed).
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const { MAX_TAGS, parseTags, tagIndex } = require('../lib/tags');
+const { createTask } = require('../lib/tasks');
+
+describe('parseTags', () => {
+    test('keeps one spelling of each tag', () => {
+        assert.deepStrictEqual(parseTags(['#Work', ' work ', 'Waiting   For']).value, ['work', 'waiting for']);
+        assert.deepStrictEqual(parseTags(null).value, []);
+    });
+
+    test('rejects what can not be a tag', () => {
+        assert.match(parseTags('work').error, /array/);
+        assert.match(parseTags([1]).error, /array/);
+        assert.match(parseTags(['#']).error, /empty/);
+        assert.match(parseTags(['x'.repeat(41)]).error, /40 characters/);
+        assert.match(parseTags(['a,b']).error, /commas/);
+        assert.match(parseTags(Array.from({ length: MAX_TAGS + 1 }, (_, i) => `t${i}`)).error, /at most/);
+    });
+});
+
+describe('tagIndex', () => {
+    test('counts tags across the whole tree, most used first', () => {
+        const parent = createTask({ title: 'Move', tags: ['home'] });
+        parent.children.push(
+            createTask({ title: 'Boxes', tags: ['home', 'errands'], completed: true }),
+            createTask({ title: 'Keys', tags: ['errands'] })
+        );
+        const other = createTask({ title: 'Report', tags: ['work'] });
+
+        assert.deepStrictEqual(tagIndex([parent, other]), [
+            { tag: 'errands', count: 2, openCount: 1 },
+            { tag: 'home', count: 2, openCount: 1 },
+            { tag: 'work', count: 1, openCount: 1 }
+        ]);
+    });
+});
@@ -0,0 +1,170 @@
+/**
+ * BriPlanner Template Tests
+ *
+ * Saving task subtrees as templates and making tasks from them
+ * (lib/templates.js, no server needed).
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const { createTask, walkTasks } = require('../lib/tasks');
+const {
+    parseTemplate, createTemplate, templateFromTask, templateVariables, describeTemplate, instantiateTemplate
+} = require('../lib/templates');
+
+// Monday 19 October 2026, midday
+const NOW = new Date(2026, 9, 19, 12, 0);
+
+function sampleTask() {
+    return createTask({
+        title: 'Pack for {{destination}}',
+        description: 'Leaving {{date}}',
+        completed: true,
+        dueAt: '2026-10-20T09:00:00.000Z',
+        tags: ['travel'],
+        priority: 'high',
+        checklist: [{ id: 'a', text: 'Passport', completed: true }, { id: 'b', text: 'Map of {{destination}}', completed: false }],
+        children: [createTask({ title: 'Clothes', estimateMinutes: 20, timeEntries: [{ minutes: 5 }] })]
+    });
+}
+
+describe('templateFromTask', () => {
+    test('keeps what describes the work and drops IDs, ticks and dates', () => {
+        const template = templateFromTask(sampleTask());
+        assert.deepStrictEqual(template, {
+            title: 'Pack for {{destination}}',
+            description: 'Leaving {{date}}',
+            priority: 'high',
+            tags: ['travel'],
+            remindAt: [],
+            checklist: [{ text: 'Passport' }, { text: 'Map of {{destination}}' }],
+            children: [{ title: 'Clothes', description: '', estimateMinutes: 20, tags: [], remindAt: [], checklist: [], children: [] }]
+        });
+    });
+
+    test('copies rather than shares the task\'s lists', () => {
+        const task = sampleTask();
+        const template = templateFromTask(task);
+        task.tags.push('changed');
+        assert.deepStrictEqual(template.tags, ['travel']);
+    });
+});
+
+describe('parseTemplate', () => {
+    const task = sampleTask();
+
+    test('takes a name and a task, by ID or given directly', () => {
+        const fromTask = parseTemplate({ name: ' Trip ', taskId: task.id }, { templates: [], source: task });
+        assert.strictEqual(fromTask.value.name, 'Trip');
+        assert.strictEqual(fromTask.value.task.title, 'Pack for {{destination}}');
+
+        const given = parseTemplate({ name: 'Bag', task: { title: 'Bag' } }, { templates: [] });
+        assert.deepStrictEqual(given.value.task, { title: 'Bag', checklist: [], children: [] });
+    });
+
+    test('wants a unique name and something to save', () => {
+        const existing = createTemplate({ ownerId: 'u', name: 'Trip', task: { title: 'A', checklist: [], children: [] } });
+        assert.strictEqual(parseTemplate({ name: 'trip', task: { title: 'A' } }, { templates: [existing] }).field, 'name');
+        assert.strictEqual(parseTemplate({ name: '  ', task: { title: 'A' } }, { templates: [] }).field, 'name');
+        assert.strictEqual(parseTemplate({ name: 'New' }, { templates: [] }).field, 'taskId');
+        assert.strictEqual(parseTemplate({ name: 'New', taskId: 'gone' }, { templates: [] }).status, 404);
+    });
+
+    test('keeps the current name and tasks on an update that leaves them out', () => {
+        const current = createTemplate({ ownerId: 'u', name: 'Trip', task: { title: 'A', checklist: [], children: [] } });
+        const renamed = parseTemplate({ name: 'Travel' }, { templates: [current], current });
+        assert.deepStrictEqual(renamed.value, { name: 'Travel', task: current.task });
+        assert.strictEqual(parseTemplate({ task: { title: 'B' } }, { templates: [current], current }).value.name, 'Trip');
+    });
+
+    test('limits how big a template can be', () => {
+        const wide = { title: 'Wide', children: Array.from({ length: 500 }, () => ({ title: 'Step' })) };
+        assert.strictEqual(parseTemplate({ name: 'Wide', task: wide }, { templates: [] }).field, 'task');
+
+        let deep = { title: 'Bottom' };
+        for (let i = 0; i < 20; i++) deep = { title: `Level ${i}`, children: [deep] };
+        assert.match(parseTemplate({ name: 'Deep', task: deep }, { templates: [] }).error, /levels deep/);
+    });
+
+    test('checks every subtask like a new task, and cleans up its values', () => {
+        const task = (child) => ({ title: 'Trip', children: [{ title: 'Bags' }, { title: 'Clothes', ...child }] });
+        const badEstimate = parseTemplate({ name: 'A', task: task({ estimateMinutes: -5 }) }, { templates: [] });
+        assert.strictEqual(badEstimate.field, 'task.children.1.estimateMinutes');
+        const tooManyTags = parseTemplate({ name: 'A', task: task({ tags: Array.from({ length: 30 }, (_, i) => ` BAD tag ${i}`) }) }, { templates: [] });
+        assert.deepStrictEqual([tooManyTags.field, tooManyTags.error], ['task.children.1.tags', 'A task can have at most 20 tags']);
+        assert.strictEqual(parseTemplate({ name: 'A', task: task({ remindAt: [-9999] }) }, { templates: [] }).field, 'task.children.1.remindAt');
+        assert.strictEqual(parseTemplate({ name: 'A', task: { title: 'Trip', priority: 'asap' } }, { templates: [] }).field, 'task.priority');
+
+        const { value } = parseTemplate({ name: 'A', task: task({ tags: [' #Travel ', 'travel'], remindAt: [0, 60] }) }, { templates: [] });
+        assert.deepStrictEqual(value.task.children[1].tags, ['travel']);
+        assert.deepStrictEqual(value.task.children[1].remindAt, [60, 0]);
+    });
+});
+
+describe('templateVariables', () => {
+    test('lists each placeholder once, in order of first use', () => {
+        const template = templateFromTask(sampleTask());
+        template.children[0].checklist.push({ text: '{{ size }} shirts for {{destination}}' });
+        assert.deepStrictEqual(templateVariables(template), ['destination', 'date', 'size']);
+    });
+
+    test('describeTemplate gives the built-in ones their default', () => {
+        const template = createTemplate({ ownerId: 'u', name: 'Trip', task: templateFromTask(sampleTask()) }, NOW);
+        assert.deepStrictEqual(describeTemplate(template, NOW).variables, [
+            { name: 'destination', default: null },
+            { name: 'date', default: '2026-10-19' }
+        ]);
+    });
+});
+
+describe('instantiateTemplate', () => {
+    const template = createTemplate({ ownerId: 'u', name: 'Trip', task: templateFromTask(sampleTask()) });
+
+    test('builds fresh, unfinished tasks with the placeholders filled in', () => {
+        const { value: root } = instantiateTemplate(template, { destination: 'Lisbon' }, NOW);
+        assert.strictEqual(root.title, 'Pack for Lisbon');
+        assert.strictEqual(root.description, 'Leaving 2026-10-19');
+        assert.strictEqual(root.completed, false);
+        assert.strictEqual(root.dueAt, null);
+        assert.deepStrictEqual(root.checklist.map(item => [item.text, item.completed]), [['Passport', false], ['Map of Lisbon', false]]);
+        assert.deepStrictEqual(root.children[0].timeEntries, []);
+        assert.strictEqual(root.children[0].estimateMinutes, 20);
+        // The template itself is left as it was
+        assert.strictEqual(template.task.title, 'Pack for {{destination}}');
+    });
+
+    test('gives every task and checklist item a new ID each time', () => {
+        const first = instantiateTemplate(template, { destination: 'A' }, NOW).value;
+        const second = instantiateTemplate(template, { destination: 'B' }, NOW).value;
+        const ids = [first, second].flatMap(root => [...walkTasks([root])].flatMap(task => [task.id, ...task.checklist.map(item => item.id)]));
+        assert.strictEqual(new Set(ids).size, ids.length);
+        second.tags.push('changed');
+        assert.deepStrictEqual(first.tags, ['travel']);
+    });
+
+    test('lets given values override the built-in ones', () => {
+        const { value } = instantiateTemplate(template, { destination: 'Rome', date: 'Friday' }, NOW);
+        assert.strictEqual(value.description, 'Leaving Friday');
+    });
+
+    test('names the first placeholder left empty', () => {
+        const result = instantiateTemplate(template, { destination: ' ' }, NOW);
+        assert.strictEqual(result.field, 'variables.destination');
+        assert.match(result.error, /\{\{destination\}\}/);
+    });
+
+    test('treats placeholders named like Object.prototype keys as ordinary ones', () => {
+        const hello = createTemplate({ ownerId: 'u', name: 'Hi', task: templateFromTask(createTask({ title: 'Hi {{constructor}} {{toString}}' })) });
+        const result = instantiateTemplate(hello, {}, NOW);
+        assert.strictEqual(result.field, 'variables.constructor');
+        assert.strictEqual(instantiateTemplate(hello, { constructor: 'Ana', toString: 'there' }, NOW).value.title, 'Hi Ana there');
+        assert.deepStrictEqual(describeTemplate(hello, NOW).variables.map(variable => variable.default), [null, null]);
+    });
+
+    test('refuses values that make a title too long', () => {
+        const result = instantiateTemplate(template, { destination: 'x'.repeat(300) }, NOW);
+        assert.strictEqual(result.field, 'variables');
+        assert.match(result.error, /too long/);
+    });
+});
@@ -0,0 +1,118 @@
+/**
+ * BriPlanner Trash Tests
+ *
+ * Moving tasks and checklist items to the trash and back, and letting old
+ * entries expire (lib/trash.js, no server needed).
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const { trashTask, trashChecklistItem, restoreFromTrash, pruneTrash, describeEntry } = require('../lib/trash');
+const { createTask } = require('../lib/tasks');
+
+const options = { ownerId: 'u1', retentionDays: 30, now: new Date('2024-05-01T00:00:00.000Z') };
+
+// a
+//   ├─ b
+//   └─ c [checklist: x, y]
+function sampleTree() {
+    return [
+        createTask({ id: 'a', title: 'A', children: [
+            createTask({ id: 'b', title: 'B' }),
+            createTask({ id: 'c', title: 'C', checklist: [
+                { id: 'x', text: 'X', completed: false },
+                { id: 'y', text: 'Y', completed: true }
+            ] })
+        ] })
+    ];
+}
+
+describe('Trashing', () => {
+    test('takes a task out and remembers where it was', () => {
+        const tree = sampleTree();
+        const trash = [];
+        const entry = trashTask(trash, tree, 'b', options);
+
+        assert.deepStrictEqual(tree[0].children.map(t => t.id), ['c']);
+        assert.strictEqual(entry.parentId, 'a');
+        assert.strictEqual(entry.position, 0);
+        assert.strictEqual(entry.expiresAt, '2024-05-31T00:00:00.000Z');
+        assert.deepStrictEqual(trash, [entry]);
+    });
+
+    test('returns null for unknown tasks and items', () => {
+        const tree = sampleTree();
+        assert.strictEqual(trashTask([], tree, 'nope', options), null);
+        assert.strictEqual(trashChecklistItem([], tree[0].children[1], 'nope', options), null);
+    });
+
+    test('describes entries for the trash list', () => {
+        const tree = sampleTree();
+        const trash = [];
+        const summary = describeEntry(trashTask(trash, tree, 'a', options));
+        assert.strictEqual(summary.title, 'A');
+        assert.strictEqual(summary.subtaskCount, 2);
+        assert.strictEqual(summary.task, undefined);
+    });
+});
+
+describe('Restoring', () => {
+    test('puts a task back at its old position', () => {
+        const tree = sampleTree();
+        const trash = [];
+        const entry = trashTask(trash, tree, 'b', options);
+
+        assert.ok(restoreFromTrash(trash, entry.id, tree).entry);
+        assert.deepStrictEqual(tree[0].children.map(t => t.id), ['b', 'c']);
+        assert.strictEqual(trash.length, 0);
+    });
+
+    test('puts a task at the top level when its parent is gone', () => {
+        const tree = sampleTree();
+        const trash = [];
+        const child = trashTask(trash, tree, 'c', options);
+        trashTask(trash, tree, 'a', options);
+
+        restoreFromTrash(trash, child.id, tree);
+        assert.deepStrictEqual(tree.map(t => t.id), ['c']);
+    });
+
+    test('puts a checklist item back, but only onto its own task', () => {
+        const tree = sampleTree();
+        const trash = [];
+        const task = tree[0].children[1];
+        const item = trashChecklistItem(trash, task, 'x', options);
+
+        restoreFromTrash(trash, item.id, tree);
+        assert.deepStrictEqual(task.checklist.map(i => i.id), ['x', 'y']);
+
+        const again = trashChecklistItem(trash, task, 'x', options);
+        trashTask(trash, tree, 'c', options);
+        assert.strictEqual(restoreFromTrash(trash, again.id, tree).status, 409);
+    });
+
+    test('refuses to restore a task whose ID is in use again', () => {
+        const tree = sampleTree();
+        const trash = [];
+        const entry = trashTask(trash, tree, 'b', options);
+        tree.push(createTask({ id: 'b' }));
+
+        assert.strictEqual(restoreFromTrash(trash, entry.id, tree).status, 409);
+        assert.strictEqual(trash.length, 1);
+    });
+});
+
+describe('Expiry', () => {
+    test('prunes entries past their retention window', () => {
+        const tree = sampleTree();
+        const trash = [];
+        trashTask(trash, tree, 'b', options);
+        trashTask(trash, tree, 'c', { ...options, retentionDays: 1 });
+
+        assert.strictEqual(pruneTrash(trash, new Date('2024-05-10T00:00:00.000Z')), 1);
+        assert.deepStrictEqual(trash.map(e => e.task.id), ['b']);
+        assert.strictEqual(pruneTrash(trash, new Date('2024-06-01T00:00:00.000Z')), 1);
+        assert.strictEqual(trash.length, 0);
+    });
+});
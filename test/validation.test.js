@@ -0,0 +1,101 @@
+/**
+ * BriPlanner Validation Tests
+ *
+ * The schema checks and error responses (lib/validation.js, no server needed).
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const { validate, sendError } = require('../lib/validation');
+const { schemas } = require('../lib/schemas');
+
+const SCHEMA = {
+    title: { type: 'string', required: true, minLength: 1, maxLength: 10 },
+    count: { type: 'integer', min: 1, max: 5 },
+    mood: { type: 'string', nullable: true, values: ['good', 'bad'] },
+    items: {
+        type: 'array',
+        maxItems: 2,
+        uniqueBy: 'id',
+        items: { type: 'object', fields: { id: { type: 'string', required: true } } }
+    },
+    labels: { type: 'object', entries: { type: 'string' } },
+    code: { type: 'string', pattern: /^[A-Z]{3}$/, format: 'three capital letters' }
+};
+
+// Just the error code and field, which is what callers act on
+function check(input) {
+    const { error } = validate(SCHEMA, input);
+    return error ? [error.code, error.field] : null;
+}
+
+describe('validate', () => {
+    test('accepts input that follows the schema', () => {
+        const input = { title: 'Hi', count: 3, mood: null, items: [{ id: 'a' }], labels: { x: 'y' } };
+        assert.deepStrictEqual(validate(SCHEMA, input), { value: input });
+    });
+
+    test('reports missing, unknown and mistyped fields', () => {
+        assert.deepStrictEqual(check({}), ['required', 'title']);
+        assert.deepStrictEqual(check({ title: 'Hi', colour: 'red' }), ['unknown_field', 'colour']);
+        assert.deepStrictEqual(check({ title: 'Hi', count: 1.5 }), ['invalid_type', 'count']);
+        assert.deepStrictEqual(check({ title: null }), ['invalid_type', 'title']);
+        assert.deepStrictEqual(check({ title: 'Hi', labels: { x: 1 } }), ['invalid_type', 'labels.x']);
+        assert.match(validate(SCHEMA, []).error.message, /The request body must be an object/);
+    });
+
+    test('enforces sizes, ranges and allowed values', () => {
+        assert.deepStrictEqual(check({ title: '   ' }), ['too_short', 'title']);
+        assert.deepStrictEqual(check({ title: 'x'.repeat(11) }), ['too_long', 'title']);
+        assert.deepStrictEqual(check({ title: 'Hi', count: 6 }), ['out_of_range', 'count']);
+        assert.deepStrictEqual(check({ title: 'Hi', mood: 'meh' }), ['invalid_value', 'mood']);
+        assert.strictEqual(validate(SCHEMA, { title: 'Hi', code: 'abc' }).error.message, 'code must be three capital letters');
+        assert.deepStrictEqual(check({ title: 'Hi', items: [{ id: 'a' }, { id: 'b' }, { id: 'c' }] }), ['too_many_items', 'items']);
+    });
+
+    test('checks array items and nested objects, naming the exact field', () => {
+        assert.deepStrictEqual(check({ title: 'Hi', items: [{ id: 'a' }, {}] }), ['required', 'items[1].id']);
+        assert.deepStrictEqual(check({ title: 'Hi', items: [{ id: 'a', extra: true }] }), ['unknown_field', 'items[0].extra']);
+        assert.deepStrictEqual(check({ title: 'Hi', items: [{ id: 'a' }, { id: 'a' }] }), ['invalid_value', 'items[1].id']);
+    });
+});
+
+describe('task schemas', () => {
+    test('PUT only takes well-formed checklists and a boolean completed', () => {
+        const { body } = schemas.updateTask;
+        assert.strictEqual(validate(body, { completed: 'yes' }).error.field, 'completed');
+        assert.strictEqual(validate(body, { checklist: [{ text: 'No ID', completed: false }] }).error.field, 'checklist[0].id');
+        assert.strictEqual(validate(body, { emailReminder: { sentAt: 'now' } }).error.code, 'unknown_field');
+        assert.strictEqual(validate(body, { checklist: [{ id: "a');alert(1);('", text: 'Step', completed: true }] }).error.field, 'checklist[0].id');
+        assert.ok(validate(body, { checklist: [{ id: '3b241101-e2bb-4255-8caf-4136c566a962', text: 'Step', completed: true }] }).value);
+    });
+
+    test('recurrence can be a rule string or { rule, dtstart }', () => {
+        const { body } = schemas.createTask;
+        assert.ok(validate(body, { title: 'Gym', recurrence: 'FREQ=DAILY' }).value);
+        assert.ok(validate(body, { title: 'Gym', recurrence: { rule: 'FREQ=DAILY', dtstart: null } }).value);
+        assert.strictEqual(validate(body, { title: 'Gym', recurrence: { rule: 'FREQ=DAILY', until: 'x' } }).error.field, 'recurrence.until');
+        assert.strictEqual(validate(body, { title: 'Gym', recurrence: 5 }).error.code, 'invalid_type');
+    });
+});
+
+describe('sendError', () => {
+    function fakeResponse() {
+        return {
+            status(code) { this.statusCode = code; return this; },
+            json(body) { this.body = body; return this; }
+        };
+    }
+
+    test('gives plain messages a code from the status', () => {
+        const res = sendError(fakeResponse(), 404, 'Task not found');
+        assert.strictEqual(res.statusCode, 404);
+        assert.deepStrictEqual(res.body, { error: { code: 'not_found', message: 'Task not found', field: null } });
+    });
+
+    test('keeps the code and field of an error object', () => {
+        const res = sendError(fakeResponse(), 400, { code: 'too_long', message: 'Too long', field: 'title' });
+        assert.deepStrictEqual(res.body, { error: { code: 'too_long', message: 'Too long', field: 'title' } });
+    });
+});
@@ -0,0 +1,46 @@
+/**
+ * BriPlanner Version Tests
+ *
+ * Task versions and If-Match checks (lib/versions.js, no server needed).
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const { etagFor, bumpVersion, ifMatchAllows } = require('../lib/versions');
+const { createTask } = require('../lib/tasks');
+
+describe('bumpVersion', () => {
+    test('counts a change to a task and everything above it', () => {
+        const child = createTask({ title: 'Child' });
+        const parent = createTask({ title: 'Parent', children: [child] });
+        const other = createTask({ title: 'Other' });
+        const tasks = [parent, other];
+
+        bumpVersion(tasks, child.id);
+        bumpVersion(tasks, parent.id);
+        assert.deepStrictEqual([child.version, parent.version, other.version], [1, 2, 0]);
+
+        bumpVersion(tasks, 'gone');
+        assert.strictEqual(parent.version, 2);
+    });
+});
+
+describe('ifMatchAllows', () => {
+    test('matches the current version, a list of them or *', () => {
+        const task = createTask({ version: 3 });
+        assert.strictEqual(etagFor(task), '"3"');
+        assert.strictEqual(ifMatchAllows(undefined, task), true);
+        assert.strictEqual(ifMatchAllows('"3"', task), true);
+        assert.strictEqual(ifMatchAllows('"1", "3"', task), true);
+        assert.strictEqual(ifMatchAllows('*', task), true);
+        assert.strictEqual(ifMatchAllows('"2"', task), false);
+        assert.strictEqual(ifMatchAllows('W/"3"', task), false);
+    });
+
+    test('treats tasks saved before versions existed as version 0', () => {
+        const task = createTask();
+        delete task.version;
+        assert.strictEqual(ifMatchAllows('"0"', task), true);
+    });
+});
@@ -0,0 +1,234 @@
+/**
+ * BriPlanner Webhook Tests
+ *
+ * Subscriptions, which events go where, signatures and retries
+ * (lib/webhooks.js), with a local HTTP server as the receiving end.
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+
+const { createTask } = require('../lib/tasks');
+const {
+    parseWebhook, createWebhook, describeWebhook, webhookEvents, signPayload, verifySignature, retryDelayMs,
+    sendWebhook, createWebhookDispatcher
+} = require('../lib/webhooks');
+
+const SECRET = 'a-very-secret-value';
+
+// A receiver that records every call and answers with the next queued status (200 when none)
+function startReceiver() {
+    const calls = [];
+    const statuses = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            calls.push({ headers: req.headers, body });
+            const status = statuses.length > 0 ? statuses.shift() : 200;
+            if (status === 'hang') return; // never answer
+            res.writeHead(status, { 'Content-Type': 'text/plain' });
+            res.end(status === 200 ? 'thanks' : 'try later');
+        });
+    });
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve({
+            url: `http://127.0.0.1:${server.address().port}/hook`,
+            calls,
+            statuses,
+            close: () => new Promise(done => {
+                server.closeAllConnections();
+                server.close(done);
+            })
+        }));
+    });
+}
+
+function updated(changes, fields = {}) {
+    return { id: 'e1', taskId: 't1', ownerId: 'u1', at: '2026-10-19T12:00:00.000Z', actor: { type: 'user', id: 'u1' }, action: 'task.updated', changes, ...fields };
+}
+
+describe('parseWebhook', () => {
+    test('fills in all events and a random secret for a new webhook', () => {
+        const { value } = parseWebhook({ url: 'https://hooks.example.com/briplanner' });
+        assert.strictEqual(value.url, 'https://hooks.example.com/briplanner');
+        assert.deepStrictEqual(value.events, ['*']);
+        assert.ok(value.secret.length >= 32);
+        assert.deepStrictEqual([value.active, value.description], [true, '']);
+    });
+
+    test('checks the URL, events and secret', () => {
+        assert.strictEqual(parseWebhook({}).field, 'url');
+        assert.strictEqual(parseWebhook({ url: 'ftp://example.com' }).field, 'url');
+        assert.strictEqual(parseWebhook({ url: 'not a url' }).field, 'url');
+        assert.strictEqual(parseWebhook({ url: 'http://x.test', events: ['task.created', 'task.exploded'] }).field, 'events.1');
+        assert.strictEqual(parseWebhook({ url: 'http://x.test', events: [] }).field, 'events');
+        assert.strictEqual(parseWebhook({ url: 'http://x.test', secret: 'short' }).field, 'secret');
+    });
+
+    test('keeps the current values on an update that leaves them out', () => {
+        const current = createWebhook({ ownerId: 'u1', ...parseWebhook({ url: 'http://x.test/', events: ['task.completed'], secret: SECRET }).value });
+        const { value } = parseWebhook({ active: false }, { current });
+        assert.deepStrictEqual(value, { url: 'http://x.test/', events: ['task.completed'], secret: SECRET, active: false, description: '' });
+        assert.notStrictEqual(parseWebhook({ secret: null }, { current }).value.secret, SECRET);
+    });
+
+    test('describeWebhook only shows the end of the secret unless asked', () => {
+        const webhook = createWebhook({ ownerId: 'u1', ...parseWebhook({ url: 'http://x.test/', secret: SECRET }).value });
+        assert.strictEqual(describeWebhook(webhook).secret, undefined);
+        assert.strictEqual(describeWebhook(webhook).secretHint, '…alue');
+        assert.strictEqual(describeWebhook(webhook, { withSecret: true }).secret, SECRET);
+    });
+});
+
+describe('webhookEvents', () => {
+    test('maps history events to webhook events', () => {
+        assert.deepStrictEqual(webhookEvents({ action: 'task.created', changes: [] }), ['task.created']);
+        assert.deepStrictEqual(webhookEvents(updated([{ field: 'title', before: 'a', after: 'b' }])), ['task.updated']);
+        assert.deepStrictEqual(webhookEvents(updated([{ field: 'completed', before: false, after: true }])), ['task.updated', 'task.completed']);
+        assert.deepStrictEqual(webhookEvents(updated([{ field: 'completed', before: true, after: false }])), ['task.updated']);
+        assert.deepStrictEqual(webhookEvents({ action: 'task.deleted', changes: [] }), ['task.deleted']);
+        assert.deepStrictEqual(webhookEvents({ action: 'checklist.updated', changes: [{ field: 'completed', before: false, after: true }] }), ['checklist.toggled']);
+        assert.deepStrictEqual(webhookEvents({ action: 'checklist.updated', changes: [{ field: 'text', before: 'a', after: 'b' }] }), []);
+        assert.deepStrictEqual(webhookEvents({ action: 'email.sent', changes: [] }), ['reminder.sent']);
+        assert.deepStrictEqual(webhookEvents({ action: 'focus.started', changes: [] }), []);
+    });
+});
+
+describe('signatures', () => {
+    test('verifySignature accepts our signature and nothing else', () => {
+        const now = Date.parse('2026-10-19T12:00:00Z');
+        const timestamp = String(now / 1000);
+        const body = '{"event":"ping"}';
+        const signature = signPayload(SECRET, timestamp, body);
+
+        assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+        assert.ok(verifySignature(SECRET, { timestamp, signature, body }, { now }));
+        assert.ok(!verifySignature('another-secret-value', { timestamp, signature, body }, { now }));
+        assert.ok(!verifySignature(SECRET, { timestamp, signature, body: '{"event":"pong"}' }, { now }));
+        assert.ok(!verifySignature(SECRET, { timestamp, signature, body }, { now: now + 10 * 60 * 1000 }), 'too old');
+        assert.ok(!verifySignature(SECRET, { timestamp, signature: 'sha256=00', body }, { now }));
+    });
+
+    test('retries wait twice as long each time', () => {
+        assert.deepStrictEqual([1, 2, 3, 4, 5].map(n => retryDelayMs(n, 30000)), [30000, 60000, 120000, 240000, 480000]);
+    });
+});
+
+describe('createWebhookDispatcher', () => {
+    let receiver;
+    before(async () => {
+        receiver = await startReceiver();
+    });
+    after(() => receiver.close());
+
+    function setup(webhookFields = {}, options = {}) {
+        let clock = Date.parse('2026-10-19T12:00:00Z');
+        const webhook = createWebhook({ ownerId: 'u1', ...parseWebhook({ url: receiver.url, secret: SECRET, ...webhookFields }).value });
+        const webhooks = [webhook];
+        const deliveries = [];
+        let saves = 0;
+        const dispatcher = createWebhookDispatcher({
+            webhooks,
+            deliveries,
+            persist: () => saves++,
+            now: () => clock,
+            retryBaseMs: 1000,
+            maxAttempts: 3,
+            timeoutMs: 2000,
+            ...options
+        });
+        return { dispatcher, webhook, webhooks, deliveries, saves: () => saves, advance: ms => (clock += ms) };
+    }
+
+    test('sends a signed call for each event the webhook wants', async () => {
+        receiver.calls.length = 0;
+        const { dispatcher, deliveries, saves } = setup({ events: ['task.completed'] });
+        const task = createTask({ id: 't1', title: 'Water plants', completed: true });
+
+        dispatcher.dispatch(updated([{ field: 'title', before: 'a', after: 'b' }]), task);
+        assert.strictEqual(deliveries.length, 0, 'not subscribed to task.updated');
+        dispatcher.dispatch(updated([{ field: 'completed', before: false, after: true }]), task);
+        dispatcher.dispatch(updated([{ field: 'completed', before: false, after: true }], { ownerId: 'u2' }), task);
+        await dispatcher.idle();
+
+        assert.strictEqual(receiver.calls.length, 1);
+        const { headers, body } = receiver.calls[0];
+        assert.strictEqual(headers['content-type'], 'application/json');
+        assert.strictEqual(headers['x-briplanner-event'], 'task.completed');
+        assert.strictEqual(headers['x-briplanner-delivery'], deliveries[0].id);
+        assert.ok(verifySignature(SECRET, {
+            timestamp: headers['x-briplanner-timestamp'],
+            signature: headers['x-briplanner-signature'],
+            body
+        }, { now: Date.parse('2026-10-19T12:00:00Z') }));
+
+        const payload = JSON.parse(body);
+        assert.deepStrictEqual([payload.id, payload.event, payload.data.taskId, payload.data.task.title], [deliveries[0].id, 'task.completed', 't1', 'Water plants']);
+        assert.strictEqual(deliveries[0].status, 'succeeded');
+        assert.deepStrictEqual([deliveries[0].attempts[0].statusCode, deliveries[0].attempts[0].response], [200, 'thanks']);
+        assert.ok(saves() >= 2);
+    });
+
+    test('retries with growing waits until the receiver accepts', async () => {
+        receiver.calls.length = 0;
+        receiver.statuses.push(500, 503);
+        const { dispatcher, deliveries, advance } = setup();
+        const [delivery] = dispatcher.dispatch({ taskId: 't1', ownerId: 'u1', action: 'task.deleted', actor: { type: 'user', id: 'u1' }, changes: [] });
+        await dispatcher.idle();
+
+        assert.strictEqual(delivery.status, 'pending');
+        assert.strictEqual(delivery.attempts[0].error, 'The receiver answered 500');
+        assert.strictEqual(delivery.nextAttemptAt, '2026-10-19T12:00:01.000Z');
+        assert.deepStrictEqual(await dispatcher.tick(), [], 'not due yet');
+
+        advance(1000);
+        await dispatcher.tick();
+        assert.strictEqual(delivery.nextAttemptAt, '2026-10-19T12:00:03.000Z', 'waits twice as long');
+
+        advance(2000);
+        await dispatcher.tick();
+        assert.strictEqual(delivery.status, 'succeeded');
+        assert.deepStrictEqual(delivery.attempts.map(a => a.statusCode), [500, 503, 200]);
+        assert.strictEqual(receiver.calls.length, 3);
+        // The same payload every time, so the receiver can spot repeats by its id
+        assert.strictEqual(new Set(receiver.calls.map(call => JSON.parse(call.body).id)).size, 1);
+        assert.strictEqual(deliveries.length, 1);
+    });
+
+    test('gives up after maxAttempts, and when the webhook is gone', async () => {
+        receiver.statuses.push(500, 500, 500);
+        const { dispatcher, webhooks, advance } = setup();
+        const [delivery] = dispatcher.dispatch({ taskId: 't1', ownerId: 'u1', action: 'task.created', actor: {}, changes: [] });
+        await dispatcher.idle();
+        for (const wait of [1000, 2000]) {
+            advance(wait);
+            await dispatcher.tick();
+        }
+        assert.deepStrictEqual([delivery.status, delivery.attempts.length, delivery.nextAttemptAt], ['failed', 3, null]);
+
+        receiver.statuses.push(500);
+        const [orphan] = dispatcher.dispatch({ taskId: 't1', ownerId: 'u1', action: 'task.created', actor: {}, changes: [] });
+        await dispatcher.idle();
+        webhooks.length = 0;
+        advance(1000);
+        await dispatcher.tick();
+        assert.deepStrictEqual([orphan.status, orphan.attempts[1].error], ['failed', 'The webhook was deleted']);
+    });
+
+    test('counts a receiver that never answers as a failure', async () => {
+        receiver.statuses.push('hang');
+        const { dispatcher, webhook } = setup({}, { timeoutMs: 100 });
+        const delivery = dispatcher.ping(webhook);
+        await dispatcher.idle();
+        assert.match(delivery.attempts[0].error, /No answer within/);
+        assert.strictEqual(delivery.status, 'pending');
+    });
+
+    test('sendWebhook reports a receiver that isn\'t there', async () => {
+        const closed = await startReceiver();
+        await closed.close();
+        await assert.rejects(sendWebhook({ url: closed.url, headers: {}, body: '{}', timeoutMs: 1000 }), /ECONNREFUSED/);
+    });
+});